@@ -0,0 +1,225 @@
+/**
+ * Price and fundamentals alert engine
+ *
+ * Alerts watch one combined_data field of a symbol (or of every symbol in a
+ * watchlist). A scheduler evaluates them at a fixed interval, slower while
+ * the market is closed; an alert fires when its condition turns true, then
+ * stays quiet until the condition clears and its cooldown has passed.
+ * Triggers are logged and sent to a webhook.
+ */
+
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+const { logger } = require('./logger');
+const { mapWithConcurrency } = require('./compare');
+const { visibleTo } = require('./owners');
+
+const ALERTS = 'alerts';
+const HISTORY = 'alert_history';
+
+const ALERT_FIELDS = [
+    'current_price',
+    'change_percent',
+    'pe_ratio',
+    'roe',
+    'market_cap',
+    'book_value',
+    'technicals.rsi_14',
+    'technicals.from_52w_high_percent'
+];
+
+const OPERATORS = {
+    above: (value, threshold) => value > threshold,
+    below: (value, threshold) => value < threshold,
+    // "moves more than X%" in either direction
+    abs_above: (value, threshold) => Math.abs(value) > threshold
+};
+
+const OPERATOR_LABELS = {
+    above: 'is above',
+    below: 'is below',
+    abs_above: 'moved more than'
+};
+
+const readField = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
+
+function describeTrigger(alert, symbol, value) {
+    return `${symbol} ${alert.field} ${value} ${OPERATOR_LABELS[alert.operator]} ${alert.threshold}`;
+}
+
+class AlertEngine {
+    constructor(options) {
+        this.store = options.store;
+        // loadQuote(symbol) -> combined_data for the symbol
+        this.loadQuote = options.loadQuote;
+        this.notifier = options.notifier;
+        this.clock = options.clock || systemClock;
+        this.intervalMs = options.intervalMs || 60 * 1000;
+        // With a MarketCalendar, passes slow to closedIntervalMs while NSE
+        // is closed, since quotes cannot cross a threshold then
+        this.calendar = options.calendar || null;
+        this.closedIntervalMs = options.closedIntervalMs || 15 * 60 * 1000;
+        this.historyLimit = options.historyLimit || 500;
+        this.concurrency = options.concurrency || 3;
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        const schedule = () => {
+            this.timer = this.clock.setTimeout(async () => {
+                try {
+                    await this.tick();
+                } catch (error) {
+                    logger.error('alert evaluation failed', { error });
+                }
+                if (this.timer) schedule();
+            }, this.calendar
+                ? this.calendar.pollDelay('NSE', this.intervalMs, this.closedIntervalMs, this.clock.now())
+                : this.intervalMs);
+        };
+
+        schedule();
+        logger.info('alert scheduler started', { interval_ms: this.intervalMs });
+    }
+
+    stop() {
+        if (this.timer) {
+            this.clock.clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // One evaluation pass; overlapping calls share the pass in progress
+    tick() {
+        if (!this.running) {
+            this.running = this.evaluateAll().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    async resolveSymbols(alert) {
+        if (alert.symbol) return [alert.symbol];
+
+        const watchlist = await this.store.get('watchlists', alert.watchlist_id);
+        return watchlist ? watchlist.symbols : [];
+    }
+
+    async evaluateAll() {
+        const alerts = (await this.store.list(ALERTS)).filter(alert => alert.enabled !== false);
+        const targets = await Promise.all(alerts.map(alert => this.resolveSymbols(alert)));
+        const symbols = [...new Set(targets.flat())];
+
+        const results = await mapWithConcurrency(symbols, this.concurrency, symbol => this.loadQuote(symbol));
+        const quotes = {};
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                quotes[symbols[i]] = result.value;
+            } else {
+                logger.warn('alert quote failed', { symbol: symbols[i], error: result.reason });
+            }
+        });
+
+        const triggered = [];
+        for (const [i, alert] of alerts.entries()) {
+            for (const symbol of targets[i]) {
+                if (!quotes[symbol]) continue;
+
+                const event = await this.evaluate(alert, symbol, quotes[symbol]);
+                if (event) triggered.push(event);
+            }
+        }
+
+        return {
+            evaluated_at: new Date(this.clock.now()).toISOString(),
+            alerts: alerts.length,
+            symbols: symbols.length,
+            quotes: Object.keys(quotes).length,
+            triggered
+        };
+    }
+
+    async evaluate(alert, symbol, data) {
+        const value = readField(data, alert.field);
+        if (typeof value !== 'number') return null;
+
+        const now = this.clock.now();
+        const state = alert.state?.[symbol] || {};
+        const met = OPERATORS[alert.operator](value, alert.threshold);
+        const cooldownMs = (alert.cooldown_minutes ?? 60) * 60 * 1000;
+        const coolingDown = state.last_triggered_at && now - Date.parse(state.last_triggered_at) < cooldownMs;
+        const fire = met && !state.active && !coolingDown;
+
+        const nextState = {
+            // Stays active while the condition holds so it fires once per crossing
+            active: met && (state.active || fire),
+            last_value: value,
+            last_checked_at: new Date(now).toISOString(),
+            last_triggered_at: fire ? new Date(now).toISOString() : state.last_triggered_at || null
+        };
+
+        await this.store.patch(ALERTS, alert.id, record => ({
+            state: { ...record.state, [symbol]: nextState }
+        }));
+        alert.state = { ...alert.state, [symbol]: nextState };
+
+        if (!fire) return null;
+        return this.trigger(alert, symbol, value, now);
+    }
+
+    async trigger(alert, symbol, value, now) {
+        const event = {
+            id: crypto.randomUUID(),
+            alert_id: alert.id,
+            alert_name: alert.name || null,
+            symbol,
+            field: alert.field,
+            operator: alert.operator,
+            threshold: alert.threshold,
+            value,
+            message: describeTrigger(alert, symbol, value),
+            triggered_at: new Date(now).toISOString()
+        };
+
+        logger.info('alert triggered', { alert_id: alert.id, symbol, value, message: event.message });
+
+        event.delivery = await this.notifier.deliver({
+            event_id: event.id,
+            type: 'alert.triggered',
+            ...event
+        }, alert.webhook_url || undefined);
+        // Kept out of the webhook payload; the history route filters on it
+        event.owner = alert.owner ?? null;
+
+        await this.store.update(HISTORY, records => {
+            records.push(event);
+            if (records.length > this.historyLimit) {
+                records.splice(0, records.length - this.historyLimit);
+            }
+        });
+
+        return event;
+    }
+
+    // `owner` (an API key id) limits it to that key's alerts
+    async history({ alertId, symbol, owner = null, limit = 50 } = {}) {
+        return (await this.store.list(HISTORY))
+            .filter(visibleTo(owner))
+            .filter(event => !alertId || event.alert_id === alertId)
+            .filter(event => !symbol || event.symbol === symbol)
+            .slice(-limit)
+            .reverse();
+    }
+}
+
+module.exports = {
+    ALERTS,
+    ALERT_FIELDS,
+    OPERATORS,
+    AlertEngine,
+    describeTrigger
+};
@@ -0,0 +1,336 @@
+/**
+ * API keys with per-key rate limits, daily quotas and an LLM budget
+ *
+ * Keys come from the api_keys collection of the JSON store (managed through
+ * /api/admin/keys) and from an optional read-only key file (API_KEYS_FILE):
+ *
+ *   { "keys": [{ "name": "frontend", "key": "...", "daily_quota": 500 }] }
+ *
+ * A file entry may give `key_sha256` instead of the key itself; the store
+ * only ever keeps the hash. Limits left out (or null) use the server
+ * defaults. Usage counters are kept in memory per process and daily ones
+ * reset at midnight IST.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const asyncRoute = require('./routes/async-route');
+const { TokenBucket } = require('./http');
+const { systemClock } = require('./clock');
+const { validateSchema } = require('./json-schema');
+const { sendError } = require('./errors');
+
+const COLLECTION = 'api_keys';
+
+const DEFAULT_LIMITS = {
+    rate_limit_per_minute: 30,
+    daily_quota: 1000,
+    llm_daily_quota: 20
+};
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const KEY_FILE_SCHEMA = {
+    type: 'object',
+    required: ['keys'],
+    properties: {
+        keys: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 100 },
+                    key: { type: 'string', minLength: 16 },
+                    key_sha256: { type: 'string', minLength: 64, maxLength: 64 },
+                    rate_limit_per_minute: { type: ['integer', 'null'], minimum: 1 },
+                    daily_quota: { type: ['integer', 'null'], minimum: 0 },
+                    llm_daily_quota: { type: ['integer', 'null'], minimum: 0 },
+                    enabled: { type: 'boolean' }
+                }
+            }
+        }
+    }
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const generateKey = () => `sai_${crypto.randomBytes(24).toString('base64url')}`;
+
+// Quota day (YYYY-MM-DD in IST) and ms until it ends
+const quotaDay = (now) => new Date(now + IST_OFFSET_MS).toISOString().slice(0, 10);
+const msUntilNextDay = (now) => DAY_MS - (now + IST_OFFSET_MS) % DAY_MS;
+
+// Key from the X-API-Key header, a bearer token or ?api_key= (for
+// EventSource and WebSocket clients, which cannot set headers)
+function requestKey(req) {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return req.get('x-api-key') || bearer?.[1] || req.query.api_key || null;
+}
+
+// Same result for equal strings without leaking where they differ
+const safeEqual = (a, b) => crypto.timingSafeEqual(Buffer.from(hashKey(a), 'hex'), Buffer.from(hashKey(b), 'hex'));
+
+class ApiKeyManager {
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.file = options.file || null;
+        this.defaults = { ...DEFAULT_LIMITS };
+        for (const [field, value] of Object.entries(options.defaults || {})) {
+            if (value !== undefined && value !== null) this.defaults[field] = value;
+        }
+        // Requests per day across all keys that may reach a metered LLM; null = no cap
+        this.llmDailyBudget = options.llmDailyBudget ?? null;
+        this.clock = options.clock || systemClock;
+
+        this.fileKeys = [];
+        this.usage = new Map();
+        this.buckets = new Map();
+        this.llmUsage = { day: null, calls: 0 };
+    }
+
+    // (Re)reads the key file; throws on an unreadable or invalid file
+    loadFile() {
+        if (!this.file) return this;
+
+        const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        const errors = validateSchema(KEY_FILE_SCHEMA, config, 'keys file');
+        if (errors.length > 0) throw new Error(`Invalid API key file ${this.file}: ${errors.join('; ')}`);
+
+        const names = new Set();
+        this.fileKeys = config.keys.map(entry => {
+            if (names.has(entry.name)) throw new Error(`Invalid API key file ${this.file}: duplicate name "${entry.name}"`);
+            if (Boolean(entry.key) === Boolean(entry.key_sha256)) {
+                throw new Error(`Invalid API key file ${this.file}: "${entry.name}" needs either key or key_sha256`);
+            }
+            names.add(entry.name);
+
+            return {
+                id: `file:${entry.name}`,
+                name: entry.name,
+                source: 'file',
+                key_hash: entry.key_sha256 ? entry.key_sha256.toLowerCase() : hashKey(entry.key),
+                key_prefix: entry.key ? entry.key.slice(0, 8) : null,
+                ...Object.fromEntries(LIMIT_FIELDS.map(field => [field, entry[field] ?? null])),
+                enabled: entry.enabled !== false
+            };
+        });
+        return this;
+    }
+
+    async storedKeys() {
+        return this.store ? (await this.store.list(COLLECTION)).map(record => ({ ...record, source: 'store' })) : [];
+    }
+
+    async all() {
+        return [...this.fileKeys, ...await this.storedKeys()];
+    }
+
+    // Key record for a raw key, or null
+    async find(key) {
+        const hash = hashKey(key);
+        return (await this.all()).find(record => record.key_hash === hash) || null;
+    }
+
+    async get(id) {
+        return (await this.all()).find(record => record.id === id) || null;
+    }
+
+    // Returns { key, record }; the key is not stored and cannot be shown again
+    async create(fields) {
+        const key = generateKey();
+        const record = await this.store.insert(COLLECTION, {
+            name: fields.name.trim(),
+            key_hash: hashKey(key),
+            key_prefix: key.slice(0, 8),
+            ...Object.fromEntries(LIMIT_FIELDS.map(field => [field, fields[field] ?? null])),
+            enabled: fields.enabled !== false
+        });
+        return { key, record: { ...record, source: 'store' } };
+    }
+
+    // With no keys in the file or the store, creates one named "bootstrap";
+    // returns { key, record } as create() does, or null
+    async bootstrap() {
+        if (!this.store || (await this.all()).length > 0) return null;
+        return this.create({ name: 'bootstrap' });
+    }
+
+    async update(id, fields) {
+        const changes = Object.fromEntries(Object.entries(fields)
+            .filter(([field]) => [...LIMIT_FIELDS, 'name', 'enabled'].includes(field)));
+        if (changes.name) changes.name = changes.name.trim();
+        const record = await this.store.patch(COLLECTION, id, changes);
+        return record && { ...record, source: 'store' };
+    }
+
+    async remove(id) {
+        this.usage.delete(id);
+        this.buckets.delete(id);
+        return this.store.remove(COLLECTION, id);
+    }
+
+    // Effective limits: the key's own, else the defaults
+    limits(record) {
+        return Object.fromEntries(LIMIT_FIELDS.map(field => [field, record[field] ?? this.defaults[field]]));
+    }
+
+    usageFor(id) {
+        const day = quotaDay(this.clock.now());
+        let usage = this.usage.get(id);
+        if (!usage || usage.day !== day) {
+            usage = { day, requests: 0, llm_calls: 0 };
+            this.usage.set(id, usage);
+        }
+        return usage;
+    }
+
+    bucketFor(id, perMinute) {
+        let entry = this.buckets.get(id);
+        if (!entry || entry.perMinute !== perMinute) {
+            entry = { perMinute, bucket: new TokenBucket({ rate: perMinute / 60, burst: perMinute, clock: this.clock }) };
+            this.buckets.set(id, entry);
+        }
+        return entry.bucket;
+    }
+
+    // Counts one request; returns null, or { code, message, retryAfterMs }
+    // when the key is over its daily quota or rate limit
+    consume(record) {
+        const limits = this.limits(record);
+        const usage = this.usageFor(record.id);
+
+        if (usage.requests >= limits.daily_quota) {
+            return {
+                code: 'QUOTA_EXCEEDED',
+                message: `Daily quota of ${limits.daily_quota} requests used up; it resets at midnight IST`,
+                retryAfterMs: msUntilNextDay(this.clock.now())
+            };
+        }
+
+        const bucket = this.bucketFor(record.id, limits.rate_limit_per_minute);
+        if (!bucket.tryTake()) {
+            return {
+                code: 'RATE_LIMITED',
+                message: `Rate limit of ${limits.rate_limit_per_minute} requests per minute exceeded`,
+                retryAfterMs: bucket.waitMs()
+            };
+        }
+
+        usage.requests++;
+        return null;
+    }
+
+    // Checks a raw key and counts the request: { record } when it may go
+    // ahead, else { code, message, retryAfterMs?, record? }
+    async authorize(key) {
+        if (!key) {
+            return { code: 'AUTH_REQUIRED', message: 'An API key is required; send it in the X-API-Key header' };
+        }
+
+        const record = await this.find(key);
+        if (!record) return { code: 'INVALID_API_KEY', message: 'Invalid API key' };
+        if (!record.enabled) return { code: 'API_KEY_DISABLED', message: 'This API key is disabled', record };
+
+        const denied = this.consume(record);
+        return denied ? { ...denied, record } : { record };
+    }
+
+    // Counts one metered LLM call for `record` (null when auth is off);
+    // returns null, or why the call is not allowed
+    consumeLlm(record) {
+        const day = quotaDay(this.clock.now());
+        if (this.llmUsage.day !== day) this.llmUsage = { day, calls: 0 };
+
+        if (this.llmDailyBudget !== null && this.llmUsage.calls >= this.llmDailyBudget) {
+            return `Server LLM budget of ${this.llmDailyBudget} calls per day used up`;
+        }
+
+        if (record) {
+            const { llm_daily_quota: quota } = this.limits(record);
+            const usage = this.usageFor(record.id);
+            if (usage.llm_calls >= quota) {
+                return `LLM quota of ${quota} AI summaries per day used up for this API key`;
+            }
+            usage.llm_calls++;
+        }
+
+        this.llmUsage.calls++;
+        return null;
+    }
+
+    // Public view of a key: no hash, with effective limits and today's usage
+    describe(record) {
+        const { key_hash, ...rest } = record;
+        const { day, requests, llm_calls } = this.usageFor(record.id);
+        return { ...rest, limits: this.limits(record), usage: { day, requests, llm_calls } };
+    }
+
+    describeConfig() {
+        const day = quotaDay(this.clock.now());
+        return {
+            default_limits: this.defaults,
+            llm_daily_budget: this.llmDailyBudget,
+            llm_usage: { day, calls: this.llmUsage.day === day ? this.llmUsage.calls : 0 },
+            key_file: this.file,
+            file_keys: this.fileKeys.length
+        };
+    }
+}
+
+// Requires a valid, enabled key within its limits on every request but
+// `publicPaths`; sets req.apiKey. With `enabled: false` all requests pass.
+function authenticate(keys, options = {}) {
+    const publicPaths = options.publicPaths || [];
+
+    return asyncRoute(async (req, res, next) => {
+        const key = requestKey(req);
+        // Keeps the key out of query validation and logs
+        delete req.query.api_key;
+
+        if (options.enabled === false || publicPaths.includes(req.path)) return next();
+
+        const { record, code, message, retryAfterMs } = await keys.authorize(key);
+
+        if (record) {
+            const { daily_quota: quota } = keys.limits(record);
+            res.set('X-Quota-Limit', String(quota));
+            res.set('X-Quota-Remaining', String(Math.max(0, quota - keys.usageFor(record.id).requests)));
+        }
+        if (code) {
+            if (retryAfterMs) res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return sendError(res, code, message);
+        }
+
+        req.apiKey = record;
+        next();
+    });
+}
+
+// Guards the admin routes with ADMIN_API_KEY; no admin key disables them
+function requireAdmin(adminKey) {
+    return (req, res, next) => {
+        if (!adminKey) {
+            return sendError(res, 'FORBIDDEN', 'The admin API is disabled; set ADMIN_API_KEY to enable it');
+        }
+
+        const key = requestKey(req);
+        delete req.query.api_key;
+        if (!key || !safeEqual(key, adminKey)) {
+            return sendError(res, 'INVALID_API_KEY', 'A valid admin API key is required');
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ApiKeyManager,
+    DEFAULT_LIMITS,
+    authenticate,
+    hashKey,
+    requestKey,
+    requireAdmin
+};
@@ -0,0 +1,455 @@
+/**
+ * Strategy backtests on daily candles
+ *
+ * A strategy is declarative: `entry` conditions that must all hold to buy
+ * and `exit` conditions of which any one sells, optionally with a stop loss
+ * and take profit on the entry price. Conditions compare two operands,
+ *
+ *   { "left": "sma_50", "op": "crosses_above", "right": "sma_200" }
+ *   { "left": "pe", "op": "below", "right": 20 }
+ *
+ * where an operand is a number, a candle field (open, high, low, close,
+ * volume), an indicator with its period (sma_50, ema_20, rsi_14) or pe, the
+ * close over trailing EPS. Presets (sma_crossover, ema_crossover,
+ * rsi_reversion, pe_threshold) expand to the same form.
+ *
+ * Signals are taken on a day's close and filled at the next day's open, so
+ * a strategy never trades on prices it could not have seen. Positions are
+ * long only, all in, in whole shares, with Indian delivery costs (brokerage,
+ * STT, exchange and SEBI fees, stamp duty and GST) and optional slippage.
+ * Whatever is held on the last day is sold at its close.
+ */
+
+const { sma, ema, rsi } = require('./technical-analysis');
+const { periodSeries } = require('./fundamentals');
+
+const round = (value, digits = 2) =>
+    (typeof value === 'number' && isFinite(value)) ? Number(value.toFixed(digits)) : null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+// Quarterly results are due within 45 days of the quarter, annual ones
+// within 60: EPS counts from then, not from the period end
+const RESULTS_LAG_DAYS = 60;
+const MAX_PERIOD = 400;
+
+const OPERATORS = ['above', 'below', 'crosses_above', 'crosses_below'];
+const INDICATORS = { sma, ema, rsi };
+const OPERAND_PATTERN = /^(?:(open|high|low|close|volume|pe)|(sma|ema|rsi)_(\d{1,3}))$/;
+
+// Equity delivery charges in %, as most Indian discount brokers bill them.
+// brokerage_max caps brokerage per order (null for no cap).
+const DEFAULT_COSTS = {
+    brokerage_percent: 0.03,
+    brokerage_max: 20,
+    stt_percent: 0.1,
+    exchange_percent: 0.00297,
+    sebi_percent: 0.0001,
+    stamp_duty_percent: 0.015,
+    gst_percent: 18,
+    slippage_percent: 0
+};
+
+const PRESETS = {
+    sma_crossover: ({ fast = 50, slow = 200 }) => ({
+        entry: [{ left: `sma_${fast}`, op: 'crosses_above', right: `sma_${slow}` }],
+        exit: [{ left: `sma_${fast}`, op: 'crosses_below', right: `sma_${slow}` }]
+    }),
+    ema_crossover: ({ fast = 12, slow = 26 }) => ({
+        entry: [{ left: `ema_${fast}`, op: 'crosses_above', right: `ema_${slow}` }],
+        exit: [{ left: `ema_${fast}`, op: 'crosses_below', right: `ema_${slow}` }]
+    }),
+    rsi_reversion: ({ period = 14, buy_below = 30, sell_above = 70 }) => ({
+        entry: [{ left: `rsi_${period}`, op: 'below', right: buy_below }],
+        exit: [{ left: `rsi_${period}`, op: 'above', right: sell_above }]
+    }),
+    pe_threshold: ({ buy_below, sell_above }) => ({
+        entry: [{ left: 'pe', op: 'below', right: buy_below }],
+        exit: sell_above === undefined ? [] : [{ left: 'pe', op: 'above', right: sell_above }]
+    })
+};
+
+const STRATEGY_TYPES = [...Object.keys(PRESETS), 'rules'];
+
+// { name, field } | { name, indicator, period } | { value }, or null
+function parseOperand(operand) {
+    if (typeof operand === 'number' && isFinite(operand)) return { value: operand };
+    const match = typeof operand === 'string' && operand.match(OPERAND_PATTERN);
+    if (!match) return null;
+    if (match[1]) return { name: operand, field: match[1] };
+
+    const period = Number(match[3]);
+    if (period < 2 || period > MAX_PERIOD) return null;
+    return { name: operand, indicator: match[2], period };
+}
+
+function parseConditions(list, where) {
+    if (!Array.isArray(list)) return { error: `${where} must be a list of conditions` };
+
+    const conditions = [];
+    for (const [i, condition] of list.entries()) {
+        const path = `${where}[${i}]`;
+        if (!OPERATORS.includes(condition?.op)) {
+            return { error: `${path}.op must be one of: ${OPERATORS.join(', ')}` };
+        }
+        const left = parseOperand(condition.left);
+        const right = parseOperand(condition.right);
+        if (!left || left.value !== undefined) {
+            return { error: `${path}.left must be a candle field, pe or an indicator such as sma_50, ema_20 or rsi_14` };
+        }
+        if (!right) {
+            return { error: `${path}.right must be a number, a candle field, pe or an indicator such as sma_200` };
+        }
+        conditions.push({ left, op: condition.op, right });
+    }
+    return { conditions };
+}
+
+// Returns { strategy } or { error }. strategy: { type, entry, exit,
+// stop_loss_percent, take_profit_percent } with parsed conditions.
+function parseStrategy(spec) {
+    if (!spec || typeof spec !== 'object') return { error: 'strategy is required' };
+    if (!STRATEGY_TYPES.includes(spec.type)) {
+        return { error: `strategy.type must be one of: ${STRATEGY_TYPES.join(', ')}` };
+    }
+
+    if (spec.type === 'pe_threshold' && typeof spec.buy_below !== 'number') {
+        return { error: 'strategy.buy_below is required for pe_threshold' };
+    }
+
+    const rules = spec.type === 'rules' ? spec : PRESETS[spec.type](spec);
+    const entry = parseConditions(rules.entry, 'strategy.entry');
+    if (entry.error) return entry;
+    if (entry.conditions.length === 0) return { error: 'strategy.entry needs at least one condition' };
+    if (spec.type.endsWith('_crossover') && entry.conditions[0].left.period >= entry.conditions[0].right.period) {
+        return { error: 'strategy.fast must be shorter than strategy.slow' };
+    }
+    const exit = parseConditions(rules.exit ?? [], 'strategy.exit');
+    if (exit.error) return exit;
+
+    for (const key of ['stop_loss_percent', 'take_profit_percent']) {
+        if (spec[key] !== undefined && !(spec[key] > 0 && spec[key] < 1000)) {
+            return { error: `strategy.${key} must be a positive percentage` };
+        }
+    }
+
+    return {
+        strategy: {
+            type: spec.type,
+            entry: entry.conditions,
+            exit: exit.conditions,
+            stop_loss_percent: spec.stop_loss_percent ?? null,
+            take_profit_percent: spec.take_profit_percent ?? null
+        }
+    };
+}
+
+// Returns { costs } with defaults filled in, or { error }
+function parseCosts(input = {}) {
+    const costs = { ...DEFAULT_COSTS };
+    for (const [key, value] of Object.entries(input || {})) {
+        if (!(key in DEFAULT_COSTS)) return { error: `costs.${key} is not a known charge` };
+        if (key === 'brokerage_max' && value === null) {
+            costs[key] = null;
+            continue;
+        }
+        const max = key === 'brokerage_max' ? Infinity : key === 'gst_percent' ? 100 : 10;
+        if (typeof value !== 'number' || value < 0 || value > max) {
+            return { error: key === 'brokerage_max'
+                ? 'costs.brokerage_max must be a non-negative amount in rupees, or null'
+                : `costs.${key} must be between 0 and ${max} (%)` };
+        }
+        costs[key] = value;
+    }
+    return { costs };
+}
+
+// Charges on one order of `value` rupees
+function tradeCosts(value, side, costs) {
+    const percent = (rate) => value * rate / 100;
+    const brokerage = costs.brokerage_max === null
+        ? percent(costs.brokerage_percent)
+        : Math.min(percent(costs.brokerage_percent), costs.brokerage_max);
+    const exchange = percent(costs.exchange_percent);
+    const sebi = percent(costs.sebi_percent);
+    const charges = {
+        brokerage,
+        stt: percent(costs.stt_percent),
+        exchange,
+        sebi,
+        stamp_duty: side === 'buy' ? percent(costs.stamp_duty_percent) : 0,
+        gst: (brokerage + exchange + sebi) * costs.gst_percent / 100
+    };
+    return Object.values(charges).reduce((sum, charge) => sum + charge, 0);
+}
+
+// Calendar days of candles to load before `from` so every indicator has
+// warmed up on the first day
+function warmupDays(strategy) {
+    const periods = [...strategy.entry, ...strategy.exit]
+        .flatMap(condition => [condition.left, condition.right])
+        .map(operand => operand.period || 0);
+    const longest = Math.max(0, ...periods);
+    return longest === 0 ? 0 : Math.ceil((longest + 1) * 7 / 5 * 1.1) + 15;
+}
+
+const usesPe = (strategy) => [...strategy.entry, ...strategy.exit]
+    .some(condition => condition.left.field === 'pe' || condition.right.field === 'pe');
+
+const monthEnd = (period) => {
+    const match = String(period).match(/^([A-Za-z]{3})\w* (\d{4})$/);
+    if (!match) return null;
+    const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(match[1].toLowerCase());
+    return month === -1 ? null : Date.UTC(Number(match[2]), month + 1, 0);
+};
+
+// Trailing EPS over time from Screener.in statements, as
+// [{ from, eps, period, basis }] sorted by the day it became public: the sum
+// of the last four quarters where quarterly EPS is known, annual EPS before
+function epsTimeline(financials = {}) {
+    const point = (period, eps, basis) => {
+        const end = monthEnd(period);
+        return end === null ? null : { from: end + RESULTS_LAG_DAYS * DAY_MS, eps, period, basis };
+    };
+
+    const quarters = periodSeries(financials.quarterly, ['eps_in_rs', 'eps']);
+    const trailing = quarters.slice(3)
+        .map((quarter, i) => point(quarter.period, quarters.slice(i, i + 4).reduce((sum, q) => sum + q.value, 0), 'ttm'))
+        .filter(Boolean);
+
+    const firstTrailing = trailing[0]?.from ?? Infinity;
+    const annual = periodSeries(financials.profit_loss, ['eps_in_rs', 'eps'])
+        .map(year => point(year.period, year.value, 'annual'))
+        .filter(entry => entry && entry.from < firstTrailing);
+
+    return [...annual, ...trailing].sort((a, b) => a.from - b.from);
+}
+
+// EPS in force at each candle, null before the first known figure
+function epsSeries(candles, timeline) {
+    let next = 0;
+    let current = null;
+    return candles.map(candle => {
+        const time = Date.parse(candle.time);
+        while (next < timeline.length && timeline[next].from <= time) current = timeline[next++].eps;
+        return current;
+    });
+}
+
+function buildSeries(candles, strategy, eps) {
+    const closes = candles.map(candle => candle.close);
+    const series = {};
+
+    for (const condition of [...strategy.entry, ...strategy.exit]) {
+        for (const operand of [condition.left, condition.right]) {
+            if (operand.value !== undefined || series[operand.name]) continue;
+
+            if (operand.indicator) {
+                series[operand.name] = INDICATORS[operand.indicator](closes, operand.period);
+            } else if (operand.field === 'pe') {
+                series.pe = closes.map((close, i) => eps[i] > 0 ? close / eps[i] : null);
+            } else {
+                series[operand.name] = candles.map(candle => candle[operand.field] ?? null);
+            }
+        }
+    }
+    return series;
+}
+
+function holds(condition, series, i) {
+    const at = (operand, index) => operand.value !== undefined ? operand.value : series[operand.name][index];
+    const [left, right] = [at(condition.left, i), at(condition.right, i)];
+    if (left === null || right === null) return false;
+
+    if (condition.op === 'above') return left > right;
+    if (condition.op === 'below') return left < right;
+
+    if (i === 0) return false;
+    const [previousLeft, previousRight] = [at(condition.left, i - 1), at(condition.right, i - 1)];
+    if (previousLeft === null || previousRight === null) return false;
+    return condition.op === 'crosses_above'
+        ? left > right && previousLeft <= previousRight
+        : left < right && previousLeft >= previousRight;
+}
+
+// Return, CAGR, drawdown and Sharpe of a daily equity curve
+function performance(curve, initialCapital, riskFreePercent = 0) {
+    const final = curve.length ? curve[curve.length - 1].equity : initialCapital;
+    const years = curve.length > 1
+        ? (Date.parse(curve[curve.length - 1].date) - Date.parse(curve[0].date)) / (365.25 * DAY_MS)
+        : 0;
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    for (const { equity } of curve) {
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+    }
+
+    const dailyRiskFree = riskFreePercent / 100 / TRADING_DAYS_PER_YEAR;
+    const returns = curve.slice(1).map((point, i) => point.equity / curve[i].equity - 1 - dailyRiskFree);
+    const mean = returns.reduce((sum, value) => sum + value, 0) / (returns.length || 1);
+    const deviation = Math.sqrt(returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(returns.length - 1, 1));
+
+    return {
+        final_equity: round(final),
+        total_return_percent: round((final / initialCapital - 1) * 100),
+        cagr_percent: years > 0 && final > 0 ? round((Math.pow(final / initialCapital, 1 / years) - 1) * 100) : null,
+        max_drawdown_percent: round(maxDrawdown * 100),
+        sharpe_ratio: returns.length > 1 && deviation > 0 ? round(mean / deviation * Math.sqrt(TRADING_DAYS_PER_YEAR)) : null
+    };
+}
+
+// Whole shares that `cash` buys at `price` with charges
+function affordableShares(cash, price, costs) {
+    let shares = Math.floor(cash / price);
+    while (shares > 0 && shares * price + tradeCosts(shares * price, 'buy', costs) > cash) shares--;
+    return shares;
+}
+
+const candleDate = (candle) => candle.time.slice(0, 10);
+
+// candles: daily candles oldest first, starting early enough to warm up the
+// indicators (see warmupDays). from / to: YYYY-MM-DD bounds of the test.
+// eps: epsTimeline() output, needed when a condition uses pe.
+function runBacktest({ candles, strategy, from, to, initialCapital = 100000, costs = DEFAULT_COSTS, eps = [], riskFreePercent = 0 }) {
+    const series = buildSeries(candles, strategy, epsSeries(candles, eps));
+    const start = candles.findIndex(candle => candleDate(candle) >= from);
+    const end = candles.findLastIndex(candle => candleDate(candle) <= to);
+    if (start === -1 || end < start) {
+        return null;
+    }
+
+    const slip = costs.slippage_percent / 100;
+    let cash = initialCapital;
+    let position = null;
+    let pending = null;
+    const trades = [];
+    const curve = [];
+
+    const sell = (i, price, reason) => {
+        const fill = price * (1 - slip);
+        const value = position.shares * fill;
+        const charges = tradeCosts(value, 'sell', costs);
+        cash += value - charges;
+        const invested = position.shares * position.price + position.costs;
+        const pnl = value - charges - invested;
+        trades.push({
+            entry_date: position.date,
+            entry_price: round(position.price),
+            exit_date: candleDate(candles[i]),
+            exit_price: round(fill),
+            shares: position.shares,
+            costs: round(position.costs + charges),
+            pnl: round(pnl),
+            return_percent: round(pnl / invested * 100),
+            holding_days: Math.round((Date.parse(candles[i].time) - Date.parse(position.time)) / DAY_MS),
+            exit_reason: reason
+        });
+        position = null;
+    };
+
+    for (let i = start; i <= end; i++) {
+        const candle = candles[i];
+
+        // Yesterday's signal, filled at today's open
+        if (pending?.side === 'buy') {
+            const fill = candle.open * (1 + slip);
+            const shares = affordableShares(cash, fill, costs);
+            if (shares > 0) {
+                const charges = tradeCosts(shares * fill, 'buy', costs);
+                cash -= shares * fill + charges;
+                position = { shares, price: fill, costs: charges, date: candleDate(candle), time: candle.time };
+            }
+        } else if (pending?.side === 'sell' && position) {
+            sell(i, candle.open, pending.reason);
+        }
+        pending = null;
+
+        if (i < end) {
+            if (position) {
+                const change = (candle.close / position.price - 1) * 100;
+                if (strategy.stop_loss_percent !== null && change <= -strategy.stop_loss_percent) {
+                    pending = { side: 'sell', reason: 'stop_loss' };
+                } else if (strategy.take_profit_percent !== null && change >= strategy.take_profit_percent) {
+                    pending = { side: 'sell', reason: 'take_profit' };
+                } else if (strategy.exit.some(condition => holds(condition, series, i))) {
+                    pending = { side: 'sell', reason: 'signal' };
+                }
+            } else if (strategy.entry.every(condition => holds(condition, series, i))) {
+                pending = { side: 'buy' };
+            }
+        } else if (position) {
+            sell(i, candle.close, 'end_of_period');
+        }
+
+        curve.push({
+            date: candleDate(candle),
+            equity: round(cash + (position ? position.shares * candle.close : 0)),
+            in_position: Boolean(position)
+        });
+    }
+
+    // Buy and hold from the first open to the last close, with the same charges
+    const first = candles[start];
+    const last = candles[end];
+    const holdPrice = first.open * (1 + slip);
+    const holdShares = affordableShares(initialCapital, holdPrice, costs);
+    const holdCash = initialCapital - holdShares * holdPrice - tradeCosts(holdShares * holdPrice, 'buy', costs);
+    const holdExit = holdShares * last.close * (1 - slip);
+    const benchmarkCurve = candles.slice(start, end + 1).map((candle, i) => ({
+        date: candleDate(candle),
+        equity: i === end - start
+            ? round(holdCash + holdExit - tradeCosts(holdExit, 'sell', costs))
+            : round(holdCash + holdShares * candle.close)
+    }));
+
+    const wins = trades.filter(trade => trade.pnl > 0).length;
+    const daysInMarket = curve.filter(point => point.in_position).length;
+
+    return {
+        from: candleDate(first),
+        to: candleDate(last),
+        sessions: end - start + 1,
+        metrics: {
+            ...performance(curve, initialCapital, riskFreePercent),
+            trades: trades.length,
+            win_rate_percent: trades.length ? round(wins / trades.length * 100) : null,
+            total_costs: round(trades.reduce((sum, trade) => sum + trade.costs, 0)),
+            exposure_percent: round(daysInMarket / curve.length * 100)
+        },
+        benchmark: {
+            strategy: 'buy_and_hold',
+            shares: holdShares,
+            ...performance(benchmarkCurve, initialCapital, riskFreePercent)
+        },
+        trades,
+        equity_curve: curve.map((point, i) => ({ ...point, benchmark_equity: benchmarkCurve[i].equity }))
+    };
+}
+
+// Strategy in the shape a client sent it, operands as strings
+function describeStrategy(strategy) {
+    const operand = (value) => value.value !== undefined ? value.value : value.name;
+    const condition = ({ left, op, right }) => ({ left: operand(left), op, right: operand(right) });
+    return {
+        ...strategy,
+        entry: strategy.entry.map(condition),
+        exit: strategy.exit.map(condition)
+    };
+}
+
+module.exports = {
+    DEFAULT_COSTS,
+    OPERATORS,
+    STRATEGY_TYPES,
+    describeStrategy,
+    epsTimeline,
+    parseCosts,
+    parseStrategy,
+    performance,
+    runBacktest,
+    tradeCosts,
+    usesPe,
+    warmupDays
+};
@@ -0,0 +1,142 @@
+/**
+ * Response cache for upstream source fetches
+ *
+ * SourceCache sits in front of a fetcher and adds per-key TTLs,
+ * stale-while-revalidate and merging of concurrent identical requests.
+ * Entries live in a pluggable store. Any object with these async methods
+ * can be used, e.g. a file or Redis-backed implementation:
+ *
+ *   get(key)              -> entry or undefined
+ *   set(key, entry, ttl)  -> store entry, may be evicted after ttl ms
+ *   delete(key)
+ *   clear()
+ */
+
+const { logger } = require('./logger');
+
+class MemoryStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.now = options.now || Date.now;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return undefined;
+
+        if (item.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Re-insert to keep the map in least-recently-used order
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { entry, expiresAt: this.now() + ttl });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+class SourceCache {
+    constructor(options = {}) {
+        this.store = options.store || new MemoryStore();
+        this.now = options.now || Date.now;
+        this.enabled = options.enabled !== false;
+        this.inflight = new Map();
+    }
+
+    // Returns { value, cache } where cache describes where the value came from.
+    // ttl: how long a value is fresh; staleTtl: how much longer it may be
+    // served while a background refresh runs.
+    async wrap(key, { ttl, staleTtl = 0 }, loader) {
+        if (!this.enabled || !ttl) {
+            const value = await loader();
+            return { value, cache: this.describe(false, false, null) };
+        }
+
+        const entry = await this.store.get(key);
+        const age = entry ? this.now() - entry.storedAt : null;
+
+        if (entry && age < ttl) {
+            return { value: entry.value, cache: this.describe(true, false, entry) };
+        }
+
+        if (entry && age < ttl + staleTtl) {
+            this.load(key, { ttl, staleTtl }, loader).catch(error => {
+                logger.warn('cache refresh failed', { key, error });
+            });
+            return { value: entry.value, cache: this.describe(true, true, entry) };
+        }
+
+        const fresh = await this.load(key, { ttl, staleTtl }, loader);
+        return { value: fresh.value, cache: this.describe(false, false, fresh) };
+    }
+
+    // Single upstream call per key, shared by every concurrent caller
+    load(key, { ttl, staleTtl }, loader) {
+        if (this.inflight.has(key)) {
+            return this.inflight.get(key);
+        }
+
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                const entry = { value, storedAt: this.now() };
+
+                // Failed lookups are not worth caching
+                if (value !== null && value !== undefined) {
+                    await this.store.set(key, entry, ttl + staleTtl);
+                }
+                return entry;
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    async invalidate(key) {
+        await this.store.delete(key);
+    }
+
+    async clear() {
+        await this.store.clear();
+    }
+
+    describe(hit, stale, entry) {
+        return {
+            hit,
+            stale,
+            cached_at: entry ? new Date(entry.storedAt).toISOString() : null,
+            age_seconds: entry ? Math.round((this.now() - entry.storedAt) / 1000) : 0
+        };
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    SourceCache
+};
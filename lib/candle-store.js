@@ -0,0 +1,117 @@
+/**
+ * Local store of daily candles for backtests
+ *
+ * Keeps each symbol's daily candles from a price history provider (Yahoo
+ * Finance) in a JSON file, <dir>/<provider>/<exchange>/<symbol>.json, so
+ * repeated backtests do not download years of history again. A file is
+ * reused until a session has closed (and settled) since it was fetched, or
+ * until a backtest needs older candles than it holds; it is then fetched
+ * again over the shortest Yahoo range that reaches back far enough. Candles
+ * of a session still trading when the file was fetched are left out.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { systemClock } = require('./clock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Yahoo ranges by how far back they reach; anything older needs `max`
+const RANGES = [
+    { range: '1y', days: 365 },
+    { range: '2y', days: 2 * 365 },
+    { range: '5y', days: 5 * 365 },
+    { range: '10y', days: 10 * 365 }
+];
+
+class CandleStore {
+    constructor(options) {
+        this.dir = options.dir;
+        // calendar: MarketCalendar, for when the last session closed
+        this.calendar = options.calendar;
+        this.clock = options.clock || systemClock;
+        // fetchHistory(provider, params) makes the download; the server
+        // passes one that counts it in the source metrics
+        this.fetchHistory = options.fetchHistory || ((provider, params) => provider.fetchHistory(params));
+        this.inflight = new Map();
+    }
+
+    filePath(provider, exchange, symbol) {
+        return path.join(this.dir, provider.name, exchange, `${encodeURIComponent(symbol)}.json`);
+    }
+
+    // Shortest range that reaches back to `since` (ms)
+    rangeFor(since) {
+        const days = (this.clock.now() - since) / DAY_MS;
+        return RANGES.find(option => option.days >= days + 7) || { range: 'max', days: Infinity };
+    }
+
+    async read(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Stored candles are good when no session has settled since the fetch
+    // and they reach back to `since`
+    usable(stored, exchange, since) {
+        if (!stored) return false;
+        const fetchedAt = Date.parse(stored.fetched_at);
+        const lastClose = this.calendar.lastClose(exchange, this.clock.now());
+        const settled = lastClose === null || lastClose + this.calendar.settleMs <= fetchedAt;
+        const reaches = stored.covers_from === null || Date.parse(stored.covers_from) <= since;
+        return settled && reaches;
+    }
+
+    // Daily candles of a symbol from `since` (ms) or earlier, oldest first,
+    // from `provider` (an adapter with fetchHistory()). Returns { candles,
+    // fetched_at, from_store }.
+    async daily(provider, { symbol, exchange = 'NSE', listing, since, requestId, log }) {
+        const file = this.filePath(provider, exchange, symbol);
+        const stored = await this.read(file);
+        if (this.usable(stored, exchange, since)) {
+            return { candles: stored.candles, fetched_at: stored.fetched_at, from_store: true };
+        }
+
+        // One download per file at a time; a caller that needs older candles
+        // than the one in flight fetches again afterwards
+        const key = `${file}:${this.rangeFor(since).range}`;
+        if (!this.inflight.has(key)) {
+            this.inflight.set(key, this.fetch(provider, { symbol, exchange, listing, since, requestId, log }, file)
+                .finally(() => this.inflight.delete(key)));
+        }
+        const fetched = await this.inflight.get(key);
+        return { candles: fetched.candles, fetched_at: fetched.fetched_at, from_store: false };
+    }
+
+    async fetch(provider, { symbol, exchange, listing, since, requestId, log }, file) {
+        const { range, days } = this.rangeFor(since);
+        const now = this.clock.now();
+        const history = await this.fetchHistory(provider, { symbol, exchange, listing, range, interval: '1d', requestId, log });
+
+        // A session still trading has no final candle yet
+        const lastClose = this.calendar.lastClose(exchange, now);
+        const candles = history.candles.filter(candle => lastClose === null || Date.parse(candle.time) < lastClose);
+
+        const stored = {
+            symbol,
+            exchange,
+            source: provider.name,
+            range,
+            fetched_at: new Date(now).toISOString(),
+            covers_from: days === Infinity ? null : new Date(now - days * DAY_MS).toISOString(),
+            candles
+        };
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tempPath = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(stored));
+        await fs.rename(tempPath, file);
+        return stored;
+    }
+}
+
+module.exports = CandleStore;
@@ -0,0 +1,14 @@
+/**
+ * Time source for schedulers; swap for a fake clock in tests
+ */
+
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle),
+    sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+module.exports = {
+    systemClock
+};
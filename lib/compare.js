@@ -0,0 +1,137 @@
+/**
+ * Multi-symbol comparison helpers: bounded-concurrency batch runner,
+ * side-by-side metric table with per-metric ranks, and a rule-based verdict
+ */
+
+// Metrics compared across symbols; `better` decides the rank order. Metrics
+// with `better: null` are shown for reference only: a higher share price or
+// book value per share is not a better stock, and neither is one that rose
+// more today or has a lower RSI, so they get no rank.
+const COMPARE_METRICS = [
+    { key: 'current_price', label: 'Current Price', better: null, get: d => d.current_price },
+    { key: 'change_percent', label: "Today's Change %", better: null, get: d => d.change_percent },
+    { key: 'market_cap', label: 'Market Cap (Cr)', better: 'higher', get: d => d.market_cap },
+    { key: 'pe_ratio', label: 'P/E Ratio', better: 'lower', get: d => d.pe_ratio },
+    { key: 'roe', label: 'ROE %', better: 'higher', get: d => d.roe },
+    { key: 'book_value', label: 'Book Value', better: null, get: d => d.book_value },
+    { key: 'revenue_cagr_3y', label: 'Revenue CAGR 3Y %', better: 'higher', get: d => d.revenue_cagr_3y },
+    { key: 'profit_cagr_3y', label: 'Profit CAGR 3Y %', better: 'higher', get: d => d.profit_cagr_3y },
+    { key: 'debt_to_equity', label: 'Debt / Equity', better: 'lower', get: d => d.debt_to_equity },
+    { key: 'rsi_14', label: 'RSI (14)', better: null, get: d => d.technicals?.rsi_14 },
+    { key: 'from_52w_high_percent', label: '% From 52W High', better: 'higher', get: d => d.technicals?.from_52w_high_percent }
+];
+
+// Runs fn over items with at most `limit` calls in flight; keeps input order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+const toNumber = (value) => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && isFinite(number) ? number : null;
+};
+
+// Competition ranking (1, 1, 3); symbols without a value, and every symbol
+// of an unranked metric, get a null rank
+function rankValues(values, better) {
+    return values.map(value => {
+        if (value === null || !better) return null;
+        const ahead = values.filter(other =>
+            other !== null && (better === 'lower' ? other < value : other > value)
+        ).length;
+        return ahead + 1;
+    });
+}
+
+// entries: [{ symbol, combined_data }] for symbols that were analyzed
+function buildComparisonTable(entries) {
+    const columns = COMPARE_METRICS.map(metric => {
+        const values = entries.map(entry => toNumber(metric.get(entry.combined_data)));
+        // A symbol without a value counts as last (after every symbol
+        // that has one) in its average, so it cannot lead on fewer metrics
+        const lastPlace = values.filter(value => value !== null).length + 1;
+        return { metric, values, ranks: rankValues(values, metric.better), lastPlace };
+    });
+
+    return entries.map((entry, row) => {
+        const metrics = {};
+        for (const { metric, values, ranks } of columns) {
+            metrics[metric.key] = { value: values[row], rank: ranks[row] };
+        }
+
+        // Averaged over every metric some symbol could be ranked on; a symbol
+        // with no rank at all is not ranked
+        const ranked = columns.filter(({ ranks }) => ranks.some(rank => rank !== null));
+        const averageRank = ranked.some(({ ranks }) => ranks[row] !== null)
+            ? Number((ranked.reduce((sum, { ranks, lastPlace }) => sum + (ranks[row] ?? lastPlace), 0) / ranked.length).toFixed(2))
+            : null;
+
+        return {
+            symbol: entry.symbol,
+            company_name: entry.combined_data.company_name,
+            metrics,
+            average_rank: averageRank
+        };
+    });
+}
+
+function generateBasicVerdict(table) {
+    const labels = Object.fromEntries(COMPARE_METRICS.map(m => [m.key, m.label]));
+    const ordered = table
+        .filter(row => row.average_rank !== null)
+        .sort((a, b) => a.average_rank - b.average_rank);
+
+    if (ordered.length === 0) {
+        return 'Comparison: Not enough data to rank these stocks';
+    }
+
+    // A single ranked stock leads on everything by default; that is no pick
+    if (ordered.length < 2) {
+        return [
+            `Comparison: ${table.map(row => row.symbol).join(' vs ')}`,
+            `Overall Pick: None, only ${ordered[0].symbol} could be ranked, so there is nothing to compare it with`,
+            `Data Reliability: Limited (${ordered.length} of ${table.length} Stocks Ranked)`
+        ].join('\n');
+    }
+
+    const lines = [
+        `Comparison: ${table.map(row => row.symbol).join(' vs ')}`,
+        `Overall Pick: ${ordered[0].company_name} (${ordered[0].symbol}) with the best average rank of ${ordered[0].average_rank}`,
+        'Ranking:'
+    ];
+
+    ordered.forEach((row, i) => {
+        const leads = Object.entries(row.metrics)
+            .filter(([, m]) => m.rank === 1)
+            .map(([key]) => labels[key]);
+        lines.push(`${i + 1}. ${row.symbol} (avg rank ${row.average_rank})${leads.length ? ` - leads on ${leads.join(', ')}` : ''}`);
+    });
+
+    lines.push(`Data Reliability: ${ordered.length === table.length ? 'Good' : 'Limited'} (${ordered.length} of ${table.length} Stocks Ranked)`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    COMPARE_METRICS,
+    mapWithConcurrency,
+    rankValues,
+    buildComparisonTable,
+    generateBasicVerdict
+};
@@ -0,0 +1,83 @@
+/**
+ * Machine-readable API errors
+ *
+ * Every failed request answers { success: false, error: { code, message } },
+ * plus extra fields such as `details` (validation problems) or `failures`
+ * (per-symbol errors). Clients should branch on `code`; `message` is for
+ * people and may change.
+ */
+
+const ERROR_CODES = {
+    BAD_REQUEST: 400,
+    INVALID_JSON: 400,
+    VALIDATION_FAILED: 400,
+    INVALID_SYMBOL: 400,
+    UNKNOWN_SYMBOL: 400,
+    INVALID_EXCHANGE: 400,
+    NOT_LISTED: 400,
+    UNKNOWN_SOURCE: 400,
+    NO_SOURCE_FOR_EXCHANGE: 400,
+    INVALID_LLM_OPTIONS: 400,
+    AUTH_REQUIRED: 401,
+    INVALID_API_KEY: 401,
+    FORBIDDEN: 403,
+    API_KEY_DISABLED: 403,
+    ORIGIN_NOT_ALLOWED: 403,
+    NOT_FOUND: 404,
+    READ_ONLY: 409,
+    JOB_FINISHED: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    RATE_LIMITED: 429,
+    QUOTA_EXCEEDED: 429,
+    INTERNAL_ERROR: 500,
+    NOT_IMPLEMENTED: 501,
+    UPSTREAM_FAILED: 502,
+    QUEUE_FULL: 503
+};
+
+// Code for errors that only carry an HTTP status
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'AUTH_REQUIRED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'READ_ONLY',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    501: 'NOT_IMPLEMENTED',
+    502: 'UPSTREAM_FAILED'
+};
+
+// Error to throw from helpers; `fields` end up next to code and message
+function apiError(code, message, fields = {}) {
+    return Object.assign(new Error(message), { status: ERROR_CODES[code] || 500, code, fields });
+}
+
+function sendError(res, code, message, fields = {}) {
+    return res.status(ERROR_CODES[code] || 500).json({
+        success: false,
+        error: { code, message, ...fields }
+    });
+}
+
+// { status, code } for anything thrown: apiError()s, errors with a status
+// (registries, body-parser) and plain failures
+function classifyError(error) {
+    if (ERROR_CODES[error.code]) {
+        return { status: error.status || ERROR_CODES[error.code], code: error.code };
+    }
+
+    // body-parser marks its errors with a type
+    if (error.type === 'entity.parse.failed') return { status: 400, code: 'INVALID_JSON' };
+    if (error.type === 'entity.too.large') return { status: 413, code: 'PAYLOAD_TOO_LARGE' };
+
+    const status = error.status || error.statusCode || 500;
+    return { status, code: STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST') };
+}
+
+module.exports = {
+    ERROR_CODES,
+    apiError,
+    classifyError,
+    sendError
+};
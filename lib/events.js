@@ -0,0 +1,96 @@
+/**
+ * Recent corporate events for the analysis
+ *
+ * Takes the items of the events sources (see sources/corporate-events.js),
+ * keeps the recent ones, newest first and a few of each type, and scores
+ * each with the sentiment lexicon. Board meetings and corporate actions
+ * still to come are kept whatever the look-back; a record date next week is
+ * as relevant as last week's filing. An LLM can relabel the items
+ * afterwards (applyLlmSentiment).
+ */
+
+const { scoreText } = require('./sentiment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_PER_TYPE = 10;
+
+const TYPE_LABELS = {
+    announcement: 'Announcement',
+    board_meeting: 'Board Meeting',
+    corporate_action: 'Corporate Action',
+    headline: 'Headline'
+};
+const SCHEDULED = ['board_meeting', 'corporate_action'];
+
+// items: events source items; now (ms). Returns the kept items with
+// `upcoming` and `sentiment` { label, score, terms, method: 'lexicon' }.
+function selectEvents(items, { now, lookbackDays = DEFAULT_LOOKBACK_DAYS, perType = DEFAULT_PER_TYPE }) {
+    const since = now - lookbackDays * DAY_MS;
+    const seen = new Set();
+
+    const recent = items
+        .filter(item => {
+            const time = Date.parse(item.date);
+            if (Number.isNaN(time) || time < since) return false;
+            return time <= now || SCHEDULED.includes(item.type);
+        })
+        .sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+        // The same story from several publishers: the latest one
+        .filter(item => {
+            const key = `${item.type}:${item.title.toLowerCase()}`;
+            return !seen.has(key) && seen.add(key);
+        });
+
+    const counts = {};
+    return recent
+        .filter(item => (counts[item.type] = (counts[item.type] || 0) + 1) <= perType)
+        .map(item => ({
+            ...item,
+            upcoming: Date.parse(item.date) > now,
+            sentiment: { ...scoreText(item.detail ? `${item.title}. ${item.detail}` : item.title), method: 'lexicon' }
+        }));
+}
+
+// labels: [{ index, sentiment, reason }] from the LLM, one per item
+function applyLlmSentiment(items, labels) {
+    const byIndex = new Map(labels.map(label => [label.index, label]));
+    return items.map((item, i) => {
+        const label = byIndex.get(i);
+        if (!label) return item;
+        return { ...item, sentiment: { label: label.sentiment, reason: label.reason, method: 'llm' } };
+    });
+}
+
+function summarizeEvents(items) {
+    const counts = { positive: 0, negative: 0, neutral: 0 };
+    items.forEach(item => counts[item.sentiment.label]++);
+
+    let overall = 'neutral';
+    if (counts.positive > counts.negative) overall = 'positive';
+    else if (counts.negative > counts.positive) overall = 'negative';
+    else if (counts.positive > 0) overall = 'mixed';
+
+    return { ...counts, overall };
+}
+
+// YYYY-MM-DD in India, where NSE dates its filings and actions
+const eventDate = (item) => new Date(Date.parse(item.date) + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+// One line per item, for prompts and the rule-based concerns
+function describeEvent(item) {
+    const when = item.upcoming ? `${eventDate(item)} (upcoming)` : eventDate(item);
+    const detail = item.detail ? ` - ${item.detail.length > 160 ? `${item.detail.slice(0, 159)}…` : item.detail}` : '';
+    return `${when} ${TYPE_LABELS[item.type] || item.type} (${item.source}): ${item.title}${detail}`;
+}
+
+module.exports = {
+    DEFAULT_LOOKBACK_DAYS,
+    TYPE_LABELS,
+    applyLlmSentiment,
+    describeEvent,
+    eventDate,
+    selectEvents,
+    summarizeEvents
+};
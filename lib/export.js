@@ -0,0 +1,320 @@
+/**
+ * Report exporters: PDF, CSV, Excel and JSON
+ *
+ * Every exporter takes a list of analysis reports (the /api/analyze response
+ * shape), failures [{ symbol, error }] from batch runs and display labels
+ * for source names, and returns a Buffer or string ready to send.
+ */
+
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const METRIC_LABELS = {
+    current_price: 'Current Price (₹)',
+    change_percent: "Today's Change (%)",
+    company_name: 'Company Name',
+    market_cap: 'Market Cap (₹ Cr)',
+    pe_ratio: 'P/E Ratio',
+    roe: 'Return on Equity (%)',
+    book_value: 'Book Value (₹)',
+    sector: 'Sector',
+    industry: 'Industry',
+    eps: 'EPS, TTM (₹)',
+    dividend_yield: 'Dividend Yield (%)',
+    sector_pe: 'Sector P/E',
+    day_low: "Day's Low (₹)",
+    day_high: "Day's High (₹)",
+    low_52w: '52-Week Low (₹)',
+    high_52w: '52-Week High (₹)',
+    revenue_cagr_3y: 'Revenue CAGR, 3Y (%)',
+    revenue_cagr_5y: 'Revenue CAGR, 5Y (%)',
+    profit_cagr_3y: 'Profit CAGR, 3Y (%)',
+    profit_cagr_5y: 'Profit CAGR, 5Y (%)',
+    debt_to_equity: 'Debt / Equity',
+    promoter_holding: 'Promoter Holding (%)',
+    promoter_holding_change: 'Promoter Holding Change, 1Y (pp)',
+    promoter_trend: 'Promoter Holding Trend',
+    pledged_percent: 'Promoter Shares Pledged (%)',
+    peer_median_pe: 'Peer Median P/E'
+};
+
+// Nested object -> [[dotted.path, value]] for every primitive leaf
+function flatten(value, prefix = '') {
+    if (value === null || value === undefined) return [];
+    if (typeof value !== 'object') return [[prefix, value]];
+
+    if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+        return [[prefix, value.join(', ')]];
+    }
+
+    return Object.entries(value).flatMap(([key, child]) =>
+        flatten(child, prefix ? `${prefix}.${key}` : key)
+    );
+}
+
+function metricRows(report, labels = {}) {
+    const provenance = report.reconciliation?.fields || {};
+
+    return flatten(report.combined_data || {}).map(([path, value]) => {
+        const field = provenance[path.split('.')[0]];
+        return {
+            metric: METRIC_LABELS[path] || path,
+            value,
+            source: field ? (labels[field.source] || field.source) : '',
+            confidence: field ? field.confidence : '',
+            discrepancy: field?.discrepancy ? 'yes' : ''
+        };
+    });
+}
+
+function rawRows(report) {
+    return Object.entries(report.raw_data || {}).flatMap(([source, data]) =>
+        flatten(data).map(([path, value]) => ({ source, field: path, value }))
+    );
+}
+
+function exportFilename(reports, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    const name = reports.length === 1 ? reports[0].symbol : 'batch';
+    return `stockai-${name}-${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// --- JSON ---
+
+function toJson(reports, failures = []) {
+    return JSON.stringify({
+        generated_at: new Date().toISOString(),
+        reports,
+        failures
+    }, null, 2);
+}
+
+// --- CSV ---
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One long table: symbol, section, key, value, source, confidence
+function toCsv(reports, failures = [], labels = {}) {
+    const rows = [['symbol', 'section', 'key', 'value', 'source', 'confidence']];
+
+    for (const report of reports) {
+        const symbol = report.symbol;
+        rows.push([symbol, 'info', 'timestamp', report.timestamp, '', '']);
+        rows.push([symbol, 'info', 'ai_model', report.ai_model, '', '']);
+
+        (report.summary || '').split('\n').forEach((line, i) => {
+            rows.push([symbol, 'summary', i + 1, line, '', '']);
+        });
+        (report.final_summary || '').split('\n').forEach((line, i) => {
+            rows.push([symbol, 'final_summary', i + 1, line, '', '']);
+        });
+
+        for (const row of metricRows(report, labels)) {
+            rows.push([symbol, 'metric', row.metric, row.value, row.source, row.confidence]);
+        }
+        for (const row of rawRows(report)) {
+            rows.push([symbol, 'raw', row.field, row.value, labels[row.source] || row.source, '']);
+        }
+        for (const source of report.sources || []) {
+            rows.push([symbol, 'source', source, '', '', '']);
+        }
+    }
+
+    for (const failure of failures) {
+        rows.push([failure.symbol, 'error', 'error', failure.error, '', '']);
+    }
+
+    // BOM so Excel opens the ₹ sign correctly
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Excel ---
+
+async function toXlsx(reports, failures = [], labels = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'StockAI';
+    workbook.created = new Date();
+
+    const addSheet = (name, columns) => {
+        const sheet = workbook.addWorksheet(name);
+        sheet.columns = columns;
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+        return sheet;
+    };
+
+    const summary = addSheet('Summary', [
+        { header: 'Symbol', key: 'symbol', width: 14 },
+        { header: 'Company', key: 'company', width: 30 },
+        { header: 'Generated', key: 'timestamp', width: 24 },
+        { header: 'Rule-Based Summary', key: 'summary', width: 60 },
+        { header: 'Final Summary', key: 'final_summary', width: 60 },
+        { header: 'AI Model', key: 'ai_model', width: 16 },
+        { header: 'Sources', key: 'sources', width: 30 }
+    ]);
+    for (const report of reports) {
+        const row = summary.addRow({
+            symbol: report.symbol,
+            company: report.combined_data?.company_name,
+            timestamp: report.timestamp,
+            summary: report.summary,
+            final_summary: report.final_summary,
+            ai_model: report.ai_model,
+            sources: (report.sources || []).join(', ')
+        });
+        row.alignment = { wrapText: true, vertical: 'top' };
+    }
+
+    const metrics = addSheet('Metrics', [
+        { header: 'Symbol', key: 'symbol', width: 14 },
+        { header: 'Metric', key: 'metric', width: 36 },
+        { header: 'Value', key: 'value', width: 20 },
+        { header: 'Source', key: 'source', width: 18 },
+        { header: 'Confidence', key: 'confidence', width: 12 },
+        { header: 'Discrepancy', key: 'discrepancy', width: 12 }
+    ]);
+    for (const report of reports) {
+        metricRows(report, labels).forEach(row => metrics.addRow({ symbol: report.symbol, ...row }));
+    }
+
+    const raw = addSheet('Raw Data', [
+        { header: 'Symbol', key: 'symbol', width: 14 },
+        { header: 'Source', key: 'source', width: 18 },
+        { header: 'Field', key: 'field', width: 36 },
+        { header: 'Value', key: 'value', width: 30 }
+    ]);
+    for (const report of reports) {
+        rawRows(report).forEach(row => raw.addRow({ symbol: report.symbol, ...row, source: labels[row.source] || row.source }));
+    }
+
+    if (failures.length > 0) {
+        const errors = addSheet('Failures', [
+            { header: 'Symbol', key: 'symbol', width: 14 },
+            { header: 'Error', key: 'error', width: 80 }
+        ]);
+        failures.forEach(failure => errors.addRow(failure));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// --- PDF ---
+
+// The built-in PDF fonts cover Latin-1 only: spell out ₹ and drop emoji
+function pdfText(value) {
+    return String(value ?? '')
+        .replace(/₹/g, 'Rs. ')
+        .replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF]/g, '')
+        .replace(/^[ \t]+/gm, '');
+}
+
+// ISO timestamps read as Indian time; reports saved before timestamps
+// became ISO keep their text
+function displayTime(value) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time) || !/^\d{4}-\d{2}-\d{2}T/.test(String(value))) return value;
+    return `${new Date(time).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} IST`;
+}
+
+function toPdf(reports, failures = [], labels = {}) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const heading = (text) => {
+            doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#1E293B').text(text);
+            doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#334155');
+        };
+
+        reports.forEach((report, index) => {
+            if (index > 0) doc.addPage();
+
+            doc.font('Helvetica-Bold').fontSize(20).fillColor('#0F172A')
+                .text(pdfText(`${report.combined_data?.company_name || report.symbol} (${report.symbol})`));
+            doc.font('Helvetica').fontSize(9).fillColor('#64748B')
+                .text(pdfText(`Generated on ${displayTime(report.timestamp)} | Sources: ${(report.sources || []).join(', ')}`));
+
+            heading('Rule-Based Summary');
+            doc.text(pdfText(report.summary));
+
+            heading(`Final Summary (${report.ai_model || 'basic'})`);
+            doc.text(pdfText(report.final_summary));
+
+            heading('Key Metrics');
+            const columns = [50, 250, 370, 470];
+            const tableRow = (cells, bold = false) => {
+                if (doc.y > doc.page.height - 80) doc.addPage();
+                const y = doc.y;
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+                cells.forEach((cell, i) => {
+                    doc.text(pdfText(cell), columns[i], y, { width: (columns[i + 1] || 545) - columns[i] - 8 });
+                });
+                doc.x = 50;
+                doc.moveDown(0.2);
+            };
+            tableRow(['Metric', 'Value', 'Source', 'Confidence'], true);
+            metricRows(report, labels).forEach(row => tableRow([row.metric, row.value, row.source, row.confidence]));
+
+            heading('Raw Source Data');
+            doc.fontSize(8);
+            for (const [source, data] of Object.entries(report.raw_data || {})) {
+                doc.font('Helvetica-Bold').text(pdfText(labels[source] || source));
+                doc.font('Helvetica').text(pdfText(flatten(data).map(([path, value]) => `${path}: ${value}`).join('\n')));
+                doc.moveDown(0.4);
+            }
+        });
+
+        if (failures.length > 0) {
+            if (reports.length > 0) doc.addPage();
+            heading('Symbols That Could Not Be Analyzed');
+            failures.forEach(failure => doc.text(pdfText(`${failure.symbol}: ${failure.error}`)));
+        }
+
+        // Footer with disclaimer and page numbers
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            doc.font('Helvetica').fontSize(7).fillColor('#94A3B8').text(
+                `StockAI report - for informational purposes only, not financial advice. Page ${i + 1} of ${range.count}`,
+                50, doc.page.height - 35, { width: doc.page.width - 100, align: 'center', lineBreak: false }
+            );
+        }
+
+        doc.end();
+    });
+}
+
+async function renderExport(format, reports, failures = [], labels = {}) {
+    switch (format) {
+        case 'pdf': return toPdf(reports, failures, labels);
+        case 'csv': return toCsv(reports, failures, labels);
+        case 'xlsx': return toXlsx(reports, failures, labels);
+        case 'json': return toJson(reports, failures);
+        default: throw new Error(`Unsupported export format: ${format}`);
+    }
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    exportFilename,
+    flatten,
+    metricRows,
+    renderExport,
+    toCsv,
+    toJson,
+    toPdf,
+    toXlsx
+};
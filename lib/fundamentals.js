@@ -0,0 +1,98 @@
+/**
+ * Growth and balance-sheet metrics derived from Screener.in statement tables
+ *
+ * Tables are { periods: ['Mar 2021', ..., 'TTM'], rows: { sales: [...] } }
+ * with every row aligned to periods (null where the cell is blank).
+ */
+
+const round = (value, digits = 2) =>
+    (typeof value === 'number' && isFinite(value)) ? Number(value.toFixed(digits)) : null;
+
+// Promoter stake moves smaller than this (percentage points) count as stable
+const STABLE_HOLDING_CHANGE = 0.5;
+
+// Values of a row by period, oldest first, without TTM or blank cells
+function periodSeries(table, keys) {
+    if (!table) return [];
+
+    const key = [].concat(keys).find(name => table.rows[name]);
+    if (!key) return [];
+
+    return table.periods
+        .map((period, i) => ({ period, value: table.rows[key][i] }))
+        .filter(point => !/ttm/i.test(point.period) && typeof point.value === 'number');
+}
+
+const latestValue = (table, keys) => periodSeries(table, keys).pop()?.value ?? null;
+
+const periodYear = (period) => Number(String(period).match(/\d{4}/)?.[0]) || null;
+
+// Compound annual growth in %, from the period `years` before the latest
+// one; null when that year is missing or either end is not positive
+function cagr(series, years) {
+    const last = series[series.length - 1];
+    const endYear = last && periodYear(last.period);
+    const first = endYear && series.find(point => periodYear(point.period) === endYear - years);
+    if (!first) return null;
+
+    const start = first.value;
+    const end = last.value;
+    if (start <= 0 || end <= 0) return null;
+
+    return round((Math.pow(end / start, 1 / years) - 1) * 100);
+}
+
+function debtToEquity(balanceSheet) {
+    const debt = latestValue(balanceSheet, ['borrowings', 'borrowing']);
+    const equity = (latestValue(balanceSheet, 'equity_capital') ?? 0) + (latestValue(balanceSheet, 'reserves') ?? 0);
+    if (debt === null || equity <= 0) return null;
+
+    return round(debt / equity);
+}
+
+// Latest promoter stake and its change over the last four quarters (or as
+// far back as the table goes)
+function promoterHolding(shareholding) {
+    const series = periodSeries(shareholding?.quarterly || shareholding?.yearly, 'promoters');
+    if (series.length === 0) {
+        return { promoter_holding: null, promoter_holding_change: null, promoter_trend: null };
+    }
+
+    const latest = series[series.length - 1];
+    const base = series[Math.max(0, series.length - 5)];
+    const change = round(latest.value - base.value);
+
+    let trend = 'stable';
+    if (change >= STABLE_HOLDING_CHANGE) trend = 'increasing';
+    else if (change <= -STABLE_HOLDING_CHANGE) trend = 'decreasing';
+
+    return {
+        promoter_holding: latest.value,
+        promoter_holding_change: series.length > 1 ? change : null,
+        promoter_trend: series.length > 1 ? trend : null
+    };
+}
+
+function deriveFundamentals({ financials = {}, shareholding = {}, pledged_percent = null, peers_median = null }) {
+    const revenue = periodSeries(financials.profit_loss, ['sales', 'revenue']);
+    const profit = periodSeries(financials.profit_loss, 'net_profit');
+
+    return {
+        revenue_cagr_3y: cagr(revenue, 3),
+        revenue_cagr_5y: cagr(revenue, 5),
+        profit_cagr_3y: cagr(profit, 3),
+        profit_cagr_5y: cagr(profit, 5),
+        debt_to_equity: debtToEquity(financials.balance_sheet),
+        ...promoterHolding(shareholding),
+        pledged_percent,
+        peer_median_pe: peers_median?.pe_ratio ?? null
+    };
+}
+
+module.exports = {
+    periodSeries,
+    cagr,
+    debtToEquity,
+    promoterHolding,
+    deriveFundamentals
+};
@@ -0,0 +1,377 @@
+/**
+ * Shared HTTP client for upstream data sources
+ *
+ * Every source fetch goes through one HttpClient, which keeps per-host state:
+ * a cookie jar (with optional session priming, e.g. NSE only answers its API
+ * once the homepage has set cookies), a token-bucket rate limiter and a
+ * circuit breaker that stops calling a host for a while after repeated
+ * failures. Failed requests on 401, 403, 429, 5xx and network errors are
+ * retried with exponential backoff and jitter.
+ *
+ * The shared client sends through lib/recorder's transport, so HTTP_FIXTURES
+ * can record upstream traffic or replay it offline.
+ */
+
+const axios = require('axios');
+const { systemClock } = require('./clock');
+const { logger } = require('./logger');
+const { upstreamTransport } = require('./recorder');
+
+// Better headers to avoid detection
+const getBrowserHeaders = () => ({
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Upgrade-Insecure-Requests': '1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Cache-Control': 'max-age=0'
+});
+
+const RETRYABLE_STATUSES = [401, 403, 429];
+const SESSION_STATUSES = [401, 403];
+
+function isRetryable(error) {
+    // Replaying will not find it on the next attempt either
+    if (error.code === 'FIXTURE_MISSING') return false;
+    const status = error.response?.status;
+    return !status || RETRYABLE_STATUSES.includes(status) || status >= 500;
+}
+
+// `rate` tokens per second up to `burst`; callers wait their turn in order
+class TokenBucket {
+    constructor(options = {}) {
+        this.rate = options.rate || 5;
+        this.burst = options.burst || this.rate;
+        this.clock = options.clock || systemClock;
+        this.tokens = this.burst;
+        this.updatedAt = this.clock.now();
+    }
+
+    refill() {
+        const now = this.clock.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+    }
+
+    // Reserves a token; a negative balance is the queue of waiting callers
+    async take() {
+        this.refill();
+        this.tokens -= 1;
+        if (this.tokens < 0) {
+            await this.clock.sleep(-this.tokens / this.rate * 1000);
+        }
+    }
+
+    // Non-blocking take: false instead of waiting when the bucket is empty
+    tryTake() {
+        this.refill();
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // Milliseconds until the next token
+    waitMs() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rate * 1000);
+    }
+
+    available() {
+        this.refill();
+        return Math.max(0, Number(this.tokens.toFixed(2)));
+    }
+}
+
+// closed -> open after `failureThreshold` consecutive failures; after
+// `resetMs` one trial request is let through (half_open) to decide
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetMs = options.resetMs ?? 30 * 1000;
+        this.clock = options.clock || systemClock;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    allow() {
+        if (this.state === 'open' && this.clock.now() - this.openedAt >= this.resetMs) {
+            this.state = 'half_open';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'closed') return true;
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    success() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    failure() {
+        this.failures++;
+        if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = this.clock.now();
+            this.trialInFlight = false;
+        }
+    }
+
+    retryAfterMs() {
+        if (this.state !== 'open') return 0;
+        return Math.max(0, this.openedAt + this.resetMs - this.clock.now());
+    }
+
+    describe() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retry_after_ms: this.retryAfterMs()
+        };
+    }
+}
+
+// Minimal per-host cookie store: name=value pairs with Expires / Max-Age
+class CookieJar {
+    constructor(clock = systemClock) {
+        this.clock = clock;
+        this.cookies = new Map();
+    }
+
+    store(setCookie) {
+        const now = this.clock.now();
+
+        for (const line of [].concat(setCookie || [])) {
+            const [pair, ...attributes] = line.split(';');
+            const separator = pair.indexOf('=');
+            if (separator <= 0) continue;
+
+            const name = pair.slice(0, separator).trim();
+            const value = pair.slice(separator + 1).trim();
+            let expiresAt = null;
+
+            for (const attribute of attributes) {
+                const [key, ...rest] = attribute.split('=');
+                const attrValue = rest.join('=').trim();
+                const attrName = key.trim().toLowerCase();
+
+                if (attrName === 'max-age' && !isNaN(parseInt(attrValue, 10))) {
+                    expiresAt = now + parseInt(attrValue, 10) * 1000;
+                } else if (attrName === 'expires' && expiresAt === null && !isNaN(Date.parse(attrValue))) {
+                    expiresAt = Date.parse(attrValue);
+                }
+            }
+
+            if (expiresAt !== null && expiresAt <= now) {
+                this.cookies.delete(name);
+            } else {
+                this.cookies.set(name, { value, expiresAt });
+            }
+        }
+    }
+
+    valid() {
+        const now = this.clock.now();
+        return [...this.cookies.entries()].filter(([, cookie]) => cookie.expiresAt === null || cookie.expiresAt > now);
+    }
+
+    // True when nothing is stored or any cookie has run out
+    expired() {
+        return this.cookies.size === 0 || this.valid().length < this.cookies.size;
+    }
+
+    header() {
+        return this.valid().map(([name, cookie]) => `${name}=${cookie.value}`).join('; ');
+    }
+
+    clear() {
+        this.cookies.clear();
+    }
+}
+
+class HttpClient {
+    constructor(options = {}) {
+        // transport: anything with axios' request(config) -> response
+        this.transport = options.transport || axios;
+        this.clock = options.clock || systemClock;
+        this.random = options.random || Math.random;
+        this.defaults = {
+            maxAttempts: 3,
+            baseDelayMs: 500,
+            maxDelayMs: 8000,
+            rate: 5,
+            burst: 5,
+            failureThreshold: 5,
+            resetMs: 30 * 1000,
+            ...(options.defaults || {})
+        };
+        this.hostOptions = {};
+        this.hosts = new Map();
+
+        for (const [host, hostOptions] of Object.entries(options.hosts || {})) {
+            this.configureHost(host, hostOptions);
+        }
+    }
+
+    // Per-host policy: rate, burst, maxAttempts, failureThreshold, resetMs and
+    // session { url, ttl, headers } for hosts that need cookies first
+    configureHost(host, options = {}) {
+        this.hostOptions[host] = { ...this.hostOptions[host], ...options };
+        this.hosts.delete(host);
+        return this;
+    }
+
+    hostState(host) {
+        let state = this.hosts.get(host);
+        if (!state) {
+            const options = { ...this.defaults, ...this.hostOptions[host] };
+            state = {
+                host,
+                options,
+                bucket: new TokenBucket({ rate: options.rate, burst: options.burst, clock: this.clock }),
+                breaker: new CircuitBreaker({ failureThreshold: options.failureThreshold, resetMs: options.resetMs, clock: this.clock }),
+                jar: new CookieJar(this.clock),
+                primedAt: null,
+                priming: null
+            };
+            this.hosts.set(host, state);
+        }
+        return state;
+    }
+
+    async ensureSession(state) {
+        const session = state.options.session;
+        const ttl = session.ttl ?? 5 * 60 * 1000;
+        const fresh = state.primedAt !== null && this.clock.now() - state.primedAt < ttl;
+        if (fresh && !state.jar.expired()) return;
+
+        // Concurrent requests share one priming round trip
+        if (!state.priming) {
+            state.priming = (async () => {
+                state.jar.clear();
+                const response = await this.transport.request({
+                    method: 'get',
+                    url: session.url,
+                    headers: { ...getBrowserHeaders(), ...(session.headers || {}) },
+                    timeout: session.timeout || 10000,
+                    fixture: { source: state.host, symbol: '_session' }
+                });
+                state.jar.store(response.headers?.['set-cookie']);
+                state.primedAt = this.clock.now();
+            })().finally(() => {
+                state.priming = null;
+            });
+        }
+
+        await state.priming;
+    }
+
+    backoffMs(attempt, error, options) {
+        const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+        if (!isNaN(retryAfter)) {
+            return Math.min(options.maxDelayMs, retryAfter * 1000);
+        }
+
+        // Equal jitter: half the exponential delay plus a random half
+        const delay = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+        return delay / 2 + this.random() * delay / 2;
+    }
+
+    // axios-style request(config); resolves with the response or throws the
+    // last error (with error.response when the host answered). config.log is
+    // the caller's logger (e.g. tagged with a request ID) for retry lines;
+    // config.fixture { source, symbol } names the recorder's fixture file.
+    async request({ log = logger, ...config }) {
+        const state = this.hostState(new URL(config.url).host);
+        const { options } = state;
+        const path = new URL(config.url).pathname;
+
+        if (!state.breaker.allow()) {
+            const error = new Error(`Circuit open for ${state.host}, skipping for ${Math.ceil(state.breaker.retryAfterMs() / 1000)}s after repeated failures`);
+            error.code = 'CIRCUIT_OPEN';
+            error.host = state.host;
+            throw error;
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await state.bucket.take();
+                if (options.session) await this.ensureSession(state);
+
+                const cookie = state.jar.header();
+                const response = await this.transport.request({
+                    method: 'get',
+                    ...config,
+                    headers: { ...(config.headers || {}), ...(cookie ? { Cookie: cookie } : {}) }
+                });
+
+                state.jar.store(response.headers?.['set-cookie']);
+                state.breaker.success();
+                return response;
+
+            } catch (error) {
+                state.jar.store(error.response?.headers?.['set-cookie']);
+                const status = error.response?.status;
+
+                // A stale session shows up as 401/403: prime again next attempt
+                if (options.session && SESSION_STATUSES.includes(status)) {
+                    state.primedAt = null;
+                }
+
+                if (!isRetryable(error) || attempt >= options.maxAttempts) {
+                    // A 404 or 400 still means the host is up
+                    if (isRetryable(error)) state.breaker.failure();
+                    else state.breaker.success();
+                    error.attempts = attempt;
+                    log.warn('upstream request failed', { host: state.host, path, attempts: attempt, status, error: error.message });
+                    throw error;
+                }
+
+                const delay = this.backoffMs(attempt, error, options);
+                log.debug('upstream retry', { host: state.host, path, attempt, status, error: error.message, delay_ms: Math.round(delay) });
+                await this.clock.sleep(delay);
+            }
+        }
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    stats() {
+        return Object.fromEntries([...this.hosts.values()].map(state => [state.host, {
+            circuit: state.breaker.describe(),
+            tokens: state.bucket.available(),
+            session: state.options.session ? {
+                primed_at: state.primedAt ? new Date(state.primedAt).toISOString() : null,
+                cookies: state.jar.valid().length
+            } : undefined
+        }]));
+    }
+}
+
+// Shared by every built-in source unless an adapter is given its own
+const httpClient = new HttpClient({ transport: upstreamTransport });
+
+module.exports = {
+    CircuitBreaker,
+    CookieJar,
+    HttpClient,
+    TokenBucket,
+    getBrowserHeaders,
+    httpClient,
+    isRetryable
+};
@@ -0,0 +1,231 @@
+/**
+ * Background jobs with stage progress
+ *
+ * A bounded in-memory queue for work too slow to hold a request open, such
+ * as a full analysis with its AI summary. At most `maxQueued` jobs wait and
+ * `concurrency` run at once; finished jobs stay readable for `retentionMs`
+ * (the latest `maxFinished` of them). Jobs are lost on restart.
+ *
+ * A job's runner gets a progress object: plan(names) lists its stages,
+ * stage(name, status, fields) moves one along (pending, running, done,
+ * failed or skipped) and partial(fields) publishes results ready before
+ * the end. Subscribers hear every change. Cancelling a waiting job drops
+ * it; a running one is cancelled at once and its AbortSignal aborted, and
+ * the runner stops at its next stage. Requests already in flight finish
+ * in the background, but nothing after them runs.
+ */
+
+const crypto = require('crypto');
+const { systemClock } = require('./clock');
+const { apiError, classifyError } = require('./errors');
+
+const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+const stageRecord = (name) => ({ name, status: 'pending', started_at: null, finished_at: null });
+
+class JobQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 2;
+        this.maxQueued = options.maxQueued ?? 50;
+        this.retentionMs = options.retentionMs || 15 * 60 * 1000;
+        this.maxFinished = options.maxFinished || 200;
+        this.clock = options.clock || systemClock;
+        this.jobs = new Map();
+        this.waiting = [];
+        this.active = 0;
+    }
+
+    // run(progress) -> result. `owner` (an API key id) is the only one who
+    // can see the job; null for anyone when auth is off. Throws QUEUE_FULL
+    // when every worker is busy and maxQueued jobs are already waiting.
+    submit({ type, params = {}, owner = null }, run) {
+        this.prune();
+        if (this.active >= this.concurrency && this.waiting.length >= this.maxQueued) {
+            throw apiError('QUEUE_FULL', `${this.waiting.length} jobs are already waiting, try again later`);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            owner,
+            params,
+            status: 'queued',
+            created_at: this.now(),
+            started_at: null,
+            finished_at: null,
+            stages: [],
+            partial: {},
+            result: null,
+            error: null,
+            run,
+            controller: new AbortController(),
+            listeners: new Set()
+        };
+
+        this.jobs.set(job.id, job);
+        this.waiting.push(job);
+        this.next();
+        return job;
+    }
+
+    get(id, owner = null) {
+        const job = this.jobs.get(id);
+        return job && job.owner === owner ? job : null;
+    }
+
+    // Newest first
+    list(owner = null) {
+        return [...this.jobs.values()].filter(job => job.owner === owner).reverse();
+    }
+
+    // The job as the API shows it
+    describe(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            params: job.params,
+            queue_position: job.status === 'queued' ? this.waiting.indexOf(job) + 1 : null,
+            created_at: job.created_at,
+            started_at: job.started_at,
+            finished_at: job.finished_at,
+            stages: job.stages.map(stage => ({ ...stage })),
+            partial: job.partial,
+            result: job.result,
+            error: job.error
+        };
+    }
+
+    // listener(message) gets { type: 'snapshot' | 'status' | 'stage' |
+    // 'partial' | 'end', ... }; 'end' carries the finished job and is the
+    // last message. Returns a function that unsubscribes.
+    subscribe(job, listener) {
+        listener({ type: 'snapshot', job: this.describe(job) });
+        if (FINISHED.includes(job.status)) {
+            listener({ type: 'end', job: this.describe(job) });
+            return () => {};
+        }
+
+        job.listeners.add(listener);
+        return () => job.listeners.delete(listener);
+    }
+
+    cancel(job) {
+        if (FINISHED.includes(job.status)) {
+            throw apiError('JOB_FINISHED', `Job already ${job.status}`);
+        }
+
+        const index = this.waiting.indexOf(job);
+        if (index !== -1) this.waiting.splice(index, 1);
+
+        this.finish(job, 'cancelled', { error: { code: 'CANCELLED', message: 'Cancelled by the client' } });
+        job.controller.abort();
+        return job;
+    }
+
+    stats() {
+        const counts = { queued: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+        for (const job of this.jobs.values()) counts[job.status]++;
+        return { ...counts, workers: this.concurrency, busy_workers: this.active, max_queued: this.maxQueued };
+    }
+
+    next() {
+        while (this.active < this.concurrency && this.waiting.length > 0) {
+            this.start(this.waiting.shift());
+        }
+    }
+
+    async start(job) {
+        this.active++;
+        job.status = 'running';
+        job.started_at = this.now();
+        this.emit(job, { type: 'status', status: 'running' });
+        // Everyone still waiting moved up one
+        this.waiting.forEach(waiting => this.emit(waiting, { type: 'status', status: 'queued', queue_position: this.waiting.indexOf(waiting) + 1 }));
+
+        const progress = {
+            signal: job.controller.signal,
+            plan: (names) => {
+                job.stages = names.map(stageRecord);
+                this.emit(job, { type: 'status', status: job.status, stages: job.stages.map(stage => ({ ...stage })) });
+            },
+            stage: (name, status, fields = {}) => this.updateStage(job, name, status, fields),
+            partial: (fields) => {
+                if (job.status !== 'running') return;
+                Object.assign(job.partial, fields);
+                this.emit(job, { type: 'partial', partial: fields });
+            }
+        };
+
+        try {
+            const result = await job.run(progress);
+            this.finish(job, 'succeeded', { result });
+        } catch (error) {
+            this.finish(job, 'failed', { error: { code: classifyError(error).code, message: error.message } });
+        } finally {
+            // A cancelled job keeps its worker until the runner returns
+            this.active--;
+            this.next();
+        }
+    }
+
+    updateStage(job, name, status, fields) {
+        if (job.status !== 'running') return;
+
+        let stage = job.stages.find(entry => entry.name === name);
+        if (!stage) {
+            stage = stageRecord(name);
+            job.stages.push(stage);
+        }
+
+        const now = this.now();
+        if (status === 'running') stage.started_at = now;
+        else stage.finished_at = now;
+        Object.assign(stage, fields, { status });
+
+        this.emit(job, { type: 'stage', stage: { ...stage } });
+    }
+
+    // Later outcomes of a finished job (a runner returning after a cancel)
+    // are ignored
+    finish(job, status, { result = null, error = null }) {
+        if (FINISHED.includes(job.status)) return;
+
+        const now = this.now();
+        job.status = status;
+        job.finished_at = now;
+        job.result = result;
+        job.error = error;
+        for (const stage of job.stages) {
+            if (stage.status === 'pending') stage.status = 'skipped';
+            if (stage.status === 'running') Object.assign(stage, { status: status === 'cancelled' ? 'skipped' : 'failed', finished_at: now });
+        }
+
+        this.emit(job, { type: 'end', job: this.describe(job) });
+        job.listeners.clear();
+        this.prune();
+    }
+
+    emit(job, message) {
+        for (const listener of job.listeners) listener(message);
+    }
+
+    // Drops finished jobs past their retention, oldest first
+    prune() {
+        const finished = [...this.jobs.values()]
+            .filter(job => FINISHED.includes(job.status))
+            .sort((a, b) => Date.parse(a.finished_at) - Date.parse(b.finished_at));
+        const expired = this.clock.now() - this.retentionMs;
+        finished.forEach((job, i) => {
+            if (Date.parse(job.finished_at) < expired || finished.length - i > this.maxFinished) {
+                this.jobs.delete(job.id);
+            }
+        });
+    }
+
+    now() {
+        return new Date(this.clock.now()).toISOString();
+    }
+}
+
+module.exports = JobQueue;
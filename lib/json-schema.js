@@ -0,0 +1,87 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the subset the API uses: type, enum, required, properties,
+ * additionalProperties: false, items, minItems/maxItems, minLength/maxLength,
+ * pattern and minimum/maximum. Returns a list of "path: problem" strings, empty when
+ * the value is valid.
+ */
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return [].concat(type).some(expected =>
+        expected === actual || (expected === 'number' && actual === 'integer')
+    );
+}
+
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(`${path}: must not be empty`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: has an invalid format`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            if (schema.properties?.[key]) {
+                errors.push(...validateSchema(schema.properties[key], child, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateSchema
+};
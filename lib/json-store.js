@@ -0,0 +1,95 @@
+/**
+ * Small embedded JSON file store
+ *
+ * Holds named collections of records in one file. Writes are serialized
+ * and atomic (temp file + rename) so a crash never leaves half a file.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+class JsonStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = null;
+        this.queue = Promise.resolve();
+    }
+
+    async load() {
+        if (this.data) return this.data;
+
+        try {
+            this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = {};
+        }
+
+        return this.data;
+    }
+
+    async persist() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    async list(collection) {
+        const data = await this.load();
+        return data[collection] || [];
+    }
+
+    async get(collection, id) {
+        return (await this.list(collection)).find(record => record.id === id) || null;
+    }
+
+    // Runs fn(records) under the write lock and saves the result.
+    // fn may mutate the array in place; its return value is passed back.
+    update(collection, fn) {
+        const run = this.queue.then(async () => {
+            const data = await this.load();
+            data[collection] = data[collection] || [];
+            const result = await fn(data[collection]);
+            await this.persist();
+            return result;
+        });
+
+        // Keep the queue alive after a failed write
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async insert(collection, record) {
+        const now = new Date().toISOString();
+        const created = { id: crypto.randomUUID(), ...record, created_at: now, updated_at: now };
+
+        await this.update(collection, records => {
+            records.push(created);
+        });
+        return created;
+    }
+
+    async patch(collection, id, changes) {
+        return this.update(collection, records => {
+            const record = records.find(r => r.id === id);
+            if (!record) return null;
+
+            const next = typeof changes === 'function' ? changes(record) : changes;
+            Object.assign(record, next, { updated_at: new Date().toISOString() });
+            return record;
+        });
+    }
+
+    async remove(collection, id) {
+        return this.update(collection, records => {
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) return false;
+            records.splice(index, 1);
+            return true;
+        });
+    }
+}
+
+module.exports = JsonStore;
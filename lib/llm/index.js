@@ -0,0 +1,122 @@
+/**
+ * LLM providers
+ *
+ * Built-ins: `openai` (any OpenAI-compatible endpoint), `llamacpp` (a local
+ * llama.cpp server's OpenAI-compatible API), `ollama` and `stub` (offline,
+ * deterministic). LLM_PROVIDER picks the default; every request may choose
+ * its own provider, model and temperature.
+ */
+
+const LLMProvider = require('./provider');
+const OpenAICompatibleProvider = require('./openai');
+const OllamaProvider = require('./ollama');
+const StubProvider = require('./stub');
+const { ANALYSIS_SCHEMA, comparisonSchema, eventSentimentSchema, validateComparison, validateEventSentiment } = require('./schemas');
+const { extractJson, generateStructured } = require('./structured');
+
+class LLMRegistry {
+    constructor(defaults = {}) {
+        this.providers = new Map();
+        this.defaultProvider = defaults.provider || null;
+        this.defaultTemperature = defaults.temperature ?? 0.4;
+        this.defaultModel = defaults.model || null;
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        return this;
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    // { provider, model, temperature } for one request; throws a 400 error on
+    // an unknown provider or out-of-range temperature
+    resolve(options = {}) {
+        const name = options.provider || this.defaultProvider;
+        const provider = this.get(name);
+
+        if (!provider) {
+            const error = new Error(`Unknown LLM provider: ${name}. Available: ${[...this.providers.keys()].join(', ')}`);
+            error.status = 400;
+            error.code = 'INVALID_LLM_OPTIONS';
+            throw error;
+        }
+
+        const temperature = options.temperature ?? this.defaultTemperature;
+        if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
+            const error = new Error('llm.temperature must be a number between 0 and 2');
+            error.status = 400;
+            error.code = 'INVALID_LLM_OPTIONS';
+            throw error;
+        }
+
+        if (options.model !== undefined && (typeof options.model !== 'string' || !options.model.trim())) {
+            const error = new Error('llm.model must be a non-empty string');
+            error.status = 400;
+            error.code = 'INVALID_LLM_OPTIONS';
+            throw error;
+        }
+
+        return {
+            provider,
+            // LLM_MODEL only applies to the default provider
+            model: options.model || (provider.name === this.defaultProvider && this.defaultModel) || provider.defaultModel,
+            temperature
+        };
+    }
+
+    describe() {
+        return {
+            default_provider: this.defaultProvider,
+            providers: [...this.providers.values()].map(provider => provider.describe())
+        };
+    }
+}
+
+function createDefaultLLMRegistry(env = process.env) {
+    const temperature = parseFloat(env.LLM_TEMPERATURE);
+    const registry = new LLMRegistry({
+        provider: env.LLM_PROVIDER || 'openai',
+        model: env.LLM_MODEL,
+        temperature: isNaN(temperature) ? undefined : temperature
+    });
+
+    return registry
+        .register(new OpenAICompatibleProvider({
+            baseUrl: env.OPENAI_BASE_URL,
+            apiKey: env.OPENAI_API_KEY,
+            defaultModel: env.OPENAI_MODEL || 'gpt-3.5-turbo'
+        }))
+        .register(new OpenAICompatibleProvider({
+            name: 'llamacpp',
+            label: 'llama.cpp',
+            baseUrl: env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+            apiKey: env.LLAMACPP_API_KEY,
+            requireApiKey: false,
+            defaultModel: env.LLAMACPP_MODEL || 'local',
+            timeout: 120000
+        }))
+        .register(new OllamaProvider({
+            baseUrl: env.OLLAMA_BASE_URL,
+            defaultModel: env.OLLAMA_MODEL || 'llama3.1'
+        }))
+        .register(new StubProvider());
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    LLMProvider,
+    LLMRegistry,
+    OllamaProvider,
+    OpenAICompatibleProvider,
+    StubProvider,
+    comparisonSchema,
+    createDefaultLLMRegistry,
+    eventSentimentSchema,
+    extractJson,
+    generateStructured,
+    validateComparison,
+    validateEventSentiment
+};
@@ -0,0 +1,51 @@
+/**
+ * Local Ollama server (/api/chat)
+ */
+
+const LLMProvider = require('./provider');
+
+class OllamaProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({
+            name: 'ollama',
+            label: 'Ollama',
+            defaultModel: 'llama3.1',
+            // Local models on CPU can be slow
+            timeout: 120000,
+            ...options
+        });
+
+        this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/$/, '');
+    }
+
+    async complete(request) {
+        const { messages, model, temperature, maxTokens, json } = request;
+        const response = await this.transport.request({
+            method: 'post',
+            url: `${this.baseUrl}/api/chat`,
+            data: {
+                model: model || this.defaultModel,
+                messages,
+                stream: false,
+                ...(json ? { format: 'json' } : {}),
+                options: {
+                    temperature,
+                    num_predict: maxTokens
+                }
+            },
+            timeout: this.timeout,
+            fixture: this.fixture(request)
+        });
+
+        return {
+            content: response.data.message.content,
+            model: response.data.model || model || this.defaultModel,
+            usage: response.data.eval_count !== undefined ? {
+                prompt_tokens: response.data.prompt_eval_count || 0,
+                completion_tokens: response.data.eval_count || 0
+            } : null
+        };
+    }
+}
+
+module.exports = OllamaProvider;
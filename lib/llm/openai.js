@@ -0,0 +1,61 @@
+/**
+ * OpenAI-compatible chat completions (OpenAI, llama.cpp server, vLLM, Groq...)
+ */
+
+const LLMProvider = require('./provider');
+
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({
+            name: 'openai',
+            label: 'OpenAI',
+            defaultModel: 'gpt-3.5-turbo',
+            ...options
+        });
+
+        this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey || null;
+        this.requireApiKey = options.requireApiKey ?? true;
+        // response_format: { type: 'json_object' } is not supported everywhere
+        this.jsonMode = options.jsonMode ?? true;
+    }
+
+    unavailableReason() {
+        if (this.requireApiKey && !this.apiKey) {
+            return `${this.label} API key not configured`;
+        }
+        return null;
+    }
+
+    async complete(request) {
+        const { messages, model, temperature, maxTokens, json } = request;
+        const response = await this.transport.request({
+            method: 'post',
+            url: `${this.baseUrl}/chat/completions`,
+            data: {
+                model: model || this.defaultModel,
+                messages,
+                temperature,
+                max_tokens: maxTokens,
+                ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+            },
+            headers: {
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            timeout: this.timeout,
+            fixture: this.fixture(request)
+        });
+
+        return {
+            content: response.data.choices[0].message.content,
+            model: response.data.model || model || this.defaultModel,
+            usage: response.data.usage ? {
+                prompt_tokens: response.data.usage.prompt_tokens || 0,
+                completion_tokens: response.data.usage.completion_tokens || 0
+            } : null
+        };
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
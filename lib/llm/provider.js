@@ -0,0 +1,58 @@
+/**
+ * Base class for LLM providers
+ *
+ * A provider turns chat messages into one completion. complete() resolves
+ * with { content, model, usage } and throws on transport or API errors;
+ * usage is { prompt_tokens, completion_tokens } when the backend reports it,
+ * else null. JSON mode and schemas are hints a provider may pass on to its
+ * backend.
+ *
+ * HTTP providers send through `this.transport` (axios-style request(config),
+ * the recorder's shared transport by default), tagging each call with the
+ * request's symbol so record/replay can file it.
+ */
+
+const { upstreamTransport } = require('../recorder');
+
+class LLMProvider {
+    constructor(options = {}) {
+        if (!options.name) {
+            throw new Error('LLM provider requires a name');
+        }
+
+        this.name = options.name;
+        this.label = options.label || options.name;
+        this.defaultModel = options.defaultModel || null;
+        this.timeout = options.timeout ?? 30000;
+        // Metered calls count against the LLM budget
+        this.metered = options.metered ?? true;
+        this.transport = options.transport || upstreamTransport;
+    }
+
+    // Recorder fixture for a request: llm_<provider>/<symbol>.json
+    fixture(request) {
+        return { source: `llm_${this.name}`, symbol: request.symbol || '_untagged' };
+    }
+
+    // Reason the provider cannot be used (e.g. missing API key), or null
+    unavailableReason() {
+        return null;
+    }
+
+    // request: { messages, model, temperature, maxTokens, json, schema, symbol }
+    async complete(request) {
+        throw new Error(`LLM provider "${this.name}" does not implement complete()`);
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            label: this.label,
+            default_model: this.defaultModel,
+            metered: this.metered,
+            available: this.unavailableReason() === null
+        };
+    }
+}
+
+module.exports = LLMProvider;
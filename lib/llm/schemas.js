@@ -0,0 +1,126 @@
+/**
+ * JSON schemas the LLM is asked to answer with
+ */
+
+const reason = { type: 'string', minLength: 1, maxLength: 400 };
+const points = { type: 'array', minItems: 1, maxItems: 5, items: reason };
+
+const RELIABILITY_RATINGS = ['Good', 'Fair', 'Limited'];
+
+const ANALYSIS_SCHEMA = {
+    type: 'object',
+    required: ['valuation', 'risk', 'strengths', 'concerns', 'reliability'],
+    additionalProperties: false,
+    properties: {
+        valuation: {
+            type: 'object',
+            required: ['rating', 'reason'],
+            properties: {
+                rating: { enum: ['Cheap', 'Fair', 'Expensive'] },
+                reason
+            }
+        },
+        risk: {
+            type: 'object',
+            required: ['level', 'reason'],
+            properties: {
+                level: { enum: ['Low', 'Moderate', 'High'] },
+                reason
+            }
+        },
+        strengths: points,
+        concerns: points,
+        reliability: {
+            type: 'object',
+            required: ['rating', 'sources_verified'],
+            properties: {
+                rating: { enum: RELIABILITY_RATINGS },
+                sources_verified: { type: 'integer', minimum: 0 },
+                note: { type: 'string' }
+            }
+        }
+    }
+};
+
+// Symbols are pinned to the ones compared so the model cannot invent picks
+function comparisonSchema(symbols) {
+    const symbol = { enum: symbols };
+
+    return {
+        type: 'object',
+        required: ['overall_pick', 'ranking', 'key_differences', 'reliability'],
+        additionalProperties: false,
+        properties: {
+            overall_pick: {
+                type: 'object',
+                required: ['symbol', 'reason'],
+                properties: { symbol, reason }
+            },
+            ranking: {
+                type: 'array',
+                minItems: symbols.length,
+                maxItems: symbols.length,
+                items: {
+                    type: 'object',
+                    required: ['symbol', 'reason'],
+                    properties: { symbol, reason }
+                }
+            },
+            key_differences: points,
+            reliability: {
+                type: 'object',
+                required: ['rating'],
+                properties: { rating: { enum: RELIABILITY_RATINGS } }
+            }
+        }
+    };
+}
+
+// What the schema cannot say: every symbol is ranked exactly once
+function validateComparison(symbols) {
+    return (verdict) => {
+        const ranked = verdict.ranking.map(entry => entry.symbol);
+        const missing = symbols.filter(symbol => !ranked.includes(symbol));
+        return missing.length ? [`$.ranking: must rank every symbol once, missing ${missing.join(', ')}`] : [];
+    };
+}
+
+// Sentiment of `count` numbered events, each labelled once
+function eventSentimentSchema(count) {
+    return {
+        type: 'object',
+        required: ['events'],
+        additionalProperties: false,
+        properties: {
+            events: {
+                type: 'array',
+                minItems: count,
+                maxItems: count,
+                items: {
+                    type: 'object',
+                    required: ['index', 'sentiment', 'reason'],
+                    properties: {
+                        index: { type: 'integer', minimum: 0, maximum: count - 1 },
+                        sentiment: { enum: ['positive', 'negative', 'neutral'] },
+                        reason
+                    }
+                }
+            }
+        }
+    };
+}
+
+function validateEventSentiment(count) {
+    return (reply) => {
+        const labelled = new Set(reply.events.map(event => event.index));
+        return labelled.size < count ? ['$.events: must label every event once'] : [];
+    };
+}
+
+module.exports = {
+    ANALYSIS_SCHEMA,
+    comparisonSchema,
+    eventSentimentSchema,
+    validateComparison,
+    validateEventSentiment
+};
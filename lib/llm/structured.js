@@ -0,0 +1,91 @@
+/**
+ * Structured (JSON) completions with validation and a repair round trip
+ */
+
+const { validateSchema } = require('../json-schema');
+const { logger } = require('../logger');
+
+// Pulls the JSON object out of replies wrapped in prose or ``` fences
+function extractJson(content) {
+    const text = String(content ?? '').trim();
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new Error('Reply contains no JSON object');
+    }
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+function addUsage(total, usage) {
+    if (!usage) return total;
+    return {
+        prompt_tokens: (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+        completion_tokens: (total?.completion_tokens || 0) + (usage.completion_tokens || 0)
+    };
+}
+
+function check(content, schema, validate) {
+    try {
+        const value = extractJson(content);
+        const errors = validateSchema(schema, value);
+        if (errors.length === 0 && validate) errors.push(...validate(value));
+        return { value, errors };
+    } catch (error) {
+        return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+}
+
+// Asks `provider` for JSON matching `schema` (plus `validate(value)`, which
+// returns extra error strings). An invalid reply is sent back with the
+// validation errors up to `maxRepairs` times; after that the call throws
+// with error.validationErrors and error.attempts. Token usage is summed over
+// all attempts (result.usage, or error.usage on failure); null when the
+// provider does not report it. `symbol` names what the call is about, for
+// the recorder's fixture files.
+async function generateStructured(provider, options) {
+    const { system, prompt, schema, validate, model, temperature, maxTokens, maxRepairs = 1, symbol, log = logger } = options;
+    const messages = [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+    ];
+
+    let errors = [];
+    let usage = null;
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+        let reply;
+        try {
+            reply = await provider.complete({ messages, model, temperature, maxTokens, json: true, schema, symbol });
+        } catch (error) {
+            error.usage = usage;
+            throw error;
+        }
+        usage = addUsage(usage, reply.usage);
+        const result = check(reply.content, schema, validate);
+
+        if (result.errors.length === 0) {
+            return { value: result.value, model: reply.model, attempts: attempt, usage };
+        }
+
+        errors = result.errors;
+        log.warn('LLM reply failed validation', { provider: provider.name, attempt, errors });
+
+        messages.push(
+            { role: 'assistant', content: reply.content },
+            {
+                role: 'user',
+                content: `That reply does not match the schema:\n${errors.map(error => `- ${error}`).join('\n')}\nReply again with only the corrected JSON object.`
+            }
+        );
+    }
+
+    const error = new Error(`${provider.label} reply did not match the schema after ${maxRepairs + 1} attempt(s)`);
+    error.validationErrors = errors;
+    error.attempts = maxRepairs + 1;
+    error.usage = usage;
+    throw error;
+}
+
+module.exports = {
+    extractJson,
+    generateStructured
+};
@@ -0,0 +1,70 @@
+/**
+ * Deterministic offline provider for tests and demos
+ *
+ * Answers with the smallest value that satisfies the request's JSON schema
+ * (enum options in order, minimum numbers, minItems entries), or with scripted
+ * replies when `responses` is given (a list used in order, or a function of
+ * the request).
+ */
+
+const LLMProvider = require('./provider');
+
+// `index` rotates enum options across array items so lists stay distinct
+function exampleFromSchema(schema, index = 0) {
+    if (schema.enum) return schema.enum[index % schema.enum.length];
+
+    switch ([].concat(schema.type)[0]) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .filter(([key]) => (schema.required || []).includes(key))
+                .map(([key, child]) => [key, exampleFromSchema(child, index)]));
+        case 'array':
+            return Array.from({ length: schema.minItems || 1 }, (item, i) => exampleFromSchema(schema.items || {}, i));
+        case 'integer':
+        case 'number':
+            return schema.minimum ?? 0;
+        case 'boolean':
+            return false;
+        default:
+            return 'Offline stub response';
+    }
+}
+
+class StubProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({
+            name: 'stub',
+            label: 'Offline Stub',
+            defaultModel: 'stub',
+            metered: false,
+            ...options
+        });
+
+        this.responses = options.responses || null;
+        this.calls = [];
+    }
+
+    async complete(request) {
+        this.calls.push(request);
+
+        let content;
+        if (typeof this.responses === 'function') {
+            content = await this.responses(request, this.calls.length);
+        } else if (Array.isArray(this.responses)) {
+            content = this.responses[Math.min(this.calls.length, this.responses.length) - 1];
+        } else if (request.schema) {
+            content = JSON.stringify(exampleFromSchema(request.schema));
+        } else {
+            content = 'Offline stub response';
+        }
+
+        return {
+            content: typeof content === 'string' ? content : JSON.stringify(content),
+            model: request.model || this.defaultModel,
+            usage: null
+        };
+    }
+}
+
+module.exports = StubProvider;
+module.exports.exampleFromSchema = exampleFromSchema;
@@ -0,0 +1,82 @@
+/**
+ * Structured JSON logging
+ *
+ * One JSON object per line: { time, level, msg, ...fields }. child() adds
+ * fields to every line it writes, e.g. the request_id of an API request, and
+ * is passed down to source fetches so their lines can be tied back to the
+ * request. LOG_LEVEL (debug, info, warn, error) sets the minimum level.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors become { message, code, status } instead of {}
+function serialize(value) {
+    if (value instanceof Error) {
+        return {
+            message: value.message,
+            code: value.code,
+            status: value.status || value.response?.status
+        };
+    }
+    return value;
+}
+
+class Logger {
+    constructor(options = {}) {
+        this.level = LEVELS[options.level] ? options.level : 'info';
+        this.fields = options.fields || {};
+        this.clock = options.clock || { now: () => Date.now() };
+        // write(line, level); warnings and errors go to stderr by default
+        this.write = options.write || ((line, level) => {
+            (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+        });
+    }
+
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            fields: { ...this.fields, ...fields },
+            clock: this.clock,
+            write: this.write
+        });
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        const entry = { time: new Date(this.clock.now()).toISOString(), level, msg, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = serialize(value);
+        }
+        this.write(JSON.stringify(entry), level);
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+// Process-wide logger; modules log through it or a child of it
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+    LEVELS,
+    Logger,
+    logger
+};
@@ -0,0 +1,267 @@
+/**
+ * NSE/BSE trading calendar
+ *
+ * Loaded from a calendar file (config/market-calendar.json by default) with
+ * the exchange time zone offset, the weekend days, the daily sessions
+ * (pre_open, regular and post_close as ["HH:MM", "HH:MM"] in exchange time),
+ * the holidays and special sessions such as Muhurat trading, which replace
+ * the normal sessions for their day. A holiday or special session may list
+ * `exchanges` when it does not apply to both. The holiday list has to be
+ * kept up to date from the exchanges' yearly circulars.
+ *
+ * status() tells whether an exchange is in pre-open, open, post-close or
+ * closed at a moment, and when it last closed and next opens. While nothing
+ * trades prices cannot move, so cacheTtl() and pollDelay() stretch cache
+ * lifetimes and polling intervals until the next session (or pre-open)
+ * starts. Closing prices settle for a while after the close, so the
+ * `settle_minutes` after a session still count as trading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { systemClock } = require('./clock');
+const { apiError } = require('./errors');
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, '..', 'config', 'market-calendar.json');
+
+const PHASES = ['pre_open', 'regular', 'post_close'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far next_open / last_close look, enough for any run of holidays
+const LOOKAHEAD_DAYS = 15;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function parseOffset(offset) {
+    const match = String(offset || '').match(/^([+-])(\d{2}):(\d{2})$/);
+    if (!match) throw new Error(`utc_offset must look like +05:30, got "${offset}"`);
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return (match[1] === '-' ? -minutes : minutes) * 60 * 1000;
+}
+
+// { phase: [startMinute, endMinute] }
+function compileSessions(sessions, where) {
+    if (!sessions?.regular) throw new Error(`${where}: a regular session is required`);
+
+    const compiled = {};
+    for (const [phase, range] of Object.entries(sessions)) {
+        if (!PHASES.includes(phase)) throw new Error(`${where}: unknown session "${phase}"`);
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(time => TIME_PATTERN.test(time))) {
+            throw new Error(`${where}.${phase} must be ["HH:MM", "HH:MM"]`);
+        }
+        const [start, end] = range.map(time => Number(time.slice(0, 2)) * 60 + Number(time.slice(3)));
+        if (end <= start) throw new Error(`${where}.${phase} ends before it starts`);
+        compiled[phase] = [start, end];
+    }
+    return compiled;
+}
+
+function loadCalendar(file = DEFAULT_CALENDAR_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load market calendar from ${file}: ${error.message}`);
+    }
+}
+
+const appliesTo = (entry, exchange) => !entry.exchanges || entry.exchanges.includes(exchange);
+
+class MarketCalendar {
+    constructor(config = loadCalendar(), options = {}) {
+        this.timezone = config.timezone || 'Asia/Kolkata';
+        this.offsetMs = parseOffset(config.utc_offset || '+05:30');
+        this.exchanges = config.exchanges || ['NSE', 'BSE'];
+        this.weekend = new Set((config.weekend || ['Saturday', 'Sunday']).map(day => {
+            const index = WEEKDAYS.indexOf(day);
+            if (index === -1) throw new Error(`Unknown weekend day "${day}"`);
+            return index;
+        }));
+        this.sessions = compileSessions(config.sessions, 'sessions');
+        this.settleMs = (config.settle_minutes ?? 10) * 60 * 1000;
+        this.clock = options.clock || systemClock;
+
+        this.holidays = new Map();
+        for (const holiday of config.holidays || []) {
+            if (!DATE_PATTERN.test(holiday.date) || !holiday.name) {
+                throw new Error(`Holidays need a YYYY-MM-DD date and a name, got ${JSON.stringify(holiday)}`);
+            }
+            this.holidays.set(holiday.date, [...(this.holidays.get(holiday.date) || []), holiday]);
+        }
+
+        this.specialSessions = new Map();
+        for (const special of config.special_sessions || []) {
+            if (!DATE_PATTERN.test(special.date) || !special.name) {
+                throw new Error(`Special sessions need a YYYY-MM-DD date and a name, got ${JSON.stringify(special)}`);
+            }
+            this.specialSessions.set(special.date, [
+                ...(this.specialSessions.get(special.date) || []),
+                { ...special, sessions: compileSessions(special.sessions, `special_sessions ${special.date}`) }
+            ]);
+        }
+    }
+
+    static fromFile(file, options) {
+        return new MarketCalendar(loadCalendar(file || DEFAULT_CALENDAR_FILE), options);
+    }
+
+    checkExchange(exchange) {
+        const name = String(exchange || 'NSE').toUpperCase();
+        if (!this.exchanges.includes(name)) {
+            throw apiError('INVALID_EXCHANGE', `exchange must be one of: ${this.exchanges.join(', ')}`);
+        }
+        return name;
+    }
+
+    // YYYY-MM-DD in exchange time
+    localDate(ms) {
+        return new Date(ms + this.offsetMs).toISOString().slice(0, 10);
+    }
+
+    // Timestamp of a minute of the day on an exchange-time date
+    timeOn(date, minute) {
+        return Date.parse(`${date}T00:00:00Z`) - this.offsetMs + minute * 60 * 1000;
+    }
+
+    holiday(exchange, date) {
+        return (this.holidays.get(date) || []).find(holiday => appliesTo(holiday, exchange)) || null;
+    }
+
+    // Sessions of one day as { name, phases: { phase: [startMs, endMs] } },
+    // or null when the exchange does not trade that day
+    tradingDay(exchange, date) {
+        const special = (this.specialSessions.get(date) || []).find(entry => appliesTo(entry, exchange));
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+        let sessions = special?.sessions;
+        if (!sessions) {
+            if (this.weekend.has(weekday) || this.holiday(exchange, date)) return null;
+            sessions = this.sessions;
+        }
+
+        const phases = {};
+        for (const [phase, [start, end]] of Object.entries(sessions)) {
+            phases[phase] = [this.timeOn(date, start), this.timeOn(date, end)];
+        }
+        return { name: special?.name || null, phases };
+    }
+
+    // Trading days from `at`'s date, forwards or backwards
+    * tradingDays(exchange, at, direction = 1) {
+        const start = Date.parse(`${this.localDate(at)}T00:00:00Z`);
+        for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+            const date = new Date(start + direction * i * DAY_MS).toISOString().slice(0, 10);
+            const day = this.tradingDay(exchange, date);
+            if (day) yield { date, ...day };
+        }
+    }
+
+    // Start of the next regular session after `at`, or null
+    nextOpen(exchange, at = this.clock.now()) {
+        for (const day of this.tradingDays(exchange, at)) {
+            if (day.phases.regular[0] > at) return day.phases.regular[0];
+        }
+        return null;
+    }
+
+    // End of the last regular session before `at`, or null
+    lastClose(exchange, at = this.clock.now()) {
+        for (const day of this.tradingDays(exchange, at, -1)) {
+            if (day.phases.regular[1] <= at) return day.phases.regular[1];
+        }
+        return null;
+    }
+
+    // Session phase running at `at`, or null
+    phaseAt(exchange, at) {
+        const day = this.tradingDay(exchange, this.localDate(at));
+        return PHASES.find(name => day?.phases[name] && at >= day.phases[name][0] && at < day.phases[name][1]) || null;
+    }
+
+    // Milliseconds until the next session of any kind starts; 0 while one
+    // runs or settles
+    msUntilActive(exchange, at = this.clock.now()) {
+        if (this.phaseAt(exchange, at) || this.phaseAt(exchange, at - this.settleMs)) return 0;
+
+        for (const day of this.tradingDays(exchange, at)) {
+            const starts = Object.values(day.phases).map(([start]) => start).filter(start => start > at);
+            if (starts.length) return Math.min(...starts) - at;
+        }
+        return LOOKAHEAD_DAYS * DAY_MS;
+    }
+
+    // A cache TTL, kept until the market is next active when that is later
+    cacheTtl(exchange, ttl, at = this.clock.now()) {
+        if (!ttl) return ttl;
+        return Math.max(ttl, this.msUntilActive(exchange, at));
+    }
+
+    // Delay before the next poll: intervalMs while the market is active,
+    // else until it is, checking at least every closedIntervalMs
+    pollDelay(exchange, intervalMs, closedIntervalMs, at = this.clock.now()) {
+        const quiet = this.msUntilActive(exchange, at);
+        if (quiet === 0) return intervalMs;
+        return Math.max(intervalMs, Math.min(closedIntervalMs, quiet));
+    }
+
+    // Market status of an exchange at `at`:
+    //   pre_open | open | post_close  while that session runs
+    //   closed                         otherwise, with the reason: weekend,
+    //                                  holiday, before_open or after_close
+    status(exchange = 'NSE', at = this.clock.now()) {
+        exchange = this.checkExchange(exchange);
+        const date = this.localDate(at);
+        const day = this.tradingDay(exchange, date);
+        const holiday = this.holiday(exchange, date);
+
+        let status = 'closed';
+        let reason = null;
+        if (!day) {
+            reason = holiday ? 'holiday' : 'weekend';
+        } else {
+            const phase = this.phaseAt(exchange, at);
+            if (phase) status = phase === 'regular' ? 'open' : phase;
+            else reason = at < day.phases.regular[0] ? 'before_open' : 'after_close';
+        }
+
+        const iso = (ms) => ms === null ? null : new Date(ms).toISOString();
+        return {
+            exchange,
+            status,
+            is_open: status === 'open',
+            reason,
+            holiday: holiday && !day ? holiday.name : null,
+            special_session: day?.name || null,
+            session: day ? { opens_at: iso(day.phases.regular[0]), closes_at: iso(day.phases.regular[1]) } : null,
+            last_close: iso(this.lastClose(exchange, at)),
+            next_open: iso(this.nextOpen(exchange, at)),
+            timezone: this.timezone,
+            as_of: iso(at)
+        };
+    }
+
+    // Holidays of a year that apply to the exchange
+    holidaysIn(exchange, year) {
+        exchange = this.checkExchange(exchange);
+        return [...this.holidays.values()].flat()
+            .filter(holiday => holiday.date.startsWith(`${year}-`) && appliesTo(holiday, exchange))
+            .map(({ date, name }) => ({ date, name, weekday: WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    specialSessionsIn(exchange, year) {
+        exchange = this.checkExchange(exchange);
+        return [...this.specialSessions.values()].flat()
+            .filter(special => special.date.startsWith(`${year}-`) && appliesTo(special, exchange))
+            .map(({ date, name }) => {
+                const { phases } = this.tradingDay(exchange, date);
+                return { date, name, opens_at: new Date(phases.regular[0]).toISOString(), closes_at: new Date(phases.regular[1]).toISOString() };
+            });
+    }
+}
+
+module.exports = {
+    DEFAULT_CALENDAR_FILE,
+    MarketCalendar,
+    PHASES
+};
@@ -0,0 +1,183 @@
+/**
+ * Prometheus metrics in the text exposition format (version 0.0.4)
+ *
+ * Counters, gauges and histograms with labels, kept in memory. A gauge may
+ * take a collect() callback that sets its values right before render(), for
+ * numbers that already live elsewhere (circuit states, cache hit ratio).
+ */
+
+// Seconds; source fetches and LLM calls range from cache-fast to 30s+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new Error(`Invalid metric name: ${name}`);
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help || name;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    // Series for one label set, created on first use
+    seriesFor(labels, create) {
+        const values = this.labelNames.map(label => labels[label] ?? '');
+        const key = JSON.stringify(values);
+        let series = this.series.get(key);
+        if (!series) {
+            series = create(Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]])));
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    reset() {
+        this.series.clear();
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+        this.seriesFor(labels, labelValues => ({ labels: labelValues, value: 0 })).value += value;
+    }
+
+    get(labels = {}) {
+        return this.seriesFor(labels, labelValues => ({ labels: labelValues, value: 0 })).value;
+    }
+
+    lines() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+}
+
+class Gauge extends Counter {
+    constructor(options) {
+        super(options);
+        this.type = 'gauge';
+        this.collect = options.collect || null;
+    }
+
+    set(labels = {}, value) {
+        this.seriesFor(labels, labelValues => ({ labels: labelValues, value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, labelValues => ({ labels: labelValues, value: 0 })).value += value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const series = this.seriesFor(labels, labelValues => ({
+            labels: labelValues,
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Starts a timer; calling the result observes the elapsed seconds
+    startTimer(labels = {}, now = () => Date.now()) {
+        const start = now();
+        return (extraLabels = {}) => {
+            const seconds = (now() - start) / 1000;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    lines() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, i) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    get(name) {
+        return this.metrics.get(name) || null;
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.collect) metric.collect(metric);
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    Counter,
+    DEFAULT_BUCKETS,
+    Gauge,
+    Histogram,
+    MetricsRegistry
+};
@@ -0,0 +1,49 @@
+/**
+ * Records that belong to the API key that created them
+ *
+ * Watchlists, portfolios and alerts keep the creating key's id in `owner`,
+ * and only that key sees them. With auth off requests carry no key, and
+ * every record is visible as before. Records saved before keys were
+ * required have no owner until adoptUnowned() hands them to a key.
+ */
+
+const OWNED_COLLECTIONS = ['watchlists', 'portfolios', 'alerts'];
+
+// API key id of the request, null when auth is off
+const ownerOf = (req) => req.apiKey?.id ?? null;
+
+const visibleTo = (owner) => (record) => owner === null || record.owner === owner;
+
+async function listOwned(store, collection, owner) {
+    return (await store.list(collection)).filter(visibleTo(owner));
+}
+
+// The record, or null when it does not exist or belongs to another key
+async function getOwned(store, collection, id, owner) {
+    const record = await store.get(collection, id);
+    return record && visibleTo(owner)(record) ? record : null;
+}
+
+// Gives every record without an owner to `owner`; returns how many
+async function adoptUnowned(store, owner) {
+    let adopted = 0;
+    for (const collection of OWNED_COLLECTIONS) {
+        await store.update(collection, records => {
+            for (const record of records) {
+                if (record.owner) continue;
+                record.owner = owner;
+                adopted++;
+            }
+        });
+    }
+    return adopted;
+}
+
+module.exports = {
+    OWNED_COLLECTIONS,
+    adoptUnowned,
+    getOwned,
+    listOwned,
+    ownerOf,
+    visibleTo
+};
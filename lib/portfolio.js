@@ -0,0 +1,154 @@
+/**
+ * Portfolio valuation: current value, P&L, day change, allocation and risk
+ */
+
+const RISK_SCORES = { Low: 1, Moderate: 2, High: 3 };
+
+const round = (value, digits = 2) =>
+    (typeof value === 'number' && isFinite(value)) ? Number(value.toFixed(digits)) : null;
+
+// Market cap in crores -> bucket (common Indian market thresholds)
+function marketCapBucket(marketCap) {
+    if (typeof marketCap !== 'number') return 'Unknown';
+    if (marketCap >= 20000) return 'Large Cap';
+    if (marketCap >= 5000) return 'Mid Cap';
+    return 'Small Cap';
+}
+
+function addAllocation(allocation, key, value) {
+    allocation[key] = (allocation[key] || 0) + value;
+}
+
+function toAllocationList(allocation, total) {
+    return Object.entries(allocation)
+        .map(([name, value]) => ({
+            name,
+            value: round(value),
+            weight_percent: total ? round(value / total * 100) : null
+        }))
+        .sort((a, b) => b.value - a.value);
+}
+
+// quotes: { SYMBOL: { combined_data, risk } } for symbols that were analyzed
+function valuePortfolio(portfolio, quotes) {
+    const holdings = [];
+    const unpriced = [];
+    const sectors = {};
+    const caps = {};
+    let invested = 0;
+    let currentValue = 0;
+    let dayChange = 0;
+
+    for (const holding of portfolio.holdings) {
+        const quote = quotes[holding.symbol];
+        const data = quote?.combined_data || {};
+        const price = data.current_price;
+        const cost = holding.quantity * holding.average_cost;
+
+        if (typeof price !== 'number') {
+            unpriced.push(holding.symbol);
+            holdings.push({ ...holding, invested: round(cost), error: quote?.error || 'No price available' });
+            continue;
+        }
+
+        const value = holding.quantity * price;
+        // Previous close implied by today's percentage change
+        const change = typeof data.change_percent === 'number'
+            ? value - value / (1 + data.change_percent / 100)
+            : 0;
+
+        invested += cost;
+        currentValue += value;
+        dayChange += change;
+
+        const sector = data.sector || 'Unknown';
+        const cap = marketCapBucket(data.market_cap);
+        addAllocation(sectors, sector, value);
+        addAllocation(caps, cap, value);
+
+        holdings.push({
+            ...holding,
+            company_name: data.company_name,
+            current_price: price,
+            invested: round(cost),
+            current_value: round(value),
+            unrealized_pnl: round(value - cost),
+            unrealized_pnl_percent: cost ? round((value - cost) / cost * 100) : null,
+            day_change: round(change),
+            day_change_percent: typeof data.change_percent === 'number' ? data.change_percent : null,
+            sector,
+            market_cap_bucket: cap,
+            risk: quote.risk
+        });
+    }
+
+    for (const holding of holdings) {
+        if (holding.current_value !== undefined) {
+            holding.weight_percent = currentValue ? round(holding.current_value / currentValue * 100) : null;
+        }
+    }
+
+    return {
+        id: portfolio.id,
+        name: portfolio.name,
+        totals: {
+            invested: round(invested),
+            current_value: round(currentValue),
+            unrealized_pnl: round(currentValue - invested),
+            unrealized_pnl_percent: invested ? round((currentValue - invested) / invested * 100) : null,
+            day_change: round(dayChange),
+            day_change_percent: currentValue - dayChange ? round(dayChange / (currentValue - dayChange) * 100) : null
+        },
+        holdings,
+        allocation: {
+            sector: toAllocationList(sectors, currentValue),
+            market_cap: toAllocationList(caps, currentValue)
+        },
+        risk: assessPortfolioRisk(holdings, sectors, currentValue),
+        unpriced
+    };
+}
+
+// Value-weighted risk level plus concentration checks
+function assessPortfolioRisk(holdings, sectors, total) {
+    const priced = holdings.filter(h => h.current_value !== undefined && total);
+    if (priced.length === 0) {
+        return { level: 'Unknown', score: null, flags: ['No holdings could be priced'] };
+    }
+
+    const score = priced.reduce((sum, h) => sum + RISK_SCORES[h.risk || 'Moderate'] * h.current_value, 0) / total;
+    const largest = priced.reduce((max, h) => h.current_value > max.current_value ? h : max);
+    const topSector = Object.entries(sectors).sort((a, b) => b[1] - a[1])[0];
+    const flags = [];
+
+    const largestWeight = largest.current_value / total * 100;
+    const sectorWeight = topSector[1] / total * 100;
+
+    if (largestWeight > 25) flags.push(`${largest.symbol} is ${round(largestWeight)}% of the portfolio`);
+    if (topSector[0] !== 'Unknown' && sectorWeight > 40) flags.push(`${topSector[0]} sector is ${round(sectorWeight)}% of the portfolio`);
+    if (priced.length < 5) flags.push(`Only ${priced.length} priced holding(s), limited diversification`);
+
+    let level = 'Moderate';
+    if (score < 1.5) level = 'Low';
+    else if (score >= 2.5) level = 'High';
+    // Concentration pushes risk up one notch
+    if (flags.length >= 2 && level !== 'High') level = level === 'Low' ? 'Moderate' : 'High';
+
+    return {
+        level,
+        score: round(score),
+        largest_holding: { symbol: largest.symbol, weight_percent: round(largestWeight) },
+        top_sector: { name: topSector[0], weight_percent: round(sectorWeight) },
+        by_level: Object.fromEntries(Object.keys(RISK_SCORES).map(lvl => [
+            lvl,
+            round(priced.filter(h => (h.risk || 'Moderate') === lvl).reduce((sum, h) => sum + h.current_value, 0) / total * 100)
+        ])),
+        flags
+    };
+}
+
+module.exports = {
+    marketCapBucket,
+    valuePortfolio,
+    assessPortfolioRisk
+};
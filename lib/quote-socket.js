@@ -0,0 +1,84 @@
+/**
+ * WebSocket transport for the quote stream
+ *
+ * Clients connect to /api/stream/ws?symbols=RELIANCE,TCS and may change
+ * their subscriptions with {"action": "subscribe" | "unsubscribe", "symbols": [...]}.
+ * When API keys are required the key goes in ?api_key= or the X-API-Key header.
+ * Messages are the same JSON objects the SSE endpoint sends.
+ */
+
+const { WebSocketServer } = require('ws');
+const { normalizeSymbol } = require('./validation');
+
+function attachQuoteSocket(server, quoteStream, options = {}) {
+    const maxSymbols = options.maxSymbols || 10;
+    const wss = new WebSocketServer({
+        server,
+        path: options.path || '/api/stream/ws',
+        // options.authorize(req) resolves with null, or { status, message }
+        // to refuse the upgrade with a plain HTTP error
+        verifyClient: options.authorize
+            ? (info, done) => options.authorize(info.req).then(
+                denied => denied ? done(false, denied.status, denied.message) : done(true),
+                error => done(false, 500, error.message))
+            : undefined
+    });
+
+    wss.on('connection', (socket, req) => {
+        const subscriptions = new Map();
+        const send = (message) => {
+            if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+        };
+
+        const subscribe = (symbols) => {
+            for (const raw of symbols) {
+                const symbol = normalizeSymbol(String(raw));
+                if (!symbol) {
+                    send({ type: 'error', symbol: raw, error: 'Invalid symbol' });
+                    continue;
+                }
+                if (subscriptions.has(symbol)) continue;
+                if (subscriptions.size >= maxSymbols) {
+                    send({ type: 'error', symbol, error: `At most ${maxSymbols} symbols per connection` });
+                    continue;
+                }
+                subscriptions.set(symbol, quoteStream.subscribe(symbol, send));
+            }
+        };
+
+        const unsubscribe = (symbols) => {
+            for (const raw of symbols) {
+                const symbol = String(raw).toUpperCase();
+                subscriptions.get(symbol)?.();
+                subscriptions.delete(symbol);
+            }
+        };
+
+        const initial = new URL(req.url, 'http://localhost').searchParams.get('symbols');
+        if (initial) subscribe(initial.split(','));
+
+        socket.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                return send({ type: 'error', error: 'Messages must be JSON' });
+            }
+            // null, numbers, strings and arrays parse too
+            if (!message || typeof message !== 'object' || Array.isArray(message)) {
+                return send({ type: 'error', error: 'Messages must be JSON objects' });
+            }
+
+            const symbols = Array.isArray(message.symbols) ? message.symbols : [];
+            if (message.action === 'subscribe') subscribe(symbols);
+            else if (message.action === 'unsubscribe') unsubscribe(symbols);
+            else send({ type: 'error', error: 'action must be subscribe or unsubscribe' });
+        });
+
+        socket.on('close', () => unsubscribe([...subscriptions.keys()]));
+    });
+
+    return wss;
+}
+
+module.exports = attachQuoteSocket;
@@ -0,0 +1,140 @@
+/**
+ * Live quote streaming
+ *
+ * One poller per symbol, shared by every subscriber to that symbol. Each
+ * poll reads the quote source directly (no cache) and subscribers receive
+ * only the fields that changed since the previous update. With a market
+ * calendar, polling slows to closedIntervalMs while the market is closed
+ * and picks up again when the next session starts.
+ */
+
+const { systemClock } = require('./clock');
+const { logger } = require('./logger');
+const { toNumber } = require('./reconcile');
+
+const QUOTE_FIELDS = ['current_price', 'change', 'change_percent', 'volume'];
+
+class QuoteStream {
+    constructor(options) {
+        // source: adapter with fetch() providing current_price and change_percent
+        this.source = options.source;
+        this.clock = options.clock || systemClock;
+        this.intervalMs = options.intervalMs || 5000;
+        // calendar: MarketCalendar for `exchange`, optional
+        this.calendar = options.calendar || null;
+        this.exchange = options.exchange || 'NSE';
+        this.closedIntervalMs = options.closedIntervalMs || 5 * 60 * 1000;
+        this.pollers = new Map();
+    }
+
+    // Picks the adapter to poll: an explicit name, else the quote source
+    // with the shortest timeout (ties go to the higher priority)
+    static selectSource(registry, name) {
+        if (name) return registry.get(name) || null;
+
+        return registry.list()
+            .filter(adapter => adapter.enabled && adapter.providesField('current_price') && adapter.providesField('change_percent'))
+            .sort((a, b) => a.timeout - b.timeout || a.priority - b.priority)[0] || null;
+    }
+
+    // listener(message) gets { type: 'snapshot' | 'quote' | 'error', ... }.
+    // Returns a function that unsubscribes.
+    subscribe(symbol, listener) {
+        let poller = this.pollers.get(symbol);
+        if (!poller) {
+            poller = { symbol, listeners: new Set(), last: null, timer: null, polling: false };
+            this.pollers.set(symbol, poller);
+            this.poll(poller);
+        }
+
+        poller.listeners.add(listener);
+        if (poller.last) {
+            listener({ type: 'snapshot', symbol, ...poller.last });
+        }
+
+        return () => {
+            poller.listeners.delete(listener);
+            if (poller.listeners.size === 0) {
+                this.clock.clearTimeout(poller.timer);
+                this.pollers.delete(symbol);
+            }
+        };
+    }
+
+    async poll(poller) {
+        try {
+            const data = await this.source.fetch({ symbol: poller.symbol, timeout: this.source.timeout });
+            this.publish(poller, this.toQuote(data));
+        } catch (error) {
+            this.emit(poller, { type: 'error', symbol: poller.symbol, error: error.message });
+        }
+
+        // Unsubscribed while the request was in flight
+        if (this.pollers.get(poller.symbol) === poller) {
+            poller.timer = this.clock.setTimeout(() => this.poll(poller), this.nextDelay());
+        }
+    }
+
+    nextDelay() {
+        if (!this.calendar) return this.intervalMs;
+        return this.calendar.pollDelay(this.exchange, this.intervalMs, this.closedIntervalMs, this.clock.now());
+    }
+
+    marketStatus() {
+        return this.calendar ? this.calendar.status(this.exchange, this.clock.now()).status : null;
+    }
+
+    toQuote(data) {
+        const quote = {};
+        for (const field of QUOTE_FIELDS) {
+            const value = toNumber(this.source.providesField(field) ? this.source.extract(data, field) : data?.[field]);
+            if (value !== null) quote[field] = value;
+        }
+        return quote;
+    }
+
+    publish(poller, quote) {
+        const timestamp = new Date(this.clock.now()).toISOString();
+
+        if (!poller.last) {
+            poller.last = { ...quote, timestamp, market_status: this.marketStatus() };
+            this.emit(poller, { type: 'snapshot', symbol: poller.symbol, ...poller.last });
+            return;
+        }
+
+        const changes = {};
+        for (const [field, value] of Object.entries(quote)) {
+            if (poller.last[field] !== value) changes[field] = value;
+        }
+
+        if (Object.keys(changes).length === 0) return;
+
+        Object.assign(poller.last, changes, { timestamp, market_status: this.marketStatus() });
+        this.emit(poller, { type: 'quote', symbol: poller.symbol, ...changes, timestamp });
+    }
+
+    emit(poller, message) {
+        for (const listener of poller.listeners) {
+            try {
+                listener(message);
+            } catch (error) {
+                logger.error('quote stream listener failed', { error });
+            }
+        }
+    }
+
+    stats() {
+        return {
+            source: this.source?.name || null,
+            interval_ms: this.intervalMs,
+            next_poll_ms: this.nextDelay(),
+            market_status: this.marketStatus(),
+            symbols: [...this.pollers.values()].map(poller => ({
+                symbol: poller.symbol,
+                subscribers: poller.listeners.size
+            }))
+        };
+    }
+}
+
+module.exports = QuoteStream;
@@ -0,0 +1,193 @@
+/**
+ * Cross-source reconciliation
+ *
+ * Normalizes every candidate value for a combined field, picks the value
+ * from the highest-priority source that actually has one (0 is a value),
+ * compares it with what the other sources report and records provenance,
+ * discrepancies and a confidence score per field.
+ */
+
+// Allowed disagreement per field. `relative` is a percentage of the larger
+// value, `absolute` a plain difference (change_percent is already in %).
+const DEFAULT_TOLERANCES = {
+    current_price: { relative: 0.5 },
+    change_percent: { absolute: 0.25 },
+    market_cap: { relative: 2 },
+    pe_ratio: { relative: 5 },
+    roe: { relative: 5 },
+    book_value: { relative: 5 },
+    eps: { relative: 5 },
+    dividend_yield: { absolute: 0.25 },
+    // Sites group companies into sectors differently
+    sector_pe: { relative: 15 },
+    day_low: { relative: 0.5 },
+    day_high: { relative: 0.5 },
+    low_52w: { relative: 1 },
+    high_52w: { relative: 1 }
+};
+
+const TEXT_FIELDS = ['company_name', 'sector', 'industry', 'promoter_trend'];
+
+// Single source: nothing to cross-check against
+const SINGLE_SOURCE_CONFIDENCE = 0.6;
+
+function toNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const cleaned = value.replace(/[₹,%\s]/g, '');
+    if (cleaned === '' || isNaN(Number(cleaned))) return null;
+    return Number(cleaned);
+}
+
+function normalizeText(value) {
+    return String(value)
+        .toLowerCase()
+        .replace(/\b(limited|ltd)\b/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+// "current_price=1,change_percent=0.5" -> tolerance overrides (numbers are
+// read in the same mode as the field's default)
+function parseTolerances(spec) {
+    const overrides = {};
+    if (!spec) return overrides;
+
+    for (const pair of String(spec).split(',')) {
+        const [field, raw] = pair.split('=').map(part => part && part.trim());
+        const amount = parseFloat(raw);
+        if (!field || isNaN(amount)) continue;
+
+        const mode = DEFAULT_TOLERANCES[field]?.absolute !== undefined ? 'absolute' : 'relative';
+        overrides[field] = { [mode]: amount };
+    }
+
+    return overrides;
+}
+
+class Reconciler {
+    constructor(options = {}) {
+        this.tolerances = { ...DEFAULT_TOLERANCES, ...(options.tolerances || {}) };
+        this.defaultTolerance = options.defaultTolerance || { relative: 5 };
+    }
+
+    normalize(field, value, scale = 1) {
+        if (value === undefined || value === null) return null;
+
+        if (TEXT_FIELDS.includes(field)) {
+            const text = String(value).trim();
+            return text || null;
+        }
+
+        const number = toNumber(value);
+        return number === null ? null : number * scale;
+    }
+
+    agrees(field, a, b) {
+        if (TEXT_FIELDS.includes(field)) {
+            return normalizeText(a) === normalizeText(b);
+        }
+
+        const tolerance = this.tolerances[field] || this.defaultTolerance;
+        const difference = Math.abs(a - b);
+
+        if (tolerance.absolute !== undefined) {
+            return difference <= tolerance.absolute;
+        }
+
+        const base = Math.max(Math.abs(a), Math.abs(b));
+        return base === 0 || difference / base * 100 <= tolerance.relative;
+    }
+
+    // providers: { field: [adapter, ...] } best first; sources: raw data by name
+    reconcile(providers, sources) {
+        const values = {};
+        const fields = {};
+        const discrepancies = [];
+
+        for (const [field, adapters] of Object.entries(providers)) {
+            const candidates = adapters
+                .map(adapter => ({
+                    source: adapter.name,
+                    value: this.normalize(
+                        field,
+                        adapter.extract(sources[adapter.name], field),
+                        adapter.fieldScale(field)
+                    )
+                }))
+                .filter(candidate => candidate.value !== null);
+
+            if (candidates.length === 0) continue;
+
+            const [chosen, ...others] = candidates;
+            const agreeing = others.filter(other => this.agrees(field, chosen.value, other.value));
+            const disagreeing = others.filter(other => !agreeing.includes(other));
+
+            let confidence = SINGLE_SOURCE_CONFIDENCE;
+            if (others.length > 0) {
+                confidence = 0.3 + 0.7 * agreeing.length / others.length;
+            }
+
+            values[field] = chosen.value;
+            fields[field] = {
+                value: chosen.value,
+                source: chosen.source,
+                confidence: Number(confidence.toFixed(2)),
+                values: Object.fromEntries(candidates.map(c => [c.source, c.value])),
+                agreeing_sources: [chosen.source, ...agreeing.map(c => c.source)],
+                discrepancy: disagreeing.length > 0
+            };
+
+            for (const other of disagreeing) {
+                const discrepancy = {
+                    field,
+                    chosen: { source: chosen.source, value: chosen.value },
+                    other: { source: other.source, value: other.value }
+                };
+
+                if (!TEXT_FIELDS.includes(field)) {
+                    discrepancy.difference = Number(Math.abs(chosen.value - other.value).toFixed(4));
+                    const base = Math.max(Math.abs(chosen.value), Math.abs(other.value));
+                    discrepancy.difference_percent = base ? Number((discrepancy.difference / base * 100).toFixed(2)) : 0;
+                }
+
+                discrepancies.push(discrepancy);
+            }
+        }
+
+        return {
+            values,
+            fields,
+            discrepancies,
+            reliability: this.assessReliability(fields, sources)
+        };
+    }
+
+    assessReliability(fields, sources) {
+        const entries = Object.values(fields);
+        const compared = entries.filter(entry => Object.keys(entry.values).length > 1);
+        const agreeing = compared.filter(entry => !entry.discrepancy);
+        const score = entries.length
+            ? entries.reduce((sum, entry) => sum + entry.confidence, 0) / entries.length
+            : 0;
+
+        let rating = 'Limited';
+        if (compared.length > 0 && agreeing.length === compared.length && score >= 0.75) rating = 'Good';
+        else if (score >= 0.5) rating = 'Fair';
+
+        return {
+            rating,
+            score: Number(score.toFixed(2)),
+            sources: Object.keys(sources).length,
+            fields_compared: compared.length,
+            fields_agreeing: agreeing.length
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_TOLERANCES,
+    Reconciler,
+    parseTolerances,
+    toNumber
+};
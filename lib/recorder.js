@@ -0,0 +1,157 @@
+/**
+ * Record/replay of upstream HTTP traffic
+ *
+ * RecordReplayTransport stands in for axios as the transport of HttpClient
+ * and the LLM providers. In `record` mode every exchange is passed on to the
+ * network and saved; in `replay` mode the saved exchanges are served back
+ * and nothing leaves the machine. HTTP_FIXTURES=record|replay switches the
+ * shared transport, HTTP_FIXTURES_DIR moves the fixture directory (default
+ * test/fixtures/upstream).
+ *
+ * Fixtures are JSON files keyed by source and symbol, from config.fixture
+ * { source, symbol }: <dir>/<source>/<symbol>.json. Requests without one
+ * are filed under the host. Within a file, requests are matched on method,
+ * URL and query params; repeated requests replay the recorded responses in
+ * order and then keep repeating the last one. Request headers and bodies
+ * are never saved, so API keys stay out of the fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const MODES = ['record', 'replay'];
+const DEFAULT_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'upstream');
+
+// Response headers worth keeping; the rest is noise in a fixture
+const KEPT_HEADERS = ['content-type', 'set-cookie', 'retry-after'];
+
+const fileName = (value) => encodeURIComponent(String(value)).replace(/%20/g, '+');
+
+function requestKey({ method = 'get', url, params }) {
+    const query = params
+        ? Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&')
+        : '';
+    return `${method.toUpperCase()} ${url}${query ? ` ${query}` : ''}`;
+}
+
+function keptHeaders(headers = {}) {
+    const kept = {};
+    for (const name of KEPT_HEADERS) {
+        const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+        if (value !== undefined && value !== null) kept[name] = value;
+    }
+    return kept;
+}
+
+class RecordReplayTransport {
+    constructor(options = {}) {
+        if (!MODES.includes(options.mode)) {
+            throw new Error(`Fixture mode must be one of: ${MODES.join(', ')}`);
+        }
+        this.mode = options.mode;
+        this.dir = options.dir || DEFAULT_DIR;
+        // Where recorded traffic really goes
+        this.transport = options.transport || axios;
+        this.files = new Map();
+    }
+
+    fixturePath({ url, fixture }) {
+        const source = fixture?.source || new URL(url).host;
+        const symbol = fixture?.symbol || '_untagged';
+        return path.join(this.dir, fileName(source), `${fileName(symbol)}.json`);
+    }
+
+    // { exchanges, cursors } for a file; a recording starts from scratch
+    // the first time the process writes to it
+    load(file) {
+        let entry = this.files.get(file);
+        if (!entry) {
+            let exchanges = [];
+            if (this.mode === 'replay' && fs.existsSync(file)) {
+                exchanges = JSON.parse(fs.readFileSync(file, 'utf8')).exchanges || [];
+            }
+            entry = { exchanges, cursors: new Map() };
+            this.files.set(file, entry);
+        }
+        return entry;
+    }
+
+    async request({ fixture, ...config }) {
+        const file = this.fixturePath({ url: config.url, fixture });
+        return this.mode === 'record'
+            ? this.record(file, config)
+            : this.replay(file, config);
+    }
+
+    async record(file, config) {
+        const entry = this.load(file);
+        const exchange = {
+            request: {
+                method: (config.method || 'get').toUpperCase(),
+                url: config.url,
+                ...(config.params ? { params: config.params } : {})
+            }
+        };
+
+        try {
+            const response = await this.transport.request(config);
+            exchange.response = { status: response.status, headers: keptHeaders(response.headers), data: response.data };
+            return response;
+        } catch (error) {
+            exchange.response = error.response
+                ? { status: error.response.status, headers: keptHeaders(error.response.headers), data: error.response.data }
+                : undefined;
+            exchange.error = { message: error.message, code: error.code };
+            throw error;
+        } finally {
+            entry.exchanges.push(exchange);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify({ exchanges: entry.exchanges }, null, 2) + '\n');
+        }
+    }
+
+    async replay(file, config) {
+        const entry = this.load(file);
+        const key = requestKey(config);
+        const matches = entry.exchanges.filter(exchange => requestKey(exchange.request) === key);
+
+        if (matches.length === 0) {
+            const error = new Error(`No recorded response for ${key} in ${path.relative(process.cwd(), file)}`);
+            error.code = 'FIXTURE_MISSING';
+            throw error;
+        }
+
+        const index = Math.min(entry.cursors.get(key) || 0, matches.length - 1);
+        entry.cursors.set(key, index + 1);
+        const { response, error } = matches[index];
+
+        if (error || response.status >= 400) {
+            const replayed = new Error(error?.message || `Request failed with status code ${response.status}`);
+            replayed.code = error?.code;
+            replayed.config = config;
+            if (response) replayed.response = { ...response, headers: response.headers || {}, config };
+            throw replayed;
+        }
+
+        return { ...response, headers: response.headers || {}, config };
+    }
+}
+
+// axios, or a RecordReplayTransport when HTTP_FIXTURES is set
+function transportFromEnv(env = process.env) {
+    const mode = env.HTTP_FIXTURES;
+    if (!mode || mode === 'off') return axios;
+    return new RecordReplayTransport({ mode, dir: env.HTTP_FIXTURES_DIR });
+}
+
+// Shared by the default HTTP client and the LLM providers
+const upstreamTransport = transportFromEnv();
+
+module.exports = {
+    DEFAULT_DIR,
+    RecordReplayTransport,
+    requestKey,
+    transportFromEnv,
+    upstreamTransport
+};
@@ -0,0 +1,257 @@
+/**
+ * JSON Schemas for request bodies (and export and snapshot query strings)
+ *
+ * Bodies are strict: unknown properties are rejected, symbols must match the
+ * symbol whitelist and list sizes are capped. The route handlers still do
+ * the checks a schema cannot express (unknown sources, missing watchlists).
+ */
+
+const { validateSchema } = require('./json-schema');
+const { sendError } = require('./errors');
+const { SYMBOL_PATTERN, SYMBOL_QUERY_PATTERN } = require('./validation');
+const { DEFAULT_COSTS, OPERATORS, STRATEGY_TYPES } = require('./backtest');
+
+const MAX_LIST_SYMBOLS = 10;
+
+// Exchange symbol, any case
+const SYMBOL = { type: 'string', pattern: SYMBOL_PATTERN.source.replace('A-Z', 'A-Za-z') };
+
+// Symbol, BSE code, ISIN or company name
+const SYMBOL_QUERY = { type: 'string', pattern: SYMBOL_QUERY_PATTERN.source };
+
+const EXCHANGE = { type: 'string', enum: ['NSE', 'BSE', 'nse', 'bse'] };
+
+// Array of source names, or a comma separated string of them
+const SOURCES = {
+    type: ['array', 'string'],
+    maxItems: 10,
+    items: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,40}$' },
+    maxLength: 200,
+    pattern: '^[A-Za-z0-9_, -]*$'
+};
+
+const LLM = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        provider: { type: 'string', minLength: 1, maxLength: 40 },
+        model: { type: 'string', minLength: 1, maxLength: 100 },
+        temperature: { type: 'number', minimum: 0, maximum: 2 }
+    }
+};
+
+const SYMBOL_LIST = {
+    type: ['array', 'string'],
+    minItems: 1,
+    maxItems: MAX_LIST_SYMBOLS,
+    items: SYMBOL_QUERY,
+    minLength: 1,
+    maxLength: 400,
+    pattern: "^[A-Za-z0-9 &.'(),-]*$"
+};
+
+const ANALYZE = {
+    type: 'object',
+    required: ['symbol'],
+    additionalProperties: false,
+    properties: {
+        symbol: SYMBOL_QUERY,
+        exchange: EXCHANGE,
+        sources: SOURCES,
+        llm: LLM,
+        event_sentiment: { type: 'string', enum: ['lexicon', 'ai'] }
+    }
+};
+
+const COMPARE = {
+    type: 'object',
+    required: ['symbols'],
+    additionalProperties: false,
+    properties: {
+        symbols: SYMBOL_LIST,
+        exchange: EXCHANGE,
+        sources: SOURCES,
+        llm: LLM,
+        verdict: { type: 'string', enum: ['ai', 'basic', 'none'] }
+    }
+};
+
+// Query string (GET) or body (POST); `reports` re-exports earlier results
+const EXPORT = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        format: { type: 'string', maxLength: 10 },
+        symbol: SYMBOL_QUERY,
+        symbols: SYMBOL_LIST,
+        exchange: EXCHANGE,
+        sources: SOURCES,
+        llm: LLM,
+        reports: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_LIST_SYMBOLS,
+            items: { type: 'object', required: ['symbol'], properties: { symbol: SYMBOL } }
+        }
+    }
+};
+
+const DATE = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const PERIOD = { type: 'integer', minimum: 2, maximum: 400 };
+
+// left / right: a number, candle field, pe or indicator such as sma_50;
+// lib/backtest.js checks the names
+const CONDITION = {
+    type: 'object',
+    required: ['left', 'op', 'right'],
+    additionalProperties: false,
+    properties: {
+        left: { type: 'string', maxLength: 20 },
+        op: { type: 'string', enum: OPERATORS },
+        right: { type: ['string', 'number'], maxLength: 20 }
+    }
+};
+
+const CONDITIONS = { type: 'array', maxItems: 10, items: CONDITION };
+
+const BACKTEST = {
+    type: 'object',
+    required: ['symbol', 'from', 'strategy'],
+    additionalProperties: false,
+    properties: {
+        symbol: SYMBOL_QUERY,
+        exchange: EXCHANGE,
+        from: DATE,
+        to: DATE,
+        initial_capital: { type: 'number', minimum: 1000, maximum: 1e10 },
+        risk_free_percent: { type: 'number', minimum: 0, maximum: 20 },
+        strategy: {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: {
+                type: { type: 'string', enum: STRATEGY_TYPES },
+                fast: PERIOD,
+                slow: PERIOD,
+                period: PERIOD,
+                buy_below: { type: 'number' },
+                sell_above: { type: 'number' },
+                entry: CONDITIONS,
+                exit: CONDITIONS,
+                stop_loss_percent: { type: 'number', minimum: 0 },
+                take_profit_percent: { type: 'number', minimum: 0 }
+            }
+        },
+        costs: {
+            type: 'object',
+            additionalProperties: false,
+            properties: Object.fromEntries(Object.keys(DEFAULT_COSTS).map(key =>
+                [key, { type: key === 'brokerage_max' ? ['number', 'null'] : 'number', minimum: 0 }]))
+        }
+    }
+};
+
+const WATCHLIST = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        symbols: { type: 'array', maxItems: 200, items: SYMBOL }
+    }
+};
+
+const WATCHLIST_SYMBOL = {
+    type: 'object',
+    required: ['symbol'],
+    additionalProperties: false,
+    properties: { symbol: SYMBOL }
+};
+
+const HOLDING = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        symbol: SYMBOL,
+        quantity: { type: 'number' },
+        average_cost: { type: 'number' },
+        buy_date: { type: ['string', 'null'], maxLength: 10 }
+    }
+};
+
+const PORTFOLIO = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', maxLength: 100 },
+        holdings: { type: 'array', maxItems: 500, items: HOLDING }
+    }
+};
+
+const ALERT = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: { type: ['string', 'null'], maxLength: 100 },
+        symbol: { ...SYMBOL, type: ['string', 'null'] },
+        watchlist_id: { type: ['string', 'null'], maxLength: 100 },
+        field: { type: 'string', maxLength: 40 },
+        operator: { type: 'string', maxLength: 40 },
+        threshold: { type: 'number' },
+        cooldown_minutes: { type: 'number' },
+        webhook_url: { type: ['string', 'null'], maxLength: 2000 },
+        enabled: { type: 'boolean' }
+    }
+};
+
+// Query string of GET /api/snapshots/:symbol; the route caps limit at 100
+// and answers an unknown exchange itself
+const SNAPSHOT_LIST = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        exchange: { type: 'string', maxLength: 10 },
+        limit: { type: 'string', pattern: '^[1-9][0-9]{0,5}$' }
+    }
+};
+
+// null limits fall back to the server defaults
+const API_KEY = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        rate_limit_per_minute: { type: ['integer', 'null'], minimum: 1 },
+        daily_quota: { type: ['integer', 'null'], minimum: 0 },
+        llm_daily_quota: { type: ['integer', 'null'], minimum: 0 },
+        enabled: { type: 'boolean' }
+    }
+};
+
+// Middleware answering 400 VALIDATION_FAILED with every problem in `details`
+function validateRequest(schema, location = 'body') {
+    return (req, res, next) => {
+        const errors = validateSchema(schema, req[location] ?? {}, location);
+        if (errors.length > 0) {
+            return sendError(res, 'VALIDATION_FAILED', errors[0], { details: errors });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    MAX_LIST_SYMBOLS,
+    SCHEMAS: {
+        ALERT,
+        ANALYZE,
+        API_KEY,
+        BACKTEST,
+        COMPARE,
+        EXPORT,
+        HOLDING,
+        PORTFOLIO,
+        SNAPSHOT_LIST,
+        WATCHLIST,
+        WATCHLIST_SYMBOL
+    },
+    validateRequest
+};
@@ -0,0 +1,79 @@
+/**
+ * Admin routes: API key management and the effective access configuration
+ *
+ * Mounted behind requireAdmin (ADMIN_API_KEY). Keys from the key file are
+ * listed but read-only; edit the file and POST /keys/reload instead.
+ */
+
+const express = require('express');
+const asyncRoute = require('./async-route');
+const { sendError } = require('../errors');
+const { SCHEMAS, validateRequest } = require('../request-schemas');
+
+// adoptUnowned(keyId) gives the watchlists, portfolios and alerts that have
+// no owner to that key and returns how many
+function createAdminRouter({ keys, describeConfig, adoptUnowned }) {
+    const router = express.Router();
+
+    const notFound = (res) => sendError(res, 'NOT_FOUND', 'API key not found');
+    const readOnly = (res) => sendError(res, 'READ_ONLY', 'Keys from the API key file can only be changed in the file');
+
+    router.get('/config', (req, res) => {
+        res.json({ success: true, config: describeConfig() });
+    });
+
+    router.get('/keys', asyncRoute(async (req, res) => {
+        res.json({ success: true, keys: (await keys.all()).map(record => keys.describe(record)) });
+    }));
+
+    router.post('/keys', validateRequest(SCHEMAS.API_KEY), asyncRoute(async (req, res) => {
+        if (!req.body.name || !req.body.name.trim()) {
+            return sendError(res, 'VALIDATION_FAILED', 'API key name is required');
+        }
+
+        const { key, record } = await keys.create(req.body);
+        res.status(201).json({ success: true, key, api_key: keys.describe(record) });
+    }));
+
+    // Picks up edits to the key file without a restart
+    router.post('/keys/reload', (req, res) => {
+        keys.loadFile();
+        res.json({ success: true, file_keys: keys.fileKeys.length });
+    });
+
+    router.get('/keys/:id', asyncRoute(async (req, res) => {
+        const record = await keys.get(req.params.id);
+        if (!record) return notFound(res);
+        res.json({ success: true, api_key: keys.describe(record) });
+    }));
+
+    // Hands records saved before keys were required to this key
+    router.post('/keys/:id/adopt', asyncRoute(async (req, res) => {
+        const existing = await keys.get(req.params.id);
+        if (!existing) return notFound(res);
+
+        res.json({ success: true, adopted: await adoptUnowned(existing.id) });
+    }));
+
+    router.put('/keys/:id', validateRequest(SCHEMAS.API_KEY), asyncRoute(async (req, res) => {
+        const existing = await keys.get(req.params.id);
+        if (!existing) return notFound(res);
+        if (existing.source === 'file') return readOnly(res);
+
+        const record = await keys.update(req.params.id, req.body);
+        res.json({ success: true, api_key: keys.describe(record) });
+    }));
+
+    router.delete('/keys/:id', asyncRoute(async (req, res) => {
+        const existing = await keys.get(req.params.id);
+        if (!existing) return notFound(res);
+        if (existing.source === 'file') return readOnly(res);
+
+        await keys.remove(req.params.id);
+        res.json({ success: true });
+    }));
+
+    return router;
+}
+
+module.exports = createAdminRouter;
@@ -0,0 +1,152 @@
+/**
+ * Alert routes: CRUD, trigger history and on-demand evaluation. Alerts and
+ * their history are visible only to the API key that created them.
+ */
+
+const express = require('express');
+const asyncRoute = require('./async-route');
+const { sendError } = require('../errors');
+const { SCHEMAS, validateRequest } = require('../request-schemas');
+const { normalizeSymbol, isNonEmptyString, isNonNegativeNumber } = require('../validation');
+const { ALERTS, ALERT_FIELDS, OPERATORS } = require('../alerts');
+const { getOwned, listOwned, ownerOf, visibleTo } = require('../owners');
+
+// Validates a full alert (`existing` merged in for updates).
+// allowsWebhook(url) says whether a per-alert webhook_url may be called.
+function parseAlert(body, existing = {}, allowsWebhook = () => false) {
+    const input = { ...existing, ...body };
+    const alert = {};
+
+    if (input.name !== undefined && input.name !== null) {
+        if (!isNonEmptyString(input.name)) return { error: 'name must be a non-empty string' };
+        alert.name = input.name.trim();
+    }
+
+    if (Boolean(input.symbol) === Boolean(input.watchlist_id)) {
+        return { error: 'Provide either symbol or watchlist_id' };
+    }
+    if (input.symbol) {
+        alert.symbol = normalizeSymbol(input.symbol);
+        if (!alert.symbol) return { error: 'A valid stock symbol is required' };
+        alert.watchlist_id = null;
+    } else {
+        alert.watchlist_id = String(input.watchlist_id);
+        alert.symbol = null;
+    }
+
+    if (!ALERT_FIELDS.includes(input.field)) {
+        return { error: `field must be one of: ${ALERT_FIELDS.join(', ')}` };
+    }
+    if (!Object.keys(OPERATORS).includes(input.operator)) {
+        return { error: `operator must be one of: ${Object.keys(OPERATORS).join(', ')}` };
+    }
+    if (typeof input.threshold !== 'number' || !isFinite(input.threshold)) {
+        return { error: 'threshold must be a number' };
+    }
+    if (input.cooldown_minutes !== undefined && !isNonNegativeNumber(input.cooldown_minutes)) {
+        return { error: 'cooldown_minutes must be a non-negative number' };
+    }
+    if (input.webhook_url && !allowsWebhook(input.webhook_url)) {
+        return { error: 'webhook_url must be an http(s) URL on an allowed host (ALERT_WEBHOOK_URL or ALERT_WEBHOOK_HOSTS)' };
+    }
+
+    Object.assign(alert, {
+        field: input.field,
+        operator: input.operator,
+        threshold: input.threshold,
+        cooldown_minutes: input.cooldown_minutes ?? 60,
+        webhook_url: input.webhook_url || null,
+        enabled: input.enabled !== false
+    });
+
+    return { alert };
+}
+
+// Fields that decide when an alert fires; the others (name, cooldown,
+// webhook, enabled) can change without resetting its state
+const CONDITION_FIELDS = ['symbol', 'watchlist_id', 'field', 'operator', 'threshold'];
+
+function createAlertRouter({ store, engine }) {
+    const router = express.Router();
+
+    const notFound = (res) => sendError(res, 'NOT_FOUND', 'Alert not found');
+    const allowsWebhook = (url) => engine.notifier.allows(url);
+
+    const load = (req) => getOwned(store, ALERTS, req.params.id, ownerOf(req));
+
+    // The watchlist must be one the caller can see
+    const checkWatchlist = async (req, alert) =>
+        !alert.watchlist_id || Boolean(await getOwned(store, 'watchlists', alert.watchlist_id, ownerOf(req)));
+
+    router.get('/', asyncRoute(async (req, res) => {
+        res.json({ success: true, alerts: await listOwned(store, ALERTS, ownerOf(req)) });
+    }));
+
+    router.post('/', validateRequest(SCHEMAS.ALERT), asyncRoute(async (req, res) => {
+        const { alert, error } = parseAlert(req.body, {}, allowsWebhook);
+        if (error) {
+            return sendError(res, 'VALIDATION_FAILED', error);
+        }
+        if (!await checkWatchlist(req, alert)) {
+            return sendError(res, 'VALIDATION_FAILED', 'Watchlist not found');
+        }
+
+        const created = await store.insert(ALERTS, { ...alert, state: {}, owner: ownerOf(req) });
+        res.status(201).json({ success: true, alert: created });
+    }));
+
+    router.get('/history', asyncRoute(async (req, res) => {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const history = await engine.history({
+            alertId: req.query.alert_id,
+            symbol: req.query.symbol ? String(req.query.symbol).toUpperCase() : undefined,
+            owner: ownerOf(req),
+            limit
+        });
+        res.json({ success: true, history });
+    }));
+
+    // Run one evaluation pass now instead of waiting for the scheduler
+    router.post('/evaluate', asyncRoute(async (req, res) => {
+        const result = await engine.tick();
+        res.json({ success: true, result: { ...result, triggered: result.triggered.filter(visibleTo(ownerOf(req))) } });
+    }));
+
+    router.get('/:id', asyncRoute(async (req, res) => {
+        const alert = await load(req);
+        if (!alert) return notFound(res);
+        res.json({ success: true, alert });
+    }));
+
+    router.put('/:id', validateRequest(SCHEMAS.ALERT), asyncRoute(async (req, res) => {
+        const existing = await load(req);
+        if (!existing) return notFound(res);
+
+        // Switching target replaces the old one
+        const base = { ...existing };
+        if (req.body.symbol) delete base.watchlist_id;
+        if (req.body.watchlist_id) delete base.symbol;
+
+        const { alert, error } = parseAlert(req.body, base, allowsWebhook);
+        if (error) {
+            return sendError(res, 'VALIDATION_FAILED', error);
+        }
+        if (!await checkWatchlist(req, alert)) {
+            return sendError(res, 'VALIDATION_FAILED', 'Watchlist not found');
+        }
+
+        // A changed condition starts from a clean slate
+        const conditionChanged = CONDITION_FIELDS.some(field => (alert[field] ?? null) !== (existing[field] ?? null));
+        const updated = await store.patch(ALERTS, req.params.id, conditionChanged ? { ...alert, state: {} } : alert);
+        res.json({ success: true, alert: updated });
+    }));
+
+    router.delete('/:id', asyncRoute(async (req, res) => {
+        if (!await load(req) || !await store.remove(ALERTS, req.params.id)) return notFound(res);
+        res.json({ success: true });
+    }));
+
+    return router;
+}
+
+module.exports = createAlertRouter;
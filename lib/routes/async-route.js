@@ -0,0 +1,9 @@
+/**
+ * Express 4 does not catch rejected promises from handlers;
+ * forward them to the error middleware instead
+ */
+
+const asyncRoute = (handler) => (req, res, next) =>
+    Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = asyncRoute;
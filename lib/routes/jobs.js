@@ -0,0 +1,89 @@
+/**
+ * Job routes: background analyses with their progress, as JSON or an SSE
+ * stream, and cancellation
+ */
+
+const express = require('express');
+const asyncRoute = require('./async-route');
+const { sendError } = require('../errors');
+const { SCHEMAS, validateRequest } = require('../request-schemas');
+const { ownerOf } = require('../owners');
+
+// prepare(req) checks an analyze body and returns { params, run } for the
+// queue; it throws the same errors /api/analyze answers with
+function createJobRouter({ jobs, prepare }) {
+    const router = express.Router();
+
+    // Jobs are private to the API key that submitted them
+    const load = (req, res) => {
+        const job = jobs.get(req.params.id, ownerOf(req));
+        if (!job) sendError(res, 'NOT_FOUND', 'Job not found');
+        return job;
+    };
+
+    router.post('/', validateRequest(SCHEMAS.ANALYZE), asyncRoute(async (req, res) => {
+        const { params, run } = prepare(req);
+        const job = jobs.submit({ type: 'analyze', params, owner: ownerOf(req) }, run);
+
+        req.log.info('job queued', { job_id: job.id, type: job.type, symbol: params.symbol });
+        res.status(202).location(`${req.baseUrl}/${job.id}`).json({ success: true, job: jobs.describe(job) });
+    }));
+
+    router.get('/', (req, res) => {
+        const list = jobs.list(ownerOf(req)).map(job => {
+            const { id, type, status, params, queue_position, created_at, finished_at } = jobs.describe(job);
+            return { id, type, status, params, queue_position, created_at, finished_at };
+        });
+        res.json({ success: true, queue: jobs.stats(), jobs: list });
+    });
+
+    router.get('/:id', (req, res) => {
+        const job = load(req, res);
+        if (!job) return;
+        res.json({ success: true, job: jobs.describe(job) });
+    });
+
+    // Server-sent events: `snapshot` first, then `status`, `stage` and
+    // `partial` as they happen, and `end` with the finished job
+    router.get('/:id/stream', (req, res) => {
+        const job = load(req, res);
+        if (!job) return;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        let unsubscribe = () => {};
+        // Keeps proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+        const close = () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        };
+
+        unsubscribe = jobs.subscribe(job, (message) => {
+            res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+            if (message.type === 'end') {
+                close();
+                res.end();
+            }
+        });
+        req.on('close', close);
+    });
+
+    router.delete('/:id', (req, res) => {
+        const job = load(req, res);
+        if (!job) return;
+
+        jobs.cancel(job);
+        req.log.info('job cancelled', { job_id: job.id });
+        res.json({ success: true, job: jobs.describe(job) });
+    });
+
+    return router;
+}
+
+module.exports = createJobRouter;
@@ -0,0 +1,201 @@
+/**
+ * Portfolio routes: holdings CRUD and live valuation, each portfolio
+ * visible only to the API key that created it
+ */
+
+const express = require('express');
+const asyncRoute = require('./async-route');
+const { sendError } = require('../errors');
+const { SCHEMAS, validateRequest } = require('../request-schemas');
+const crypto = require('crypto');
+const {
+    normalizeSymbol,
+    isNonEmptyString,
+    isPositiveNumber,
+    isNonNegativeNumber,
+    isIsoDate
+} = require('../validation');
+const { mapWithConcurrency } = require('../compare');
+const { valuePortfolio } = require('../portfolio');
+const { getOwned, listOwned, ownerOf } = require('../owners');
+
+const COLLECTION = 'portfolios';
+
+// Returns { holding } or { error }; `existing` is merged for partial updates
+function parseHolding(body, existing = {}) {
+    const input = { ...existing, ...body };
+    const symbol = normalizeSymbol(input.symbol);
+
+    if (!symbol) return { error: 'A valid stock symbol is required' };
+    if (!isPositiveNumber(input.quantity)) return { error: 'quantity must be a positive number' };
+    if (!isNonNegativeNumber(input.average_cost)) return { error: 'average_cost must be a non-negative number' };
+    if (input.buy_date !== undefined && input.buy_date !== null && !isIsoDate(input.buy_date)) {
+        return { error: 'buy_date must be a date in YYYY-MM-DD format' };
+    }
+
+    return {
+        holding: {
+            id: existing.id || crypto.randomUUID(),
+            symbol,
+            quantity: input.quantity,
+            average_cost: input.average_cost,
+            buy_date: input.buy_date || null
+        }
+    };
+}
+
+function parseHoldings(list) {
+    if (list === undefined) return { holdings: [] };
+    if (!Array.isArray(list)) return { error: 'holdings must be an array' };
+
+    const holdings = [];
+    for (const [i, body] of list.entries()) {
+        const { holding, error } = parseHolding(body);
+        if (error) return { error: `holdings[${i}]: ${error}` };
+        holdings.push(holding);
+    }
+    return { holdings };
+}
+
+// calendar: MarketCalendar for the market status of valuations, optional
+function createPortfolioRouter({ store, createScraper, calendar = null, concurrency = 3 }) {
+    const router = express.Router();
+
+    const notFound = (res) => sendError(res, 'NOT_FOUND', 'Portfolio not found');
+    const load = (req) => getOwned(store, COLLECTION, req.params.id, ownerOf(req));
+
+    router.get('/', asyncRoute(async (req, res) => {
+        res.json({ success: true, portfolios: await listOwned(store, COLLECTION, ownerOf(req)) });
+    }));
+
+    router.post('/', validateRequest(SCHEMAS.PORTFOLIO), asyncRoute(async (req, res) => {
+        if (!isNonEmptyString(req.body.name)) {
+            return sendError(res, 'VALIDATION_FAILED', 'Portfolio name is required');
+        }
+
+        const { holdings, error } = parseHoldings(req.body.holdings);
+        if (error) {
+            return sendError(res, 'VALIDATION_FAILED', error);
+        }
+
+        const portfolio = await store.insert(COLLECTION, { name: req.body.name.trim(), holdings, owner: ownerOf(req) });
+        res.status(201).json({ success: true, portfolio });
+    }));
+
+    router.get('/:id', asyncRoute(async (req, res) => {
+        const portfolio = await load(req);
+        if (!portfolio) return notFound(res);
+        res.json({ success: true, portfolio });
+    }));
+
+    router.put('/:id', validateRequest(SCHEMAS.PORTFOLIO), asyncRoute(async (req, res) => {
+        if (!await load(req)) return notFound(res);
+        const changes = {};
+
+        if (req.body.name !== undefined) {
+            if (!isNonEmptyString(req.body.name)) {
+                return sendError(res, 'VALIDATION_FAILED', 'Portfolio name must be a non-empty string');
+            }
+            changes.name = req.body.name.trim();
+        }
+
+        if (req.body.holdings !== undefined) {
+            const { holdings, error } = parseHoldings(req.body.holdings);
+            if (error) {
+                return sendError(res, 'VALIDATION_FAILED', error);
+            }
+            changes.holdings = holdings;
+        }
+
+        const portfolio = await store.patch(COLLECTION, req.params.id, changes);
+        if (!portfolio) return notFound(res);
+        res.json({ success: true, portfolio });
+    }));
+
+    router.delete('/:id', asyncRoute(async (req, res) => {
+        if (!await load(req) || !await store.remove(COLLECTION, req.params.id)) return notFound(res);
+        res.json({ success: true });
+    }));
+
+    router.post('/:id/holdings', validateRequest(SCHEMAS.HOLDING), asyncRoute(async (req, res) => {
+        const { holding, error } = parseHolding(req.body);
+        if (error) {
+            return sendError(res, 'VALIDATION_FAILED', error);
+        }
+        if (!await load(req)) return notFound(res);
+
+        const portfolio = await store.patch(COLLECTION, req.params.id, record => ({
+            holdings: [...record.holdings, holding]
+        }));
+        if (!portfolio) return notFound(res);
+        res.status(201).json({ success: true, holding, portfolio });
+    }));
+
+    router.put('/:id/holdings/:holdingId', validateRequest(SCHEMAS.HOLDING), asyncRoute(async (req, res) => {
+        const portfolio = await load(req);
+        if (!portfolio) return notFound(res);
+
+        const existing = portfolio.holdings.find(h => h.id === req.params.holdingId);
+        if (!existing) {
+            return sendError(res, 'NOT_FOUND', 'Holding not found');
+        }
+
+        const { holding, error } = parseHolding(req.body, existing);
+        if (error) {
+            return sendError(res, 'VALIDATION_FAILED', error);
+        }
+
+        const updated = await store.patch(COLLECTION, req.params.id, record => ({
+            holdings: record.holdings.map(h => h.id === holding.id ? holding : h)
+        }));
+        res.json({ success: true, holding, portfolio: updated });
+    }));
+
+    router.delete('/:id/holdings/:holdingId', asyncRoute(async (req, res) => {
+        const portfolio = await load(req);
+        if (!portfolio) return notFound(res);
+
+        if (!portfolio.holdings.some(h => h.id === req.params.holdingId)) {
+            return sendError(res, 'NOT_FOUND', 'Holding not found');
+        }
+
+        const updated = await store.patch(COLLECTION, req.params.id, record => ({
+            holdings: record.holdings.filter(h => h.id !== req.params.holdingId)
+        }));
+        res.json({ success: true, portfolio: updated });
+    }));
+
+    router.get('/:id/valuation', asyncRoute(async (req, res) => {
+        const portfolio = await load(req);
+        if (!portfolio) return notFound(res);
+
+        const symbols = [...new Set(portfolio.holdings.map(h => h.symbol))];
+        const results = await mapWithConcurrency(symbols, concurrency, async (symbol) => {
+            const scraper = createScraper(symbol, { log: req.log });
+            await scraper.scrapeAllSources();
+            const data = scraper.getCombinedData();
+            return { combined_data: data, risk: scraper.getScoring(data).risk.level };
+        });
+
+        const quotes = {};
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                quotes[symbols[i]] = result.value;
+            } else {
+                req.log.warn('portfolio valuation failed', { symbol: symbols[i], error: result.reason });
+                quotes[symbols[i]] = { error: result.reason.message };
+            }
+        });
+
+        res.json({
+            success: true,
+            timestamp: new Date().toISOString(),
+            market: calendar ? calendar.status('NSE') : null,
+            valuation: valuePortfolio(portfolio, quotes)
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createPortfolioRouter;
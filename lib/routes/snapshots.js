@@ -0,0 +1,67 @@
+/**
+ * Snapshot routes: saved analyses of a symbol and what changed between them
+ */
+
+const express = require('express');
+const asyncRoute = require('./async-route');
+const { sendError, classifyError } = require('../errors');
+const { SCHEMAS, validateRequest } = require('../request-schemas');
+const { diffSnapshots } = require('../snapshots');
+
+// resolveListing(input, exchange) -> { symbol, exchange }, as for /api/analyze
+function createSnapshotRouter({ snapshots, resolveListing }) {
+    const router = express.Router();
+
+    const resolve = (req, res) => {
+        try {
+            return resolveListing(req.params.symbol, req.query.exchange);
+        } catch (error) {
+            sendError(res, classifyError(error).code, error.message, error.fields);
+            return null;
+        }
+    };
+
+    router.get('/:symbol', validateRequest(SCHEMAS.SNAPSHOT_LIST, 'query'), asyncRoute(async (req, res) => {
+        const listing = resolve(req, res);
+        if (!listing) return;
+
+        const { symbol, exchange } = listing;
+        const limit = Math.min(parseInt(req.query.limit ?? '20', 10), 100);
+        const list = await snapshots.list(symbol, exchange, { limit });
+        res.json({ success: true, symbol, exchange, count: list.length, snapshots: list });
+    }));
+
+    // ?from= and ?to= take a snapshot id or a time; `to` defaults to the
+    // latest snapshot and `from` to the one before `to`
+    router.get('/:symbol/diff', asyncRoute(async (req, res) => {
+        const listing = resolve(req, res);
+        if (!listing) return;
+
+        const { symbol, exchange } = listing;
+        const { from, to } = req.query;
+        const all = await snapshots.list(symbol, exchange);
+        if (all.length === 0) {
+            return sendError(res, 'NOT_FOUND', `No snapshots of ${symbol} on ${exchange} yet`);
+        }
+
+        const after = to ? await snapshots.find(symbol, exchange, String(to)) : all[0];
+        if (!after) {
+            return sendError(res, 'NOT_FOUND', `No snapshot of ${symbol} matches to=${to}`);
+        }
+
+        const before = from
+            ? await snapshots.find(symbol, exchange, String(from))
+            : all[all.findIndex(snapshot => snapshot.id === after.id) + 1];
+        if (!before) {
+            return sendError(res, 'NOT_FOUND', from
+                ? `No snapshot of ${symbol} matches from=${from}`
+                : `No snapshot of ${symbol} before ${after.taken_at} to compare with`);
+        }
+
+        res.json({ success: true, ...diffSnapshots(before, after) });
+    }));
+
+    return router;
+}
+
+module.exports = createSnapshotRouter;
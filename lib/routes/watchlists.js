@@ -0,0 +1,114 @@
+/**
+ * Watchlist routes: named lists of symbols kept in the local store, each
+ * visible only to the API key that created it
+ */
+
+const express = require('express');
+const asyncRoute = require('./async-route');
+const { sendError } = require('../errors');
+const { SCHEMAS, validateRequest } = require('../request-schemas');
+const { normalizeSymbol, isNonEmptyString } = require('../validation');
+const { getOwned, listOwned, ownerOf } = require('../owners');
+
+const COLLECTION = 'watchlists';
+
+function parseSymbols(symbols) {
+    if (symbols === undefined) return { symbols: [] };
+    if (!Array.isArray(symbols)) return { error: 'symbols must be an array' };
+
+    const normalized = symbols.map(normalizeSymbol);
+    const invalid = symbols.filter((_, i) => normalized[i] === null);
+    if (invalid.length > 0) return { error: `Invalid symbol(s): ${invalid.join(', ')}` };
+
+    return { symbols: [...new Set(normalized)] };
+}
+
+function createWatchlistRouter({ store }) {
+    const router = express.Router();
+
+    const notFound = (res) => sendError(res, 'NOT_FOUND', 'Watchlist not found');
+    const load = (req) => getOwned(store, COLLECTION, req.params.id, ownerOf(req));
+
+    router.get('/', asyncRoute(async (req, res) => {
+        res.json({ success: true, watchlists: await listOwned(store, COLLECTION, ownerOf(req)) });
+    }));
+
+    router.post('/', validateRequest(SCHEMAS.WATCHLIST), asyncRoute(async (req, res) => {
+        const { name } = req.body;
+        if (!isNonEmptyString(name)) {
+            return sendError(res, 'VALIDATION_FAILED', 'Watchlist name is required');
+        }
+
+        const { symbols, error } = parseSymbols(req.body.symbols);
+        if (error) {
+            return sendError(res, 'VALIDATION_FAILED', error);
+        }
+
+        const watchlist = await store.insert(COLLECTION, { name: name.trim(), symbols, owner: ownerOf(req) });
+        res.status(201).json({ success: true, watchlist });
+    }));
+
+    router.get('/:id', asyncRoute(async (req, res) => {
+        const watchlist = await load(req);
+        if (!watchlist) return notFound(res);
+        res.json({ success: true, watchlist });
+    }));
+
+    router.put('/:id', validateRequest(SCHEMAS.WATCHLIST), asyncRoute(async (req, res) => {
+        if (!await load(req)) return notFound(res);
+        const changes = {};
+
+        if (req.body.name !== undefined) {
+            if (!isNonEmptyString(req.body.name)) {
+                return sendError(res, 'VALIDATION_FAILED', 'Watchlist name must be a non-empty string');
+            }
+            changes.name = req.body.name.trim();
+        }
+
+        if (req.body.symbols !== undefined) {
+            const { symbols, error } = parseSymbols(req.body.symbols);
+            if (error) {
+                return sendError(res, 'VALIDATION_FAILED', error);
+            }
+            changes.symbols = symbols;
+        }
+
+        const watchlist = await store.patch(COLLECTION, req.params.id, changes);
+        if (!watchlist) return notFound(res);
+        res.json({ success: true, watchlist });
+    }));
+
+    router.delete('/:id', asyncRoute(async (req, res) => {
+        if (!await load(req) || !await store.remove(COLLECTION, req.params.id)) return notFound(res);
+        res.json({ success: true });
+    }));
+
+    router.post('/:id/symbols', validateRequest(SCHEMAS.WATCHLIST_SYMBOL), asyncRoute(async (req, res) => {
+        const symbol = normalizeSymbol(req.body.symbol);
+        if (!symbol) {
+            return sendError(res, 'VALIDATION_FAILED', 'A valid stock symbol is required');
+        }
+        if (!await load(req)) return notFound(res);
+
+        const watchlist = await store.patch(COLLECTION, req.params.id, record => ({
+            symbols: record.symbols.includes(symbol) ? record.symbols : [...record.symbols, symbol]
+        }));
+        if (!watchlist) return notFound(res);
+        res.json({ success: true, watchlist });
+    }));
+
+    router.delete('/:id/symbols/:symbol', asyncRoute(async (req, res) => {
+        if (!await load(req)) return notFound(res);
+
+        const symbol = String(req.params.symbol).toUpperCase();
+        const watchlist = await store.patch(COLLECTION, req.params.id, record => ({
+            symbols: record.symbols.filter(s => s !== symbol)
+        }));
+        if (!watchlist) return notFound(res);
+        res.json({ success: true, watchlist });
+    }));
+
+    return router;
+}
+
+module.exports = createWatchlistRouter;
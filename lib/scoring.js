@@ -0,0 +1,345 @@
+/**
+ * Rule-based scoring engine
+ *
+ * Driven by a rules file (config/scoring-rules.json by default) with one
+ * profile per sector family. A stock is matched to the first profile whose
+ * `sectors` patterns appear in its sector or industry, else `default`.
+ * A profile has:
+ *   - valuation / risk: ordered rules, the first whose `when` holds decides
+ *     the rating (a rule without `when` always holds)
+ *   - factors: weighted metrics mapped through bands to points in [-1, 1];
+ *     the weighted average becomes a 0-100 score
+ *   - signals: independent rules that add a strength or a concern
+ * `extends` inherits from another profile: valuation and risk lists are
+ * replaced as a whole, factors and signals are merged by id (an entry with
+ * `disabled: true` drops the inherited one).
+ *
+ * Every rule evaluated is recorded in a trace saying whether it fired and why.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'config', 'scoring-rules.json');
+
+const OPERATORS = {
+    lt: { symbol: '<', test: (value, limit) => value < limit },
+    lte: { symbol: '<=', test: (value, limit) => value <= limit },
+    gt: { symbol: '>', test: (value, limit) => value > limit },
+    gte: { symbol: '>=', test: (value, limit) => value >= limit },
+    eq: { symbol: '=', test: (value, expected) => value === expected },
+    ne: { symbol: '!=', test: (value, expected) => value !== expected },
+    in: { symbol: 'in', test: (value, options) => options.includes(value) }
+};
+
+const VALUATION_RATINGS = ['Cheap', 'Fair', 'Expensive'];
+const RISK_LEVELS = ['Low', 'Moderate', 'High'];
+
+const round = (value, digits = 2) =>
+    (typeof value === 'number' && isFinite(value)) ? Number(value.toFixed(digits)) : null;
+
+const ratio = (a, b) => (typeof a === 'number' && typeof b === 'number' && b > 0) ? round(a / b) : null;
+
+// Metrics rules can use besides the combined data fields
+const DERIVED_METRICS = {
+    price_to_book: data => ratio(data.current_price, data.book_value),
+    pe_to_sector_pe: data => ratio(data.pe_ratio, data.sector_pe)
+};
+
+function metricValue(metrics, field) {
+    const value = field.split('.').reduce((object, key) => object?.[key], metrics);
+    return value === undefined || value === null || value === '' ? null : value;
+}
+
+const formatValue = (value) => typeof value === 'number' ? String(round(value)) : JSON.stringify(value);
+
+// "P/E of {pe_ratio}" -> "P/E of 22.5"
+function fillTemplate(template, metrics) {
+    return String(template).replace(/\{([\w.]+)\}/g, (match, field) => {
+        const value = metricValue(metrics, field);
+        if (value === null) return 'N/A';
+        return typeof value === 'number' ? String(round(value)) : String(value);
+    });
+}
+
+// Comparator { gt: 1, lte: 3 } (all must hold) or a bare value for equality
+function checkField(metrics, field, comparator) {
+    const value = metricValue(metrics, field);
+    if (value === null) {
+        return { matched: false, missing: true, text: `${field} not available` };
+    }
+
+    const checks = (comparator !== null && typeof comparator === 'object' && !Array.isArray(comparator))
+        ? Object.entries(comparator)
+        : [['eq', comparator]];
+
+    for (const [op, limit] of checks) {
+        if (!OPERATORS[op].test(value, limit)) {
+            return { matched: false, text: `${field} ${formatValue(value)} is not ${OPERATORS[op].symbol} ${formatValue(limit)}` };
+        }
+    }
+
+    return {
+        matched: true,
+        text: checks.map(([op, limit]) => `${field} ${formatValue(value)} ${OPERATORS[op].symbol} ${formatValue(limit)}`).join(', ')
+    };
+}
+
+// `when`: { field: comparator, ..., any: [when, ...], all: [when, ...] }
+function evaluate(when, metrics) {
+    if (!when) return { matched: true, text: 'always applies' };
+
+    const passed = [];
+    for (const [key, condition] of Object.entries(when)) {
+        if (key === 'any') {
+            const results = condition.map(branch => evaluate(branch, metrics));
+            const hit = results.find(result => result.matched);
+            if (!hit) return { matched: false, text: `none of: ${results.map(result => result.text).join('; ')}` };
+            passed.push(hit.text);
+        } else if (key === 'all') {
+            for (const branch of condition) {
+                const result = evaluate(branch, metrics);
+                if (!result.matched) return result;
+                passed.push(result.text);
+            }
+        } else {
+            const result = checkField(metrics, key, condition);
+            if (!result.matched) return result;
+            passed.push(result.text);
+        }
+    }
+
+    return { matched: true, text: passed.join(', ') };
+}
+
+function validateWhen(when, where) {
+    if (when === undefined) return;
+    if (when === null || typeof when !== 'object' || Array.isArray(when)) {
+        throw new Error(`${where}: "when" must be an object`);
+    }
+
+    for (const [key, condition] of Object.entries(when)) {
+        if (key === 'any' || key === 'all') {
+            if (!Array.isArray(condition)) throw new Error(`${where}: "${key}" must be a list of conditions`);
+            condition.forEach((branch, i) => validateWhen(branch, `${where}.${key}[${i}]`));
+        } else if (condition !== null && typeof condition === 'object' && !Array.isArray(condition)) {
+            for (const op of Object.keys(condition)) {
+                if (!OPERATORS[op]) throw new Error(`${where}: unknown operator "${op}" for ${key}`);
+            }
+            if (condition.in !== undefined && !Array.isArray(condition.in)) {
+                throw new Error(`${where}: "in" for ${key} must be a list`);
+            }
+        }
+    }
+}
+
+function mergeById(base = [], overrides = []) {
+    const merged = new Map(base.map(entry => [entry.id, entry]));
+    for (const entry of overrides) {
+        if (entry.disabled) merged.delete(entry.id);
+        else merged.set(entry.id, entry);
+    }
+    return [...merged.values()];
+}
+
+// Resolves `extends` chains and checks every rule; throws on the first problem
+function compileRules(rules) {
+    const profiles = rules?.profiles;
+    if (!profiles || typeof profiles !== 'object' || !profiles.default) {
+        throw new Error('Scoring rules need a "profiles" object with a "default" profile');
+    }
+
+    const compiled = {};
+    const resolve = (id, seen = []) => {
+        if (compiled[id]) return compiled[id];
+        if (seen.includes(id)) throw new Error(`Scoring profile "${id}" extends itself through ${seen.join(' -> ')}`);
+
+        const profile = profiles[id];
+        if (!profile) throw new Error(`Scoring profile "${seen[seen.length - 1]}" extends unknown profile "${id}"`);
+
+        const parent = profile.extends ? resolve(profile.extends, [...seen, id]) : {};
+        compiled[id] = {
+            id,
+            label: profile.label || id,
+            sectors: (profile.sectors || []).map(pattern => String(pattern).toLowerCase()),
+            valuation: profile.valuation || parent.valuation || [],
+            risk: profile.risk || parent.risk || [],
+            factors: mergeById(parent.factors, profile.factors),
+            signals: mergeById(parent.signals, profile.signals)
+        };
+        return compiled[id];
+    };
+
+    for (const id of Object.keys(profiles)) {
+        const profile = resolve(id);
+
+        profile.valuation.forEach((rule, i) => {
+            const where = `${id}.valuation[${i}]`;
+            if (!VALUATION_RATINGS.includes(rule.rating)) throw new Error(`${where}: rating must be one of ${VALUATION_RATINGS.join(', ')}`);
+            validateWhen(rule.when, where);
+        });
+        profile.risk.forEach((rule, i) => {
+            const where = `${id}.risk[${i}]`;
+            if (!RISK_LEVELS.includes(rule.level)) throw new Error(`${where}: level must be one of ${RISK_LEVELS.join(', ')}`);
+            validateWhen(rule.when, where);
+        });
+        profile.factors.forEach(factor => {
+            const where = `${id}.factors.${factor.id}`;
+            if (!factor.field || !Array.isArray(factor.bands)) throw new Error(`${where}: needs a field and bands`);
+            if (!(factor.weight > 0)) throw new Error(`${where}: weight must be a positive number`);
+            factor.bands.forEach((band, i) => {
+                if (typeof band.points !== 'number' || band.points < -1 || band.points > 1) {
+                    throw new Error(`${where}.bands[${i}]: points must be a number from -1 to 1`);
+                }
+                const { points, ...comparator } = band;
+                validateWhen({ [factor.field]: comparator }, `${where}.bands[${i}]`);
+            });
+        });
+        profile.signals.forEach(signal => {
+            const where = `${id}.signals.${signal.id}`;
+            if (!signal.strength && !signal.concern) throw new Error(`${where}: needs a strength or a concern`);
+            validateWhen(signal.when, where);
+        });
+    }
+
+    // Keep file order: sector profiles are tried top to bottom
+    return Object.fromEntries(Object.keys(profiles).map(id => [id, compiled[id]]));
+}
+
+function loadRules(file = DEFAULT_RULES_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load scoring rules from ${file}: ${error.message}`);
+    }
+}
+
+class ScoringEngine {
+    constructor(rules = loadRules()) {
+        this.profiles = compileRules(rules);
+    }
+
+    static fromFile(file) {
+        return new ScoringEngine(loadRules(file || DEFAULT_RULES_FILE));
+    }
+
+    // First non-default profile with a sector pattern found in the stock's
+    // sector or industry
+    profileFor(data) {
+        const text = [data.sector, data.industry].filter(Boolean).join(' | ').toLowerCase();
+
+        if (text) {
+            for (const profile of Object.values(this.profiles)) {
+                if (profile.id === 'default') continue;
+                const pattern = profile.sectors.find(candidate => text.includes(candidate));
+                if (pattern) return { profile, matched: `"${pattern}" in ${text}` };
+            }
+        }
+
+        return { profile: this.profiles.default, matched: null };
+    }
+
+    score(data) {
+        const metrics = { ...data };
+        for (const [name, derive] of Object.entries(DERIVED_METRICS)) {
+            if (metrics[name] === undefined || metrics[name] === null) metrics[name] = derive(data);
+        }
+
+        const { profile, matched } = this.profileFor(data);
+        const trace = [{
+            section: 'profile',
+            rule: profile.id,
+            fired: true,
+            reason: matched ? `sector matched ${matched}` : 'no sector-specific profile matched'
+        }];
+
+        // First matching rule of an ordered list
+        const classify = (section, rules, key, fallback) => {
+            for (const rule of rules) {
+                const result = evaluate(rule.when, metrics);
+                trace.push({ section, rule: rule.id, fired: result.matched, reason: result.text });
+                if (result.matched) {
+                    return { [key]: rule[key], reason: fillTemplate(rule.reason || '', metrics), rule: rule.id };
+                }
+            }
+            return { [key]: fallback, reason: 'No rule matched', rule: null };
+        };
+
+        const valuation = classify('valuation', profile.valuation, 'rating', 'Fair');
+        const risk = classify('risk', profile.risk, 'level', 'Moderate');
+
+        const factors = [];
+        for (const factor of profile.factors) {
+            const value = metricValue(metrics, factor.field);
+            if (value === null) {
+                trace.push({ section: 'factor', rule: factor.id, fired: false, reason: `${factor.field} not available, weight ${factor.weight} left out` });
+                continue;
+            }
+
+            const band = factor.bands.find(({ points, ...comparator }) => checkField(metrics, factor.field, comparator).matched);
+            if (!band) {
+                trace.push({ section: 'factor', rule: factor.id, fired: false, reason: `${factor.field} ${formatValue(value)} falls in no band` });
+                continue;
+            }
+
+            const { points, ...comparator } = band;
+            const condition = Object.keys(comparator).length ? checkField(metrics, factor.field, comparator).text : `${factor.field} ${formatValue(value)}`;
+            factors.push({ id: factor.id, label: factor.label || factor.id, field: factor.field, value, weight: factor.weight, points });
+            trace.push({
+                section: 'factor',
+                rule: factor.id,
+                fired: true,
+                reason: `${condition} -> ${points >= 0 ? '+' : ''}${points} x weight ${factor.weight}`,
+                points,
+                weight: factor.weight
+            });
+        }
+
+        const strengths = [];
+        const concerns = [];
+        for (const signal of profile.signals) {
+            const result = evaluate(signal.when, metrics);
+            trace.push({ section: 'signal', rule: signal.id, fired: result.matched, reason: result.text });
+            if (!result.matched) continue;
+
+            if (signal.strength) strengths.push(fillTemplate(signal.strength, metrics));
+            if (signal.concern) concerns.push(fillTemplate(signal.concern, metrics));
+        }
+
+        // Weighted average of points over the factors that had data, as 0-100
+        const totalWeight = profile.factors.reduce((sum, factor) => sum + factor.weight, 0);
+        const usedWeight = factors.reduce((sum, factor) => sum + factor.weight, 0);
+        const weighted = factors.reduce((sum, factor) => sum + factor.weight * factor.points, 0);
+
+        return {
+            score: usedWeight > 0 ? Math.round(50 + 50 * weighted / usedWeight) : null,
+            coverage: totalWeight > 0 ? round(usedWeight / totalWeight) : 0,
+            profile: { id: profile.id, label: profile.label },
+            valuation,
+            risk,
+            strengths,
+            concerns,
+            factors: factors.map(factor => ({ ...factor, contribution: round(50 * factor.weight * factor.points / usedWeight) })),
+            trace
+        };
+    }
+
+    describe() {
+        return Object.values(this.profiles).map(profile => ({
+            id: profile.id,
+            label: profile.label,
+            sectors: profile.sectors,
+            factors: profile.factors.map(({ id, label, field, weight }) => ({ id, label: label || id, field, weight }))
+        }));
+    }
+}
+
+module.exports = {
+    DEFAULT_RULES_FILE,
+    RISK_LEVELS,
+    ScoringEngine,
+    VALUATION_RATINGS,
+    compileRules,
+    evaluate,
+    loadRules
+};
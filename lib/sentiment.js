@@ -0,0 +1,84 @@
+/**
+ * Lexicon sentiment for corporate announcements and market headlines
+ *
+ * Scores a short text from weighted terms that matter to an equity holder
+ * (results, orders, dividends, penalties, resignations, defaults...). Phrases
+ * are matched before single words, and a negator up to two words before a
+ * term cancels it ("no penalty" is not good news, only not bad news). The
+ * summed weight is squashed into -1..1. Routine filings (trading window
+ * closures, newspaper publications, compliance certificates) have no scored
+ * terms and come out neutral.
+ */
+
+// term -> weight; multi-word entries are phrases
+const LEXICON = {
+    // Results and guidance
+    'beats estimates': 3, 'record profit': 3, 'profit rises': 2, 'profit jumps': 3, 'profit up': 2,
+    'revenue rises': 2, 'margin expansion': 2, 'raises guidance': 3, 'strong demand': 2,
+    'misses estimates': -3, 'profit falls': -2, 'profit drops': -2, 'profit down': -2, 'net loss': -2,
+    'revenue falls': -2, 'margin pressure': -2, 'cuts guidance': -3, 'weak demand': -2,
+    // Business
+    'order win': 2, 'bags order': 2, 'wins order': 2, 'wins contract': 2, 'bags contract': 2,
+    'deal win': 2, 'new order': 2, 'capacity expansion': 2, 'joint venture': 1,
+    acquisition: 1, acquires: 1, partnership: 1, partners: 1, expansion: 1, launch: 1, launches: 1,
+    // Shareholder returns
+    'special dividend': 3, 'bonus issue': 2, 'stock split': 1, 'sub-division': 1,
+    dividend: 1, buyback: 2, bonus: 1,
+    // Ratings and the market
+    upgrade: 2, upgrades: 2, upgraded: 2, outperform: 2, overweight: 1, 'target raised': 2,
+    downgrade: -2, downgrades: -2, downgraded: -2, underperform: -2, underweight: -1, 'target cut': -2,
+    surge: 2, surges: 2, soar: 2, soars: 2, jump: 2, jumps: 2, rally: 2, rallies: 2, gain: 1, gains: 1, rise: 1, rises: 1,
+    plunge: -3, plunges: -3, slump: -2, slumps: -2, tumble: -2, tumbles: -2, crash: -3, crashes: -3,
+    fall: -1, falls: -1, drop: -1, drops: -1, decline: -1, declines: -1,
+    // Governance, legal and credit
+    'show cause': -2, 'search and seizure': -3, 'income tax raid': -3, 'tax demand': -2,
+    'insolvency petition': -3, 'pledge invoked': -3, 'invocation of pledge': -3, 'auditor resigns': -3,
+    fraud: -3, default: -3, defaults: -3, insolvency: -3, raid: -2, probe: -2, investigation: -2,
+    penalty: -2, penalised: -2, penalized: -2, fined: -2, litigation: -1, lawsuit: -2,
+    resignation: -1, resigns: -1, layoffs: -2, strike: -1, downtime: -1, outage: -2, recall: -2,
+    pledge: -1, delay: -1, delayed: -1, suspension: -2, suspended: -2
+};
+
+const NEGATORS = new Set(['no', 'not', 'without', 'denies', 'deny', 'never']);
+
+const PHRASES = Object.keys(LEXICON).filter(term => term.includes(' ')).sort((a, b) => b.length - a.length);
+
+// Squashes a summed weight into -1..1 (as VADER does)
+const ALPHA = 15;
+const THRESHOLD = 0.2;
+
+const tokenize = (text) => String(text || '').toLowerCase().match(/[a-z][a-z-]*/g) || [];
+
+// { label: 'positive' | 'negative' | 'neutral', score (-1..1), terms }
+function scoreText(text) {
+    const tokens = tokenize(text);
+    const terms = [];
+    let total = 0;
+
+    for (let i = 0; i < tokens.length; i++) {
+        const phrase = PHRASES.find(candidate => {
+            const words = candidate.split(' ');
+            return words.every((word, offset) => tokens[i + offset] === word);
+        });
+        const term = phrase || tokens[i];
+        const weight = LEXICON[term];
+        if (weight === undefined) continue;
+
+        const negated = tokens.slice(Math.max(0, i - 2), i).some(token => NEGATORS.has(token));
+        if (!negated) total += weight;
+        terms.push(negated ? `not ${term}` : term);
+        if (phrase) i += phrase.split(' ').length - 1;
+    }
+
+    const score = total / Math.sqrt(total * total + ALPHA);
+    return {
+        label: score >= THRESHOLD ? 'positive' : score <= -THRESHOLD ? 'negative' : 'neutral',
+        score: Number(score.toFixed(3)),
+        terms
+    };
+}
+
+module.exports = {
+    LEXICON,
+    scoreText
+};
@@ -0,0 +1,218 @@
+/**
+ * Analysis snapshots and what changed between them
+ *
+ * Every /api/analyze result is kept as a snapshot: the combined data, the
+ * rule-based summary and score, the final (AI or basic) analysis and the
+ * sources used, but not the raw source payloads. Each symbol has its own
+ * JsonStore file, <dir>/<exchange>/<symbol>.json, with its latest `limit`
+ * snapshots, so a save rewrites one symbol's history and not everyone's.
+ * diffSnapshots() compares two of them on what people come back to check:
+ * price, P/E, ROE, market cap, the score and the valuation and risk calls.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const COLLECTION = 'snapshots';
+const DEFAULT_LIMIT = 100;
+
+const number = (value) => typeof value === 'number' && isFinite(value) ? value : null;
+const round = (value) => Math.round(value * 100) / 100;
+
+const METRICS = [
+    { field: 'current_price', label: 'Price', read: snapshot => snapshot.combined_data?.current_price },
+    { field: 'pe_ratio', label: 'P/E Ratio', read: snapshot => snapshot.combined_data?.pe_ratio },
+    { field: 'roe', label: 'ROE', read: snapshot => snapshot.combined_data?.roe },
+    { field: 'market_cap', label: 'Market Cap', read: snapshot => snapshot.combined_data?.market_cap },
+    { field: 'score', label: 'Score', read: snapshot => snapshot.scoring?.score }
+];
+
+// The final analysis (AI, or the rules when no model answered) and the
+// rule-based calls it started from
+const VERDICTS = [
+    { field: 'valuation', label: 'Valuation', read: snapshot => snapshot.analysis?.valuation?.rating },
+    { field: 'risk', label: 'Risk Level', read: snapshot => snapshot.analysis?.risk?.level },
+    { field: 'rule_valuation', label: 'Rule-Based Valuation', read: snapshot => snapshot.scoring?.valuation },
+    { field: 'rule_risk', label: 'Rule-Based Risk', read: snapshot => snapshot.scoring?.risk }
+];
+
+// result: an /api/analyze response
+function buildSnapshot(result) {
+    const { scoring } = result;
+
+    return {
+        symbol: result.symbol,
+        exchange: result.exchange,
+        taken_at: result.timestamp,
+        market_status: result.market?.status || null,
+        combined_data: result.combined_data,
+        summary: result.summary,
+        final_summary: result.final_summary,
+        analysis: result.analysis || null,
+        ai_model: result.ai_model,
+        ai_provider: result.ai_provider || null,
+        scoring: scoring ? {
+            score: scoring.score,
+            profile: scoring.profile.id,
+            valuation: scoring.valuation.rating,
+            risk: scoring.risk.level
+        } : null,
+        sources: result.sources,
+        events: result.events?.summary || null
+    };
+}
+
+// How `to` differs from `from`: numbers with their change, verdicts and
+// sources; `changed` lists the fields that moved
+function diffSnapshots(from, to) {
+    const metrics = METRICS.map(({ field, label, read }) => {
+        const before = number(read(from));
+        const after = number(read(to));
+        const both = before !== null && after !== null;
+        const change = both ? round(after - before) : null;
+
+        return {
+            field,
+            label,
+            from: before,
+            to: after,
+            change,
+            change_percent: both && before !== 0 ? round((after - before) / Math.abs(before) * 100) : null,
+            changed: both ? change !== 0 : before !== after
+        };
+    });
+
+    const verdicts = VERDICTS.map(({ field, label, read }) => {
+        const before = read(from) ?? null;
+        const after = read(to) ?? null;
+        return { field, label, from: before, to: after, changed: before !== after };
+    });
+
+    const sourcesBefore = from.sources || [];
+    const sourcesAfter = to.sources || [];
+
+    return {
+        symbol: to.symbol,
+        exchange: to.exchange,
+        from: { id: from.id, taken_at: from.taken_at },
+        to: { id: to.id, taken_at: to.taken_at },
+        changed: [...metrics, ...verdicts].filter(entry => entry.changed).map(entry => entry.field),
+        metrics,
+        verdicts,
+        sources: {
+            added: sourcesAfter.filter(source => !sourcesBefore.includes(source)),
+            removed: sourcesBefore.filter(source => !sourcesAfter.includes(source))
+        }
+    };
+}
+
+const byTime = (a, b) => Date.parse(a.taken_at) - Date.parse(b.taken_at);
+
+// Keeps the latest `limit` of one symbol's snapshots, oldest first
+const trim = (records, limit) => {
+    records.sort(byTime);
+    records.splice(0, Math.max(records.length - limit, 0));
+};
+
+class SnapshotStore {
+    constructor(options) {
+        this.dir = options.dir;
+        this.limit = options.limit ?? DEFAULT_LIMIT;
+        // legacyFile: the single snapshots.json of earlier versions, split
+        // into per-symbol files on first use
+        this.legacyFile = options.legacyFile || null;
+        this.stores = new Map();
+        this.migration = null;
+    }
+
+    storeFor(symbol, exchange) {
+        const file = path.join(this.dir, exchange, `${encodeURIComponent(symbol)}.json`);
+        if (!this.stores.has(file)) this.stores.set(file, new JsonStore(file));
+        return this.stores.get(file);
+    }
+
+    // Moves the legacy file's snapshots into the per-symbol files, then
+    // renames it to <file>.migrated so it is not read again
+    migrate() {
+        if (!this.migration) {
+            // A failed migration is tried again on the next call
+            this.migration = this.migrateLegacy().catch(error => {
+                this.migration = null;
+                throw error;
+            });
+        }
+        return this.migration;
+    }
+
+    async migrateLegacy() {
+        if (!this.legacyFile) return 0;
+
+        let legacy;
+        try {
+            legacy = JSON.parse(await fs.readFile(this.legacyFile, 'utf8'))[COLLECTION] || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        const groups = new Map();
+        for (const snapshot of legacy) {
+            const key = `${snapshot.exchange}:${snapshot.symbol}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(snapshot);
+        }
+
+        for (const snapshots of groups.values()) {
+            const { symbol, exchange } = snapshots[0];
+            await this.storeFor(symbol, exchange).update(COLLECTION, records => {
+                const known = new Set(records.map(record => record.id));
+                records.push(...snapshots.filter(snapshot => !known.has(snapshot.id)));
+                trim(records, this.limit);
+            });
+        }
+
+        await fs.rename(this.legacyFile, `${this.legacyFile}.migrated`);
+        return legacy.length;
+    }
+
+    // Saves the analysis and drops the oldest snapshots past the limit
+    async save(result) {
+        await this.migrate();
+        const snapshot = { id: crypto.randomUUID(), ...buildSnapshot(result) };
+
+        await this.storeFor(snapshot.symbol, snapshot.exchange).update(COLLECTION, records => {
+            records.push(snapshot);
+            trim(records, this.limit);
+        });
+
+        return snapshot;
+    }
+
+    // Newest first
+    async list(symbol, exchange, { limit } = {}) {
+        await this.migrate();
+        const snapshots = [...await this.storeFor(symbol, exchange).list(COLLECTION)].reverse();
+        return limit ? snapshots.slice(0, limit) : snapshots;
+    }
+
+    // `ref` is a snapshot id, or a time: the last snapshot taken by then
+    async find(symbol, exchange, ref) {
+        const snapshots = await this.list(symbol, exchange);
+        const byId = snapshots.find(snapshot => snapshot.id === ref);
+        if (byId) return byId;
+
+        const time = Date.parse(ref);
+        if (Number.isNaN(time)) return null;
+        return snapshots.find(snapshot => Date.parse(snapshot.taken_at) <= time) || null;
+    }
+}
+
+module.exports = {
+    METRICS,
+    SnapshotStore,
+    VERDICTS,
+    buildSnapshot,
+    diffSnapshots
+};
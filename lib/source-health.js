@@ -0,0 +1,106 @@
+/**
+ * Per-source health from recent upstream fetches
+ *
+ * Every real fetch (not cache hits) is recorded with its outcome. A source's
+ * status comes from its recent error rate and its host's circuit breaker:
+ *
+ *   ok        recent fetches mostly succeed
+ *   degraded  at least half of the recent fetches failed
+ *   down      every recent fetch failed, or the circuit is open
+ *   unknown   no fetch in the window yet
+ *
+ * The service is degraded when any enabled source is degraded or down, and
+ * down when every enabled source is.
+ */
+
+const { systemClock } = require('./clock');
+
+const DEGRADED_ERROR_RATE = 0.5;
+
+class SourceHealth {
+    constructor(options = {}) {
+        // Outcomes kept per source, and how old they may be
+        this.window = options.window || 20;
+        this.maxAgeMs = options.maxAgeMs ?? 15 * 60 * 1000;
+        this.clock = options.clock || systemClock;
+        this.sources = new Map();
+    }
+
+    entry(source) {
+        let entry = this.sources.get(source);
+        if (!entry) {
+            entry = { outcomes: [], lastSuccess: null, lastFailure: null, lastError: null };
+            this.sources.set(source, entry);
+        }
+        return entry;
+    }
+
+    record(source, { ok, durationMs = null, error = null }) {
+        const now = this.clock.now();
+        const entry = this.entry(source);
+
+        entry.outcomes.push({ ok, at: now, durationMs });
+        if (entry.outcomes.length > this.window) entry.outcomes.shift();
+
+        if (ok) {
+            entry.lastSuccess = now;
+        } else {
+            entry.lastFailure = now;
+            entry.lastError = error ? String(error.message || error) : null;
+        }
+    }
+
+    // Health of one source; `circuit` is its host's breaker state, if known
+    check(source, circuit = null) {
+        const entry = this.entry(source);
+        const since = this.clock.now() - this.maxAgeMs;
+        const recent = entry.outcomes.filter(outcome => outcome.at >= since);
+        const failures = recent.filter(outcome => !outcome.ok).length;
+        const errorRate = recent.length ? failures / recent.length : null;
+        const timed = recent.filter(outcome => outcome.ok && outcome.durationMs !== null);
+
+        let status = 'ok';
+        if (circuit === 'open' || (recent.length > 0 && failures === recent.length)) status = 'down';
+        else if (recent.length === 0) status = 'unknown';
+        else if (errorRate >= DEGRADED_ERROR_RATE) status = 'degraded';
+
+        const iso = (ms) => ms === null ? null : new Date(ms).toISOString();
+        return {
+            status,
+            last_success: iso(entry.lastSuccess),
+            last_failure: iso(entry.lastFailure),
+            last_error: entry.lastError,
+            recent_fetches: recent.length,
+            recent_error_rate: errorRate === null ? null : Number(errorRate.toFixed(2)),
+            avg_latency_ms: timed.length ? Math.round(timed.reduce((sum, outcome) => sum + outcome.durationMs, 0) / timed.length) : null,
+            circuit
+        };
+    }
+
+    // { status, sources } for the registered adapters; `upstream` is
+    // HttpClient.stats(), keyed by host
+    describe(adapters, upstream = {}) {
+        const sources = {};
+        for (const adapter of adapters) {
+            const host = adapter.baseUrl ? new URL(adapter.baseUrl).host : null;
+            sources[adapter.name] = {
+                label: adapter.label,
+                enabled: adapter.enabled,
+                host,
+                ...this.check(adapter.name, upstream[host]?.circuit?.state || null)
+            };
+        }
+
+        const enabled = Object.values(sources).filter(source => source.enabled);
+        const down = enabled.filter(source => source.status === 'down').length;
+        const degraded = enabled.filter(source => source.status === 'degraded').length;
+
+        let status = 'ok';
+        if (enabled.length > 0 && down === enabled.length) status = 'down';
+        else if (down > 0 || degraded > 0) status = 'degraded';
+
+        return { status, sources };
+    }
+}
+
+module.exports = SourceHealth;
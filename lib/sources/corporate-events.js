@@ -0,0 +1,181 @@
+/**
+ * Corporate events source: NSE filings and market headlines
+ *
+ * Collects what has happened to a company rather than its quote: corporate
+ * announcements, board meetings and corporate actions (dividends, splits,
+ * bonuses, buybacks) from the NSE APIs next to quote-equity, and headlines
+ * from the Google News RSS search for the company's name. Each feed is
+ * fetched on its own; the ones that fail are listed in `errors` and the
+ * fetch only fails when all of them do.
+ *
+ * An events source (kind 'events') provides no combined fields. fetch()
+ * returns { items, errors }, items being { type, date (ISO), title, detail,
+ * url, source } with type 'announcement', 'board_meeting',
+ * 'corporate_action' or 'headline'. lib/events.js picks the recent ones and
+ * scores their sentiment.
+ */
+
+const cheerio = require('cheerio');
+const SourceAdapter = require('./source-adapter');
+const NSESource = require('./nse');
+const { getBrowserHeaders } = require('../http');
+
+const MAX_DETAIL_LENGTH = 500;
+
+// "27-Feb-2026 19:02:11" or "09-Apr-2026", IST; NSE leaves empty dates as "-"
+const parseNseDate = (value) => {
+    const text = String(value || '').trim();
+    return NSESource.parseTimestamp(/^\d{2}-[A-Za-z]{3}-\d{4}$/.test(text) ? `${text} 00:00:00` : text);
+};
+
+const clean = (text) => {
+    const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+    if (!value || value === '-') return null;
+    return value.length > MAX_DETAIL_LENGTH ? `${value.slice(0, MAX_DETAIL_LENGTH - 1)}…` : value;
+};
+
+const link = (url) => /^https?:\/\//.test(String(url || '')) ? url : null;
+
+// Google News titles end in " - <publisher>"
+const stripPublisher = (title, publisher) =>
+    publisher && title.endsWith(` - ${publisher}`) ? title.slice(0, -publisher.length - 3) : title;
+
+class CorporateEventsSource extends SourceAdapter {
+    constructor(options = {}) {
+        super({
+            name: 'events',
+            label: 'NSE Filings & News',
+            kind: 'events',
+            priority: 50,
+            timeout: 10000,
+            cacheTtl: 10 * 60 * 1000,
+            staleTtl: 60 * 60 * 1000,
+            exchanges: ['NSE', 'BSE'],
+            ...options
+        });
+
+        this.baseUrl = options.baseUrl || 'https://www.nseindia.com';
+        this.newsUrl = options.newsUrl || 'https://news.google.com';
+
+        // Same session cookies as the NSE quote API
+        this.http.configureHost(new URL(this.baseUrl).host, {
+            rate: 3,
+            burst: 3,
+            session: { url: `${this.baseUrl}/`, ttl: 4 * 60 * 1000 }
+        });
+        this.http.configureHost(new URL(this.newsUrl).host, { rate: 1, burst: 2 });
+    }
+
+    async fetch({ symbol, exchange = 'NSE', listing, log }) {
+        // Filings are filed under the NSE symbol; BSE-only companies have none
+        const nseSymbol = exchange === 'NSE' ? symbol : listing?.nse_symbol;
+        const context = { symbol, nseSymbol, name: listing?.name || symbol, log };
+
+        const feeds = {
+            headlines: () => this.fetchHeadlines(context)
+        };
+        if (nseSymbol) {
+            Object.assign(feeds, {
+                announcements: () => this.fetchAnnouncements(context),
+                board_meetings: () => this.fetchBoardMeetings(context),
+                corporate_actions: () => this.fetchCorporateActions(context)
+            });
+        }
+
+        const names = Object.keys(feeds);
+        const results = await Promise.allSettled(names.map(name => feeds[name]()));
+
+        const items = [];
+        const errors = {};
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') items.push(...result.value);
+            else errors[names[i]] = result.reason.message;
+        });
+
+        if (Object.keys(errors).length === names.length) {
+            throw new Error(`No event feed answered: ${Object.entries(errors).map(([name, message]) => `${name} (${message})`).join(', ')}`);
+        }
+
+        return { items, errors };
+    }
+
+    async getNse(path, { symbol, nseSymbol, log }) {
+        const response = await this.http.get(`${this.baseUrl}${path}`, {
+            headers: {
+                ...getBrowserHeaders(),
+                'Accept': 'application/json, text/plain, */*',
+                'Referer': `${this.baseUrl}/get-quotes/equity?symbol=${encodeURIComponent(nseSymbol)}`,
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            params: { index: 'equities', symbol: nseSymbol },
+            timeout: this.timeout,
+            log,
+            fixture: { source: this.name, symbol }
+        });
+        return Array.isArray(response.data) ? response.data : (response.data?.data || []);
+    }
+
+    async fetchAnnouncements(context) {
+        const rows = await this.getNse('/api/corporate-announcements', context);
+        return rows.map(row => ({
+            type: 'announcement',
+            date: parseNseDate(row.an_dt || row.exchdisstime),
+            title: clean(row.desc) || 'Announcement',
+            detail: clean(row.attchmntText),
+            url: link(row.attchmntFile),
+            source: 'NSE'
+        }));
+    }
+
+    async fetchBoardMeetings(context) {
+        const rows = await this.getNse('/api/corporate-board-meetings', context);
+        return rows.map(row => ({
+            type: 'board_meeting',
+            date: parseNseDate(row.bm_date),
+            title: `Board meeting: ${clean(row.bm_purpose) || 'purpose not stated'}`,
+            detail: clean(row.bm_desc),
+            url: link(row.attachment),
+            source: 'NSE'
+        }));
+    }
+
+    async fetchCorporateActions(context) {
+        const rows = await this.getNse('/api/corporates-corporateActions', context);
+        return rows.map(row => ({
+            type: 'corporate_action',
+            date: parseNseDate(row.exDate),
+            title: clean(row.subject) || 'Corporate action',
+            detail: clean(row.recDate) && `Record date ${clean(row.recDate)}`,
+            url: null,
+            source: 'NSE'
+        }));
+    }
+
+    async fetchHeadlines({ symbol, name, log }) {
+        const company = name.replace(/\s+(limited|ltd\.?)$/i, '');
+        const response = await this.http.get(`${this.newsUrl}/rss/search`, {
+            headers: getBrowserHeaders(),
+            params: { q: `"${company}"`, hl: 'en-IN', gl: 'IN', ceid: 'IN:en' },
+            timeout: this.timeout,
+            log,
+            fixture: { source: this.name, symbol }
+        });
+
+        const $ = cheerio.load(String(response.data), { xmlMode: true });
+        return $('item').toArray().map(element => {
+            const item = $(element);
+            const publisher = clean(item.find('source').text());
+            const published = Date.parse(item.find('pubDate').text());
+            return {
+                type: 'headline',
+                date: Number.isNaN(published) ? null : new Date(published).toISOString(),
+                title: stripPublisher(clean(item.find('title').text()) || '', publisher),
+                detail: null,
+                url: link(item.find('link').text().trim()),
+                source: publisher || 'Google News'
+            };
+        }).filter(headline => headline.title);
+    }
+}
+
+module.exports = CorporateEventsSource;
@@ -0,0 +1,86 @@
+/**
+ * Default source registry
+ *
+ * Built-in adapters are registered here. In-house feeds can be added without
+ * touching the scraper by listing modules in SOURCE_PLUGINS (comma separated
+ * paths). A plugin module exports an adapter, an array of adapters, or a
+ * function that receives the registry.
+ *
+ * CACHE_TTL_<SOURCE> (seconds, e.g. CACHE_TTL_SCREENER=3600) overrides the
+ * cache freshness of a source.
+ *
+ * Built-ins share the default HTTP client; pass options.http to give them
+ * another one (e.g. pointed at a mock server in tests).
+ */
+
+const path = require('path');
+const { logger } = require('../logger');
+const SourceAdapter = require('./source-adapter');
+const SourceRegistry = require('./registry');
+const YahooFinanceSource = require('./yahoo-finance');
+const NSESource = require('./nse');
+const ScreenerSource = require('./screener');
+const MoneyControlSource = require('./moneycontrol');
+const CorporateEventsSource = require('./corporate-events');
+
+function loadSourcePlugins(registry, specifiers) {
+    const list = Array.isArray(specifiers) ? specifiers : String(specifiers).split(',');
+
+    for (const specifier of list.map(s => s.trim()).filter(Boolean)) {
+        const modulePath = specifier.startsWith('.') ? path.resolve(process.cwd(), specifier) : specifier;
+        const plugin = require(modulePath);
+
+        if (typeof plugin === 'function' && !(plugin.prototype instanceof SourceAdapter)) {
+            plugin(registry, { SourceAdapter });
+        } else if (typeof plugin === 'function') {
+            registry.register(new plugin());
+        } else {
+            [].concat(plugin).forEach(adapter => registry.register(adapter));
+        }
+
+        logger.info('loaded source plugin', { plugin: specifier });
+    }
+}
+
+function createDefaultRegistry(options = {}) {
+    const registry = new SourceRegistry();
+    const adapterOptions = options.http ? { http: options.http } : {};
+
+    registry
+        .register(new YahooFinanceSource(adapterOptions))
+        .register(new NSESource(adapterOptions))
+        .register(new ScreenerSource(adapterOptions))
+        .register(new MoneyControlSource(adapterOptions))
+        .register(new CorporateEventsSource(adapterOptions));
+
+    const plugins = options.plugins ?? process.env.SOURCE_PLUGINS;
+    if (plugins) {
+        loadSourcePlugins(registry, plugins);
+    }
+
+    for (const adapter of registry.list()) {
+        const ttl = process.env[`CACHE_TTL_${adapter.name.toUpperCase()}`];
+        if (ttl !== undefined && !isNaN(parseFloat(ttl))) {
+            adapter.cacheTtl = parseFloat(ttl) * 1000;
+        }
+    }
+
+    const enabled = options.sources ?? process.env.SOURCES;
+    if (enabled) {
+        registry.configure(enabled);
+    }
+
+    return registry;
+}
+
+module.exports = {
+    SourceAdapter,
+    SourceRegistry,
+    YahooFinanceSource,
+    NSESource,
+    ScreenerSource,
+    MoneyControlSource,
+    CorporateEventsSource,
+    createDefaultRegistry,
+    loadSourcePlugins
+};
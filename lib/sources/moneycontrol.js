@@ -0,0 +1,196 @@
+/**
+ * MoneyControl stock page scraper
+ *
+ * MoneyControl keys its pages by company slug, not NSE symbol, so a symbol is
+ * first resolved through the site's autosuggest API (cached for the life of
+ * the process), then the company page is parsed for the NSE or BSE quote
+ * block and the overview table.
+ */
+
+const cheerio = require('cheerio');
+const SourceAdapter = require('./source-adapter');
+const { getBrowserHeaders } = require('../http');
+
+const parseNumber = (text) => {
+    const cleaned = String(text ?? '').replace(/[₹,%\s]/g, '');
+    return cleaned === '' || isNaN(Number(cleaned)) ? null : Number(cleaned);
+};
+
+// Quote block element ids per exchange
+const QUOTE_BLOCKS = {
+    NSE: { current: '#nsecp', change: '#nsechange', day_low: '#sp_low', day_high: '#sp_high', low_52w: '#sp_yearlow', high_52w: '#sp_yearhigh' },
+    BSE: { current: '#bsecp', change: '#bsechange', day_low: '#b_low', day_high: '#b_high', low_52w: '#b_yearlow', high_52w: '#b_yearhigh' }
+};
+
+// Overview table labels -> field; matched case-insensitively on the cell text
+const OVERVIEW_LABELS = [
+    [/^(ttm\s+)?p\/?e$/i, 'pe_ratio'],
+    [/^(ttm\s+)?eps/i, 'eps'],
+    [/^dividend yield/i, 'dividend_yield'],
+    [/^(sector|industry)\s+p\/?e$/i, 'sector_pe'],
+    [/^book value/i, 'book_value'],
+    [/^market cap/i, 'market_cap']
+];
+
+class MoneyControlSource extends SourceAdapter {
+    constructor(options = {}) {
+        super({
+            name: 'moneycontrol',
+            label: 'MoneyControl',
+            priority: 40,
+            timeout: 10000,
+            cacheTtl: 5 * 60 * 1000,
+            staleTtl: 15 * 60 * 1000,
+            exchanges: ['NSE', 'BSE'],
+            fields: {
+                current_price: 'price.current',
+                change_percent: 'price.change_percent',
+                company_name: 'company_name',
+                pe_ratio: 'ratios.pe_ratio',
+                market_cap: 'ratios.market_cap',
+                book_value: 'ratios.book_value',
+                sector: 'sector',
+                eps: 'ratios.eps',
+                dividend_yield: 'ratios.dividend_yield',
+                sector_pe: 'ratios.sector_pe',
+                day_low: 'price.day_low',
+                day_high: 'price.day_high',
+                low_52w: 'price.low_52w',
+                high_52w: 'price.high_52w'
+            },
+            ...options
+        });
+
+        this.baseUrl = options.baseUrl || 'https://www.moneycontrol.com';
+        this.pageUrls = new Map();
+
+        this.http.configureHost(new URL(this.baseUrl).host, { rate: 1, burst: 2 });
+    }
+
+    async fetch({ symbol, exchange = 'NSE', listing, log }) {
+        // One page per company; autosuggest knows it by NSE symbol or BSE code
+        const fixture = { source: this.name, symbol };
+        const pageUrl = await this.resolvePageUrl(listing?.nse_symbol || listing?.bse_code || symbol, { log, fixture });
+
+        const response = await this.http.get(pageUrl, {
+            headers: getBrowserHeaders(),
+            timeout: this.timeout,
+            log,
+            fixture
+        });
+
+        const data = this.parse(response.data, exchange);
+        if (data.price.current === null) {
+            throw new Error(`MoneyControl page for ${symbol} has no ${exchange} price`);
+        }
+
+        return { ...data, page_url: pageUrl };
+    }
+
+    // options: { log, fixture } passed on to the HTTP client
+    async resolvePageUrl(symbol, { log, fixture } = {}) {
+        if (this.pageUrls.has(symbol)) return this.pageUrls.get(symbol);
+
+        const response = await this.http.get(`${this.baseUrl}/mccode/common/autosuggestion_solr.php`, {
+            headers: {
+                ...getBrowserHeaders(),
+                'Accept': 'application/json, text/plain, */*'
+            },
+            params: { classic: 'true', query: symbol, type: 1, format: 'json' },
+            timeout: this.timeout,
+            log,
+            fixture
+        });
+
+        const pageUrl = MoneyControlSource.parseSuggestions(response.data, symbol);
+        if (!pageUrl) {
+            throw new Error(`MoneyControl has no company page for ${symbol}`);
+        }
+
+        this.pageUrls.set(symbol, pageUrl);
+        return pageUrl;
+    }
+
+    // Autosuggest rows carry "Name <span>ISIN, NSE symbol, BSE code</span>";
+    // only an exact symbol or code match counts
+    static parseSuggestions(body, symbol) {
+        let suggestions = body;
+        if (typeof body === 'string') {
+            try {
+                suggestions = JSON.parse(body);
+            } catch (error) {
+                return null;
+            }
+        }
+        if (!Array.isArray(suggestions)) return null;
+
+        const match = suggestions.find(item => {
+            if (!item?.link_src) return false;
+            const codes = cheerio.load(String(item.pdt_dis_nm || '')).root().find('span').text();
+            return codes.split(',').map(code => code.trim().toUpperCase()).includes(symbol.toUpperCase());
+        });
+
+        return match ? match.link_src : null;
+    }
+
+    parse(html, exchange = 'NSE') {
+        const $ = cheerio.load(html);
+        const ids = QUOTE_BLOCKS[exchange] || QUOTE_BLOCKS.NSE;
+        const number = (selector) => {
+            const elem = $(selector).first();
+            return elem.length ? parseNumber(elem.attr('rel') ?? elem.text()) : null;
+        };
+
+        const data = {
+            company_name: $('h1.pcstname').first().text().trim() || $('h1').first().text().trim() || null,
+            sector: $('a[href*="/stocks/sectors/"]').first().text().trim() || null,
+            price: {
+                current: number(ids.current),
+                change: null,
+                change_percent: null,
+                day_low: number(ids.day_low),
+                day_high: number(ids.day_high),
+                low_52w: number(ids.low_52w),
+                high_52w: number(ids.high_52w)
+            },
+            ratios: {
+                pe_ratio: null,
+                eps: null,
+                dividend_yield: null,
+                sector_pe: null,
+                book_value: null,
+                market_cap: null
+            }
+        };
+
+        // "#nsechange" reads like "24.35 (0.70%)"
+        const change = $(ids.change).first().text().replace(/,/g, '');
+        const changeMatch = change.match(/([+-]?[\d.]+)\s*\(\s*([+-]?[\d.]+)\s*%\s*\)/);
+        if (changeMatch) {
+            data.price.change = Number(changeMatch[1]);
+            data.price.change_percent = Number(changeMatch[2]);
+        }
+
+        // Overview table: label cell followed by the NSE value cell (the page
+        // shows NSE ratios for both exchanges)
+        $('.oview_table tr, table.overview tr').each((i, row) => {
+            const cells = $(row).find('td');
+            if (cells.length < 2) return;
+
+            const label = $(cells[0]).text().replace(/\s+/g, ' ').trim();
+            const entry = OVERVIEW_LABELS.find(([pattern]) => pattern.test(label));
+            if (entry && data.ratios[entry[1]] === null) {
+                data.ratios[entry[1]] = parseNumber($(cells[1]).text());
+            }
+        });
+
+        if (!data.sector) {
+            const sectorRow = $('.oview_table tr').filter((i, row) => /^sector$/i.test($(row).find('td').first().text().trim()));
+            data.sector = sectorRow.find('td').eq(1).text().trim() || null;
+        }
+
+        return data;
+    }
+}
+
+module.exports = MoneyControlSource;
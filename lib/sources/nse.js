@@ -0,0 +1,95 @@
+/**
+ * NSE India quote API source
+ */
+
+const SourceAdapter = require('./source-adapter');
+const { getBrowserHeaders } = require('../http');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class NSESource extends SourceAdapter {
+    constructor(options = {}) {
+        super({
+            name: 'nse',
+            label: 'NSE India',
+            priority: 20,
+            timeout: 10000,
+            cacheTtl: 15 * 1000,
+            staleTtl: 45 * 1000,
+            fields: {
+                current_price: 'current_price',
+                change_percent: 'change_percent',
+                company_name: { path: 'company_name', priority: 5 },
+                sector: 'sector',
+                industry: 'industry',
+                pe_ratio: 'pe_ratio',
+                sector_pe: 'sector_pe',
+                day_low: 'low',
+                day_high: 'high',
+                low_52w: 'low_52w',
+                high_52w: 'high_52w'
+            },
+            ...options
+        });
+
+        this.baseUrl = options.baseUrl || 'https://www.nseindia.com';
+
+        // The quote API answers 401/403 until the homepage has set session
+        // cookies, which expire after a few minutes
+        this.http.configureHost(new URL(this.baseUrl).host, {
+            rate: 3,
+            burst: 3,
+            session: { url: `${this.baseUrl}/`, ttl: 4 * 60 * 1000 }
+        });
+    }
+
+    async fetch({ symbol, log }) {
+        const url = `${this.baseUrl}/api/quote-equity?symbol=${encodeURIComponent(symbol)}`;
+
+        const response = await this.http.get(url, {
+            headers: {
+                ...getBrowserHeaders(),
+                'Accept': 'application/json, text/plain, */*',
+                'Referer': `${this.baseUrl}/get-quotes/equity?symbol=${encodeURIComponent(symbol)}`,
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            timeout: this.timeout,
+            log,
+            fixture: { source: this.name, symbol }
+        });
+
+        const data = response.data;
+
+        return {
+            current_price: data.priceInfo?.lastPrice,
+            change: data.priceInfo?.change,
+            change_percent: data.priceInfo?.pChange,
+            open: data.priceInfo?.open,
+            high: data.priceInfo?.intraDayHighLow?.max,
+            low: data.priceInfo?.intraDayHighLow?.min,
+            high_52w: data.priceInfo?.weekHighLow?.max,
+            low_52w: data.priceInfo?.weekHighLow?.min,
+            volume: data.preOpenMarket?.totalTradedVolume,
+            pe_ratio: data.metadata?.pdSymbolPe,
+            sector_pe: data.metadata?.pdSectorPe,
+            sector_index: data.metadata?.pdSectorInd,
+            company_name: data.info?.companyName,
+            sector: data.industryInfo?.sector,
+            industry: data.industryInfo?.basicIndustry || data.info?.industry,
+            last_trade_time: NSESource.parseTimestamp(data.metadata?.lastUpdateTime)
+        };
+    }
+
+    // NSE stamps quotes like "02-Mar-2026 16:00:00" in IST; ISO or null
+    static parseTimestamp(value) {
+        const match = String(value || '').match(/^(\d{2})-([A-Za-z]{3})-(\d{4}) (\d{2}):(\d{2}):(\d{2})$/);
+        if (!match) return null;
+        const month = MONTHS.findIndex(name => name.toLowerCase() === match[2].toLowerCase());
+        if (month === -1) return null;
+        const [day, year, hours, minutes, seconds] = [match[1], match[3], match[4], match[5], match[6]].map(Number);
+        const utc = Date.UTC(year, month, day, hours, minutes, seconds) - (5 * 60 + 30) * 60 * 1000;
+        return new Date(utc).toISOString();
+    }
+}
+
+module.exports = NSESource;
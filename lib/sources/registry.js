@@ -0,0 +1,98 @@
+/**
+ * Registry of available data source adapters
+ */
+
+const SourceAdapter = require('./source-adapter');
+
+class SourceRegistry {
+    constructor() {
+        this.adapters = new Map();
+        // Set once an explicit order is configured; per-field priorities
+        // declared by adapters are then ignored in favour of that order
+        this.ordered = false;
+    }
+
+    register(adapter) {
+        if (!adapter || !adapter.name || typeof adapter.fetch !== 'function') {
+            throw new Error('Invalid source adapter: a name and fetch() are required');
+        }
+
+        this.adapters.set(adapter.name, adapter);
+        return this;
+    }
+
+    unregister(name) {
+        return this.adapters.delete(name);
+    }
+
+    has(name) {
+        return this.adapters.has(name);
+    }
+
+    get(name) {
+        return this.adapters.get(name);
+    }
+
+    // All registered adapters, highest priority first
+    list() {
+        return [...this.adapters.values()].sort((a, b) => a.priority - b.priority);
+    }
+
+    // Apply a config list (e.g. "yahoo_finance,screener"): only the listed
+    // sources stay enabled, and they are re-prioritised in the given order
+    configure(names) {
+        const selected = this.select(names);
+
+        for (const adapter of this.adapters.values()) {
+            adapter.enabled = false;
+        }
+        selected.forEach((adapter, index) => {
+            adapter.enabled = true;
+            adapter.priority = (index + 1) * 10;
+        });
+        this.ordered = true;
+
+        return this;
+    }
+
+    // Adapters to use for a request. With an explicit selection the caller's
+    // order is kept, otherwise every enabled source in priority order.
+    resolve(names) {
+        if (names && names.length > 0) {
+            return this.select(names);
+        }
+        return this.list().filter(adapter => adapter.enabled);
+    }
+
+    select(names) {
+        const list = SourceRegistry.parseNames(names);
+        const unknown = list.filter(name => !this.adapters.has(name));
+
+        if (unknown.length > 0) {
+            const error = new Error(`Unknown data source(s): ${unknown.join(', ')}`);
+            error.status = 400;
+            error.code = 'UNKNOWN_SOURCE';
+            error.unknownSources = unknown;
+            throw error;
+        }
+
+        return list.map(name => this.adapters.get(name));
+    }
+
+    describe() {
+        return this.list().map(adapter => adapter.describe());
+    }
+
+    static parseNames(names) {
+        const list = Array.isArray(names) ? names : String(names || '').split(',');
+        const seen = new Set();
+
+        return list
+            .map(name => String(name).trim().toLowerCase())
+            .filter(name => name && !seen.has(name) && seen.add(name));
+    }
+}
+
+SourceRegistry.SourceAdapter = SourceAdapter;
+
+module.exports = SourceRegistry;
@@ -0,0 +1,280 @@
+/**
+ * Screener.in company page scraper
+ *
+ * Besides the headline ratios, the page carries the statement tables
+ * (quarterly results, annual P&L, balance sheet, cash flow, efficiency
+ * ratios) and the shareholding pattern; the peers table is loaded from a
+ * separate endpoint. All tables are parsed into aligned time series and
+ * reduced to growth and balance-sheet metrics (see lib/fundamentals.js).
+ */
+
+const cheerio = require('cheerio');
+const SourceAdapter = require('./source-adapter');
+const { getBrowserHeaders } = require('../http');
+const { deriveFundamentals } = require('../fundamentals');
+
+// Page section id -> financials key
+const STATEMENT_SECTIONS = {
+    quarters: 'quarterly',
+    'profit-loss': 'profit_loss',
+    'balance-sheet': 'balance_sheet',
+    'cash-flow': 'cash_flow',
+    ratios: 'ratios'
+};
+
+// Peers table header -> peer field
+const PEER_COLUMNS = [
+    [/^name/i, 'name'],
+    [/^cmp/i, 'price'],
+    [/^p\/e/i, 'pe_ratio'],
+    [/^mar cap/i, 'market_cap'],
+    [/^div yld/i, 'dividend_yield'],
+    [/^np qtr/i, 'net_profit_quarter'],
+    [/^qtr profit var/i, 'profit_growth_quarter'],
+    [/^sales qtr/i, 'sales_quarter'],
+    [/^qtr sales var/i, 'sales_growth_quarter'],
+    [/^roce/i, 'roce']
+];
+
+const parseNumber = (text) => {
+    const cleaned = String(text ?? '').replace(/[₹,%\s]/g, '');
+    return cleaned === '' || isNaN(Number(cleaned)) ? null : Number(cleaned);
+};
+
+// "Sales +" -> sales, "OPM %" -> opm_percent, "EPS in Rs" -> eps_in_rs
+const rowKey = (label) => label
+    .replace(/\s*\+$/, '')
+    .replace(/%/g, ' percent')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+class ScreenerSource extends SourceAdapter {
+    constructor(options = {}) {
+        super({
+            name: 'screener',
+            label: 'Screener.in',
+            priority: 30,
+            timeout: 15000,
+            cacheTtl: 6 * 60 * 60 * 1000,
+            staleTtl: 18 * 60 * 60 * 1000,
+            exchanges: ['NSE', 'BSE'],
+            fields: {
+                current_price: 'company_info.price',
+                company_name: 'company_info.name',
+                market_cap: 'ratios.market_cap',
+                pe_ratio: { path: 'ratios.pe_ratio', priority: 15 },
+                roe: 'ratios.roe',
+                book_value: 'ratios.book_value',
+                revenue_cagr_3y: 'derived.revenue_cagr_3y',
+                revenue_cagr_5y: 'derived.revenue_cagr_5y',
+                profit_cagr_3y: 'derived.profit_cagr_3y',
+                profit_cagr_5y: 'derived.profit_cagr_5y',
+                debt_to_equity: 'derived.debt_to_equity',
+                promoter_holding: 'derived.promoter_holding',
+                promoter_holding_change: 'derived.promoter_holding_change',
+                promoter_trend: 'derived.promoter_trend',
+                pledged_percent: 'derived.pledged_percent',
+                peer_median_pe: 'derived.peer_median_pe'
+            },
+            ...options
+        });
+
+        this.baseUrl = options.baseUrl || 'https://www.screener.in';
+
+        // HTML pages: keep the crawl polite
+        this.http.configureHost(new URL(this.baseUrl).host, { rate: 1, burst: 2 });
+    }
+
+    // Company pages are per company, keyed by NSE symbol or, for BSE-only
+    // scrips, by BSE code
+    static pageSymbol({ symbol, listing }) {
+        if (listing) return listing.nse_symbol || listing.bse_code || symbol;
+        return symbol;
+    }
+
+    async fetch(context) {
+        const url = `${this.baseUrl}/company/${encodeURIComponent(ScreenerSource.pageSymbol(context))}/consolidated/`;
+
+        const response = await this.http.get(url, {
+            headers: getBrowserHeaders(),
+            timeout: this.timeout,
+            log: context.log,
+            fixture: { source: this.name, symbol: context.symbol }
+        });
+
+        const data = this.parse(response.data);
+
+        // Peers are optional: the rest of the page is still worth returning
+        if (data.warehouse_id) {
+            try {
+                const peers = await this.http.get(`${this.baseUrl}/api/company/${data.warehouse_id}/peers/`, {
+                    headers: { ...getBrowserHeaders(), 'Referer': url, 'X-Requested-With': 'XMLHttpRequest' },
+                    timeout: this.timeout,
+                    log: context.log,
+                    fixture: { source: this.name, symbol: context.symbol }
+                });
+                Object.assign(data, this.parsePeers(peers.data));
+                data.derived = deriveFundamentals(data);
+            } catch (error) {
+                data.peers_error = error.message;
+            }
+        }
+
+        return data;
+    }
+
+    parse(html) {
+        const $ = cheerio.load(html);
+        const data = {
+            company_info: {},
+            financials: {},
+            shareholding: {},
+            ratios: {},
+            peers: [],
+            peers_median: null,
+            pledged_percent: null,
+            warehouse_id: $('[data-warehouse-id]').first().attr('data-warehouse-id') || null
+        };
+
+        // Company name
+        const nameElem = $('h1').first().text().trim();
+        if (nameElem) {
+            data.company_info.name = nameElem;
+        }
+
+        // Extract data from top ratios list
+        $('#top-ratios li').each((i, elem) => {
+            const text = $(elem).text().trim();
+
+            // Market Cap
+            if (text.includes('Market Cap')) {
+                const match = text.match(/₹\s*([\d,]+\.?\d*)\s*Cr/);
+                if (match) data.ratios.market_cap = parseFloat(match[1].replace(/,/g, ''));
+            }
+
+            // Current Price
+            if (text.includes('Current Price')) {
+                const match = text.match(/₹\s*([\d,]+\.?\d*)/);
+                if (match) data.company_info.price = parseFloat(match[1].replace(/,/g, ''));
+            }
+
+            // P/E Ratio
+            if (text.includes('Stock P/E')) {
+                const match = text.match(/Stock P\/E\s*([\d.]+)/);
+                if (match) data.ratios.pe_ratio = parseFloat(match[1]);
+            }
+
+            // Book Value
+            if (text.includes('Book Value')) {
+                const match = text.match(/₹\s*([\d,]+\.?\d*)/);
+                if (match) data.ratios.book_value = parseFloat(match[1].replace(/,/g, ''));
+            }
+
+            // ROE
+            if (text.includes('ROE')) {
+                const match = text.match(/([\d.]+)%/);
+                if (match) data.ratios.roe = parseFloat(match[1]);
+            }
+
+            // ROCE
+            if (text.includes('ROCE')) {
+                const match = text.match(/([\d.]+)%/);
+                if (match) data.ratios.roce = parseFloat(match[1]);
+            }
+        });
+
+        // Extract data from company info section
+        $('li[class*="flex"]').each((i, elem) => {
+            const text = $(elem).text().trim();
+
+            if (text.includes('Market Cap')) {
+                const match = text.match(/₹\s*([\d,]+\.?\d*)\s*Cr/);
+                if (match) data.ratios.market_cap = parseFloat(match[1].replace(/,/g, ''));
+            }
+        });
+
+        // Statement tables
+        for (const [id, key] of Object.entries(STATEMENT_SECTIONS)) {
+            const table = this.parseTable($, $(`section#${id} table.data-table`).first());
+            if (table) data.financials[key] = table;
+        }
+
+        // Shareholding pattern, quarterly and yearly tabs
+        const quarterlyShp = $('#quarterly-shp table.data-table').first();
+        data.shareholding.quarterly = this.parseTable($, quarterlyShp.length ? quarterlyShp : $('section#shareholding table.data-table').first());
+        data.shareholding.yearly = this.parseTable($, $('#yearly-shp table.data-table').first());
+
+        // Pledge shows up as a ratio when listed, else in the pros/cons notes
+        $('#top-ratios li').each((i, elem) => {
+            const text = $(elem).text().replace(/\s+/g, ' ').trim();
+            const match = text.match(/Pledged percentage\s*([\d.]+)\s*%/i);
+            if (match) data.pledged_percent = parseFloat(match[1]);
+        });
+        if (data.pledged_percent === null) {
+            const match = $('.pros, .cons, #analysis').text().match(/pledged\s+([\d.]+)\s*%/i);
+            if (match) data.pledged_percent = parseFloat(match[1]);
+        }
+
+        // The peers table is inlined on some pages
+        Object.assign(data, this.parsePeers($('section#peers').html() || ''));
+
+        data.derived = deriveFundamentals(data);
+        return data;
+    }
+
+    // { periods, rows: { key: [value per period] } } or null without a table
+    parseTable($, table) {
+        if (!table || table.length === 0) return null;
+
+        const periods = table.find('thead th').toArray().slice(1).map(th => $(th).text().trim());
+        const rows = {};
+
+        table.find('tbody tr').each((i, tr) => {
+            const cells = $(tr).find('td').toArray();
+            const label = $(cells[0]).text().replace(/\s+/g, ' ').trim();
+            if (!label || cells.length < 2) return;
+
+            rows[rowKey(label)] = cells.slice(1).map(td => parseNumber($(td).text()));
+        });
+
+        return Object.keys(rows).length ? { periods, rows } : null;
+    }
+
+    // Peers table HTML -> { peers: [...], peers_median }
+    parsePeers(html) {
+        const $ = cheerio.load(html || '');
+        const table = $('table.data-table').first();
+        const result = { peers: [], peers_median: null };
+        if (!table.length) return result;
+
+        const headers = table.find('tr').first().find('th').toArray()
+            .map(th => PEER_COLUMNS.find(([pattern]) => pattern.test($(th).text().replace(/\s+/g, ' ').trim()))?.[1] || null);
+
+        table.find('tr').slice(1).each((i, tr) => {
+            const cells = $(tr).find('td').toArray();
+            if (cells.length === 0) return;
+
+            const peer = {};
+            cells.forEach((td, index) => {
+                const field = headers[index];
+                if (!field) return;
+                peer[field] = field === 'name' ? $(td).text().replace(/\s+/g, ' ').trim() : parseNumber($(td).text());
+            });
+
+            const link = $(tr).find('a[href*="/company/"]').attr('href');
+            const symbol = link && link.match(/\/company\/([^/]+)\//);
+
+            if (/^median/i.test(peer.name || $(cells[0]).text().trim() || $(cells[1]).text().trim())) {
+                delete peer.name;
+                result.peers_median = peer;
+            } else if (peer.name) {
+                result.peers.push({ symbol: symbol ? symbol[1] : null, ...peer });
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = ScreenerSource;
@@ -0,0 +1,99 @@
+/**
+ * Base class for pluggable stock data sources
+ *
+ * An adapter declares who it is (name, label) and which combined fields it
+ * can provide. Its priority ranks it against other sources, lower winning.
+ * It also sets how long it may take (timeout) and which exchanges it can
+ * quote.
+ *
+ * Subclasses implement fetch() and make their requests through this.http,
+ * the shared client with retries, rate limits and circuit breaking. Quote
+ * sources (kind 'quote') feed the combined data. Events sources (kind
+ * 'events') return filings and headlines instead (see corporate-events.js)
+ * and are only read for the events section.
+ */
+
+const { httpClient } = require('../http');
+
+class SourceAdapter {
+    constructor(options = {}) {
+        if (!options.name) {
+            throw new Error('Source adapter requires a name');
+        }
+
+        this.name = options.name;
+        this.label = options.label || options.name;
+        this.kind = options.kind || 'quote';
+        // Map of combined field -> path into the fetched data, or
+        // { path, priority, scale } to rank this source differently for one
+        // field or convert its unit (e.g. rupees -> crores)
+        this.fields = options.fields || {};
+        this.priority = options.priority ?? 100;
+        this.timeout = options.timeout ?? 10000;
+        this.cacheTtl = options.cacheTtl ?? 60 * 1000;
+        this.staleTtl = options.staleTtl ?? 0;
+        this.enabled = options.enabled !== false;
+        this.exchanges = options.exchanges || ['NSE'];
+        this.http = options.http || httpClient;
+    }
+
+    // Returns the parsed data for a symbol, or throws on failure. context:
+    // { symbol, exchange ('NSE' by default), listing (symbol master entry
+    // with nse_symbol, bse_code, bse_symbol and isin, when known), timeout,
+    // requestId and log (logger tagged with the request ID; pass it on to
+    // this.http as config.log) }. Tag upstream requests with config.fixture
+    // { source: this.name, symbol } so record/replay files them per symbol.
+    // Quote sources should return last_trade_time (ISO) when the upstream
+    // says when the price was last traded.
+    async fetch(context) {
+        throw new Error(`Source "${this.name}" does not implement fetch()`);
+    }
+
+    supportsExchange(exchange = 'NSE') {
+        return this.exchanges.includes(exchange);
+    }
+
+    providesField(field) {
+        return Object.prototype.hasOwnProperty.call(this.fields, field);
+    }
+
+    fieldPriority(field) {
+        const spec = this.fields[field];
+        if (spec && typeof spec === 'object' && spec.priority !== undefined) {
+            return spec.priority;
+        }
+        return this.priority;
+    }
+
+    fieldScale(field) {
+        const spec = this.fields[field];
+        return (spec && typeof spec === 'object' && spec.scale) || 1;
+    }
+
+    extract(data, field) {
+        const spec = this.fields[field];
+        if (!data || !spec) return undefined;
+
+        const path = typeof spec === 'object' ? spec.path : spec;
+        if (typeof path === 'function') return path(data);
+
+        return path.split('.').reduce((value, key) => value?.[key], data);
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            label: this.label,
+            kind: this.kind,
+            fields: Object.keys(this.fields),
+            priority: this.priority,
+            timeout: this.timeout,
+            cache_ttl: this.cacheTtl,
+            stale_ttl: this.staleTtl,
+            exchanges: this.exchanges,
+            enabled: this.enabled
+        };
+    }
+}
+
+module.exports = SourceAdapter;
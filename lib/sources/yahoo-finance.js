@@ -0,0 +1,111 @@
+/**
+ * Yahoo Finance chart API source (more reliable than scraping)
+ */
+
+const SourceAdapter = require('./source-adapter');
+const { getBrowserHeaders } = require('../http');
+
+const HISTORY_RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y', 'ytd', 'max'];
+const HISTORY_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h', '1d', '5d', '1wk', '1mo', '3mo'];
+
+class YahooFinanceSource extends SourceAdapter {
+    constructor(options = {}) {
+        super({
+            name: 'yahoo_finance',
+            label: 'Yahoo Finance',
+            priority: 10,
+            timeout: 10000,
+            cacheTtl: 15 * 1000,
+            staleTtl: 45 * 1000,
+            exchanges: ['NSE', 'BSE'],
+            fields: {
+                current_price: 'current_price',
+                change_percent: 'change_percent'
+            },
+            ...options
+        });
+
+        this.historyCacheTtl = options.historyCacheTtl ?? 60 * 60 * 1000;
+        this.baseUrl = options.baseUrl || 'https://query1.finance.yahoo.com';
+
+        this.http.configureHost(new URL(this.baseUrl).host, { rate: 5, burst: 10 });
+    }
+
+    // RELIANCE.NS on NSE; BSE listings go by scrip code, e.g. 500325.BO
+    static yahooSymbol({ symbol, exchange = 'NSE', listing }) {
+        if (exchange === 'BSE') return `${listing?.bse_code || symbol}.BO`;
+        return `${symbol}.NS`;
+    }
+
+    async fetch(context) {
+        // Yahoo Finance query API
+        const url = `${this.baseUrl}/v8/finance/chart/${encodeURIComponent(YahooFinanceSource.yahooSymbol(context))}`;
+
+        const response = await this.http.get(url, {
+            headers: getBrowserHeaders(),
+            timeout: this.timeout,
+            log: context.log,
+            fixture: { source: this.name, symbol: context.symbol }
+        });
+
+        const result = response.data.chart.result[0];
+        const meta = result.meta;
+
+        return {
+            current_price: meta.regularMarketPrice,
+            previous_close: meta.previousClose,
+            change: meta.regularMarketPrice - meta.previousClose,
+            change_percent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose * 100).toFixed(2),
+            volume: meta.regularMarketVolume,
+            currency: meta.currency,
+            exchange: meta.exchangeName,
+            last_trade_time: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000).toISOString() : null
+        };
+    }
+
+    // OHLCV candles from the same chart API, oldest first
+    async fetchHistory({ range = '1y', interval = '1d', ...context }) {
+        const url = `${this.baseUrl}/v8/finance/chart/${encodeURIComponent(YahooFinanceSource.yahooSymbol(context))}`;
+
+        const response = await this.http.get(url, {
+            headers: getBrowserHeaders(),
+            params: { range, interval },
+            timeout: this.timeout,
+            log: context.log,
+            fixture: { source: this.name, symbol: context.symbol }
+        });
+
+        const result = response.data.chart.result[0];
+
+        return {
+            currency: result.meta.currency,
+            exchange: result.meta.exchangeName,
+            candles: YahooFinanceSource.parseCandles(result)
+        };
+    }
+
+    static parseCandles(result) {
+        const timestamps = result.timestamp || [];
+        const quote = result.indicators?.quote?.[0] || {};
+        const adjclose = result.indicators?.adjclose?.[0]?.adjclose;
+
+        // Yahoo pads missing sessions with nulls; drop those rows
+        return timestamps
+            .map((timestamp, i) => ({
+                time: new Date(timestamp * 1000).toISOString(),
+                timestamp,
+                open: quote.open?.[i],
+                high: quote.high?.[i],
+                low: quote.low?.[i],
+                close: quote.close?.[i],
+                adj_close: adjclose ? adjclose[i] : undefined,
+                volume: quote.volume?.[i]
+            }))
+            .filter(candle => typeof candle.close === 'number');
+    }
+}
+
+YahooFinanceSource.HISTORY_RANGES = HISTORY_RANGES;
+YahooFinanceSource.HISTORY_INTERVALS = HISTORY_INTERVALS;
+
+module.exports = YahooFinanceSource;
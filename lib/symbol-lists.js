@@ -0,0 +1,117 @@
+/**
+ * Downloads the exchanges' equity lists for the symbol master
+ *
+ *   - NSE: EQUITY_L.csv from the NSE archives, saved as is
+ *   - BSE: the list of active equity scrips, converted to the CSV layout of
+ *     the BSE "List of Scrips" download
+ *
+ * Used by scripts/update-symbols.js and by the server's startup refresh.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { httpClient, getBrowserHeaders } = require('./http');
+const { logger } = require('./logger');
+const { parseCsvRecords } = require('./symbols');
+
+const NSE_EQUITY_LIST_URL = 'https://nsearchives.nseindia.com/content/equities/EQUITY_L.csv';
+const BSE_SCRIPS_URL = 'https://api.bseindia.com/BseIndiaAPI/api/ListofScripData/w';
+
+const BSE_COLUMNS = ['Security Code', 'Issuer Name', 'Security Id', 'Security Name', 'Status', 'Group', 'Face Value', 'ISIN No', 'Industry', 'Instrument'];
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+async function fetchNseList(http = httpClient) {
+    const response = await http.get(NSE_EQUITY_LIST_URL, {
+        headers: { ...getBrowserHeaders(), 'Accept': 'text/csv,*/*' },
+        responseType: 'text',
+        timeout: 30000
+    });
+
+    const text = String(response.data);
+    if (parseCsvRecords(text).length === 0 || !/^\uFEFF?SYMBOL,/i.test(text)) {
+        throw new Error('NSE equity list did not look like EQUITY_L.csv');
+    }
+    return text;
+}
+
+async function fetchBseList(http = httpClient) {
+    const response = await http.get(BSE_SCRIPS_URL, {
+        headers: {
+            ...getBrowserHeaders(),
+            'Accept': 'application/json, text/plain, */*',
+            'Origin': 'https://www.bseindia.com',
+            'Referer': 'https://www.bseindia.com/'
+        },
+        params: { Group: '', Scripcode: '', industry: '', segment: 'Equity', status: 'Active' },
+        timeout: 30000
+    });
+
+    const scrips = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    if (!Array.isArray(scrips) || scrips.length === 0) {
+        throw new Error('BSE list of scrips came back empty');
+    }
+
+    const rows = scrips.map(scrip => [
+        scrip.SCRIP_CD,
+        scrip.Issuer_Name,
+        scrip.scrip_id,
+        scrip.Scrip_Name,
+        scrip.Status,
+        scrip.GROUP,
+        scrip.FACE_VALUE,
+        scrip.ISIN_NUMBER,
+        scrip.INDUSTRY,
+        'Equity'
+    ]);
+
+    return [BSE_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Writes nse-equity.csv and bse-equity.csv into `dir`. One exchange failing
+// keeps its previous file. Returns { updated: [file], failed: [{ file, error }] }.
+async function refreshSymbolLists(dir, { http = httpClient, log = logger } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const updated = [];
+    const failed = [];
+    for (const [file, fetchList] of [['nse-equity.csv', fetchNseList], ['bse-equity.csv', fetchBseList]]) {
+        try {
+            const csv = await fetchList(http);
+            // Written whole, so a reader never sees half a list
+            const target = path.join(dir, file);
+            fs.writeFileSync(`${target}.tmp`, csv);
+            fs.renameSync(`${target}.tmp`, target);
+            updated.push(file);
+            log.info('symbol list updated', { path: target });
+        } catch (error) {
+            failed.push({ file, error: error.message });
+            log.warn('symbol list update failed', { file, error });
+        }
+    }
+
+    return { updated, failed };
+}
+
+// Age in ms of the oldest list in `dir`; Infinity when one is missing
+function symbolListsAge(dir, now = Date.now()) {
+    let oldest = now;
+    for (const file of ['nse-equity.csv', 'bse-equity.csv']) {
+        try {
+            oldest = Math.min(oldest, fs.statSync(path.join(dir, file)).mtimeMs);
+        } catch (error) {
+            return Infinity;
+        }
+    }
+    return now - oldest;
+}
+
+module.exports = {
+    fetchBseList,
+    fetchNseList,
+    refreshSymbolLists,
+    symbolListsAge
+};
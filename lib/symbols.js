@@ -0,0 +1,300 @@
+/**
+ * Symbol master: NSE and BSE equity lists merged by ISIN
+ *
+ * Loaded from CSV snapshots of the exchanges' list files (NSE EQUITY_L.csv
+ * and the BSE list of scrips, see scripts/update-symbols.js). Powers symbol
+ * search and maps user input - a symbol, a BSE scrip code, an ISIN or a
+ * company name - to one listing with its symbol on each exchange.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const EXCHANGES = ['NSE', 'BSE'];
+
+const DEFAULT_SYMBOLS_DIR = path.join(__dirname, '..', 'config', 'symbols');
+const NSE_FILE = 'nse-equity.csv';
+const BSE_FILE = 'bse-equity.csv';
+
+// Equity series: EQ, trade-for-trade BE/BZ and SME SM/ST (the list also
+// carries gold bonds and other non-equity series)
+const NSE_SERIES = ['EQ', 'BE', 'BZ', 'SM', 'ST'];
+
+// Minimum similarity for a typo-tolerant match
+const FUZZY_THRESHOLD = 0.75;
+
+// resolve() takes exact identifiers, symbols and names (matchListing scores
+// 100, 95 and 90), never prefixes
+const RESOLVE_SCORE = 90;
+
+// RFC 4180 CSV -> array of rows (arrays of strings)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(cell => cell.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+
+    return rows;
+}
+
+// Rows keyed by trimmed, lower-cased header
+function parseCsvRecords(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const keys = header.map(name => name.trim().toLowerCase());
+
+    return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? '').trim()])));
+}
+
+// "HDFC Bank Ltd." -> "hdfc bank"
+const normalizeName = (name) => String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\b(limited|ltd)\b\.?/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const compact = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+const similarity = (a, b) => 1 - levenshtein(a, b) / Math.max(a.length, b.length, 1);
+
+class SymbolMaster {
+    constructor(options = {}) {
+        this.dir = options.dir || DEFAULT_SYMBOLS_DIR;
+        // Read for an exchange whose file `dir` does not have yet, e.g. the
+        // bundled sample until a full list has been downloaded
+        this.fallbackDir = options.fallbackDir || null;
+        this.listings = [];
+        this.index = new Map();
+        this.loadedAt = null;
+        this.files = {};
+    }
+
+    // Reads the CSV snapshots; a missing file just leaves that exchange empty
+    load() {
+        const read = (file) => {
+            const dirs = [this.dir, this.fallbackDir].filter(Boolean);
+            for (const dir of dirs) {
+                const fullPath = path.join(dir, file);
+                try {
+                    const records = parseCsvRecords(fs.readFileSync(fullPath, 'utf8'));
+                    this.files[file] = { path: fullPath, rows: records.length };
+                    return records;
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+
+            const fullPath = path.join(this.dir, file);
+            logger.warn('symbol master file not found, run "npm run symbols:update"', { path: fullPath });
+            this.files[file] = { path: fullPath, rows: 0 };
+            return [];
+        };
+
+        this.files = {};
+        this.setListings(read(NSE_FILE), read(BSE_FILE));
+        return this;
+    }
+
+    // nseRows: EQUITY_L.csv records, bseRows: BSE list-of-scrips records
+    setListings(nseRows = [], bseRows = []) {
+        const byIsin = new Map();
+        const listings = [];
+
+        const listing = (isin) => {
+            let entry = isin && byIsin.get(isin);
+            if (!entry) {
+                entry = { name: null, isin: isin || null, nse_symbol: null, bse_code: null, bse_symbol: null, industry: null, exchanges: [] };
+                listings.push(entry);
+                if (isin) byIsin.set(isin, entry);
+            }
+            return entry;
+        };
+
+        for (const row of nseRows) {
+            const symbol = (row.symbol || '').toUpperCase();
+            const series = (row.series || 'EQ').toUpperCase();
+            if (!symbol || !NSE_SERIES.includes(series)) continue;
+
+            const entry = listing((row['isin number'] || row.isin || '').toUpperCase());
+            entry.nse_symbol = symbol;
+            entry.name = row['name of company'] || row.name || entry.name;
+            entry.exchanges.push('NSE');
+        }
+
+        for (const row of bseRows) {
+            const code = row['security code'] || row.scrip_cd || '';
+            const status = (row.status || 'Active').toLowerCase();
+            const instrument = (row.instrument || 'Equity').toLowerCase();
+            if (!/^\d+$/.test(code) || status !== 'active' || instrument !== 'equity') continue;
+
+            const entry = listing((row['isin no'] || row.isin || '').toUpperCase());
+            entry.bse_code = code;
+            entry.bse_symbol = (row['security id'] || '').toUpperCase() || null;
+            entry.name = entry.name || row['issuer name'] || row['security name'] || null;
+            entry.industry = row.industry || entry.industry;
+            entry.exchanges.push('BSE');
+        }
+
+        this.listings = listings.map(entry => ({
+            ...entry,
+            symbol: entry.nse_symbol || entry.bse_symbol || entry.bse_code
+        }));
+
+        // Exact identifiers: symbols, scrip code and ISIN, all upper-cased
+        this.index = new Map();
+        for (const entry of this.listings) {
+            for (const key of [entry.nse_symbol, entry.bse_symbol, entry.bse_code, entry.isin]) {
+                if (key && !this.index.has(key)) this.index.set(key, entry);
+            }
+        }
+
+        this.loadedAt = new Date().toISOString();
+        return this;
+    }
+
+    get(identifier) {
+        return this.index.get(String(identifier || '').trim().toUpperCase()) || null;
+    }
+
+    // How well one listing matches a query: score 0-100 and why
+    matchListing(entry, query) {
+        const upper = query.toUpperCase();
+        const name = normalizeName(entry.name);
+        const normalized = normalizeName(query);
+        const symbols = [entry.nse_symbol, entry.bse_symbol].filter(Boolean);
+
+        if ([...symbols, entry.bse_code, entry.isin].includes(upper)) return { score: 100, match: 'exact' };
+        if (symbols.some(symbol => compact(symbol) === compact(query))) return { score: 95, match: 'symbol' };
+        if (name && compact(name) === compact(normalized)) return { score: 90, match: 'name' };
+        if (symbols.some(symbol => symbol.startsWith(upper))) return { score: 85, match: 'symbol_prefix' };
+        if (normalized && name.startsWith(normalized)) return { score: 80, match: 'name_prefix' };
+
+        const words = name.split(' ');
+        const terms = normalized.split(' ').filter(Boolean);
+        if (terms.length && terms.every(term => words.some(word => word.startsWith(term)))) {
+            return { score: 70, match: 'name_words' };
+        }
+        if (compact(query).length >= 3 && compact(entry.name).includes(compact(query))) {
+            return { score: 60, match: 'name_contains' };
+        }
+
+        // Typos: closest symbol or name word(s) of the same length
+        let best = 0;
+        for (const candidate of [...symbols.map(symbol => symbol.toLowerCase()), name, ...words]) {
+            best = Math.max(best, similarity(compact(query), compact(candidate)));
+        }
+        if (best >= FUZZY_THRESHOLD) return { score: Math.round(50 * best), match: 'fuzzy' };
+
+        return null;
+    }
+
+    // Best matches first; `exchange` limits results to listings on it
+    search(query, { limit = 10, exchange } = {}) {
+        const text = String(query || '').trim();
+        if (!text) return [];
+
+        return this.listings
+            .filter(entry => !exchange || entry.exchanges.includes(exchange))
+            .map(entry => ({ entry, result: this.matchListing(entry, text) }))
+            .filter(({ result }) => result)
+            .sort((a, b) => b.result.score - a.result.score || a.entry.symbol.localeCompare(b.entry.symbol))
+            .slice(0, limit)
+            .map(({ entry, result }) => ({ ...entry, score: result.score, match: result.match }));
+    }
+
+    // The one listing an analyze request means: an exact identifier, symbol
+    // or name. A prefix is left to the user to pick, even when it matches one
+    // listing ("ICICI" is not ICICIBANK just because ICICI Bank is the only
+    // ICICI in the master).
+    resolve(query) {
+        const exact = this.get(query);
+        if (exact) return exact;
+
+        const [best, second] = this.search(query, { limit: 2 });
+        if (best && best.score >= RESOLVE_SCORE && (!second || second.score < best.score)) {
+            const { score, match, ...listing } = best;
+            return listing;
+        }
+        return null;
+    }
+
+    describe() {
+        return {
+            listings: this.listings.length,
+            nse: this.listings.filter(entry => entry.nse_symbol).length,
+            bse: this.listings.filter(entry => entry.bse_code).length,
+            loaded_at: this.loadedAt,
+            files: Object.values(this.files)
+        };
+    }
+}
+
+// Symbol to use on one exchange for a listing, null when it is not listed there
+function exchangeSymbol(listing, exchange) {
+    if (!listing) return null;
+    return exchange === 'BSE' ? (listing.bse_symbol || listing.bse_code) : listing.nse_symbol;
+}
+
+module.exports = {
+    EXCHANGES,
+    DEFAULT_SYMBOLS_DIR,
+    SymbolMaster,
+    exchangeSymbol,
+    normalizeName,
+    parseCsv,
+    parseCsvRecords
+};
@@ -0,0 +1,198 @@
+/**
+ * Technical indicators computed from OHLCV candles
+ * Series functions return arrays aligned with the input (null until enough data)
+ */
+
+const round = (value, digits = 2) =>
+    (typeof value === 'number' && isFinite(value)) ? Number(value.toFixed(digits)) : null;
+
+const last = (series) => series.length ? series[series.length - 1] : null;
+
+// Simple Moving Average
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) sum -= values[i - period];
+        if (i >= period - 1) result[i] = sum / period;
+    }
+
+    return result;
+}
+
+// Exponential Moving Average, seeded with the SMA of the first period
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+
+    const k = 2 / (period + 1);
+    let previous = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = previous;
+
+    for (let i = period; i < values.length; i++) {
+        previous = values[i] * k + previous * (1 - k);
+        result[i] = previous;
+    }
+
+    return result;
+}
+
+// Relative Strength Index with Wilder's smoothing
+function rsi(closes, period = 14) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 1; i <= period; i++) {
+        const diff = closes[i] - closes[i - 1];
+        if (diff >= 0) gain += diff;
+        else loss -= diff;
+    }
+    gain /= period;
+    loss /= period;
+
+    const toRsi = () => loss === 0 ? 100 : 100 - 100 / (1 + gain / loss);
+    result[period] = toRsi();
+
+    for (let i = period + 1; i < closes.length; i++) {
+        const diff = closes[i] - closes[i - 1];
+        gain = (gain * (period - 1) + Math.max(diff, 0)) / period;
+        loss = (loss * (period - 1) + Math.max(-diff, 0)) / period;
+        result[i] = toRsi();
+    }
+
+    return result;
+}
+
+// Moving Average Convergence Divergence
+function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+    const fastEma = ema(closes, fast);
+    const slowEma = ema(closes, slow);
+    const line = closes.map((_, i) =>
+        fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+    );
+
+    // Signal line is an EMA over the defined part of the MACD line
+    const start = line.findIndex(value => value !== null);
+    const signal = new Array(closes.length).fill(null);
+    if (start !== -1) {
+        ema(line.slice(start), signalPeriod).forEach((value, i) => {
+            signal[start + i] = value;
+        });
+    }
+
+    const histogram = line.map((value, i) =>
+        value !== null && signal[i] !== null ? value - signal[i] : null
+    );
+
+    return { macd: line, signal, histogram };
+}
+
+// Bollinger Bands: SMA +/- multiplier * standard deviation
+function bollingerBands(closes, period = 20, multiplier = 2) {
+    const middle = sma(closes, period);
+    const upper = new Array(closes.length).fill(null);
+    const lower = new Array(closes.length).fill(null);
+
+    for (let i = period - 1; i < closes.length; i++) {
+        const window = closes.slice(i - period + 1, i + 1);
+        const variance = window.reduce((acc, value) => acc + (value - middle[i]) ** 2, 0) / period;
+        const deviation = Math.sqrt(variance);
+        upper[i] = middle[i] + multiplier * deviation;
+        lower[i] = middle[i] - multiplier * deviation;
+    }
+
+    return { upper, middle, lower };
+}
+
+// Highest high and lowest low over the 52 weeks ending at the last candle
+function fiftyTwoWeekRange(candles) {
+    if (!candles.length) return null;
+
+    const end = last(candles).timestamp;
+    const start = end - 365 * 24 * 60 * 60;
+    const window = candles.filter(candle => candle.timestamp >= start);
+
+    let high = window[0];
+    let low = window[0];
+    for (const candle of window) {
+        if ((candle.high ?? candle.close) > (high.high ?? high.close)) high = candle;
+        if ((candle.low ?? candle.close) < (low.low ?? low.close)) low = candle;
+    }
+
+    return {
+        high: round(high.high ?? high.close),
+        high_date: high.time,
+        low: round(low.low ?? low.close),
+        low_date: low.time
+    };
+}
+
+// Latest value of every indicator plus simple signals, for combined_data
+function analyzeCandles(candles) {
+    if (!candles || candles.length < 2) return null;
+
+    const closes = candles.map(candle => candle.close);
+    const price = last(closes);
+    const macdSeries = macd(closes);
+    const bands = bollingerBands(closes);
+    const range = fiftyTwoWeekRange(candles);
+
+    const technicals = {
+        as_of: last(candles).time,
+        candles: candles.length,
+        sma_20: round(last(sma(closes, 20))),
+        sma_50: round(last(sma(closes, 50))),
+        sma_200: round(last(sma(closes, 200))),
+        ema_12: round(last(ema(closes, 12))),
+        ema_26: round(last(ema(closes, 26))),
+        rsi_14: round(last(rsi(closes, 14))),
+        macd: {
+            macd: round(last(macdSeries.macd)),
+            signal: round(last(macdSeries.signal)),
+            histogram: round(last(macdSeries.histogram))
+        },
+        bollinger: {
+            upper: round(last(bands.upper)),
+            middle: round(last(bands.middle)),
+            lower: round(last(bands.lower))
+        },
+        high_52w: range.high,
+        high_52w_date: range.high_date,
+        low_52w: range.low,
+        low_52w_date: range.low_date
+    };
+
+    technicals.signals = {
+        rsi: technicals.rsi_14 === null ? null
+            : technicals.rsi_14 >= 70 ? 'overbought'
+            : technicals.rsi_14 <= 30 ? 'oversold' : 'neutral',
+        macd: technicals.macd.histogram === null ? null
+            : technicals.macd.histogram >= 0 ? 'bullish' : 'bearish',
+        trend: technicals.sma_50 === null ? null
+            : price >= technicals.sma_50 && (technicals.sma_200 === null || price >= technicals.sma_200) ? 'uptrend'
+            : price < technicals.sma_50 && (technicals.sma_200 === null || price < technicals.sma_200) ? 'downtrend'
+            : 'sideways',
+        bollinger: technicals.bollinger.upper === null ? null
+            : price > technicals.bollinger.upper ? 'above_upper'
+            : price < technicals.bollinger.lower ? 'below_lower' : 'inside'
+    };
+
+    technicals.from_52w_high_percent = range.high ? round((price - range.high) / range.high * 100) : null;
+    technicals.from_52w_low_percent = range.low ? round((price - range.low) / range.low * 100) : null;
+
+    return technicals;
+}
+
+module.exports = {
+    sma,
+    ema,
+    rsi,
+    macd,
+    bollingerBands,
+    fiftyTwoWeekRange,
+    analyzeCandles
+};
@@ -0,0 +1,45 @@
+/**
+ * Request input helpers shared by the API routes
+ */
+
+const SYMBOL_PATTERN = /^[A-Z0-9&.-]{1,20}$/;
+
+// What an analyze request may name a stock by: a symbol, BSE code, ISIN or
+// company name. Anything else never reaches the symbol master or a source URL.
+const SYMBOL_QUERY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 &.'()-]{0,59}$/;
+
+// Upper-cased symbol, or null when it is not a plausible exchange symbol
+function normalizeSymbol(value) {
+    if (typeof value !== 'string') return null;
+    const symbol = value.trim().toUpperCase();
+    return SYMBOL_PATTERN.test(symbol) ? symbol : null;
+}
+
+function isNonEmptyString(value, maxLength = 100) {
+    return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// YYYY-MM-DD that is a real calendar date
+function isIsoDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+module.exports = {
+    SYMBOL_PATTERN,
+    SYMBOL_QUERY_PATTERN,
+    normalizeSymbol,
+    isNonEmptyString,
+    isPositiveNumber,
+    isNonNegativeNumber,
+    isIsoDate
+};
@@ -0,0 +1,98 @@
+/**
+ * Webhook delivery with retries and exponential backoff
+ *
+ * Per-alert URLs come from API clients, so only hosts on an allowlist (the
+ * default URL's host plus `allowedHosts`) are ever called. Anything else
+ * could point the server at internal or cloud metadata addresses. Redirects
+ * are not followed, since an allowed host could send the POST on to one.
+ */
+
+const axios = require('axios');
+const { systemClock } = require('./clock');
+const { logger } = require('./logger');
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return null;
+    }
+}
+
+class WebhookNotifier {
+    constructor(options = {}) {
+        this.url = options.url || null;
+        this.maxAttempts = options.maxAttempts || 4;
+        this.backoffMs = options.backoffMs ?? 1000;
+        this.timeout = options.timeout || 10000;
+        this.clock = options.clock || systemClock;
+        // "host" or "host:port" entries, e.g. "hooks.slack.com"
+        this.allowedHosts = new Set(
+            [...(options.allowedHosts || []), this.url && hostOf(this.url)]
+                .filter(Boolean)
+                .map(host => String(host).trim().toLowerCase())
+        );
+    }
+
+    // An http(s) URL whose host (or host:port) is on the allowlist
+    allows(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:'].includes(parsed.protocol)
+                && (this.allowedHosts.has(parsed.hostname) || this.allowedHosts.has(parsed.host));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Network errors, 429 and 5xx are worth another attempt; other 4xx are not
+    static isRetryable(error) {
+        const status = error.response?.status;
+        return !status || status === 429 || status >= 500;
+    }
+
+    async deliver(payload, url = this.url) {
+        if (!url) {
+            return { status: 'skipped', attempts: 0, error: 'No webhook URL configured' };
+        }
+        // Alerts saved before the allowlist may still carry other URLs
+        if (!this.allows(url)) {
+            return { status: 'skipped', attempts: 0, error: `Webhook host of ${url} is not allowed` };
+        }
+
+        let lastError = null;
+        let attempts = 0;
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            attempts = attempt;
+            try {
+                const response = await axios.post(url, payload, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        // Receivers can use this to drop duplicate deliveries
+                        'X-StockAI-Event-Id': payload.event_id
+                    },
+                    timeout: this.timeout,
+                    maxRedirects: 0
+                });
+
+                return { status: 'delivered', attempts: attempt, response_status: response.status };
+
+            } catch (error) {
+                lastError = error;
+                logger.warn('webhook delivery failed', { attempt, error });
+
+                if (!WebhookNotifier.isRetryable(error) || attempt === this.maxAttempts) break;
+                await this.clock.sleep(this.backoffMs * 2 ** (attempt - 1));
+            }
+        }
+
+        return {
+            status: 'failed',
+            attempts,
+            response_status: lastError.response?.status,
+            error: lastError.message
+        };
+    }
+}
+
+module.exports = WebhookNotifier;
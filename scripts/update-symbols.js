@@ -0,0 +1,24 @@
+/**
+ * Refreshes the symbol master snapshot (config/symbols, or SYMBOLS_DIR)
+ * from the exchanges' equity list files (see lib/symbol-lists.js). The
+ * server does the same on startup into DATA_DIR/symbols; this script
+ * updates the committed snapshot instead.
+ *
+ * Usage: npm run symbols:update
+ */
+
+require('dotenv').config();
+const { DEFAULT_SYMBOLS_DIR, SymbolMaster } = require('../lib/symbols');
+const { refreshSymbolLists } = require('../lib/symbol-lists');
+
+async function main() {
+    const dir = process.env.SYMBOLS_DIR || DEFAULT_SYMBOLS_DIR;
+
+    // One exchange failing keeps its previous snapshot
+    const { failed } = await refreshSymbolLists(dir);
+
+    console.log(new SymbolMaster({ dir }).load().describe());
+    process.exitCode = failed.length ? 1 : 0;
+}
+
+main();
@@ -3,279 +3,709 @@
  * Uses APIs where possible and improved scraping techniques
  */
 
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
-const cheerio = require('cheerio');
 const cors = require('cors');
 require('dotenv').config();
+const { createDefaultRegistry, YahooFinanceSource } = require('./lib/sources');
+const { analyzeCandles } = require('./lib/technical-analysis');
+const { MemoryStore, SourceCache } = require('./lib/cache');
+const { Reconciler, parseTolerances } = require('./lib/reconcile');
+const {
+    COMPARE_METRICS,
+    mapWithConcurrency,
+    buildComparisonTable,
+    generateBasicVerdict
+} = require('./lib/compare');
+const JsonStore = require('./lib/json-store');
+const createWatchlistRouter = require('./lib/routes/watchlists');
+const createPortfolioRouter = require('./lib/routes/portfolios');
+const createAlertRouter = require('./lib/routes/alerts');
+const createAdminRouter = require('./lib/routes/admin');
+const createSnapshotRouter = require('./lib/routes/snapshots');
+const createJobRouter = require('./lib/routes/jobs');
+const { ApiKeyManager, authenticate, requireAdmin } = require('./lib/api-keys');
+const { adoptUnowned } = require('./lib/owners');
+const { ERROR_CODES, apiError, classifyError, sendError } = require('./lib/errors');
+const { SCHEMAS, validateRequest } = require('./lib/request-schemas');
+const { AlertEngine } = require('./lib/alerts');
+const WebhookNotifier = require('./lib/webhook');
+const QuoteStream = require('./lib/quote-stream');
+const attachQuoteSocket = require('./lib/quote-socket');
+const { SYMBOL_QUERY_PATTERN, normalizeSymbol } = require('./lib/validation');
+const { DEFAULT_SYMBOLS_DIR, EXCHANGES, SymbolMaster, exchangeSymbol } = require('./lib/symbols');
+const { refreshSymbolLists, symbolListsAge } = require('./lib/symbol-lists');
+const { EXPORT_FORMATS, exportFilename, renderExport } = require('./lib/export');
+const asyncRoute = require('./lib/routes/async-route');
+const { httpClient } = require('./lib/http');
+const {
+    ANALYSIS_SCHEMA,
+    comparisonSchema,
+    createDefaultLLMRegistry,
+    eventSentimentSchema,
+    generateStructured,
+    validateComparison,
+    validateEventSentiment
+} = require('./lib/llm');
+const { ScoringEngine } = require('./lib/scoring');
+const { MarketCalendar } = require('./lib/market-calendar');
+const CandleStore = require('./lib/candle-store');
+const { describeStrategy, epsTimeline, parseCosts, parseStrategy, runBacktest, usesPe, warmupDays } = require('./lib/backtest');
+const { DEFAULT_LOOKBACK_DAYS, TYPE_LABELS, applyLlmSentiment, describeEvent, eventDate, selectEvents, summarizeEvents } = require('./lib/events');
+const { logger } = require('./lib/logger');
+const { MetricsRegistry } = require('./lib/metrics');
+const SourceHealth = require('./lib/source-health');
+const { SnapshotStore } = require('./lib/snapshots');
+const JobQueue = require('./lib/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
+const MAX_COMPARE_SYMBOLS = 10;
+const COMPARE_CONCURRENCY = parseInt(process.env.COMPARE_CONCURRENCY, 10) || 3;
+const MAX_STREAM_SYMBOLS = 10;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Browser origins allowed to call the API besides its own: comma separated,
+// "*" for any, "null" for a page opened from file://. Unset, only pages
+// served from the API's own host may call it.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const sameHost = (origin, host) => {
+    try {
+        return new URL(origin).host === host;
+    } catch (error) {
+        return false;
+    }
+};
+const originAllowed = (origin, host) =>
+    CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin) || sameHost(origin, host);
+
+// Prometheus metrics, served at GET /metrics
+const metrics = new MetricsRegistry();
+const httpRequests = metrics.counter({
+    name: 'stockai_http_requests_total',
+    help: 'API requests by route and status',
+    labelNames: ['method', 'route', 'status']
+});
+const httpDuration = metrics.histogram({
+    name: 'stockai_http_request_duration_seconds',
+    help: 'API request latency',
+    labelNames: ['method', 'route']
+});
+const sourceFetches = metrics.counter({
+    name: 'stockai_source_fetches_total',
+    help: 'Upstream source fetches (cache misses) by outcome',
+    labelNames: ['source', 'operation', 'outcome']
+});
+const sourceDuration = metrics.histogram({
+    name: 'stockai_source_fetch_duration_seconds',
+    help: 'Upstream source fetch latency, retries included',
+    labelNames: ['source', 'operation', 'outcome']
+});
+const cacheRequests = metrics.counter({
+    name: 'stockai_cache_requests_total',
+    help: 'Source cache lookups by result (hit, stale or miss)',
+    labelNames: ['source', 'result']
+});
+metrics.gauge({
+    name: 'stockai_cache_hit_ratio',
+    help: 'Share of source cache lookups served from the cache (fresh or stale)',
+    labelNames: ['source'],
+    collect: (gauge) => {
+        const totals = {};
+        for (const { labels, value } of cacheRequests.series.values()) {
+            totals[labels.source] = totals[labels.source] || { served: 0, all: 0 };
+            totals[labels.source].all += value;
+            if (labels.result !== 'miss') totals[labels.source].served += value;
+        }
+        for (const [source, { served, all }] of Object.entries(totals)) {
+            gauge.set({ source }, all ? Number((served / all).toFixed(4)) : 0);
+        }
+    }
+});
+const llmRequests = metrics.counter({
+    name: 'stockai_llm_requests_total',
+    help: 'Structured LLM calls by outcome',
+    labelNames: ['provider', 'outcome']
+});
+const llmTokens = metrics.counter({
+    name: 'stockai_llm_tokens_total',
+    help: 'LLM tokens used, as reported by the provider',
+    labelNames: ['provider', 'model', 'type']
+});
+metrics.gauge({
+    name: 'stockai_upstream_circuit_state',
+    help: 'Circuit breaker per upstream host: 0 closed, 1 half open, 2 open',
+    labelNames: ['host'],
+    collect: (gauge) => {
+        const states = { closed: 0, half_open: 1, open: 2 };
+        for (const [host, stats] of Object.entries(httpClient.stats())) {
+            gauge.set({ host }, states[stats.circuit.state]);
+        }
+    }
+});
+metrics.gauge({
+    name: 'stockai_process_uptime_seconds',
+    help: 'Seconds since the server started',
+    collect: (gauge) => gauge.set({}, Math.round(process.uptime()))
+});
+metrics.gauge({
+    name: 'stockai_process_resident_memory_bytes',
+    help: 'Resident memory of the server process',
+    collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+});
+
+// Recent outcome of every source fetch, for /api/health
+const sourceHealth = new SourceHealth();
+
+// Request IDs: a well-formed incoming X-Request-Id is kept so a caller can
+// follow its request through the logs, otherwise one is generated
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+app.use((req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const stop = httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        // Route pattern rather than the URL, so symbols do not explode the label set
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        const seconds = stop({ route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        req.log.info('request', {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            duration_ms: Math.round(seconds * 1000),
+            api_key: req.apiKey?.name
+        });
+    });
+    next();
+});
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-
-// Better headers to avoid detection
-const getBrowserHeaders = () => ({
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.5',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'DNT': '1',
-    'Connection': 'keep-alive',
-    'Upgrade-Insecure-Requests': '1',
-    'Sec-Fetch-Dest': 'document',
-    'Sec-Fetch-Mode': 'navigate',
-    'Sec-Fetch-Site': 'none',
-    'Cache-Control': 'max-age=0'
+app.use(cors((req, callback) => callback(null, {
+    origin: !req.get('origin') || originAllowed(req.get('origin'), req.get('host')),
+    exposedHeaders: ['X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After', 'X-Request-Id']
+})));
+
+// Without CORS headers the browser hides the response, but the request
+// would still run (and spend quota); refuse it outright
+app.use((req, res, next) => {
+    const origin = req.get('origin');
+    if (origin && !originAllowed(origin, req.get('host'))) {
+        return sendError(res, 'ORIGIN_NOT_ALLOWED', `Origin ${origin} is not allowed to call this API`);
+    }
+    next();
+});
+
+app.use(express.json({ limit: '5mb' }));
+
+const sourceRegistry = createDefaultRegistry();
+
+const reconciler = new Reconciler({
+    tolerances: parseTolerances(process.env.RECONCILE_TOLERANCES)
+});
+
+// Watchlists and portfolios live in a local JSON file
+const store = new JsonStore(path.join(DATA_DIR, 'stockai.json'));
+
+// Every analysis, per symbol up to SNAPSHOT_LIMIT (0 keeps none)
+const SNAPSHOT_LIMIT = parseInt(process.env.SNAPSHOT_LIMIT ?? '100', 10);
+const snapshots = new SnapshotStore({
+    dir: path.join(DATA_DIR, 'snapshots'),
+    legacyFile: path.join(DATA_DIR, 'snapshots.json'),
+    limit: SNAPSHOT_LIMIT
+});
+
+// API keys: every route but /, /api/health and /metrics needs one unless
+// AUTH_ENABLED=false. With no keys at all, start() creates a bootstrap key.
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+const envInt = (name) => {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? undefined : value;
+};
+
+const apiKeys = new ApiKeyManager({
+    store,
+    file: process.env.API_KEYS_FILE,
+    defaults: {
+        rate_limit_per_minute: envInt('API_RATE_LIMIT_PER_MINUTE'),
+        daily_quota: envInt('API_DAILY_QUOTA'),
+        llm_daily_quota: envInt('API_LLM_DAILY_QUOTA')
+    },
+    llmDailyBudget: envInt('LLM_DAILY_BUDGET')
+}).loadFile();
+
+app.use('/api/admin', requireAdmin(process.env.ADMIN_API_KEY), createAdminRouter({
+    keys: apiKeys,
+    adoptUnowned: (owner) => adoptUnowned(store, owner),
+    describeConfig: () => ({
+        auth_enabled: AUTH_ENABLED,
+        cors_origins: CORS_ORIGINS,
+        ...apiKeys.describeConfig()
+    })
+}));
+
+app.use(authenticate(apiKeys, { enabled: AUTH_ENABLED, publicPaths: ['/', '/api/health', '/metrics'] }));
+
+// One metered LLM call for the request's key (and the server budget);
+// returns why it is refused, or null
+const llmBudget = (req) => () => apiKeys.consumeLlm(req.apiKey || null);
+
+// Request ID and logger handed to scrapers so source fetches log under the request
+const requestContext = (req) => ({ requestId: req.id, log: req.log });
+
+// Stack traces for errors in development
+const debugFields = (error) => process.env.NODE_ENV === 'development' ? { stack: error.stack } : {};
+
+const sourceCache = new SourceCache({
+    store: new MemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000 }),
+    enabled: process.env.CACHE_ENABLED !== 'false'
 });
 
+// Times one upstream fetch into the source metrics and health. Only real
+// fetches go through here; cache hits are counted by cachedFetch.
+async function observeFetch(adapter, operation, fetcher) {
+    const labels = { source: adapter.name, operation };
+    const started = Date.now();
+    try {
+        const value = await fetcher();
+        const durationMs = Date.now() - started;
+        sourceFetches.inc({ ...labels, outcome: 'success' });
+        sourceDuration.observe({ ...labels, outcome: 'success' }, durationMs / 1000);
+        sourceHealth.record(adapter.name, { ok: true, durationMs });
+        return value;
+    } catch (error) {
+        const durationMs = Date.now() - started;
+        sourceFetches.inc({ ...labels, outcome: 'failure' });
+        sourceDuration.observe({ ...labels, outcome: 'failure' }, durationMs / 1000);
+        sourceHealth.record(adapter.name, { ok: false, durationMs, error });
+        throw error;
+    }
+}
+
+// cache.wrap() for one source, with the lookup counted as hit, stale or miss
+async function cachedFetch(cache, adapter, operation, key, ttls, fetcher) {
+    const result = await cache.wrap(key, ttls, () => observeFetch(adapter, operation, fetcher));
+    const outcome = result.cache.stale ? 'stale' : result.cache.hit ? 'hit' : 'miss';
+    cacheRequests.inc({ source: adapter.name, result: outcome });
+    return result;
+}
+
+// Price history goes through the same cache as quotes, with its own TTL
+function fetchHistoryCached(provider, { symbol, exchange = 'NSE', listing, range, interval, requestId, log }, cache = sourceCache, calendar = marketCalendar) {
+    return cachedFetch(
+        cache,
+        provider,
+        'history',
+        `${provider.name}:history:${exchange}:${symbol}:${range}:${interval}`,
+        { ttl: calendar.cacheTtl(exchange, provider.historyCacheTtl ?? provider.cacheTtl) },
+        () => provider.fetchHistory({ symbol, exchange, listing, range, interval, requestId, log })
+    );
+}
+
+// generateStructured() with the call and its token usage counted
+async function generateMetered(provider, options) {
+    const model = options.model || provider.defaultModel || 'default';
+    const countTokens = (usage, replyModel = model) => {
+        if (!usage) return;
+        llmTokens.inc({ provider: provider.name, model: replyModel, type: 'prompt' }, usage.prompt_tokens);
+        llmTokens.inc({ provider: provider.name, model: replyModel, type: 'completion' }, usage.completion_tokens);
+    };
+
+    try {
+        const result = await generateStructured(provider, options);
+        llmRequests.inc({ provider: provider.name, outcome: 'success' });
+        countTokens(result.usage, result.model || model);
+        return result;
+    } catch (error) {
+        llmRequests.inc({ provider: provider.name, outcome: 'failure' });
+        countTokens(error.usage);
+        throw error;
+    }
+}
+
+// NSE/BSE equity lists. The repo bundles a small sample; the full lists are
+// downloaded into SYMBOLS_DIR (default DATA_DIR/symbols) on startup and every
+// SYMBOLS_REFRESH_HOURS, and the sample fills in until they arrive.
+const SYMBOLS_DIR = process.env.SYMBOLS_DIR || path.join(DATA_DIR, 'symbols');
+const SYMBOLS_REFRESH_HOURS = process.env.SYMBOLS_REFRESH_HOURS !== undefined
+    ? parseFloat(process.env.SYMBOLS_REFRESH_HOURS) || 0
+    : 24;
+const symbolMaster = new SymbolMaster({ dir: SYMBOLS_DIR, fallbackDir: DEFAULT_SYMBOLS_DIR }).load();
+
+// Downloads the lists when they are missing or older than the refresh interval
+async function refreshSymbolMaster() {
+    if (symbolListsAge(SYMBOLS_DIR) < SYMBOLS_REFRESH_HOURS * 60 * 60 * 1000) return;
+
+    const { updated } = await refreshSymbolLists(SYMBOLS_DIR);
+    if (updated.length > 0) {
+        symbolMaster.load();
+        logger.info('symbol master reloaded', symbolMaster.describe());
+    }
+}
+const MAX_SEARCH_RESULTS = 50;
+
+// Unresolved analyze input with these matches is answered with the listings
+// it could mean instead of being passed through as a symbol
+const MAX_CANDIDATES = 5;
+const CANDIDATE_MATCHES = ['exact', 'symbol', 'name', 'symbol_prefix', 'name_prefix'];
+
+// User input (symbol, BSE code, ISIN or company name) -> the symbol to
+// analyze on `exchange` and its symbol master listing. Input the master does
+// not know is passed through when it looks like a symbol, since the snapshot
+// can lag new listings.
+function resolveListing(input, exchange = 'NSE') {
+    exchange = String(exchange || 'NSE').toUpperCase();
+    if (!EXCHANGES.includes(exchange)) {
+        throw apiError('INVALID_EXCHANGE', `exchange must be one of: ${EXCHANGES.join(', ')}`);
+    }
+    
+    if (!SYMBOL_QUERY_PATTERN.test(String(input || '').trim())) {
+        throw apiError('INVALID_SYMBOL', 'A stock symbol, BSE code, ISIN or company name (letters, digits, spaces and & . \' ( ) -) is required');
+    }
+    
+    const listing = symbolMaster.resolve(String(input));
+    if (listing) {
+        const symbol = exchangeSymbol(listing, exchange);
+        if (!symbol) throw apiError('NOT_LISTED', `${listing.name} (${listing.symbol}) is not listed on ${exchange}`);
+        return { symbol, exchange, listing };
+    }
+    
+    // Input that starts a known symbol or name is a search, not a new listing
+    const candidates = symbolMaster.search(String(input), { limit: MAX_CANDIDATES, exchange })
+        .map(candidate => ({ symbol: exchangeSymbol(candidate, exchange), name: candidate.name, match: candidate.match }));
+    const symbol = normalizeSymbol(input);
+    if (candidates.length > 0 && (!symbol || candidates.some(candidate => CANDIDATE_MATCHES.includes(candidate.match)))) {
+        throw apiError('UNKNOWN_SYMBOL',
+            `Unknown stock "${input}". Did you mean ${candidates.map(candidate => `${candidate.symbol} (${candidate.name})`).join(', ')}?`,
+            { candidates });
+    }
+    if (!symbol) {
+        throw apiError('UNKNOWN_SYMBOL', `Unknown stock "${input}". Use /api/search?q= to find its symbol`);
+    }
+    return { symbol, exchange, listing: null };
+}
+
+const llmRegistry = createDefaultLLMRegistry();
+const LLM_MAX_REPAIRS = parseInt(process.env.LLM_MAX_REPAIRS ?? '1', 10);
+
+// Corporate events in the analysis: how far back, and whether the LLM
+// relabels the lexicon's sentiment by default ('lexicon' or 'ai')
+const EVENTS_LOOKBACK_DAYS = parseInt(process.env.EVENTS_LOOKBACK_DAYS, 10) || DEFAULT_LOOKBACK_DAYS;
+const EVENT_SENTIMENT = process.env.EVENT_SENTIMENT === 'ai' ? 'ai' : 'lexicon';
+const MAX_PROMPT_EVENTS = 15;
+
+// Valuation, risk, strengths/concerns and the 0-100 score come from one
+// rules file so every summary judges a stock the same way
+const scoringEngine = ScoringEngine.fromFile(process.env.SCORING_RULES_FILE);
+
+// NSE/BSE sessions and holidays: market status in responses, and longer
+// cache TTLs and polling intervals while the market is closed
+const marketCalendar = MarketCalendar.fromFile(process.env.MARKET_CALENDAR_FILE);
+
+// "Tue, 3 Mar, 9:15 am IST" for summaries and prompts
+function formatMarketTime(iso) {
+    const text = new Date(iso).toLocaleString('en-IN', {
+        timeZone: marketCalendar.timezone,
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+    return `${text} IST`;
+}
+
+const ANALYST_SYSTEM_PROMPT = 'You are a professional stock market analyst. Reply with a single JSON object and nothing else.';
+
 class ImprovedStockScraper {
-    constructor(stockSymbol) {
-        this.stockSymbol = stockSymbol.toUpperCase();
+    // options.exchange: 'NSE' (default) or 'BSE'; the symbol is resolved
+    // through the symbol master, so names and BSE codes work too.
+    // options.requestId and options.log (a request's child logger) are
+    // passed on to every source fetch. options.calendar replaces the market
+    // calendar, options.llmRegistry the LLM providers.
+    constructor(stockSymbol, options = {}) {
+        const { symbol, exchange, listing } = resolveListing(stockSymbol, options.exchange);
+        this.stockSymbol = symbol;
+        this.exchange = exchange;
+        this.listing = listing;
+        this.registry = options.registry || sourceRegistry;
+        this.cache = options.cache || sourceCache;
+        this.reconciler = options.reconciler || reconciler;
+        this.calendar = options.calendar || marketCalendar;
+        this.llmRegistry = options.llmRegistry || llmRegistry;
+        this.requestId = options.requestId || null;
+        this.log = options.log || logger;
+        // progress: a job's progress object (lib/jobs.js) to report stages to
+        this.progress = options.progress || null;
+        // An explicit `sources` selection also fixes the priority order
+        this.explicitOrder = Boolean(options.sources && options.sources.length) || this.registry.ordered;
+        const adapters = this.registry.resolve(options.sources).filter(adapter => adapter.supportsExchange(exchange));
+        this.adapters = adapters.filter(adapter => adapter.kind !== 'events');
+        this.eventAdapters = adapters.filter(adapter => adapter.kind === 'events');
+        if (this.adapters.length === 0) {
+            throw apiError('NO_SOURCE_FOR_EXCHANGE', `None of the selected sources quote ${exchange} listings`);
+        }
+        const now = this.calendar.clock.now();
         this.data = {
-            stock_symbol: stockSymbol,
-            scraped_at: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }),
+            stock_symbol: symbol,
+            exchange,
+            scraped_at: new Date(now).toISOString(),
+            market: this.calendar.status(exchange, now),
             sources: {},
+            cache: {},
             combined_data: {},
+            reconciliation: {},
             summary: {}
         };
     }
     
-    // Method 1: Try Yahoo Finance API (more reliable)
-    async fetchYahooFinanceData() {
+    async fetchSource(adapter) {
+        const stage = `source:${adapter.name}`;
+        this.report(stage, 'running');
         try {
-            const symbol = `${this.stockSymbol}.NS`; // NSE stocks
-            
-            // Yahoo Finance query API
-            const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}`;
-            
-            const response = await axios.get(url, {
-                headers: getBrowserHeaders(),
-                timeout: 10000
-            });
-            
-            const result = response.data.chart.result[0];
-            const meta = result.meta;
-            const quote = result.indicators.quote[0];
-            
-            const data = {
-                current_price: meta.regularMarketPrice,
-                previous_close: meta.previousClose,
-                change: meta.regularMarketPrice - meta.previousClose,
-                change_percent: ((meta.regularMarketPrice - meta.previousClose) / meta.previousClose * 100).toFixed(2),
-                volume: meta.regularMarketVolume,
-                currency: meta.currency,
-                exchange: meta.exchangeName
-            };
-            
-            this.data.sources.yahoo_finance = data;
+            const { value: data, cache } = await cachedFetch(
+                this.cache,
+                adapter,
+                'quote',
+                `${adapter.name}:${this.exchange}:${this.stockSymbol}`,
+                { ttl: this.calendar.cacheTtl(this.exchange, adapter.cacheTtl), staleTtl: adapter.staleTtl },
+                () => adapter.fetch({
+                    symbol: this.stockSymbol,
+                    exchange: this.exchange,
+                    listing: this.listing,
+                    timeout: adapter.timeout,
+                    requestId: this.requestId,
+                    log: this.log
+                })
+            );
+
+            this.data.sources[adapter.name] = data;
+            this.data.cache[adapter.name] = cache;
+            this.report(stage, 'done', { from_cache: cache.hit });
+            // What the sources so far agree on, before the slow ones answer
+            this.progress?.partial({ sources: this.getSourcesList(), combined_data: this.getCombinedData() });
             return data;
-            
-        } catch (error) {
-            console.error('Yahoo Finance API Error:', error.message);
-            return null;
-        }
-    }
-    
-    // Method 2: Try NSE India API
-    async fetchNSEData() {
-        try {
-            const url = `https://www.nseindia.com/api/quote-equity?symbol=${this.stockSymbol}`;
-            
-            const response = await axios.get(url, {
-                headers: {
-                    ...getBrowserHeaders(),
-                    'Referer': 'https://www.nseindia.com/',
-                    'X-Requested-With': 'XMLHttpRequest'
-                },
-                timeout: 10000
-            });
-            
-            const data = response.data;
-            
-            const parsed = {
-                current_price: data.priceInfo?.lastPrice,
-                change: data.priceInfo?.change,
-                change_percent: data.priceInfo?.pChange,
-                open: data.priceInfo?.open,
-                high: data.priceInfo?.intraDayHighLow?.max,
-                low: data.priceInfo?.intraDayHighLow?.min,
-                volume: data.preOpenMarket?.totalTradedVolume,
-                market_cap: data.metadata?.pdSectorInd,
-                pe_ratio: data.metadata?.pdSectorPe,
-                company_name: data.info?.companyName
-            };
-            
-            this.data.sources.nse = parsed;
-            return parsed;
-            
+
         } catch (error) {
-            console.error('NSE API Error:', error.message);
+            this.log.warn('source fetch failed', { source: adapter.name, symbol: this.stockSymbol, error });
+            this.report(stage, 'failed', { error: error.message });
             return null;
         }
     }
     
-    // Method 3: Improved Screener.in scraping
-    async scrapeScreener() {
-        try {
-            const url = `https://www.screener.in/company/${this.stockSymbol}/consolidated/`;
-            
-            const response = await axios.get(url, {
-                headers: getBrowserHeaders(),
-                timeout: 15000
-            });
-            
-            const $ = cheerio.load(response.data);
-            const data = {
-                company_info: {},
-                financials: {},
-                ratios: {}
-            };
-            
-            // Company name
-            const nameElem = $('h1').first().text().trim();
-            if (nameElem) {
-                data.company_info.name = nameElem;
-            }
-            
-            // Extract data from top ratios list
-            $('#top-ratios li').each((i, elem) => {
-                const text = $(elem).text().trim();
-                
-                // Market Cap
-                if (text.includes('Market Cap')) {
-                    const match = text.match(/₹\s*([\d,]+\.?\d*)\s*Cr/);
-                    if (match) data.ratios.market_cap = parseFloat(match[1].replace(/,/g, ''));
-                }
-                
-                // Current Price
-                if (text.includes('Current Price')) {
-                    const match = text.match(/₹\s*([\d,]+\.?\d*)/);
-                    if (match) data.company_info.price = parseFloat(match[1].replace(/,/g, ''));
-                }
-                
-                // P/E Ratio
-                if (text.includes('Stock P/E')) {
-                    const match = text.match(/Stock P\/E\s*([\d.]+)/);
-                    if (match) data.ratios.pe_ratio = parseFloat(match[1]);
-                }
-                
-                // Book Value
-                if (text.includes('Book Value')) {
-                    const match = text.match(/₹\s*([\d,]+\.?\d*)/);
-                    if (match) data.ratios.book_value = parseFloat(match[1].replace(/,/g, ''));
-                }
-                
-                // ROE
-                if (text.includes('ROE')) {
-                    const match = text.match(/([\d.]+)%/);
-                    if (match) data.ratios.roe = parseFloat(match[1]);
-                }
-                
-                // ROCE
-                if (text.includes('ROCE')) {
-                    const match = text.match(/([\d.]+)%/);
-                    if (match) data.ratios.roce = parseFloat(match[1]);
-                }
-            });
-            
-            // Extract data from company info section
-            $('li[class*="flex"]').each((i, elem) => {
-                const text = $(elem).text().trim();
-                
-                if (text.includes('Market Cap')) {
-                    const match = text.match(/₹\s*([\d,]+\.?\d*)\s*Cr/);
-                    if (match) data.ratios.market_cap = parseFloat(match[1].replace(/,/g, ''));
-                }
-            });
-            
-            this.data.sources.screener = data;
-            return data;
-            
-        } catch (error) {
-            console.error('Screener.in Error:', error.message);
-            return null;
-        }
+    report(stage, status, fields) {
+        this.progress?.stage(stage, status, fields);
     }
     
-    // Method 4: Alternative - Money Control scraping
-    async scrapeMoneyControl() {
+    // Daily candles for the last year, reduced to technical indicators
+    async fetchTechnicals() {
+        const provider = this.adapters.find(adapter => typeof adapter.fetchHistory === 'function');
+        if (!provider) return null;
+        
+        this.report('technicals', 'running');
         try {
-            const searchUrl = `https://www.moneycontrol.com/stocks/cptmarket/compsearchnew.php?search_data=&cid=&mbsearch_str=${this.stockSymbol}&topsearch_type=1`;
-            
-            const response = await axios.get(searchUrl, {
-                headers: getBrowserHeaders(),
-                timeout: 10000
-            });
-            
-            const $ = cheerio.load(response.data);
-            // Parse MoneyControl data structure
-            // This is a fallback method
+            const { value: history } = await fetchHistoryCached(provider, {
+                symbol: this.stockSymbol,
+                exchange: this.exchange,
+                listing: this.listing,
+                range: '1y',
+                interval: '1d',
+                requestId: this.requestId,
+                log: this.log
+            }, this.cache, this.calendar);
             
-            this.data.sources.moneycontrol = {};
-            return {};
+            this.data.technicals = analyzeCandles(history.candles);
+            this.report('technicals', 'done', { candles: history.candles.length });
+            return this.data.technicals;
             
         } catch (error) {
-            console.error('MoneyControl Error:', error.message);
+            this.log.warn('history fetch failed', { source: provider.name, symbol: this.stockSymbol, error });
+            this.report('technicals', 'failed', { error: error.message });
             return null;
         }
     }
     
     async scrapeAllSources() {
         // Try multiple sources in parallel for speed
-        const results = await Promise.allSettled([
-            this.fetchYahooFinanceData(),
-            this.fetchNSEData(),
-            this.scrapeScreener()
+        const [results] = await Promise.all([
+            Promise.allSettled(this.adapters.map(adapter => this.fetchSource(adapter))),
+            this.fetchTechnicals()
         ]);
         
-        console.log('Data fetch results:', results.map(r => r.status));
+        this.log.debug('source fetches settled', {
+            symbol: this.stockSymbol,
+            sources: Object.fromEntries(this.adapters.map((adapter, i) => [adapter.name, results[i].value ? 'ok' : 'failed']))
+        });
         
         // If all failed, return error
         const successCount = results.filter(r => r.status === 'fulfilled' && r.value !== null).length;
         
         if (successCount === 0) {
-            throw new Error('Unable to fetch data from any source. Stock symbol might be invalid or services are unavailable.');
+            throw apiError('UPSTREAM_FAILED', 'Unable to fetch data from any source. Stock symbol might be invalid or services are unavailable.');
+        }
+    }
+    
+    // Recent filings, corporate actions and headlines from the events
+    // sources, with lexicon sentiment. Never throws: feeds that fail are
+    // listed in `errors`. null when no events source is selected.
+    async fetchEvents() {
+        if (this.eventAdapters.length === 0) return null;
+
+        this.report('events', 'running');
+        const errors = {};
+        const answered = [];
+        const results = await Promise.all(this.eventAdapters.map(async adapter => {
+            try {
+                const { value } = await cachedFetch(
+                    this.cache,
+                    adapter,
+                    'events',
+                    `${adapter.name}:${this.exchange}:${this.stockSymbol}`,
+                    { ttl: adapter.cacheTtl, staleTtl: adapter.staleTtl },
+                    () => adapter.fetch({
+                        symbol: this.stockSymbol,
+                        exchange: this.exchange,
+                        listing: this.listing,
+                        timeout: adapter.timeout,
+                        requestId: this.requestId,
+                        log: this.log
+                    })
+                );
+                answered.push(adapter.label);
+                Object.assign(errors, value.errors);
+                return value.items;
+
+            } catch (error) {
+                this.log.warn('events fetch failed', { source: adapter.name, symbol: this.stockSymbol, error });
+                errors[adapter.name] = error.message;
+                return [];
+            }
+        }));
+
+        const now = this.calendar.clock.now();
+        const items = selectEvents(results.flat(), { now, lookbackDays: EVENTS_LOOKBACK_DAYS });
+        this.data.events = {
+            as_of: new Date(now).toISOString(),
+            lookback_days: EVENTS_LOOKBACK_DAYS,
+            sources: answered,
+            sentiment: { method: 'lexicon', provider: null, model: null, error: null },
+            summary: summarizeEvents(items),
+            items,
+            errors
+        };
+        this.report('events', answered.length ? 'done' : 'failed', { items: items.length });
+        return this.data.events;
+    }
+
+    // Second opinion on the events' sentiment from the LLM. The lexicon
+    // labels stay when the provider is unavailable, over budget or fails.
+    async classifyEventSentiment(llmOptions = {}, budget = null) {
+        const events = this.data.events;
+        if (!events || events.items.length === 0) return events;
+
+        const { provider, model, temperature } = this.llmRegistry.resolve(llmOptions);
+        const count = events.items.length;
+        const schema = eventSentimentSchema(count);
+        const company = this.data.combined_data.company_name || this.listing?.name || this.stockSymbol;
+
+        const prompt = `Label the sentiment of each event below for a shareholder of ${company} (${this.stockSymbol}) and reply with a JSON object matching this JSON Schema:
+
+${JSON.stringify(schema)}
+
+Events:
+${events.items.map((item, i) => `${i}. ${describeEvent(item)}`).join('\n')}
+
+Instructions:
+1. index is the event's number above; label every event once
+2. positive or negative only when the event is likely to move the share price that way; routine filings are neutral
+3. Keep every reason to one concise, professional sentence
+4. Reply with the JSON object only, without markdown`;
+
+        const unavailable = provider.unavailableReason() || (provider.metered && budget?.());
+        if (unavailable) {
+            events.sentiment.error = unavailable;
+            return events;
+        }
+
+        try {
+            const result = await generateMetered(provider, {
+                system: ANALYST_SYSTEM_PROMPT,
+                prompt,
+                schema,
+                validate: validateEventSentiment(count),
+                model,
+                temperature,
+                maxTokens: 100 + 60 * count,
+                maxRepairs: LLM_MAX_REPAIRS,
+                symbol: this.stockSymbol,
+                log: this.log
+            });
+
+            events.items = applyLlmSentiment(events.items, result.value.events);
+            events.summary = summarizeEvents(events.items);
+            events.sentiment = { method: 'llm', provider: provider.name, model: result.model, error: null };
+
+        } catch (error) {
+            this.log.warn('LLM event sentiment failed', { provider: provider.name, symbol: this.stockSymbol, error });
+            events.sentiment.error = error.message;
         }
+        return events;
+    }
+
+    // Sources that provide a combined field, best first
+    getFieldProviders(field) {
+        const providers = this.adapters.filter(adapter => adapter.providesField(field));
+
+        if (this.explicitOrder) return providers;
+
+        return providers.sort((a, b) => a.fieldPriority(field) - b.fieldPriority(field));
     }
     
-    // Combine data from multiple sources
+    // Combine data from multiple sources, cross-checking every field
     getCombinedData() {
-        const sources = this.data.sources;
-        const combined = {};
-        
-        // Current Price (prioritize Yahoo > NSE > Screener)
-        combined.current_price = 
-            sources.yahoo_finance?.current_price ||
-            sources.nse?.current_price ||
-            sources.screener?.company_info?.price;
+        const fields = new Set(this.adapters.flatMap(adapter => Object.keys(adapter.fields)));
+        const providers = {};
         
-        // Change Percentage
-        combined.change_percent = 
-            sources.yahoo_finance?.change_percent ||
-            sources.nse?.change_percent;
-        
-        // Company Name
-        combined.company_name = 
-            sources.nse?.company_name ||
-            sources.screener?.company_info?.name ||
-            this.stockSymbol;
+        for (const field of fields) {
+            providers[field] = this.getFieldProviders(field);
+        }
         
-        // Market Cap
-        combined.market_cap = sources.screener?.ratios?.market_cap;
+        const { values, ...reconciliation } = this.reconciler.reconcile(providers, this.data.sources);
+        const combined = { ...values };
         
-        // P/E Ratio
-        combined.pe_ratio = 
-            sources.screener?.ratios?.pe_ratio ||
-            sources.nse?.pe_ratio;
+        // Company name and industry the sources did not give: from the
+        // symbol master when it knows the listing
+        const fallbacks = [
+            ['company_name', this.listing?.name, 'symbol_master'],
+            ['company_name', this.stockSymbol, 'input'],
+            ['industry', this.listing?.industry, 'symbol_master']
+        ];
+        for (const [field, value, source] of fallbacks) {
+            if (combined[field] || !value) continue;
+            
+            combined[field] = value;
+            reconciliation.fields[field] = {
+                value,
+                source,
+                confidence: 0,
+                values: {},
+                agreeing_sources: [],
+                discrepancy: false
+            };
+        }
         
-        // ROE
-        combined.roe = sources.screener?.ratios?.roe;
+        this.data.reconciliation = reconciliation;
         
-        // Book Value
-        combined.book_value = sources.screener?.ratios?.book_value;
+        // Technical indicators from price history
+        if (this.data.technicals) {
+            combined.technicals = this.data.technicals;
+        }
         
         this.data.combined_data = combined;
         return combined;
@@ -285,20 +715,30 @@ class ImprovedStockScraper {
         const data = this.getCombinedData();
         let summary = [];
         
+        const labels = this.getPriceLabels();
+        
         // Company name
         summary.push(`📊 ${data.company_name || this.stockSymbol}`);
         
-        // Current Price
+        // Current Price, or the last traded one while the market is closed
         if (data.current_price && typeof data.current_price === 'number') {
-            summary.push(`💰 Current Price: ₹${data.current_price.toFixed(2)}`);
+            const { last_trade_time } = this.getFreshness();
+            const asOf = labels.open || !last_trade_time ? '' : ` (as of ${formatMarketTime(last_trade_time)})`;
+            summary.push(`💰 ${labels.price}: ₹${data.current_price.toFixed(2)}${asOf}`);
         } else {
-            summary.push(`💰 Current Price: N/A`);
+            summary.push(`💰 ${labels.price}: N/A`);
         }
         
         // Change Percentage
-        if (data.change_percent) {
-            const direction = parseFloat(data.change_percent) >= 0 ? 'UP' : 'DOWN';
-            summary.push(`📈 Today's Change: ${data.change_percent}% ${direction}`);
+        if (typeof data.change_percent === 'number') {
+            const direction = data.change_percent >= 0 ? 'UP' : 'DOWN';
+            summary.push(`📈 ${labels.change}: ${data.change_percent.toFixed(2)}% ${direction}`);
+        }
+        
+        // Market hours
+        const market = this.describeMarket();
+        if (market) {
+            summary.push(`🕒 ${market}`);
         }
         
         // Market Cap
@@ -308,12 +748,22 @@ class ImprovedStockScraper {
         
         // P/E Ratio
         if (data.pe_ratio && typeof data.pe_ratio === 'number') {
-            let valuation = 'Fair';
-            if (data.pe_ratio < 15) valuation = 'Cheap';
-            else if (data.pe_ratio > 30 && data.pe_ratio <= 50) valuation = 'Expensive';
-            else if (data.pe_ratio > 50) valuation = 'Very Expensive';
-            
-            summary.push(`📊 P/E Ratio: ${data.pe_ratio.toFixed(2)} (${valuation})`);
+            const sectorPe = typeof data.sector_pe === 'number' ? ` (Sector P/E: ${data.sector_pe.toFixed(2)})` : '';
+            summary.push(`📊 P/E Ratio: ${data.pe_ratio.toFixed(2)}${sectorPe}`);
+        }
+        
+        // EPS and Dividend Yield
+        if (typeof data.eps === 'number') {
+            summary.push(`💵 EPS (TTM): ₹${data.eps.toFixed(2)}`);
+        }
+        
+        if (typeof data.dividend_yield === 'number') {
+            summary.push(`🎁 Dividend Yield: ${data.dividend_yield.toFixed(2)}%`);
+        }
+        
+        // Day's Range
+        if (typeof data.day_low === 'number' && typeof data.day_high === 'number') {
+            summary.push(`↕️ Day's Range: ₹${data.day_low.toFixed(2)} - ₹${data.day_high.toFixed(2)}`);
         }
         
         // ROE
@@ -326,223 +776,1096 @@ class ImprovedStockScraper {
             summary.push(`📖 Book Value: ₹${data.book_value.toFixed(2)}`);
         }
         
-        // Risk Assessment
-        let risk = 'Medium Risk';
-        if (data.pe_ratio && data.roe && typeof data.pe_ratio === 'number' && typeof data.roe === 'number') {
-            if (data.pe_ratio < 20 && data.roe > 15) {
-                risk = 'Low Risk';
-            } else if (data.pe_ratio > 50) {
-                risk = 'High Risk';
+        // Growth
+        if (typeof data.revenue_cagr_3y === 'number' || typeof data.profit_cagr_3y === 'number') {
+            const growth = (value) => typeof value === 'number' ? `${value.toFixed(2)}%` : 'N/A';
+            summary.push(`🚀 3-Year CAGR: Revenue ${growth(data.revenue_cagr_3y)}, Profit ${growth(data.profit_cagr_3y)}`);
+        }
+        
+        // Balance Sheet
+        if (typeof data.debt_to_equity === 'number') {
+            summary.push(`🏦 Debt/Equity: ${data.debt_to_equity.toFixed(2)}`);
+        }
+        
+        // Promoters
+        if (typeof data.promoter_holding === 'number') {
+            const change = typeof data.promoter_holding_change === 'number'
+                ? ` (${data.promoter_holding_change >= 0 ? '+' : ''}${data.promoter_holding_change.toFixed(2)} pts over 1Y)`
+                : '';
+            const pledged = typeof data.pledged_percent === 'number' ? `, ${data.pledged_percent.toFixed(2)}% pledged` : '';
+            summary.push(`👥 Promoter Holding: ${data.promoter_holding.toFixed(2)}%${change}${pledged}`);
+        }
+        
+        // Technicals
+        const tech = data.technicals;
+        if (tech) {
+            if (tech.signals.trend) {
+                const trendLabels = { uptrend: 'Uptrend', downtrend: 'Downtrend', sideways: 'Sideways' };
+                summary.push(`📐 Trend: ${trendLabels[tech.signals.trend]} (50-day SMA ₹${tech.sma_50}${tech.sma_200 !== null ? `, 200-day SMA ₹${tech.sma_200}` : ''})`);
+            }
+            
+            if (tech.rsi_14 !== null) {
+                const rsiLabels = { overbought: 'Overbought', oversold: 'Oversold', neutral: 'Neutral' };
+                summary.push(`🧭 RSI (14): ${tech.rsi_14.toFixed(2)} (${rsiLabels[tech.signals.rsi]})`);
+            }
+            
+            if (tech.macd.histogram !== null) {
+                summary.push(`📶 MACD: ${tech.macd.macd} vs Signal ${tech.macd.signal} (${tech.signals.macd === 'bullish' ? 'Bullish' : 'Bearish'})`);
+            }
+            
+            if (tech.high_52w !== null) {
+                summary.push(`📏 52-Week Range: ₹${tech.low_52w} - ₹${tech.high_52w}`);
             }
+        } else if (typeof data.low_52w === 'number' && typeof data.high_52w === 'number') {
+            summary.push(`📏 52-Week Range: ₹${data.low_52w} - ₹${data.high_52w}`);
+        }
+        
+        // Rule-based score, valuation and risk
+        const scoring = this.getScoring(data);
+        if (scoring.score !== null) {
+            summary.push(`🧮 Score: ${scoring.score}/100 (${scoring.profile.label} rules, ${Math.round(scoring.coverage * 100)}% of factors available)`);
+        }
+        summary.push(`🏷️ Valuation: ${scoring.valuation.rating} (${scoring.valuation.reason})`);
+        summary.push(`⚠️ Risk Level: ${scoring.risk.level} Risk`);
+        
+        // Cross-source agreement
+        const { reliability, discrepancies } = this.data.reconciliation;
+        summary.push(`🔍 Data Check: ${reliability.fields_agreeing}/${reliability.fields_compared} cross-checked fields agree across ${reliability.sources} sources`);
+        for (const discrepancy of discrepancies) {
+            summary.push(`❗ Discrepancy: ${this.describeDiscrepancy(discrepancy)}`);
         }
-        summary.push(`⚠️ Risk Level: ${risk}`);
         
         this.data.summary = summary.join('\n');
         return this.data.summary;
     }
     
-    async generateFinalSummary() {
+    // "Current Price" and "Today's Change" only while the market is open
+    getPriceLabels() {
+        const open = this.data.market.is_open;
+        return {
+            open,
+            price: open ? 'Current Price' : 'Last Traded Price',
+            change: open ? "Today's Change" : 'Last Session Change'
+        };
+    }
+    
+    // One line on the market hours, or null while the market is open
+    describeMarket() {
+        const { status, reason, holiday, special_session, session, last_close, next_open } = this.data.market;
+        const next = next_open ? `; next open ${formatMarketTime(next_open)}` : '';
+        const name = special_session ? ` (${special_session})` : '';
+        
+        if (status === 'open') return null;
+        if (status === 'pre_open') return `${this.exchange} pre-open session${name}; market opens ${formatMarketTime(session.opens_at)}`;
+        if (status === 'post_close') return `${this.exchange} closed ${formatMarketTime(session.closes_at)}${name}, post-close session running${next}`;
+        if (reason === 'holiday') return `${this.exchange} closed for ${holiday}${next}`;
+        if (reason === 'weekend') return `${this.exchange} closed for the weekend${next}`;
+        if (reason === 'before_open') return `${this.exchange} not open yet${name}; market opens ${formatMarketTime(session.opens_at)}`;
+        return `${this.exchange} closed ${formatMarketTime(last_close)}${next}`;
+    }
+    
+    // When each source's data was last traded upstream and fetched here,
+    // and the latest trade time across sources
+    getFreshness() {
+        const sources = {};
+        for (const [name, data] of Object.entries(this.data.sources)) {
+            const cache = this.data.cache[name];
+            sources[name] = {
+                last_trade_time: data?.last_trade_time || null,
+                fetched_at: cache?.cached_at || this.data.scraped_at,
+                from_cache: Boolean(cache?.hit)
+            };
+        }
+        
+        const tradeTimes = Object.values(sources).map(source => source.last_trade_time).filter(Boolean).sort();
+        return {
+            last_trade_time: tradeTimes[tradeTimes.length - 1] || null,
+            sources
+        };
+    }
+    
+    // Scoring engine verdict for the combined data, kept for the response
+    getScoring(data) {
+        this.data.scoring = scoringEngine.score(data);
+        return this.data.scoring;
+    }
+    
+    // llmOptions: { provider, model, temperature }, defaults from the environment.
+    // budget() is asked before a metered provider is called and returns why
+    // the call is refused, or null.
+    async generateFinalSummary(llmOptions = {}, budget = null) {
         const data = this.getCombinedData();
+        const { provider, model, temperature } = this.llmRegistry.resolve(llmOptions);
         
-        const prompt = `You are a professional stock analyst. Analyze the following stock data and provide a concise summary in this EXACT format:
+        const prompt = `Analyze the following stock data for ${data.company_name} (${this.stockSymbol}) and reply with a JSON object matching this JSON Schema:
 
-Stock: ${data.company_name} (${this.stockSymbol})
-Current Price: ₹${data.current_price || 'N/A'}  |  Change: ${data.change_percent || 'N/A'}%
-Valuation: [Cheap/Fair/Expensive] (explain briefly)
-Risk Level: [Low/Moderate/High]
-Strengths:
-* [strength 1]
-* [strength 2]
-Concerns:
-* [concern 1]
-* [concern 2]
-Data Reliability: [Good/Fair/Limited] ([X] Sources Verified)
+${JSON.stringify(ANALYSIS_SCHEMA)}
 
 Stock Data:
-- Stock Symbol: ${this.stockSymbol}
-- Company Name: ${data.company_name || 'N/A'}
-- Current Price: ₹${data.current_price || 'N/A'}
-- Price Change: ${data.change_percent || 'N/A'}%
-- P/E Ratio: ${data.pe_ratio || 'N/A'}
-- Return on Equity (ROE): ${data.roe || 'N/A'}%
-- Market Cap: ₹${data.market_cap || 'N/A'} Cr
-- Book Value: ₹${data.book_value || 'N/A'}
-
+${this.getPromptStockData(data)}${this.getScoringPromptSection(this.getScoring(data))}${this.getEventsPromptSection()}
 Instructions:
-1. Keep the response concise and professional
-2. Valuation should be based on P/E ratio: <15 = Cheap, 15-30 = Fair, >30 = Expensive
-3. Risk level should consider P/E, market cap, and volatility
-4. List 2-3 strengths and 2-3 concerns based on the metrics
-5. Data reliability based on how many metrics are available
-6. Use the exact format shown above`;
+1. Keep every reason, strength and concern to one concise, professional sentence
+2. valuation.rating and risk.level should follow the Rule-Based Assessment, which applies ${this.data.scoring.profile.label} thresholds; only depart from it when the other data clearly argues otherwise, and say why in the reason
+3. risk.level should consider P/E, market cap, volatility, leverage and promoter pledges
+4. List 2-3 strengths and 2-3 concerns based on the metrics, including growth and balance-sheet quality (CAGR, debt/equity, promoter holding and pledges) and trend and momentum from the technical indicators rather than only today's change
+5. When Recent Events has material news (results, orders, penalties, resignations, rating changes, corporate actions), cite it with its date in a strength or concern; ignore routine filings
+6. reliability.rating is based on how many metrics are available and whether the sources agree (see Source Agreement); reliability.sources_verified is the number of sources used
+7. Reply with the JSON object only, without markdown`;
 
-        try {
-            const openaiApiKey = process.env.OPENAI_API_KEY;
-            
-            if (!openaiApiKey) {
-                return {
-                    summary: this.generateBasicSummary(data),
-                    prompt: prompt,
-                    error: 'OpenAI API key not configured'
-                };
-            }
+        const fallback = (error, attempts = 0) => {
+            const analysis = this.generateBasicAnalysis(data);
+            return {
+                summary: this.formatAnalysis(data, analysis),
+                analysis,
+                prompt,
+                model: 'basic',
+                provider: null,
+                attempts,
+                error
+            };
+        };
 
-            const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-                model: 'gpt-3.5-turbo',
-                messages: [
-                    { role: 'system', content: 'You are a professional stock market analyst.' },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.7,
-                max_tokens: 500
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${openaiApiKey}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 15000
-            });
+        const unavailable = provider.unavailableReason() || (provider.metered && budget?.());
+        if (unavailable) {
+            return fallback(unavailable);
+        }
 
-            const aiSummary = response.data.choices[0].message.content;
+        try {
+            const result = await generateMetered(provider, {
+                system: ANALYST_SYSTEM_PROMPT,
+                prompt,
+                schema: ANALYSIS_SCHEMA,
+                model,
+                temperature,
+                maxTokens: 600,
+                maxRepairs: LLM_MAX_REPAIRS,
+                symbol: this.stockSymbol,
+                log: this.log
+            });
 
             return {
-                summary: aiSummary,
-                prompt: prompt,
-                model: 'gpt-3.5-turbo'
+                summary: this.formatAnalysis(data, result.value),
+                analysis: result.value,
+                prompt,
+                model: result.model,
+                provider: provider.name,
+                attempts: result.attempts
             };
 
         } catch (error) {
-            console.error('OpenAI API Error:', error.message);
-            return {
-                summary: this.generateBasicSummary(data),
-                prompt: prompt,
-                error: error.message
-            };
+            this.log.warn('LLM analysis failed', { provider: provider.name, symbol: this.stockSymbol, error });
+            return fallback(error.message, error.attempts || 1);
         }
     }
 
-    generateBasicSummary(data) {
-        let valuation = 'Fair';
-        let riskLevel = 'Moderate';
-        
-        if (data.pe_ratio && typeof data.pe_ratio === 'number') {
-            if (data.pe_ratio < 15) valuation = 'Cheap (Low P/E)';
-            else if (data.pe_ratio > 30) valuation = 'Expensive (High P/E)';
-            
-            if (data.pe_ratio > 50) riskLevel = 'High';
-            else if (data.pe_ratio < 20) riskLevel = 'Low-Moderate';
-        }
-
-        let strengths = [];
-        let concerns = [];
-
-        if (data.roe && typeof data.roe === 'number') {
-            if (data.roe > 15) strengths.push('Good ROE indicating profitability');
-            else concerns.push('Low ROE, profitability concerns');
-        }
-
-        if (data.market_cap && typeof data.market_cap === 'number' && data.market_cap > 100000) {
-            strengths.push('Large-cap stock, stable');
-        }
-        
-        if (data.change_percent) {
-            if (parseFloat(data.change_percent) > 0) {
-                strengths.push('Positive price momentum');
-            } else {
-                concerns.push('Recent price decline');
-            }
-        }
-
-        if (strengths.length === 0) strengths.push('Data limited for full analysis');
-        if (concerns.length === 0) concerns.push('Limited historical data available');
-
-        const sourcesCount = Object.keys(this.data.sources).length;
-
+    // Plain-text rendering of an analysis object (AI or basic)
+    formatAnalysis(data, analysis) {
         const priceStr = (data.current_price && typeof data.current_price === 'number') 
             ? `₹${data.current_price.toFixed(2)}` 
             : 'N/A';
+        const { reliability } = analysis;
+        const verified = `${reliability.sources_verified} Sources Verified${reliability.note ? `, ${reliability.note}` : ''}`;
+        const labels = this.getPriceLabels();
 
         return `Stock: ${data.company_name} (${this.stockSymbol})
-Current Price: ${priceStr}  |  Change: ${data.change_percent || 'N/A'}%
-Valuation: ${valuation}
-Risk Level: ${riskLevel}
+${labels.price}: ${priceStr}  |  ${labels.open ? 'Change' : labels.change}: ${typeof data.change_percent === 'number' ? data.change_percent.toFixed(2) : 'N/A'}%
+Valuation: ${analysis.valuation.rating} (${analysis.valuation.reason})
+Risk Level: ${analysis.risk.level} (${analysis.risk.reason})
 Strengths:
-${strengths.map(s => `* ${s}`).join('\n')}
+${analysis.strengths.map(s => `* ${s}`).join('\n')}
 Concerns:
-${concerns.map(c => `* ${c}`).join('\n')}
-Data Reliability: ${sourcesCount >= 2 ? 'Good' : 'Fair'} (${sourcesCount} Sources Verified)`;
-    }
-    
-    getSourcesList() {
-        return Object.keys(this.data.sources).map(key => {
-            const sourceNames = {
-                'yahoo_finance': 'Yahoo Finance',
-                'nse': 'NSE India',
-                'screener': 'Screener.in',
-                'moneycontrol': 'MoneyControl'
-            };
-            return sourceNames[key] || key;
-        });
+${analysis.concerns.map(c => `* ${c}`).join('\n')}
+Data Reliability: ${reliability.rating} (${verified})`;
     }
-}
 
-// API Endpoint
-app.post('/api/analyze', async (req, res) => {
-    try {
-        const { symbol } = req.body;
+    getPromptStockData(data) {
+        const labels = this.getPriceLabels();
+        const { last_trade_time } = this.getFreshness();
         
-        if (!symbol) {
-            return res.status(400).json({
-                success: false,
-                error: 'Stock symbol is required'
-            });
+        return `- Stock Symbol: ${this.stockSymbol}
+- Company Name: ${data.company_name || 'N/A'}
+- Market Status: ${this.describeMarket() || `${this.exchange} open`}${labels.open ? '' : ' (prices are from the last session, do not call them today\'s)'}
+- Last Trade Time: ${last_trade_time ? formatMarketTime(last_trade_time) : 'N/A'}
+- ${labels.price}: ₹${data.current_price ?? 'N/A'}
+- ${labels.open ? 'Price Change' : labels.change}: ${data.change_percent ?? 'N/A'}%
+- P/E Ratio: ${data.pe_ratio ?? 'N/A'} (Sector P/E: ${data.sector_pe ?? 'N/A'})
+- EPS (TTM): ₹${data.eps ?? 'N/A'}
+- Dividend Yield: ${data.dividend_yield ?? 'N/A'}%
+- Return on Equity (ROE): ${data.roe ?? 'N/A'}%
+- Market Cap: ₹${data.market_cap ?? 'N/A'} Cr
+- Book Value: ₹${data.book_value ?? 'N/A'}
+${this.getFundamentalsPromptSection(data)}${this.getTechnicalsPromptSection(data.technicals)}${this.getReconciliationPromptSection()}`;
+    }
+
+    getScoringPromptSection(scoring) {
+        const factors = scoring.factors.map(factor =>
+            `- ${factor.label}: ${factor.value} (${factor.points >= 0 ? '+' : ''}${factor.points}, weight ${factor.weight})`
+        );
+        
+        return `
+Rule-Based Assessment (${scoring.profile.label} rules):
+- Score: ${scoring.score ?? 'N/A'}/100 from ${Math.round(scoring.coverage * 100)}% of factors
+- Valuation: ${scoring.valuation.rating} (${scoring.valuation.reason})
+- Risk: ${scoring.risk.level} (${scoring.risk.reason})
+${factors.join('\n')}${factors.length ? '\n' : ''}`;
+    }
+
+    getFundamentalsPromptSection(data) {
+        return `
+Growth & Balance Sheet (annual statements):
+- Revenue CAGR 3Y / 5Y: ${data.revenue_cagr_3y ?? 'N/A'}% / ${data.revenue_cagr_5y ?? 'N/A'}%
+- Net Profit CAGR 3Y / 5Y: ${data.profit_cagr_3y ?? 'N/A'}% / ${data.profit_cagr_5y ?? 'N/A'}%
+- Debt to Equity: ${data.debt_to_equity ?? 'N/A'}
+- Promoter Holding: ${data.promoter_holding ?? 'N/A'}% (${data.promoter_trend || 'N/A'}, ${data.promoter_holding_change ?? 'N/A'} pts over 1Y)
+- Promoter Shares Pledged: ${data.pledged_percent ?? 'N/A'}%
+- Peer Median P/E: ${data.peer_median_pe ?? 'N/A'}
+`;
+    }
+
+    getReconciliationPromptSection() {
+        const { reliability, discrepancies } = this.data.reconciliation;
+        if (!reliability) return '';
+        
+        const lines = discrepancies.map(discrepancy => `- Discrepancy: ${this.describeDiscrepancy(discrepancy)}`);
+        
+        return `
+Source Agreement:
+- Sources Used: ${reliability.sources}
+- Fields Cross-Checked: ${reliability.fields_compared}, Agreeing: ${reliability.fields_agreeing}
+- Confidence Score: ${reliability.score} (${reliability.rating})
+${lines.join('\n')}${lines.length ? '\n' : ''}`;
+    }
+
+    describeDiscrepancy({ field, chosen, other, difference_percent }) {
+        const label = (name) => this.registry.get(name)?.label || name;
+        const spread = difference_percent !== undefined ? ` (${difference_percent}% apart)` : '';
+        return `${field} - ${label(chosen.source)} ${chosen.value} vs ${label(other.source)} ${other.value}${spread}`;
+    }
+
+    getEventsPromptSection() {
+        const events = this.data.events;
+        if (!events) return '';
+        if (events.items.length === 0) {
+            return `\nRecent Events (last ${events.lookback_days} days): none found\n`;
         }
         
-        console.log(`[${new Date().toISOString()}] Analyzing stock: ${symbol}`);
+        const lines = events.items.slice(0, MAX_PROMPT_EVENTS).map(item => `- [${item.sentiment.label}] ${describeEvent(item)}`);
         
-        const scraper = new ImprovedStockScraper(symbol);
-        await scraper.scrapeAllSources();
-        scraper.generateSummary();
-        const finalSummary = await scraper.generateFinalSummary();
+        return `
+Recent Events (last ${events.lookback_days} days and upcoming, newest first; sentiment from the ${events.sentiment.method}):
+${lines.join('\n')}
+`;
+    }
+
+    getTechnicalsPromptSection(tech) {
+        if (!tech) {
+            return '\nTechnical Indicators: N/A\n';
+        }
         
-        const response = {
-            success: true,
-            symbol: symbol.toUpperCase(),
-            timestamp: scraper.data.scraped_at,
-            summary: scraper.data.summary,
-            final_summary: finalSummary.summary,
-            ai_prompt: finalSummary.prompt,
-            ai_model: finalSummary.model || 'basic',
-            ai_error: finalSummary.error || null,
-            sources: scraper.getSourcesList(),
-            raw_data: scraper.data.sources,
-            combined_data: scraper.data.combined_data
+        return `
+Technical Indicators (daily, last ${tech.candles} sessions):
+- Trend: ${tech.signals.trend || 'N/A'}
+- SMA 20 / 50 / 200: ₹${tech.sma_20 ?? 'N/A'} / ₹${tech.sma_50 ?? 'N/A'} / ₹${tech.sma_200 ?? 'N/A'}
+- EMA 12 / 26: ₹${tech.ema_12 ?? 'N/A'} / ₹${tech.ema_26 ?? 'N/A'}
+- RSI (14): ${tech.rsi_14 ?? 'N/A'} (${tech.signals.rsi || 'N/A'})
+- MACD: ${tech.macd.macd ?? 'N/A'}, Signal: ${tech.macd.signal ?? 'N/A'}, Histogram: ${tech.macd.histogram ?? 'N/A'} (${tech.signals.macd || 'N/A'})
+- Bollinger Bands (20, 2): ₹${tech.bollinger.lower ?? 'N/A'} - ₹${tech.bollinger.upper ?? 'N/A'} (price ${tech.signals.bollinger || 'N/A'})
+- 52-Week High: ₹${tech.high_52w ?? 'N/A'} (${tech.from_52w_high_percent ?? 'N/A'}% from high)
+- 52-Week Low: ₹${tech.low_52w ?? 'N/A'} (${tech.from_52w_low_percent ?? 'N/A'}% from low)
+`;
+    }
+
+    // Rule-based analysis in the same shape as ANALYSIS_SCHEMA
+    generateBasicAnalysis(data) {
+        const scoring = this.getScoring(data);
+        const valuation = { rating: scoring.valuation.rating, reason: scoring.valuation.reason };
+        const risk = { level: scoring.risk.level, reason: scoring.risk.reason };
+        const strengths = [...scoring.strengths];
+        const concerns = [...scoring.concerns];
+
+        // The latest bad news, so the concerns are not only about ratios
+        const badNews = this.data.events?.items.find(item => item.sentiment.label === 'negative' && !item.upcoming);
+        if (badNews) {
+            concerns.push(`Recent negative ${TYPE_LABELS[badNews.type].toLowerCase()} on ${eventDate(badNews)}: ${badNews.title}`);
+        }
+
+        if (strengths.length === 0) strengths.push('Data limited for full analysis');
+        if (concerns.length === 0) concerns.push('Limited historical data available');
+
+        const { reliability, discrepancies } = this.data.reconciliation;
+        if (discrepancies.length > 0) {
+            concerns.push(`Sources disagree on ${[...new Set(discrepancies.map(d => d.field))].join(', ')}`);
+        }
+
+        return {
+            valuation,
+            risk,
+            strengths,
+            concerns,
+            reliability: {
+                rating: reliability.rating,
+                sources_verified: reliability.sources,
+                note: `${reliability.fields_agreeing}/${reliability.fields_compared} Cross-Checked Fields Agree`
+            }
         };
+    }
+    
+    generateBasicSummary(data) {
+        return this.formatAnalysis(data, this.generateBasicAnalysis(data));
+    }
+    
+    getSourcesList() {
+        return Object.keys(this.data.sources).map(key => {
+            const adapter = this.registry.get(key);
+            return adapter ? adapter.label : key;
+        });
+    }
+}
+
+// Full analysis of one symbol, in the /api/analyze response shape.
+// options.progress (from a job) hears each stage and the partial results,
+// and its signal stops the analysis between stages once the job is cancelled.
+async function analyzeSymbol(symbol, options = {}) {
+    const scraper = new ImprovedStockScraper(symbol, options);
+    const { progress } = options;
+    const aiEvents = options.eventSentiment === 'ai' && scraper.eventAdapters.length > 0;
+    const step = async (stage, fn) => {
+        progress?.signal.throwIfAborted();
+        scraper.report(stage, 'running');
+        const fields = await fn();
+        scraper.report(stage, 'done', fields);
+    };
+    
+    progress?.plan([
+        ...scraper.adapters.map(adapter => `source:${adapter.name}`),
+        ...(scraper.adapters.some(adapter => typeof adapter.fetchHistory === 'function') ? ['technicals'] : []),
+        ...(scraper.eventAdapters.length > 0 ? ['events'] : []),
+        'combine',
+        'rule_summary',
+        ...(aiEvents ? ['event_sentiment'] : []),
+        'ai_summary'
+    ]);
+    
+    await Promise.all([scraper.scrapeAllSources(), scraper.fetchEvents()]);
+    await step('combine', () => {
+        const combined = scraper.getCombinedData();
+        progress?.partial({ combined_data: combined, reconciliation: scraper.data.reconciliation });
+        return { sources: scraper.data.reconciliation.reliability.sources };
+    });
+    await step('rule_summary', () => {
+        scraper.generateSummary();
+        progress?.partial({ summary: scraper.data.summary, scoring: scraper.data.scoring, events: scraper.data.events || null });
+    });
+    if (aiEvents) {
+        await step('event_sentiment', async () => {
+            const { sentiment } = await scraper.classifyEventSentiment(options.llm, options.budget);
+            return { method: sentiment.method, error: sentiment.error };
+        });
+    }
+    
+    progress?.signal.throwIfAborted();
+    scraper.report('ai_summary', 'running');
+    const finalSummary = await scraper.generateFinalSummary(options.llm, options.budget);
+    // A failed model call still leaves the rule-based summary
+    scraper.report('ai_summary', finalSummary.error ? 'failed' : 'done', {
+        model: finalSummary.model || 'basic',
+        error: finalSummary.error || null
+    });
+    progress?.signal.throwIfAborted();
+    
+    return {
+        success: true,
+        symbol: scraper.stockSymbol,
+        exchange: scraper.exchange,
+        listing: scraper.listing,
+        timestamp: scraper.data.scraped_at,
+        market: scraper.data.market,
+        summary: scraper.data.summary,
+        final_summary: finalSummary.summary,
+        analysis: finalSummary.analysis,
+        ai_prompt: finalSummary.prompt,
+        ai_model: finalSummary.model || 'basic',
+        ai_provider: finalSummary.provider,
+        ai_attempts: finalSummary.attempts,
+        ai_error: finalSummary.error || null,
+        sources: scraper.getSourcesList(),
+        raw_data: scraper.data.sources,
+        cache: scraper.data.cache,
+        freshness: scraper.getFreshness(),
+        combined_data: scraper.data.combined_data,
+        reconciliation: scraper.data.reconciliation,
+        scoring: scraper.data.scoring,
+        events: scraper.data.events || null
+    };
+}
+
+// Keeps the analysis in the snapshot history; returns its id, or null when
+// history is off. A failed save costs the history an entry, not the caller
+// the analysis.
+async function saveSnapshot(response, log) {
+    if (SNAPSHOT_LIMIT <= 0) return null;
+    try {
+        return (await snapshots.save(response)).id;
+    } catch (error) {
+        log.warn('snapshot save failed', { symbol: response.symbol, error });
+        return null;
+    }
+}
+
+// API Endpoint
+app.post('/api/analyze', validateRequest(SCHEMAS.ANALYZE), async (req, res) => {
+    try {
+        const { symbol, sources, llm, exchange, event_sentiment: eventSentiment = EVENT_SENTIMENT } = req.body;
+        
+        try {
+            sourceRegistry.resolve(sources);
+            llmRegistry.resolve(llm);
+            resolveListing(symbol, exchange);
+        } catch (error) {
+            return sendError(res, classifyError(error).code, error.message, error.fields);
+        }
         
-        console.log(`[${new Date().toISOString()}] Successfully analyzed ${symbol}`);
-        console.log(`Sources used: ${response.sources.join(', ')}`);
+        req.log.info('analyzing stock', { symbol, exchange });
+        
+        const response = await analyzeSymbol(symbol, { sources, llm, exchange, eventSentiment, budget: llmBudget(req), ...requestContext(req) });
+        
+        req.log.info('analyzed stock', { symbol: response.symbol, sources: response.sources });
+        
+        response.snapshot_id = await saveSnapshot(response, req.log);
         
         res.json(response);
         
     } catch (error) {
-        console.error(`[${new Date().toISOString()}] Error analyzing stock:`, error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Internal server error while analyzing stock',
-            details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        req.log.error('analysis failed', { error });
+        sendError(res, classifyError(error).code, error.message || 'Internal server error while analyzing stock', debugFields(error));
+    }
+});
+
+// Background analyses: POST /api/jobs answers at once with a job to follow
+const jobQueue = new JobQueue({
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    maxQueued: parseInt(process.env.JOB_QUEUE_LIMIT ?? '50', 10),
+    retentionMs: (parseFloat(process.env.JOB_RETENTION_MINUTES) || 15) * 60 * 1000
+});
+metrics.gauge({
+    name: 'stockai_jobs',
+    help: 'Background jobs held in memory by status',
+    labelNames: ['status'],
+    collect: (gauge) => {
+        const stats = jobQueue.stats();
+        for (const status of ['queued', 'running', 'succeeded', 'failed', 'cancelled']) {
+            gauge.set({ status }, stats[status]);
+        }
+    }
+});
+
+app.use('/api/jobs', createJobRouter({
+    jobs: jobQueue,
+    // The /api/analyze checks up front, then the same analysis in a worker
+    prepare: (req) => {
+        const { symbol, sources, llm, exchange, event_sentiment: eventSentiment = EVENT_SENTIMENT } = req.body;
+        sourceRegistry.resolve(sources);
+        llmRegistry.resolve(llm);
+        const resolved = resolveListing(symbol, exchange);
+        
+        const options = { sources, llm, exchange, eventSentiment, budget: llmBudget(req), ...requestContext(req) };
+        return {
+            params: { symbol: resolved.symbol, exchange: resolved.exchange, sources: sources ?? null, llm: llm ?? null, event_sentiment: eventSentiment },
+            run: async (progress) => {
+                const response = await analyzeSymbol(symbol, { ...options, progress });
+                response.snapshot_id = await saveSnapshot(response, options.log);
+                return response;
+            }
+        };
+    }
+}));
+
+// Downloadable reports: ?format=pdf|csv|xlsx|json with symbol(s), or POST
+// previously fetched `reports` to export them without re-running the analysis
+async function exportReports(req, res) {
+    const input = { ...req.query, ...req.body };
+    const format = String(input.format || 'pdf').toLowerCase();
+    
+    if (!EXPORT_FORMATS[format]) {
+        return sendError(res, 'VALIDATION_FAILED', `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    
+    let reports = [];
+    let failures = [];
+    
+    if (Array.isArray(req.body?.reports)) {
+        reports = req.body.reports.filter(report => report && typeof report.symbol === 'string');
+        if (reports.length === 0 || reports.length > MAX_COMPARE_SYMBOLS) {
+            return sendError(res, 'VALIDATION_FAILED', `reports must contain between 1 and ${MAX_COMPARE_SYMBOLS} analysis results`);
+        }
+    } else {
+        const requested = input.symbols || input.symbol;
+        const symbols = [...new Set(
+            (Array.isArray(requested) ? requested : String(requested || '').split(','))
+                .map(symbol => String(symbol).trim().toUpperCase())
+                .filter(Boolean)
+        )];
+        
+        if (symbols.length === 0 || symbols.length > MAX_COMPARE_SYMBOLS) {
+            return sendError(res, 'VALIDATION_FAILED', `Provide between 1 and ${MAX_COMPARE_SYMBOLS} stock symbols`);
+        }
+        
+        try {
+            sourceRegistry.resolve(input.sources);
+            llmRegistry.resolve(req.body?.llm);
+        } catch (error) {
+            return sendError(res, classifyError(error).code, error.message);
+        }
+        
+        req.log.info('exporting report', { format, symbols });
+        
+        const results = await mapWithConcurrency(symbols, COMPARE_CONCURRENCY,
+            symbol => analyzeSymbol(symbol, { sources: input.sources, llm: req.body?.llm, exchange: input.exchange, budget: llmBudget(req), ...requestContext(req) }));
+        
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                reports.push(result.value);
+            } else {
+                failures.push({ symbol: symbols[i], error: result.reason.message });
+            }
+        });
+        
+        if (reports.length === 0) {
+            return sendError(res, 'UPSTREAM_FAILED', 'Unable to analyze any of the requested symbols', { failures });
+        }
+    }
+    
+    const labels = Object.fromEntries(sourceRegistry.list().map(adapter => [adapter.name, adapter.label]));
+    const body = await renderExport(format, reports, failures, labels);
+    
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(reports, format)}"`);
+    res.send(body);
+}
+
+app.get('/api/analyze/export', validateRequest(SCHEMAS.EXPORT, 'query'), asyncRoute(exportReports));
+app.post('/api/analyze/export', validateRequest(SCHEMAS.EXPORT), asyncRoute(exportReports));
+
+// Historical OHLCV candles
+app.get('/api/history/:symbol', async (req, res) => {
+    const { range = '1y', interval = '1d', indicators } = req.query;
+    
+    let resolved;
+    try {
+        resolved = resolveListing(req.params.symbol, req.query.exchange);
+    } catch (error) {
+        return sendError(res, classifyError(error).code, error.message, error.fields);
+    }
+    const { symbol, exchange, listing } = resolved;
+    
+    if (!YahooFinanceSource.HISTORY_RANGES.includes(range)) {
+        return sendError(res, 'VALIDATION_FAILED', `Invalid range. Use one of: ${YahooFinanceSource.HISTORY_RANGES.join(', ')}`);
+    }
+    
+    if (!YahooFinanceSource.HISTORY_INTERVALS.includes(interval)) {
+        return sendError(res, 'VALIDATION_FAILED', `Invalid interval. Use one of: ${YahooFinanceSource.HISTORY_INTERVALS.join(', ')}`);
+    }
+    
+    const provider = sourceRegistry.list().find(adapter =>
+        typeof adapter.fetchHistory === 'function' && adapter.supportsExchange(exchange));
+    if (!provider) {
+        return sendError(res, 'NOT_IMPLEMENTED', `No registered source provides ${exchange} price history`);
+    }
+    
+    try {
+        const { value: history, cache } = await fetchHistoryCached(provider, { symbol, exchange, listing, range, interval, ...requestContext(req) });
+        
+        res.json({
+            success: true,
+            symbol,
+            exchange,
+            range,
+            interval,
+            source: provider.label,
+            market: marketCalendar.status(exchange),
+            currency: history.currency,
+            candles: history.candles,
+            cache,
+            technicals: indicators === 'true' ? analyzeCandles(history.candles) : undefined
         });
+        
+    } catch (error) {
+        req.log.warn('history fetch failed', { symbol, error });
+        if (error.response?.status === 404) {
+            return sendError(res, 'NOT_FOUND', `No price history found for ${symbol}`);
+        }
+        sendError(res, 'UPSTREAM_FAILED', error.message || 'Unable to fetch price history');
     }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+// Daily candles for backtests, kept on disk
+const candleStore = new CandleStore({
+    dir: path.join(DATA_DIR, 'candles'),
+    calendar: marketCalendar,
+    fetchHistory: (provider, params) => observeFetch(provider, 'history', () => provider.fetchHistory(params))
+});
+
+// Trailing EPS history from the Screener.in statements, for P/E conditions
+async function fetchEpsTimeline({ symbol, exchange, listing, requestId, log }) {
+    const adapter = sourceRegistry.get('screener');
+    if (!adapter?.enabled || !adapter.supportsExchange(exchange)) {
+        throw apiError('NOT_IMPLEMENTED', 'P/E conditions need the Screener.in source, which is not enabled');
+    }
+    
+    const { value: data } = await cachedFetch(
+        sourceCache,
+        adapter,
+        'quote',
+        `${adapter.name}:${exchange}:${symbol}`,
+        { ttl: marketCalendar.cacheTtl(exchange, adapter.cacheTtl), staleTtl: adapter.staleTtl },
+        () => adapter.fetch({ symbol, exchange, listing, timeout: adapter.timeout, requestId, log })
+    );
+    return epsTimeline(data?.financials);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Strategy backtest on daily candles: trades, equity curve, performance and
+// a buy-and-hold benchmark, after brokerage and taxes
+app.post('/api/backtest', validateRequest(SCHEMAS.BACKTEST), asyncRoute(async (req, res) => {
+    const { from, initial_capital: initialCapital = 100000, risk_free_percent: riskFreePercent = 0 } = req.body;
+    const to = req.body.to || marketCalendar.localDate(Date.now());
+    
+    let resolved;
+    try {
+        resolved = resolveListing(req.body.symbol, req.body.exchange);
+    } catch (error) {
+        return sendError(res, classifyError(error).code, error.message, error.fields);
+    }
+    const { symbol, exchange, listing } = resolved;
+    
+    const { strategy, error: strategyError } = parseStrategy(req.body.strategy);
+    if (strategyError) return sendError(res, 'VALIDATION_FAILED', strategyError);
+    
+    const { costs, error: costsError } = parseCosts(req.body.costs);
+    if (costsError) return sendError(res, 'VALIDATION_FAILED', costsError);
+    
+    const validDate = (date) => !Number.isNaN(Date.parse(date)) && new Date(date).toISOString().startsWith(date);
+    if (!validDate(from) || !validDate(to) || from >= to) {
+        return sendError(res, 'VALIDATION_FAILED', 'from and to must be real dates (YYYY-MM-DD) with from before to');
+    }
+    
+    const provider = sourceRegistry.list().find(adapter =>
+        adapter.enabled && typeof adapter.fetchHistory === 'function' && adapter.supportsExchange(exchange));
+    if (!provider) {
+        return sendError(res, 'NOT_IMPLEMENTED', `No registered source provides ${exchange} price history`);
+    }
+    
+    req.log.info('running backtest', { symbol, exchange, strategy: strategy.type, from, to });
+    
+    const context = { symbol, exchange, listing, ...requestContext(req) };
+    let history;
+    let eps = [];
+    try {
+        history = await candleStore.daily(provider, { ...context, since: Date.parse(from) - warmupDays(strategy) * DAY_MS });
+        if (usesPe(strategy)) eps = await fetchEpsTimeline(context);
+    } catch (error) {
+        req.log.warn('backtest data fetch failed', { symbol, error });
+        const { code } = classifyError(error);
+        return sendError(res, code === 'NOT_IMPLEMENTED' ? code : 'UPSTREAM_FAILED', error.message || 'Unable to fetch price history');
+    }
+    
+    if (usesPe(strategy) && eps.length === 0) {
+        return sendError(res, 'UPSTREAM_FAILED', `No EPS history found for ${symbol}, so P/E cannot be computed`);
+    }
+    
+    const result = runBacktest({ candles: history.candles, strategy, from, to, initialCapital, costs, eps, riskFreePercent });
+    if (!result) {
+        return sendError(res, 'NOT_FOUND', `No ${symbol} trading sessions between ${from} and ${to}`);
+    }
+    
+    const warnings = [];
+    const firstDate = history.candles[0].time.slice(0, 10);
+    if (firstDate > from) {
+        warnings.push(`Price history starts on ${firstDate}`);
+    }
+    if (eps.length && eps[0].from > Date.parse(result.from)) {
+        warnings.push(`EPS is known from ${new Date(eps[0].from).toISOString().slice(0, 10)}; P/E conditions are false before that`);
+    }
+    
+    res.json({
+        success: true,
+        symbol,
+        exchange,
+        source: provider.label,
+        strategy: describeStrategy(strategy),
+        initial_capital: initialCapital,
+        risk_free_percent: riskFreePercent,
+        costs,
+        candles: { fetched_at: history.fetched_at, from_store: history.from_store },
+        ...result,
+        warnings
+    });
+}));
+
+// Symbol search over the NSE/BSE symbol master: company name, symbol, BSE
+// code or ISIN, with typo tolerance
+app.get('/api/search', (req, res) => {
+    const query = String(req.query.q || '').trim();
+    const exchange = req.query.exchange ? String(req.query.exchange).toUpperCase() : undefined;
+    const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+    
+    if (!query || query.length > 100) {
+        return sendError(res, 'VALIDATION_FAILED', 'q is required (up to 100 characters)');
+    }
+    
+    if (exchange && !EXCHANGES.includes(exchange)) {
+        return sendError(res, 'INVALID_EXCHANGE', `exchange must be one of: ${EXCHANGES.join(', ')}`);
+    }
+    
+    if (!(limit >= 1 && limit <= MAX_SEARCH_RESULTS)) {
+        return sendError(res, 'VALIDATION_FAILED', `limit must be between 1 and ${MAX_SEARCH_RESULTS}`);
+    }
+    
+    res.json({
+        success: true,
+        query,
+        results: symbolMaster.search(query, { limit, exchange })
+    });
+});
+
+// Available data sources
+app.get('/api/sources', (req, res) => {
+    res.json({
+        success: true,
+        sources: sourceRegistry.describe()
+    });
+});
+
+// LLM providers available for the final summary and comparison verdicts
+app.get('/api/llm/providers', (req, res) => {
     res.json({
-        status: 'running',
+        success: true,
+        ...llmRegistry.describe()
+    });
+});
+
+// Scoring profiles and factor weights from the rules file
+app.get('/api/scoring/rules', (req, res) => {
+    res.json({
+        success: true,
+        profiles: scoringEngine.describe()
+    });
+});
+
+// Market status of NSE/BSE from the trading calendar
+app.get('/api/market/status', (req, res) => {
+    try {
+        const exchanges = req.query.exchange ? [req.query.exchange] : marketCalendar.exchanges;
+        res.json({
+            success: true,
+            markets: exchanges.map(exchange => marketCalendar.status(exchange))
+        });
+    } catch (error) {
+        sendError(res, classifyError(error).code, error.message);
+    }
+});
+
+// Trading holidays and special sessions of a year (default: this year)
+app.get('/api/market/holidays', (req, res) => {
+    const year = req.query.year === undefined
+        ? Number(marketCalendar.localDate(Date.now()).slice(0, 4))
+        : Number(req.query.year);
+    
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+        return sendError(res, 'VALIDATION_FAILED', 'year must be a four-digit year');
+    }
+    
+    try {
+        const exchange = marketCalendar.checkExchange(req.query.exchange);
+        res.json({
+            success: true,
+            exchange,
+            year,
+            timezone: marketCalendar.timezone,
+            holidays: marketCalendar.holidaysIn(exchange, year),
+            special_sessions: marketCalendar.specialSessionsIn(exchange, year)
+        });
+    } catch (error) {
+        sendError(res, classifyError(error).code, error.message);
+    }
+});
+
+function formatComparisonVerdict(scrapers, verdict) {
+    const names = Object.fromEntries(scrapers.map(scraper => [scraper.stockSymbol, scraper.data.combined_data.company_name]));
+    
+    return [
+        `Comparison: ${scrapers.map(scraper => scraper.stockSymbol).join(' vs ')}`,
+        `Overall Pick: ${names[verdict.overall_pick.symbol]} (${verdict.overall_pick.symbol}) - ${verdict.overall_pick.reason}`,
+        'Ranking:',
+        ...verdict.ranking.map((entry, i) => `${i + 1}. ${entry.symbol} - ${entry.reason}`),
+        'Key Differences:',
+        ...verdict.key_differences.map(difference => `* ${difference}`),
+        `Data Reliability: ${verdict.reliability.rating}`
+    ].join('\n');
+}
+
+// Comparative verdict across analyzed symbols, AI when requested and available
+async function generateComparisonVerdict(scrapers, table, useAI, llmOptions = {}, budget = null, log = logger) {
+    const basicVerdict = generateBasicVerdict(table);
+    
+    // Nothing to compare when only one symbol could be analyzed
+    if (!useAI || scrapers.length < 2) {
+        return { summary: basicVerdict, model: 'basic' };
+    }
+    
+    const { provider, model, temperature } = llmRegistry.resolve(llmOptions);
+    const symbols = scrapers.map(scraper => scraper.stockSymbol);
+    const schema = comparisonSchema(symbols);
+    
+    const ranks = table.map(row => `- ${row.symbol}: ` + COMPARE_METRICS
+        .filter(metric => metric.better)
+        .map(metric => `${metric.label} #${row.metrics[metric.key].rank ?? 'N/A'}`)
+        .join(', ')
+    ).join('\n');
+    
+    const prompt = `Compare the following stocks (${symbols.join(', ')}) and reply with a JSON object matching this JSON Schema:
+
+${JSON.stringify(schema)}
+
+${scrapers.map(scraper => `Stock Data (${scraper.stockSymbol}):\n${scraper.getPromptStockData(scraper.data.combined_data)}`).join('\n')}
+Metric Ranks (1 = best):
+${ranks}
+
+Instructions:
+1. Keep every reason and difference to one concise, professional sentence
+2. Weigh valuation (P/E), profitability (ROE), growth, leverage, size and momentum together
+3. ranking lists every stock above exactly once, best first
+4. Reply with the JSON object only, without markdown`;
+    
+    const fallback = (error, attempts = 0) => ({
+        summary: basicVerdict,
+        prompt: prompt,
+        model: 'basic',
+        provider: null,
+        attempts,
+        error
+    });
+    
+    const unavailable = provider.unavailableReason() || (provider.metered && budget?.());
+    if (unavailable) {
+        return fallback(unavailable);
+    }
+    
+    try {
+        const result = await generateMetered(provider, {
+            system: ANALYST_SYSTEM_PROMPT,
+            prompt,
+            schema,
+            validate: validateComparison(symbols),
+            model,
+            temperature,
+            maxTokens: 700,
+            maxRepairs: LLM_MAX_REPAIRS,
+            symbol: symbols.join('+'),
+            log
+        });
+        
+        return {
+            summary: formatComparisonVerdict(scrapers, result.value),
+            analysis: result.value,
+            prompt: prompt,
+            model: result.model,
+            provider: provider.name,
+            attempts: result.attempts
+        };
+    } catch (error) {
+        log.warn('LLM comparison failed', { provider: provider.name, error });
+        return fallback(error.message, error.attempts || 1);
+    }
+}
+
+// Compare several symbols side by side
+app.post('/api/compare', validateRequest(SCHEMAS.COMPARE), async (req, res) => {
+    const { sources, llm, exchange, verdict = 'basic' } = req.body;
+    const symbols = [...new Set(
+        (Array.isArray(req.body.symbols) ? req.body.symbols : String(req.body.symbols || '').split(','))
+            .map(symbol => String(symbol).trim().toUpperCase())
+            .filter(Boolean)
+    )];
+    
+    if (symbols.length < 2) {
+        return sendError(res, 'VALIDATION_FAILED', 'At least two stock symbols are required');
+    }
+    
+    if (symbols.length > MAX_COMPARE_SYMBOLS) {
+        return sendError(res, 'VALIDATION_FAILED', `At most ${MAX_COMPARE_SYMBOLS} symbols can be compared at once`);
+    }
+    
+    try {
+        sourceRegistry.resolve(sources);
+        llmRegistry.resolve(llm);
+    } catch (error) {
+        return sendError(res, classifyError(error).code, error.message);
+    }
+    
+    req.log.info('comparing stocks', { symbols });
+    
+    const results = await mapWithConcurrency(symbols, COMPARE_CONCURRENCY, async (symbol) => {
+        const scraper = new ImprovedStockScraper(symbol, { sources, exchange, ...requestContext(req) });
+        await scraper.scrapeAllSources();
+        scraper.generateSummary();
+        return scraper;
+    });
+    
+    const scrapers = [];
+    const failures = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            scrapers.push(result.value);
+        } else {
+            req.log.warn('comparison symbol failed', { symbol: symbols[i], error: result.reason });
+            failures.push({ symbol: symbols[i], error: result.reason.message });
+        }
+    });
+    
+    if (scrapers.length === 0) {
+        return sendError(res, 'UPSTREAM_FAILED', 'Unable to analyze any of the requested symbols', { failures });
+    }
+    
+    const table = buildComparisonTable(scrapers.map(scraper => ({
+        symbol: scraper.stockSymbol,
+        combined_data: scraper.data.combined_data
+    })));
+    
+    const response = {
+        success: true,
+        symbols,
+        timestamp: new Date().toISOString(),
+        market: marketCalendar.status(scrapers[0].exchange),
+        metrics: COMPARE_METRICS.map(({ key, label, better }) => ({ key, label, better })),
+        table,
+        results: Object.fromEntries(scrapers.map(scraper => [scraper.stockSymbol, {
+            summary: scraper.data.summary,
+            sources: scraper.getSourcesList(),
+            cache: scraper.data.cache,
+            freshness: scraper.getFreshness(),
+            combined_data: scraper.data.combined_data
+        }])),
+        failures
+    };
+    
+    if (verdict !== 'none') {
+        const comparison = await generateComparisonVerdict(scrapers, table, verdict === 'ai', llm, llmBudget(req), req.log);
+        response.verdict = comparison.summary;
+        response.verdict_analysis = comparison.analysis || null;
+        response.ai_prompt = comparison.prompt;
+        response.ai_model = comparison.model;
+        response.ai_provider = comparison.provider || null;
+        response.ai_error = comparison.error || null;
+    }
+    
+    req.log.info('compared stocks', { compared: scrapers.length, requested: symbols.length });
+    
+    res.json(response);
+});
+
+// Watchlists and portfolios
+app.use('/api/watchlists', createWatchlistRouter({ store }));
+app.use('/api/portfolios', createPortfolioRouter({
+    store,
+    createScraper: (symbol, options) => new ImprovedStockScraper(symbol, options),
+    calendar: marketCalendar,
+    concurrency: COMPARE_CONCURRENCY
+}));
+
+// Alerts
+const alertEngine = new AlertEngine({
+    store,
+    loadQuote: async (symbol) => {
+        const scraper = new ImprovedStockScraper(symbol);
+        await scraper.scrapeAllSources();
+        return scraper.getCombinedData();
+    },
+    notifier: new WebhookNotifier({
+        url: process.env.ALERT_WEBHOOK_URL,
+        allowedHosts: (process.env.ALERT_WEBHOOK_HOSTS || '').split(',').filter(host => host.trim())
+    }),
+    intervalMs: (parseFloat(process.env.ALERT_INTERVAL_SECONDS) || 60) * 1000,
+    calendar: marketCalendar,
+    closedIntervalMs: (parseFloat(process.env.ALERT_CLOSED_INTERVAL_SECONDS) || 900) * 1000,
+    concurrency: COMPARE_CONCURRENCY
+});
+
+app.use('/api/alerts', createAlertRouter({ store, engine: alertEngine }));
+
+// Saved analyses and what changed between them
+app.use('/api/snapshots', createSnapshotRouter({ snapshots, resolveListing }));
+
+// Live quotes: one shared poller per symbol on the fastest quote source
+const quoteStream = new QuoteStream({
+    source: QuoteStream.selectSource(sourceRegistry, process.env.STREAM_SOURCE),
+    intervalMs: (parseFloat(process.env.STREAM_INTERVAL_SECONDS) || 5) * 1000,
+    calendar: marketCalendar,
+    closedIntervalMs: (parseFloat(process.env.STREAM_CLOSED_INTERVAL_SECONDS) || 300) * 1000
+});
+
+app.get('/api/stream', (req, res) => {
+    const requested = String(req.query.symbols || '').split(',').map(s => s.trim()).filter(Boolean);
+    const symbols = [...new Set(requested.map(normalizeSymbol))];
+    
+    if (!quoteStream.source) {
+        return sendError(res, 'NOT_IMPLEMENTED', 'No enabled source provides live quotes');
+    }
+    
+    if (requested.length === 0 || symbols.includes(null)) {
+        return sendError(res, 'INVALID_SYMBOL', 'symbols must be a comma separated list of valid stock symbols');
+    }
+    
+    if (symbols.length > MAX_STREAM_SYMBOLS) {
+        return sendError(res, 'VALIDATION_FAILED', `At most ${MAX_STREAM_SYMBOLS} symbols can be streamed at once`);
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    
+    const send = (message) => {
+        res.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+    };
+    const unsubscribes = symbols.map(symbol => quoteStream.subscribe(symbol, send));
+    
+    // Keeps proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribes.forEach(unsubscribe => unsubscribe());
+    });
+});
+
+// Health check endpoint: ok, degraded (some sources failing) or down (all
+// enabled sources failing, answered with 503)
+app.get('/api/health', (req, res) => {
+    const upstream = httpClient.stats();
+    const { status, sources } = sourceHealth.describe(sourceRegistry.list(), upstream);
+
+    res.status(status === 'down' ? 503 : 200).json({
+        status,
         timestamp: new Date().toISOString(),
-        environment: process.env.NODE_ENV || 'production'
+        uptime_seconds: Math.round(process.uptime()),
+        environment: process.env.NODE_ENV || 'production',
+        market: marketCalendar.status('NSE'),
+        sources,
+        upstream,
+        symbols: symbolMaster.describe()
     });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', MetricsRegistry.CONTENT_TYPE).send(metrics.render());
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -550,28 +1873,132 @@ app.get('/', (req, res) => {
         status: 'active',
         endpoints: {
             analyze: 'POST /api/analyze',
-            health: 'GET /api/health'
+            jobs: 'POST /api/jobs, GET|DELETE /api/jobs/:id, GET /api/jobs/:id/stream',
+            export: 'GET|POST /api/analyze/export?format=pdf|csv|xlsx|json',
+            compare: 'POST /api/compare',
+            search: 'GET /api/search?q=&exchange=&limit=',
+            history: 'GET /api/history/:symbol?range=&interval=&exchange=',
+            backtest: 'POST /api/backtest',
+            snapshots: 'GET /api/snapshots/:symbol?exchange=&limit=',
+            snapshot_diff: 'GET /api/snapshots/:symbol/diff?from=&to=&exchange=',
+            sources: 'GET /api/sources',
+            llm_providers: 'GET /api/llm/providers',
+            scoring_rules: 'GET /api/scoring/rules',
+            market_status: 'GET /api/market/status?exchange=',
+            market_holidays: 'GET /api/market/holidays?year=&exchange=',
+            watchlists: '/api/watchlists',
+            portfolios: '/api/portfolios',
+            valuation: 'GET /api/portfolios/:id/valuation',
+            alerts: '/api/alerts',
+            alert_history: 'GET /api/alerts/history',
+            stream: 'GET /api/stream?symbols= (SSE), WS /api/stream/ws',
+            admin: '/api/admin/keys, GET /api/admin/config (ADMIN_API_KEY)',
+            health: 'GET /api/health',
+            metrics: 'GET /metrics'
         }
     });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`
-╔════════════════════════════════════════╗
-║   StockAI API Server Running           ║
-║   Port: ${PORT}                        ║
-║   Status: Active                       ║
-║   Environment: ${process.env.NODE_ENV || 'production'}          ║
-╚════════════════════════════════════════╝
-    `);
-    console.log(`Health check: http://localhost:${PORT}/api/health`);
-    console.log(`Analysis endpoint: POST http://localhost:${PORT}/api/analyze`);
+// Unknown routes
+app.use((req, res) => {
+    sendError(res, 'NOT_FOUND', `No route for ${req.method} ${req.path}`);
 });
 
-// Error handling
-process.on('unhandledRejection', (error) => {
-    console.error('Unhandled Promise Rejection:', error);
+// Errors thrown by route handlers
+app.use((error, req, res, next) => {
+    const { status, code } = classifyError(error);
+    if (status >= 500) {
+        req.log.error('unhandled route error', { error, stack: error.stack });
+    }
+    res.status(status).json({
+        success: false,
+        error: {
+            code,
+            message: code === 'INTERNAL_ERROR' ? 'Internal server error' : error.message,
+            ...error.fields,
+            ...debugFields(error)
+        }
+    });
 });
 
-module.exports = app;
\ No newline at end of file
+// A server that requires keys but has none gets one, so it can be used at
+// all. The key is logged once, and it takes over the watchlists, portfolios
+// and alerts saved before keys were required.
+async function bootstrapApiKey() {
+    const created = await apiKeys.bootstrap();
+    if (!created) return;
+
+    const adopted = await adoptUnowned(store, created.record.id);
+    logger.warn('No API keys configured: created the "bootstrap" key. It is not shown again; enter it when index.html asks', {
+        api_key: created.key,
+        adopted_records: adopted
+    });
+}
+
+// Start server; `node server-improved.js` listens on PORT, tests call
+// start(0) for a free port
+function start(port = PORT) {
+    const server = app.listen(port, '0.0.0.0', () => {
+        const { port: listening } = server.address();
+        logger.info('StockAI API server running', {
+            port: listening,
+            environment: process.env.NODE_ENV || 'production',
+            health: `http://localhost:${listening}/api/health`,
+            metrics: `http://localhost:${listening}/metrics`
+        });
+        if (!AUTH_ENABLED) {
+            logger.warn('AUTH_ENABLED=false: the API is open to anyone who can reach it');
+        } else {
+            bootstrapApiKey().catch(error => logger.error('bootstrap API key failed', { error }));
+        }
+        if (CORS_ORIGINS.includes('*')) {
+            logger.warn('CORS_ORIGINS=*: any website may call this API from a browser');
+        }
+        if (process.env.HTTP_FIXTURES && process.env.HTTP_FIXTURES !== 'off') {
+            logger.warn(`HTTP_FIXTURES=${process.env.HTTP_FIXTURES}: upstream traffic is ${process.env.HTTP_FIXTURES === 'replay' ? 'served from' : 'saved to'} fixture files`);
+        }
+        
+        if (process.env.ALERTS_ENABLED !== 'false') {
+            alertEngine.start();
+        }
+
+        if (SYMBOLS_REFRESH_HOURS > 0) {
+            const refresh = () => refreshSymbolMaster().catch(error => {
+                logger.error('symbol master refresh failed', { error });
+            });
+            refresh();
+            setInterval(refresh, SYMBOLS_REFRESH_HOURS * 60 * 60 * 1000).unref();
+        }
+    });
+
+    attachQuoteSocket(server, quoteStream, {
+        maxSymbols: MAX_STREAM_SYMBOLS,
+        // Same origin and key checks as the HTTP routes
+        authorize: async (req) => {
+            const { origin, host } = req.headers;
+            if (origin && !originAllowed(origin, host)) {
+                return { status: ERROR_CODES.ORIGIN_NOT_ALLOWED, message: `Origin ${origin} is not allowed to call this API` };
+            }
+            if (!AUTH_ENABLED) return null;
+
+            const key = req.headers['x-api-key'] || new URL(req.url, 'http://localhost').searchParams.get('api_key');
+            const { code, message } = await apiKeys.authorize(key);
+            return code ? { status: ERROR_CODES[code], message } : null;
+        }
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    start();
+
+    // Error handling
+    process.on('unhandledRejection', (error) => {
+        logger.error('unhandled promise rejection', { error, stack: error?.stack });
+    });
+}
+
+module.exports = app;
+module.exports.start = start;
+module.exports.ImprovedStockScraper = ImprovedStockScraper;
\ No newline at end of file
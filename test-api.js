@@ -0,0 +1,767 @@
+/**
+ * API test suite on replayed upstream traffic
+ *
+ * Runs offline: HTTP_FIXTURES=replay serves the Yahoo Finance, NSE,
+ * Screener.in, MoneyControl, Google News and OpenAI responses saved in
+ * test/fixtures/upstream. Covers each source parser, getCombinedData(), the
+ * rule-based and AI summaries, corporate events, the candle store and the
+ * /api/analyze, /api/snapshots, /api/jobs and /api/backtest response
+ * contracts. The fixtures are synthetic: written by hand in the format
+ * HTTP_FIXTURES=record saves, with TCS figures as of the close on Monday
+ * 2 March 2026, not captured from the live sites. Scrapers get a market
+ * calendar fixed at a moment so the wording does not depend on when the
+ * tests run.
+ *
+ *   npm test
+ */
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+// Before the server loads: its sources, LLM providers and store read these
+Object.assign(process.env, {
+    HTTP_FIXTURES: 'replay',
+    DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-test-')),
+    AUTH_ENABLED: 'false',
+    ALERTS_ENABLED: 'false',
+    CACHE_ENABLED: 'false',
+    SYMBOLS_REFRESH_HOURS: '0',
+    LOG_LEVEL: 'error',
+    LLM_PROVIDER: 'openai',
+    OPENAI_API_KEY: 'replayed',
+    OPENAI_MODEL: 'gpt-3.5-turbo',
+    // Set but empty so a local .env cannot change them
+    SOURCES: '',
+    SOURCE_PLUGINS: ''
+});
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { HttpClient } = require('./lib/http');
+const { RecordReplayTransport } = require('./lib/recorder');
+const { YahooFinanceSource, NSESource, ScreenerSource, MoneyControlSource, CorporateEventsSource } = require('./lib/sources');
+const { LLMRegistry, StubProvider } = require('./lib/llm');
+const { MarketCalendar } = require('./lib/market-calendar');
+const CandleStore = require('./lib/candle-store');
+const app = require('./server-improved');
+
+const { ImprovedStockScraper } = app;
+const TCS = { symbol: 'TCS', exchange: 'NSE' };
+
+// Adapters on their own replaying client, apart from the server's
+const replayHttp = () => new HttpClient({ transport: new RecordReplayTransport({ mode: 'replay' }) });
+
+// The market calendar as it stands at `iso`
+const calendarAt = (iso) => MarketCalendar.fromFile(undefined, { clock: { now: () => Date.parse(iso) } });
+const DURING_SESSION = { calendar: calendarAt('2026-03-02T14:30:00+05:30') };
+
+test('Yahoo Finance: quote and daily history', async () => {
+    const yahoo = new YahooFinanceSource({ http: replayHttp() });
+
+    const quote = await yahoo.fetch(TCS);
+    assert.equal(quote.current_price, 3984.1);
+    assert.equal(quote.previous_close, 4011.75);
+    assert.equal(quote.change_percent, '-0.69');
+    assert.equal(quote.currency, 'INR');
+    assert.equal(quote.last_trade_time, '2026-03-02T10:00:00.000Z');
+
+    const history = await yahoo.fetchHistory({ ...TCS, range: '1y', interval: '1d' });
+    assert.equal(history.candles.length, 261);
+    assert.deepEqual(history.candles.at(-1), {
+        time: '2026-03-02T03:45:00.000Z',
+        timestamp: 1772423100,
+        open: 4010,
+        high: 4019.95,
+        low: 3962,
+        close: 3984.1,
+        adj_close: 3984.1,
+        volume: 2145360
+    });
+});
+
+test('NSE: quote-equity behind a primed session', async () => {
+    const nse = new NSESource({ http: replayHttp() });
+    const quote = await nse.fetch(TCS);
+
+    assert.equal(quote.current_price, 3984.15);
+    assert.equal(quote.change_percent, -0.688);
+    assert.equal(quote.company_name, 'Tata Consultancy Services Limited');
+    assert.equal(quote.sector, 'Information Technology');
+    assert.equal(quote.industry, 'Computers - Software & Consulting');
+    assert.equal(quote.pe_ratio, 29.74);
+    assert.equal(quote.sector_pe, 31.42);
+    assert.deepEqual([quote.low, quote.high, quote.low_52w, quote.high_52w], [3962, 4019.95, 3311, 4592.25]);
+    // lastUpdateTime "02-Mar-2026 16:00:00" is Indian time
+    assert.equal(quote.last_trade_time, '2026-03-02T10:30:00.000Z');
+});
+
+test('Screener.in: ratios, statements, shareholding and peers', async () => {
+    const screener = new ScreenerSource({ http: replayHttp() });
+    const data = await screener.fetch(TCS);
+
+    assert.equal(data.company_info.name, 'Tata Consultancy Services Ltd');
+    assert.equal(data.company_info.price, 3984);
+    assert.deepEqual(data.ratios, { market_cap: 1441523, pe_ratio: 29.7, book_value: 262, roce: 64.6, roe: 51.5 });
+    assert.deepEqual(Object.keys(data.financials), ['quarterly', 'profit_loss', 'balance_sheet', 'cash_flow', 'ratios']);
+    assert.deepEqual(data.financials.profit_loss.rows.net_profit, [32447, 33388, 38449, 42303, 46099, 48797, 49419]);
+    assert.equal(data.peers.length, 4);
+    assert.deepEqual(data.peers[1], {
+        symbol: 'INFY',
+        name: 'Infosys',
+        price: 1612.4,
+        pe_ratio: 24.81,
+        market_cap: 669811.54,
+        dividend_yield: 2.67,
+        net_profit_quarter: 6921,
+        profit_growth_quarter: 3.82,
+        sales_quarter: 42279,
+        sales_growth_quarter: 7.58,
+        roce: 37.53
+    });
+    assert.deepEqual(data.derived, {
+        revenue_cagr_3y: 10.01,
+        revenue_cagr_5y: 10.22,
+        profit_cagr_3y: 8.27,
+        profit_cagr_5y: 8.5,
+        debt_to_equity: 0.1,
+        promoter_holding: 71.77,
+        promoter_holding_change: 0,
+        promoter_trend: 'stable',
+        pledged_percent: null,
+        peer_median_pe: 24.97
+    });
+});
+
+test('MoneyControl: autosuggest then the company page', async () => {
+    const moneycontrol = new MoneyControlSource({ http: replayHttp() });
+    const data = await moneycontrol.fetch(TCS);
+
+    assert.equal(data.page_url, 'https://www.moneycontrol.com/india/stockpricequote/computers-software/tataconsultancyservices/TCS');
+    assert.equal(data.company_name, 'Tata Consultancy Services Ltd.');
+    assert.equal(data.price.current, 3984.15);
+    assert.equal(data.ratios.eps, 134.19);
+});
+
+test('NSE filings & news: announcements, board meetings, corporate actions and headlines', async () => {
+    const events = new CorporateEventsSource({ http: replayHttp() });
+    const listing = { name: 'Tata Consultancy Services Limited', nse_symbol: 'TCS' };
+    const { items, errors } = await events.fetch({ ...TCS, listing });
+
+    assert.deepEqual(errors, {});
+    assert.deepEqual(items.map(item => item.type), [
+        'headline', 'headline', 'headline', 'headline', 'headline',
+        'announcement', 'announcement', 'announcement', 'announcement',
+        'board_meeting', 'board_meeting',
+        'corporate_action', 'corporate_action'
+    ]);
+    // Publisher moved from the title to `source`
+    assert.deepEqual(items[0], {
+        type: 'headline',
+        date: '2026-03-02T07:15:00.000Z',
+        title: 'TCS shares slump as IT stocks fall on AI disruption worries',
+        detail: null,
+        url: 'https://economictimes.indiatimes.com/markets/stocks/news/tcs-shares-slump-it-stocks-ai-worries/articleshow/128866401.cms',
+        source: 'The Economic Times'
+    });
+    // NSE dates are Indian time
+    assert.equal(items[5].date, '2026-02-27T13:32:11.000Z');
+    assert.equal(items[9].date, '2026-04-08T18:30:00.000Z');
+    assert.equal(items[10].url, null);
+    assert.deepEqual(items[11], {
+        type: 'corporate_action',
+        date: '2026-01-15T18:30:00.000Z',
+        title: 'Interim Dividend - Rs 11 Per Share',
+        detail: 'Record date 16-Jan-2026',
+        url: null,
+        source: 'NSE'
+    });
+
+    // A BSE-only company has no NSE filings, only headlines
+    const bse = await events.fetch({ ...TCS, exchange: 'BSE', listing: { ...listing, nse_symbol: null } });
+    assert.ok(bse.items.every(item => item.type === 'headline'));
+});
+
+test('a missing fixture fails at once instead of being retried', async () => {
+    const nse = new NSESource({ http: replayHttp() });
+    await assert.rejects(nse.fetch({ symbol: 'NOSUCH' }), error => {
+        assert.equal(error.code, 'FIXTURE_MISSING');
+        assert.equal(error.attempts, 1);
+        return true;
+    });
+});
+
+test('record mode saves exchanges without request headers and replays them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-fixtures-'));
+    const live = {
+        async request(config) {
+            if (config.url.endsWith('/missing')) {
+                throw Object.assign(new Error('Request failed with status code 404'), {
+                    response: { status: 404, headers: {}, data: 'Not found' }
+                });
+            }
+            return { status: 200, headers: { 'content-type': 'application/json', 'x-trace': 'abc' }, data: { price: 10 } };
+        }
+    };
+    const recorder = new RecordReplayTransport({ mode: 'record', dir, transport: live });
+    const fixture = { source: 'feed', symbol: 'M&M' };
+
+    await recorder.request({ url: 'https://feed.example/quote', params: { q: 'M&M' }, headers: { Authorization: 'Bearer secret' }, fixture });
+    await assert.rejects(recorder.request({ url: 'https://feed.example/missing', fixture }));
+
+    const file = path.join(dir, 'feed', 'M%26M.json');
+    const saved = fs.readFileSync(file, 'utf8');
+    assert.ok(!saved.includes('secret'));
+    assert.deepEqual(JSON.parse(saved).exchanges[0], {
+        request: { method: 'GET', url: 'https://feed.example/quote', params: { q: 'M&M' } },
+        response: { status: 200, headers: { 'content-type': 'application/json' }, data: { price: 10 } }
+    });
+
+    const player = new RecordReplayTransport({ mode: 'replay', dir });
+    assert.deepEqual((await player.request({ url: 'https://feed.example/quote', params: { q: 'M&M' }, fixture })).data, { price: 10 });
+    await assert.rejects(player.request({ url: 'https://feed.example/missing', fixture }), error => error.response.status === 404);
+});
+
+test('getCombinedData picks each field from the best source', async () => {
+    const scraper = new ImprovedStockScraper('TCS', DURING_SESSION);
+    await scraper.scrapeAllSources();
+    const data = scraper.getCombinedData();
+
+    assert.deepEqual(Object.keys(scraper.data.sources).sort(), ['moneycontrol', 'nse', 'screener', 'yahoo_finance']);
+    // Yahoo quotes first, NSE names the company, Screener has the ratios
+    assert.equal(data.current_price, 3984.1);
+    assert.equal(data.change_percent, -0.69);
+    assert.equal(data.company_name, 'Tata Consultancy Services Limited');
+    assert.equal(data.pe_ratio, 29.7);
+    assert.equal(data.sector_pe, 31.42);
+    assert.equal(data.market_cap, 1441523);
+    assert.equal(data.roe, 51.5);
+    assert.equal(data.eps, 134.19);
+    assert.equal(data.peer_median_pe, 24.97);
+    assert.equal(scraper.data.reconciliation.fields.current_price.discrepancy, false);
+    assert.equal(typeof scraper.data.technicals.rsi_14, 'number');
+});
+
+test('generateSummary renders the rule-based summary', async () => {
+    const scraper = new ImprovedStockScraper('TCS', DURING_SESSION);
+    await scraper.scrapeAllSources();
+    const summary = scraper.generateSummary();
+
+    assert.match(summary, /^📊 Tata Consultancy Services Limited\n💰 Current Price: ₹3984\.10\n📈 Today's Change: -0\.69% DOWN/);
+    assert.match(summary, /P\/E Ratio: 29\.70 \(Sector P\/E: 31\.42\)/);
+    assert.match(summary, /Promoter Holding: 71\.77%/);
+    assert.match(summary, /Data Check: \d+\/\d+ cross-checked fields agree across 4 sources/);
+    assert.doesNotMatch(summary, /🕒/);
+});
+
+test('summaries speak of the last session while the market is closed', async () => {
+    // Holi
+    const scraper = new ImprovedStockScraper('TCS', { calendar: calendarAt('2026-03-03T11:00:00+05:30') });
+    await scraper.scrapeAllSources();
+    const summary = scraper.generateSummary();
+
+    assert.equal(scraper.data.market.status, 'closed');
+    assert.equal(scraper.data.market.holiday, 'Holi');
+    assert.equal(scraper.data.scraped_at, '2026-03-03T05:30:00.000Z');
+    assert.match(summary, /^📊 Tata Consultancy Services Limited\n💰 Last Traded Price: ₹3984\.10 \(as of Mon, 2 Mar, 4:00 pm IST\)\n📈 Last Session Change: -0\.69% DOWN\n🕒 NSE closed for Holi; next open Wed, 4 Mar, 9:15 am IST\n/);
+
+    const freshness = scraper.getFreshness();
+    assert.equal(freshness.last_trade_time, '2026-03-02T10:30:00.000Z');
+    assert.deepEqual(freshness.sources.yahoo_finance, {
+        last_trade_time: '2026-03-02T10:00:00.000Z',
+        fetched_at: '2026-03-03T05:30:00.000Z',
+        from_cache: false
+    });
+    assert.equal(freshness.sources.screener.last_trade_time, null);
+
+    const basic = await scraper.generateFinalSummary({}, () => 'no budget');
+    assert.match(basic.summary, /\nLast Traded Price: ₹3984\.10  \|  Last Session Change: -0\.69%\n/);
+    assert.match(basic.prompt, /- Market Status: NSE closed for Holi; next open Wed, 4 Mar, 9:15 am IST \(prices are from the last session/);
+});
+
+test('generateFinalSummary uses the replayed OpenAI reply, or falls back to rules', async () => {
+    const scraper = new ImprovedStockScraper('TCS', DURING_SESSION);
+    await scraper.scrapeAllSources();
+    scraper.generateSummary();
+
+    const ai = await scraper.generateFinalSummary();
+    assert.equal(ai.provider, 'openai');
+    assert.equal(ai.model, 'gpt-3.5-turbo-0125');
+    assert.equal(ai.attempts, 1);
+    assert.equal(ai.analysis.valuation.rating, 'Fair');
+    assert.match(ai.summary, /^Stock: Tata Consultancy Services Limited \(TCS\)\nCurrent Price: ₹3984\.10/);
+    assert.match(ai.prompt, /Tata Consultancy Services Limited \(TCS\)/);
+
+    const basic = await scraper.generateFinalSummary({}, () => 'Daily LLM quota of 0 calls used up');
+    assert.equal(basic.provider, null);
+    assert.equal(basic.model, 'basic');
+    assert.equal(basic.error, 'Daily LLM quota of 0 calls used up');
+    assert.equal(basic.analysis.valuation.rating, scraper.data.scoring.valuation.rating);
+    assert.equal(basic.analysis.reliability.sources_verified, 4);
+});
+
+test('recent events are scored and fed to the analysis', async () => {
+    const scraper = new ImprovedStockScraper('TCS', DURING_SESSION);
+    await Promise.all([scraper.scrapeAllSources(), scraper.fetchEvents()]);
+    const { events } = scraper.data;
+
+    assert.equal(events.as_of, '2026-03-02T09:00:00.000Z');
+    assert.equal(events.lookback_days, 30);
+    assert.deepEqual(events.sources, ['NSE Filings & News']);
+    assert.deepEqual(events.errors, {});
+    // January's results, meeting and dividend are past the look-back; the
+    // duplicate contract headline is dropped; April's board meeting is to come
+    assert.deepEqual(events.items.map(item => [item.type, item.sentiment.label, item.upcoming]), [
+        ['board_meeting', 'positive', true],
+        ['headline', 'negative', false],
+        ['headline', 'neutral', false],
+        ['announcement', 'negative', false],
+        ['headline', 'positive', false],
+        ['announcement', 'positive', false],
+        ['announcement', 'neutral', false]
+    ]);
+    assert.deepEqual(events.items[3].sentiment, { label: 'negative', score: -0.718, terms: ['tax demand', 'penalty'], method: 'lexicon' });
+    assert.deepEqual(events.summary, { positive: 3, negative: 2, neutral: 2, overall: 'positive' });
+
+    const basic = await scraper.generateFinalSummary({}, () => 'no budget');
+    assert.ok(basic.analysis.concerns.includes('Recent negative headline on 2026-03-02: TCS shares slump as IT stocks fall on AI disruption worries'));
+    assert.match(basic.prompt, /\nRecent Events \(last 30 days and upcoming, newest first; sentiment from the lexicon\):\n- \[positive\] 2026-04-09 \(upcoming\) Board Meeting \(NSE\): Board meeting: Financial Results\/Dividend - /);
+    assert.match(basic.prompt, /\n- \[negative\] 2026-02-27 Announcement \(NSE\): Disclosure under Regulation 30 /);
+    assert.match(basic.prompt, /cite it with its date in a strength or concern/);
+});
+
+test('an LLM can relabel event sentiment; the lexicon stays when it fails', async () => {
+    // Everything neutral except the tax demand (event 3)
+    const responses = (request) => ({
+        events: Array.from({ length: request.schema.properties.events.minItems }, (item, index) => ({
+            index,
+            sentiment: index === 3 ? 'negative' : 'neutral',
+            reason: index === 3 ? 'A tax demand with penalty is a cost, though small for TCS.' : 'Not price moving.'
+        }))
+    });
+    const llmRegistry = new LLMRegistry({ provider: 'stub' })
+        .register(new StubProvider({ responses }))
+        .register(new StubProvider({ name: 'unhelpful' }));
+
+    const scraper = new ImprovedStockScraper('TCS', { ...DURING_SESSION, llmRegistry });
+    await Promise.all([scraper.scrapeAllSources(), scraper.fetchEvents()]);
+
+    const events = await scraper.classifyEventSentiment();
+    assert.deepEqual(events.sentiment, { method: 'llm', provider: 'stub', model: 'stub', error: null });
+    assert.deepEqual(events.summary, { positive: 0, negative: 1, neutral: 6, overall: 'negative' });
+    assert.deepEqual(events.items[3].sentiment, {
+        label: 'negative',
+        reason: 'A tax demand with penalty is a cost, though small for TCS.',
+        method: 'llm'
+    });
+    const prompt = llmRegistry.get('stub').calls[0].messages[1].content;
+    assert.match(prompt, /\n3\. 2026-02-27 Announcement \(NSE\): Disclosure under Regulation 30 /);
+
+    // The schema-minimal reply labels event 0 seven times and is rejected
+    await scraper.fetchEvents();
+    const fallback = await scraper.classifyEventSentiment({ provider: 'unhelpful' });
+    assert.equal(fallback.sentiment.method, 'lexicon');
+    assert.match(fallback.sentiment.error, /did not match the schema/);
+    assert.equal(fallback.summary.overall, 'positive');
+});
+
+test('/api/analyze response contract', async (t) => {
+    const server = app.start(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const analyze = (body) => fetch(`http://localhost:${server.address().port}/api/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'test-api-1' },
+        body: JSON.stringify(body)
+    });
+
+    await t.test('success', async () => {
+        const response = await analyze({ symbol: 'tcs' });
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('x-request-id'), 'test-api-1');
+        assert.deepEqual(Object.keys(body), [
+            'success', 'symbol', 'exchange', 'listing', 'timestamp', 'market', 'summary', 'final_summary', 'analysis',
+            'ai_prompt', 'ai_model', 'ai_provider', 'ai_attempts', 'ai_error', 'sources', 'raw_data', 'cache',
+            'freshness', 'combined_data', 'reconciliation', 'scoring', 'events', 'snapshot_id'
+        ]);
+        assert.equal(body.success, true);
+        assert.equal(body.symbol, 'TCS');
+        assert.equal(body.exchange, 'NSE');
+        assert.equal(body.listing.isin, 'INE467B01029');
+        assert.ok(!Number.isNaN(Date.parse(body.timestamp)));
+        assert.equal(body.market.exchange, 'NSE');
+        assert.ok(['pre_open', 'open', 'post_close', 'closed'].includes(body.market.status));
+        assert.equal(body.freshness.sources.nse.last_trade_time, '2026-03-02T10:30:00.000Z');
+        assert.equal(typeof body.summary, 'string');
+        assert.equal(typeof body.final_summary, 'string');
+        assert.deepEqual(Object.keys(body.analysis), ['valuation', 'risk', 'strengths', 'concerns', 'reliability']);
+        assert.equal(body.ai_provider, 'openai');
+        assert.equal(body.ai_error, null);
+        assert.deepEqual([...body.sources].sort(), ['MoneyControl', 'NSE India', 'Screener.in', 'Yahoo Finance']);
+        assert.deepEqual(Object.keys(body.raw_data).sort(), Object.keys(body.cache).sort());
+        assert.equal(body.combined_data.current_price, 3984.1);
+        assert.equal(typeof body.scoring.score, 'number');
+        assert.equal(body.reconciliation.reliability.sources, 4);
+        assert.deepEqual(body.events.sources, ['NSE Filings & News']);
+        assert.equal(body.events.sentiment.method, 'lexicon');
+        assert.ok(Array.isArray(body.events.items));
+        assert.equal(typeof body.snapshot_id, 'string');
+    });
+
+    await t.test('validation errors', async () => {
+        const response = await analyze({ symbol: 'TCS', debug: true });
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(body, {
+            success: false,
+            error: {
+                code: 'VALIDATION_FAILED',
+                message: 'body.debug: is not allowed',
+                details: ['body.debug: is not allowed']
+            }
+        });
+    });
+
+    await t.test('a prefix is answered with the listings it could mean', async () => {
+        const response = await analyze({ symbol: 'ICICI' });
+        const body = await response.json();
+
+        assert.equal(response.status, 400);
+        assert.equal(body.error.code, 'UNKNOWN_SYMBOL');
+        assert.deepEqual(body.error.candidates.map(candidate => [candidate.symbol, candidate.match]), [['ICICIBANK', 'symbol_prefix']]);
+        assert.match(body.error.message, /Did you mean ICICIBANK \(ICICI Bank/);
+    });
+
+    await t.test('no source answers', async () => {
+        const response = await analyze({ symbol: 'ZZZZ' });
+        const body = await response.json();
+
+        assert.equal(response.status, 502);
+        assert.equal(body.success, false);
+        assert.equal(body.error.code, 'UPSTREAM_FAILED');
+    });
+});
+
+test('/api/snapshots', async (t) => {
+    const server = app.start(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const base = `http://localhost:${server.address().port}`;
+    const get = async (url) => {
+        const response = await fetch(`${base}${url}`);
+        return { status: response.status, body: await response.json() };
+    };
+    const analyze = async (body) => (await fetch(`${base}/api/analyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    })).json();
+
+    // The full analysis, then one on Yahoo Finance alone
+    const full = await analyze({ symbol: 'TCS', sources: ['yahoo_finance', 'nse', 'screener', 'moneycontrol'] });
+    const yahoo = await analyze({ symbol: 'tcs', sources: ['yahoo_finance'] });
+
+    await t.test('newest first', async () => {
+        const { status, body } = await get('/api/snapshots/tcs');
+
+        assert.equal(status, 200);
+        assert.equal(body.symbol, 'TCS');
+        assert.equal(body.count, body.snapshots.length);
+        assert.deepEqual(body.snapshots.slice(0, 2).map(snapshot => snapshot.id), [yahoo.snapshot_id, full.snapshot_id]);
+        assert.equal(body.snapshots[1].final_summary, full.final_summary);
+        assert.deepEqual(body.snapshots[1].combined_data, full.combined_data);
+        assert.equal(body.snapshots[0].raw_data, undefined);
+        assert.equal((await get('/api/snapshots/TCS?limit=1')).body.count, 1);
+    });
+
+    await t.test('changes since the previous snapshot', async () => {
+        const { status, body } = await get('/api/snapshots/TCS/diff');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.from, { id: full.snapshot_id, taken_at: full.timestamp });
+        assert.deepEqual(body.to, { id: yahoo.snapshot_id, taken_at: yahoo.timestamp });
+        assert.deepEqual(body.metrics.map(metric => metric.field), ['current_price', 'pe_ratio', 'roe', 'market_cap', 'score']);
+        assert.deepEqual(body.verdicts.map(verdict => verdict.field), ['valuation', 'risk', 'rule_valuation', 'rule_risk']);
+        assert.deepEqual(body.sources, { added: [], removed: full.sources.filter(source => source !== 'Yahoo Finance') });
+        // Only Screener.in gives ROE
+        assert.deepEqual(body.metrics[2], {
+            field: 'roe',
+            label: 'ROE',
+            from: full.combined_data.roe,
+            to: null,
+            change: null,
+            change_percent: null,
+            changed: true
+        });
+        assert.ok(body.changed.includes('roe'));
+    });
+
+    await t.test('from and to by id or time', async () => {
+        const { body } = await get(`/api/snapshots/TCS/diff?from=${yahoo.snapshot_id}&to=${encodeURIComponent(full.timestamp)}`);
+        assert.equal(body.from.id, yahoo.snapshot_id);
+        assert.equal(body.to.id, full.snapshot_id);
+
+        const same = await get(`/api/snapshots/TCS/diff?from=${full.snapshot_id}&to=${full.snapshot_id}`);
+        assert.deepEqual(same.body.changed, []);
+    });
+
+    await t.test('not found', async () => {
+        const cases = [
+            ['/api/snapshots/WIPRO/diff', /No snapshots of WIPRO on NSE/],
+            ['/api/snapshots/TCS/diff?exchange=BSE', /No snapshots of TCS on BSE/],
+            ['/api/snapshots/TCS/diff?from=2020-01-01', /matches from=2020-01-01/],
+            ['/api/snapshots/TCS/diff?to=not-a-snapshot', /matches to=not-a-snapshot/]
+        ];
+        for (const [url, message] of cases) {
+            const { status, body } = await get(url);
+            assert.equal(status, 404);
+            assert.equal(body.error.code, 'NOT_FOUND');
+            assert.match(body.error.message, message);
+        }
+
+        assert.equal((await get('/api/snapshots/TCS?exchange=LSE')).body.error.code, 'INVALID_EXCHANGE');
+    });
+
+    await t.test('limit must be a positive whole number', async () => {
+        for (const limit of ['-5', '0', '2.5', 'all']) {
+            const { status, body } = await get(`/api/snapshots/TCS?limit=${limit}`);
+            assert.equal(status, 400, limit);
+            assert.equal(body.error.code, 'VALIDATION_FAILED');
+        }
+        assert.equal((await get('/api/snapshots/TCS?limit=500')).body.count, (await get('/api/snapshots/TCS?limit=100')).body.count);
+    });
+});
+
+test('/api/jobs', async (t) => {
+    const server = app.start(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const base = `http://localhost:${server.address().port}`;
+    const request = async (method, url, body) => {
+        const response = await fetch(`${base}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    // Server-sent events up to and including `end`
+    const follow = async (id) => {
+        const response = await fetch(`${base}/api/jobs/${id}/stream`);
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+        const text = await response.text();
+        return text.split('\n\n').filter(block => block.startsWith('event:')).map(block => JSON.parse(block.split('\ndata: ')[1]));
+    };
+
+    await t.test('an analysis in the background, stage by stage', async () => {
+        const { status, headers, body } = await request('POST', '/api/jobs', { symbol: 'tcs' });
+
+        assert.equal(status, 202);
+        assert.equal(headers.get('location'), `/api/jobs/${body.job.id}`);
+        assert.deepEqual(body.job.params, { symbol: 'TCS', exchange: 'NSE', sources: null, llm: null, event_sentiment: 'lexicon' });
+
+        const messages = await follow(body.job.id);
+        assert.equal(messages[0].type, 'snapshot');
+        assert.equal(messages.at(-1).type, 'end');
+
+        const { job } = messages.at(-1);
+        assert.equal(job.status, 'succeeded');
+        assert.deepEqual(job.stages.map(stage => stage.name), [
+            'source:yahoo_finance', 'source:nse', 'source:screener', 'source:moneycontrol', 'technicals', 'events',
+            'combine', 'rule_summary', 'ai_summary'
+        ]);
+        assert.ok(job.stages.every(stage => stage.status === 'done'), JSON.stringify(job.stages));
+        assert.equal(job.stages.at(-1).model, 'gpt-3.5-turbo-0125');
+        assert.equal(job.result.symbol, 'TCS');
+        assert.equal(typeof job.result.snapshot_id, 'string');
+        assert.equal(job.result.combined_data.current_price, 3984.1);
+        assert.deepEqual(Object.keys(job.partial), ['sources', 'combined_data', 'reconciliation', 'summary', 'scoring', 'events']);
+
+        // Whatever had finished before the stream was opened is in the snapshot
+        const streamed = messages.filter(message => message.type === 'stage' && message.stage.status !== 'running');
+        const before = messages[0].job.stages.filter(stage => ['done', 'failed'].includes(stage.status));
+        assert.equal(streamed.length + before.length, job.stages.length);
+
+        const read = await request('GET', `/api/jobs/${job.id}`);
+        assert.deepEqual(read.body.job, job);
+
+        const listed = await request('GET', '/api/jobs');
+        assert.equal(listed.body.jobs[0].id, job.id);
+        assert.equal(listed.body.queue.workers, 2);
+
+        const cancel = await request('DELETE', `/api/jobs/${job.id}`);
+        assert.equal(cancel.status, 409);
+        assert.equal(cancel.body.error.code, 'JOB_FINISHED');
+    });
+
+    await t.test('a job with no source answering fails', async () => {
+        const { body } = await request('POST', '/api/jobs', { symbol: 'ZZZZ', sources: ['yahoo_finance'] });
+        const messages = await follow(body.job.id);
+        const { job } = messages.at(-1);
+
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error.code, 'UPSTREAM_FAILED');
+        assert.deepEqual(job.stages.map(stage => [stage.name, stage.status]), [
+            ['source:yahoo_finance', 'failed'], ['technicals', 'failed'], ['combine', 'skipped'], ['rule_summary', 'skipped'], ['ai_summary', 'skipped']
+        ]);
+    });
+
+    await t.test('bad requests and unknown jobs', async () => {
+        const invalid = await request('POST', '/api/jobs', { symbol: 'TCS', sources: ['bloomberg'] });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error.code, 'UNKNOWN_SOURCE');
+
+        for (const [method, url] of [['GET', '/api/jobs/missing'], ['GET', '/api/jobs/missing/stream'], ['DELETE', '/api/jobs/missing']]) {
+            const { status, body } = await request(method, url);
+            assert.equal(status, 404);
+            assert.equal(body.error.code, 'NOT_FOUND');
+        }
+    });
+});
+
+test('candle store keeps daily candles until the next session settles', async () => {
+    let now = Date.parse('2026-03-02T14:30:00+05:30');
+    const clock = { now: () => now };
+    const ranges = [];
+    const store = new CandleStore({
+        dir: fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-candles-')),
+        calendar: MarketCalendar.fromFile(undefined, { clock }),
+        clock,
+        fetchHistory: (provider, params) => {
+            ranges.push(params.range);
+            return provider.fetchHistory(params);
+        }
+    });
+    const yahoo = new YahooFinanceSource({ http: replayHttp() });
+    const since = Date.parse('2025-06-01');
+
+    // Monday's session is still trading: its candle is left out
+    const first = await store.daily(yahoo, { ...TCS, since });
+    assert.equal(first.from_store, false);
+    assert.equal(first.candles.length, 260);
+    assert.equal(first.candles.at(-1).time, '2026-02-27T03:45:00.000Z');
+
+    const again = await store.daily(yahoo, { ...TCS, since });
+    assert.equal(again.from_store, true);
+    assert.deepEqual(again.candles, first.candles);
+
+    // Monday has closed and settled by Holi
+    now = Date.parse('2026-03-03T11:00:00+05:30');
+    const refreshed = await store.daily(yahoo, { ...TCS, since });
+    assert.equal(refreshed.from_store, false);
+    assert.equal(refreshed.candles.length, 261);
+    assert.deepEqual(ranges, ['1y', '1y']);
+
+    const stored = JSON.parse(fs.readFileSync(store.filePath(yahoo, 'NSE', 'TCS'), 'utf8'));
+    assert.equal(stored.fetched_at, '2026-03-03T05:30:00.000Z');
+    assert.equal(stored.covers_from, '2025-03-03T05:30:00.000Z');
+    assert.equal(store.rangeFor(Date.parse('2024-01-01')).range, '5y');
+});
+
+test('/api/backtest', async (t) => {
+    // The replayed year of TCS candles, stored as if fetched just now so the
+    // route does not ask Yahoo for a range that depends on today's date
+    const history = await new YahooFinanceSource({ http: replayHttp() }).fetchHistory({ ...TCS, range: '1y', interval: '1d' });
+    const file = path.join(process.env.DATA_DIR, 'candles', 'yahoo_finance', 'NSE', 'TCS.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+        ...TCS,
+        source: 'yahoo_finance',
+        range: '1y',
+        fetched_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        covers_from: null,
+        candles: history.candles
+    }));
+
+    const server = app.start(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const backtest = (body) => fetch(`http://localhost:${server.address().port}/api/backtest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    await t.test('P/E strategy on stored candles and Screener.in EPS', async () => {
+        const response = await backtest({
+            symbol: 'tcs',
+            from: '2025-06-01',
+            to: '2026-03-02',
+            initial_capital: 500000,
+            strategy: { type: 'pe_threshold', buy_below: 30, sell_above: 32 }
+        });
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(Object.keys(body), [
+            'success', 'symbol', 'exchange', 'source', 'strategy', 'initial_capital', 'risk_free_percent', 'costs',
+            'candles', 'from', 'to', 'sessions', 'metrics', 'benchmark', 'trades', 'equity_curve', 'warnings'
+        ]);
+        assert.equal(body.symbol, 'TCS');
+        assert.equal(body.source, 'Yahoo Finance');
+        assert.equal(body.candles.from_store, true);
+        assert.equal(body.from, '2025-06-02');
+        assert.equal(body.to, '2026-03-02');
+        assert.equal(body.equity_curve.length, body.sessions);
+        assert.equal(body.equity_curve.at(-1).equity, body.metrics.final_equity);
+        assert.equal(body.metrics.trades, body.trades.length);
+        assert.ok(body.trades.length > 0);
+        for (const trade of body.trades) {
+            assert.ok(trade.entry_date < trade.exit_date || trade.exit_reason === 'end_of_period');
+            assert.ok(trade.costs > 0);
+        }
+        assert.equal(body.benchmark.strategy, 'buy_and_hold');
+        assert.equal(body.benchmark.final_equity, body.equity_curve.at(-1).benchmark_equity);
+        assert.deepEqual(body.warnings, []);
+    });
+
+    await t.test('validation errors', async () => {
+        const cases = [
+            [{ symbol: 'TCS', from: '2025-06-01', strategy: { type: 'martingale' } }, /strategy\.type: must be one of/],
+            [{ symbol: 'TCS', from: '2025-06-01', to: '2025-02-30', strategy: { type: 'sma_crossover' } }, /real dates/],
+            [{ symbol: 'TCS', from: '2026-03-02', to: '2025-06-01', strategy: { type: 'sma_crossover' } }, /from before to/],
+            [{ symbol: 'TCS', from: '2025-06-01', strategy: { type: 'rsi_reversion' }, costs: { stt_percent: 50 } }, /costs\.stt_percent/]
+        ];
+        for (const [request, message] of cases) {
+            const response = await backtest(request);
+            const body = await response.json();
+            assert.equal(response.status, 400);
+            assert.equal(body.error.code, 'VALIDATION_FAILED');
+            assert.match(body.error.message, message);
+        }
+    });
+
+    await t.test('no sessions in the range', async () => {
+        const response = await backtest({ symbol: 'TCS', from: '2020-01-01', to: '2020-06-30', strategy: { type: 'sma_crossover' } });
+        const body = await response.json();
+
+        assert.equal(response.status, 404);
+        assert.equal(body.error.code, 'NOT_FOUND');
+    });
+});
+
+test('browsers may call the API only from its own origin unless CORS_ORIGINS allows more', async (t) => {
+    const server = app.start(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const base = `http://localhost:${server.address().port}`;
+    const sources = (origin) => fetch(`${base}/api/sources`, { headers: { Origin: origin } });
+
+    const own = await sources(base);
+    assert.equal(own.status, 200);
+    assert.equal(own.headers.get('access-control-allow-origin'), base);
+
+    const other = await sources('https://evil.example');
+    assert.equal(other.status, 403);
+    assert.equal((await other.json()).error.code, 'ORIGIN_NOT_ALLOWED');
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
@@ -0,0 +1,251 @@
+/**
+ * Alert engine and webhook delivery, on a fake clock with a local receiver
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const JsonStore = require('../lib/json-store');
+const WebhookNotifier = require('../lib/webhook');
+const createAlertRouter = require('../lib/routes/alerts');
+const { AlertEngine, ALERTS } = require('../lib/alerts');
+
+// now() moves only when told to; sleep() records the wait and skips it;
+// timers run when the test fires them
+const fakeClock = (start) => {
+    let now = start;
+    const clock = {
+        sleeps: [],
+        timers: new Set(),
+        now: () => now,
+        advance: (ms) => { now += ms; },
+        sleep: async (ms) => { clock.sleeps.push(ms); now += ms; },
+        setTimeout: (fn, ms) => {
+            const timer = { fn, ms };
+            clock.timers.add(timer);
+            return timer;
+        },
+        clearTimeout: (timer) => clock.timers.delete(timer),
+        fire: async () => {
+            const [timer] = clock.timers;
+            clock.timers.delete(timer);
+            clock.advance(timer.ms);
+            await timer.fn();
+        }
+    };
+    return clock;
+};
+
+// Answers with the given statuses in turn (200 once they run out) and
+// keeps every request it got
+async function startReceiver(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ event_id: req.headers['x-stockai-event-id'], body: JSON.parse(body) });
+            res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, received, url: `http://127.0.0.1:${server.address().port}/hooks/stockai` };
+}
+
+const newStore = () => new JsonStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-alerts-')), 'store.json'));
+
+test('fires once per crossing, then waits for the condition to clear and the cooldown', async (t) => {
+    const receiver = await startReceiver();
+    t.after(() => receiver.server.close());
+
+    const clock = fakeClock(Date.parse('2026-03-02T04:00:00Z'));
+    const store = newStore();
+    const prices = { TCS: 3990 };
+    const loads = [];
+    const engine = new AlertEngine({
+        store,
+        clock,
+        loadQuote: async (symbol) => {
+            loads.push(symbol);
+            return { current_price: prices[symbol], technicals: { rsi_14: 72 } };
+        },
+        notifier: new WebhookNotifier({ url: receiver.url, clock })
+    });
+
+    const alert = await store.insert(ALERTS, { symbol: 'TCS', field: 'current_price', operator: 'above', threshold: 4000, cooldown_minutes: 60, state: {} });
+    // A second alert on the same symbol shares its quote
+    await store.insert(ALERTS, { symbol: 'TCS', field: 'technicals.rsi_14', operator: 'above', threshold: 90, state: {} });
+
+    const pass = async (price, minutes = 5) => {
+        prices.TCS = price;
+        clock.advance(minutes * 60 * 1000);
+        return (await engine.tick()).triggered.length;
+    };
+
+    assert.equal(await pass(3990), 0);
+    assert.equal(await pass(4010), 1);
+    // Still above: the same crossing does not fire again
+    assert.equal(await pass(4020), 0);
+    assert.equal(await pass(3995), 0);
+    // Crossed again, but inside the cooldown
+    assert.equal(await pass(4005), 0);
+    assert.equal(await pass(4005, 60), 1);
+
+    assert.equal(loads.length, 6);
+    assert.equal(receiver.received.length, 2);
+    const [first, second] = receiver.received;
+    assert.notEqual(first.event_id, second.event_id);
+    assert.equal(first.body.event_id, first.event_id);
+    assert.equal(first.body.type, 'alert.triggered');
+    assert.equal(first.body.message, 'TCS current_price 4010 is above 4000');
+
+    const history = await engine.history({ alertId: alert.id });
+    assert.deepEqual(history.map(event => [event.value, event.delivery.status]), [[4005, 'delivered'], [4010, 'delivered']]);
+    const saved = await store.get(ALERTS, alert.id);
+    assert.equal(saved.state.TCS.active, true);
+    assert.equal(saved.state.TCS.last_triggered_at, history[0].triggered_at);
+});
+
+test('the scheduler evaluates on its interval until stopped', async () => {
+    const clock = fakeClock(Date.parse('2026-03-02T04:00:00Z'));
+    let passes = 0;
+    const engine = new AlertEngine({ store: newStore(), clock, intervalMs: 30 * 1000, loadQuote: async () => ({}), notifier: new WebhookNotifier() });
+    engine.evaluateAll = async () => { passes++; };
+
+    engine.start();
+    engine.start();
+    assert.equal(clock.timers.size, 1);
+    assert.equal([...clock.timers][0].ms, 30 * 1000);
+
+    await clock.fire();
+    await clock.fire();
+    assert.equal(passes, 2);
+    assert.equal(clock.timers.size, 1);
+
+    engine.stop();
+    assert.equal(clock.timers.size, 0);
+});
+
+test('retries 429 and 5xx with exponential backoff under one event id', async (t) => {
+    const receiver = await startReceiver([503, 429, 200, 400, 500, 500, 500]);
+    t.after(() => receiver.server.close());
+    const clock = fakeClock(0);
+    const notifier = new WebhookNotifier({ url: receiver.url, clock, backoffMs: 1000, maxAttempts: 3 });
+
+    const delivered = await notifier.deliver({ event_id: 'evt-1' });
+    assert.deepEqual(delivered, { status: 'delivered', attempts: 3, response_status: 200 });
+    assert.deepEqual(clock.sleeps, [1000, 2000]);
+    assert.deepEqual(receiver.received.map(request => request.event_id), ['evt-1', 'evt-1', 'evt-1']);
+
+    // Other 4xx are final
+    clock.sleeps.length = 0;
+    const rejected = await notifier.deliver({ event_id: 'evt-2' });
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.attempts, 1);
+    assert.equal(rejected.response_status, 400);
+    assert.deepEqual(clock.sleeps, []);
+
+    const failed = await notifier.deliver({ event_id: 'evt-3' });
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 3);
+    assert.equal(failed.response_status, 500);
+    assert.deepEqual(clock.sleeps, [1000, 2000]);
+
+    assert.deepEqual(await new WebhookNotifier().deliver({ event_id: 'evt-4' }), { status: 'skipped', attempts: 0, error: 'No webhook URL configured' });
+});
+
+test('does not follow a redirect from an allowed host', async (t) => {
+    const target = await startReceiver();
+    const allowed = http.createServer((req, res) => {
+        req.resume();
+        res.writeHead(302, { Location: target.url });
+        res.end();
+    });
+    await new Promise(resolve => allowed.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        allowed.close();
+        target.server.close();
+    });
+
+    const notifier = new WebhookNotifier({ url: `http://127.0.0.1:${allowed.address().port}/hooks`, clock: fakeClock(0) });
+    assert.equal(notifier.allows(target.url), false);
+
+    const result = await notifier.deliver({ event_id: 'evt-1' });
+    assert.equal(result.status, 'failed');
+    assert.equal(result.attempts, 1);
+    assert.equal(result.response_status, 302);
+    assert.equal(target.received.length, 0);
+});
+
+test('only calls webhook hosts on the allowlist', async () => {
+    const notifier = new WebhookNotifier({ url: 'https://hooks.example.com/stockai', allowedHosts: ['Alerts.Example.org', 'relay.example.net:8443'] });
+
+    assert.equal(notifier.allows('https://hooks.example.com/other'), true);
+    assert.equal(notifier.allows('https://alerts.example.org/a'), true);
+    assert.equal(notifier.allows('https://relay.example.net:8443/a'), true);
+    assert.equal(notifier.allows('https://relay.example.net/a'), false);
+    assert.equal(notifier.allows('http://169.254.169.254/latest/meta-data/'), false);
+    assert.equal(notifier.allows('http://localhost:5001/api/admin'), false);
+    assert.equal(notifier.allows('file:///etc/passwd'), false);
+    assert.equal(notifier.allows('not a url'), false);
+
+    const blocked = await notifier.deliver({ event_id: 'evt-1' }, 'http://169.254.169.254/latest/meta-data/');
+    assert.equal(blocked.status, 'skipped');
+    assert.match(blocked.error, /not allowed/);
+
+    // Without a default URL or allowlist no per-alert URL is accepted
+    assert.equal(new WebhookNotifier().allows('https://hooks.example.com/stockai'), false);
+});
+
+test('the alert routes reject webhook URLs off the allowlist', async (t) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alerts', createAlertRouter({
+        store: newStore(),
+        engine: { notifier: new WebhookNotifier({ allowedHosts: ['hooks.example.com'] }) }
+    }));
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    t.after(() => server.close());
+
+    const create = (webhookUrl) => fetch(`http://127.0.0.1:${server.address().port}/api/alerts`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbol: 'TCS', field: 'current_price', operator: 'above', threshold: 4000, webhook_url: webhookUrl })
+    });
+
+    const rejected = await create('http://169.254.169.254/latest/meta-data/');
+    assert.equal(rejected.status, 400);
+    const { error } = await rejected.json();
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    assert.match(error.message, /allowed host/);
+
+    const created = await create('https://hooks.example.com/stockai');
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).alert.webhook_url, 'https://hooks.example.com/stockai');
+});
+
+test('updates keep the trigger state unless the condition or target changes', async (t) => {
+    const store = newStore();
+    const app = express();
+    app.use(express.json());
+    app.use('/api/alerts', createAlertRouter({ store, engine: { notifier: new WebhookNotifier() } }));
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    t.after(() => server.close());
+
+    const state = { TCS: { active: true, last_triggered_at: '2026-03-02T04:05:00.000Z' } };
+    const alert = await store.insert(ALERTS, { symbol: 'TCS', field: 'current_price', operator: 'above', threshold: 4000, state });
+    const update = async (changes) => (await (await fetch(`http://127.0.0.1:${server.address().port}/api/alerts/${alert.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    })).json()).alert;
+
+    assert.deepEqual((await update({ name: 'TCS breakout' })).state, state);
+    assert.deepEqual((await update({ enabled: false, cooldown_minutes: 30 })).state, state);
+    assert.deepEqual((await update({ threshold: 4100 })).state, {});
+});
@@ -0,0 +1,150 @@
+/**
+ * API keys, quotas, request schemas and error codes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyManager, hashKey } = require('../lib/api-keys');
+const { classifyError, apiError } = require('../lib/errors');
+const { SCHEMAS } = require('../lib/request-schemas');
+const { validateSchema } = require('../lib/json-schema');
+const JsonStore = require('../lib/json-store');
+
+const fakeClock = (start) => {
+    let now = start;
+    return { now: () => now, advance: (ms) => { now += ms; } };
+};
+
+// 2026-03-02 10:00 IST
+const MORNING_IST = Date.UTC(2026, 2, 2, 4, 30);
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-keys-'));
+}
+
+function writeKeyFile(dir, keys) {
+    const file = path.join(dir, 'keys.json');
+    fs.writeFileSync(file, JSON.stringify({ keys }));
+    return file;
+}
+
+test('finds file keys by key or by SHA-256 and rejects invalid files', async () => {
+    const dir = tempDir();
+    const manager = new ApiKeyManager({
+        file: writeKeyFile(dir, [
+            { name: 'frontend', key: 'frontend-key-0123456789' },
+            { name: 'batch', key_sha256: hashKey('batch-key-0123456789'), enabled: false }
+        ])
+    }).loadFile();
+
+    assert.equal((await manager.find('frontend-key-0123456789')).id, 'file:frontend');
+    assert.equal((await manager.find('batch-key-0123456789')).enabled, false);
+    assert.equal(await manager.find('unknown-key'), null);
+    assert.equal((await manager.authorize('batch-key-0123456789')).code, 'API_KEY_DISABLED');
+    assert.equal((await manager.authorize(null)).code, 'AUTH_REQUIRED');
+
+    const duplicate = new ApiKeyManager({
+        file: writeKeyFile(dir, [{ name: 'a', key: 'key-one-0123456789' }, { name: 'a', key: 'key-two-0123456789' }])
+    });
+    assert.throws(() => duplicate.loadFile(), /duplicate name "a"/);
+});
+
+test('stores only the hash of created keys', async () => {
+    const dir = tempDir();
+    const store = new JsonStore(path.join(dir, 'stockai.json'));
+    const manager = new ApiKeyManager({ store });
+
+    const { key, record } = await manager.create({ name: ' mobile ', daily_quota: 5 });
+    assert.match(key, /^sai_/);
+    assert.equal(record.name, 'mobile');
+    assert.equal((await manager.find(key)).id, record.id);
+
+    const saved = fs.readFileSync(path.join(dir, 'stockai.json'), 'utf8');
+    assert.ok(!saved.includes(key));
+    assert.equal(manager.describe(record).key_hash, undefined);
+    assert.deepEqual(manager.describe(record).limits, { rate_limit_per_minute: 30, daily_quota: 5, llm_daily_quota: 20 });
+});
+
+test('creates a bootstrap key only when there are no keys at all', async () => {
+    const dir = tempDir();
+    const store = new JsonStore(path.join(dir, 'stockai.json'));
+    const manager = new ApiKeyManager({ store });
+
+    const { key, record } = await manager.bootstrap();
+    assert.equal(record.name, 'bootstrap');
+    assert.equal((await manager.authorize(key)).record.id, record.id);
+    assert.equal(await manager.bootstrap(), null);
+
+    const withFile = new ApiKeyManager({
+        store: new JsonStore(path.join(dir, 'other.json')),
+        file: writeKeyFile(dir, [{ name: 'frontend', key: 'frontend-key-0123456789' }])
+    }).loadFile();
+    assert.equal(await withFile.bootstrap(), null);
+});
+
+test('rate limits per minute and refills over time', () => {
+    const clock = fakeClock(MORNING_IST);
+    const manager = new ApiKeyManager({ clock });
+    const record = { id: 'k1', rate_limit_per_minute: 2 };
+
+    assert.equal(manager.consume(record), null);
+    assert.equal(manager.consume(record), null);
+
+    const denied = manager.consume(record);
+    assert.equal(denied.code, 'RATE_LIMITED');
+    assert.equal(denied.retryAfterMs, 30000);
+
+    clock.advance(30000);
+    assert.equal(manager.consume(record), null);
+});
+
+test('daily quotas reset at midnight IST', () => {
+    const clock = fakeClock(MORNING_IST);
+    const manager = new ApiKeyManager({ clock, defaults: { daily_quota: 2, rate_limit_per_minute: undefined } });
+    const record = { id: 'k1' };
+
+    manager.consume(record);
+    manager.consume(record);
+    const denied = manager.consume(record);
+    assert.equal(denied.code, 'QUOTA_EXCEEDED');
+    // 10:00 IST -> midnight IST is 14 hours away
+    assert.equal(denied.retryAfterMs, 14 * 60 * 60 * 1000);
+
+    clock.advance(denied.retryAfterMs);
+    assert.equal(manager.consume(record), null);
+    assert.equal(manager.usageFor('k1').requests, 1);
+});
+
+test('LLM calls count against the key quota and the server budget', () => {
+    const manager = new ApiKeyManager({ clock: fakeClock(MORNING_IST), llmDailyBudget: 3 });
+    const strict = { id: 'strict', llm_daily_quota: 1 };
+    const relaxed = { id: 'relaxed', llm_daily_quota: 10 };
+
+    assert.equal(manager.consumeLlm(strict), null);
+    assert.match(manager.consumeLlm(strict), /LLM quota of 1/);
+
+    assert.equal(manager.consumeLlm(relaxed), null);
+    // Auth off: only the server budget applies
+    assert.equal(manager.consumeLlm(null), null);
+    assert.match(manager.consumeLlm(relaxed), /Server LLM budget of 3/);
+});
+
+test('analyze bodies are strict and symbols follow the whitelist', () => {
+    assert.deepEqual(validateSchema(SCHEMAS.ANALYZE, { symbol: 'HDFC Bank', exchange: 'BSE', llm: { provider: 'stub' } }, 'body'), []);
+    assert.deepEqual(validateSchema(SCHEMAS.ANALYZE, { symbol: 'M&M', sources: 'nse,yahoo' }, 'body'), []);
+
+    assert.deepEqual(validateSchema(SCHEMAS.ANALYZE, { symbol: '../../etc/passwd' }, 'body'), ['body.symbol: has an invalid format']);
+    assert.deepEqual(validateSchema(SCHEMAS.ANALYZE, { symbol: 'TCS', debug: true }, 'body'), ['body.debug: is not allowed']);
+    assert.deepEqual(validateSchema(SCHEMAS.ANALYZE, {}, 'body'), ['body.symbol: is required']);
+    assert.deepEqual(validateSchema(SCHEMAS.COMPARE, { symbols: ['TCS', 'INFY?x=1'] }, 'body'), ['body.symbols[1]: has an invalid format']);
+});
+
+test('classifies thrown errors into codes', () => {
+    assert.deepEqual(classifyError(apiError('NOT_LISTED', 'x')), { status: 400, code: 'NOT_LISTED' });
+    assert.deepEqual(classifyError(Object.assign(new Error('bad'), { status: 400, type: 'entity.parse.failed' })), { status: 400, code: 'INVALID_JSON' });
+    assert.deepEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), { status: 500, code: 'INTERNAL_ERROR' });
+    assert.deepEqual(classifyError(Object.assign(new Error('gone'), { status: 404 })), { status: 404, code: 'NOT_FOUND' });
+});
@@ -0,0 +1,150 @@
+/**
+ * Strategy backtests: signals, fills, costs and performance metrics
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_COSTS,
+    epsTimeline,
+    parseCosts,
+    parseStrategy,
+    performance,
+    runBacktest,
+    tradeCosts,
+    warmupDays
+} = require('../lib/backtest');
+
+const NO_COSTS = parseCosts({
+    brokerage_percent: 0, stt_percent: 0, exchange_percent: 0, sebi_percent: 0, stamp_duty_percent: 0, gst_percent: 0
+}).costs;
+
+// One candle per weekday from 5 Jan 2026, opening 1 below the close
+function candles(closes) {
+    const result = [];
+    let day = Date.UTC(2026, 0, 5);
+    for (const close of closes) {
+        while ([0, 6].includes(new Date(day).getUTCDay())) day += 86400000;
+        const time = new Date(day + (3 * 60 + 45) * 60000).toISOString();
+        result.push({ time, open: close - 1, high: close + 1, low: close - 2, close, volume: 1000 });
+        day += 86400000;
+    }
+    return result;
+}
+
+const strategy = (spec) => {
+    const { strategy: parsed, error } = parseStrategy(spec);
+    assert.equal(error, undefined);
+    return parsed;
+};
+
+test('charges Indian delivery costs per order', () => {
+    // Brokerage capped at 20, STT both ways, stamp duty on buys, GST on
+    // brokerage and fees
+    assert.equal(Number(tradeCosts(100000, 'buy', DEFAULT_COSTS).toFixed(4)), 142.2226);
+    assert.equal(Number(tradeCosts(100000, 'sell', DEFAULT_COSTS).toFixed(4)), 127.2226);
+    assert.equal(tradeCosts(100000, 'buy', NO_COSTS), 0);
+
+    assert.equal(parseCosts({ brokerage_max: null }).costs.brokerage_max, null);
+    assert.equal(parseCosts({ commission: 1 }).error, 'costs.commission is not a known charge');
+    assert.equal(parseCosts({ stt_percent: 12 }).error, 'costs.stt_percent must be between 0 and 10 (%)');
+});
+
+test('fills signals at the next open and sells what is left at the end', () => {
+    const closes = [98, 99, 101, 105, 110, 98, 97, 102, 104];
+    const result = runBacktest({
+        candles: candles(closes),
+        strategy: strategy({
+            type: 'rules',
+            entry: [{ left: 'close', op: 'crosses_above', right: 100 }],
+            exit: [{ left: 'close', op: 'crosses_below', right: 100 }]
+        }),
+        from: '2026-01-01',
+        to: '2026-12-31',
+        initialCapital: 10000,
+        costs: NO_COSTS
+    });
+
+    // Crossed above on the 3rd close, bought at the 4th open (104);
+    // crossed below on the 6th close, sold at the 7th open (96)
+    assert.deepEqual(result.trades.map(({ entry_date, entry_price, exit_date, exit_price, shares, pnl, exit_reason }) =>
+        ({ entry_date, entry_price, exit_date, exit_price, shares, pnl, exit_reason })), [
+        { entry_date: '2026-01-08', entry_price: 104, exit_date: '2026-01-13', exit_price: 96, shares: 96, pnl: -768, exit_reason: 'signal' },
+        { entry_date: '2026-01-15', entry_price: 103, exit_date: '2026-01-15', exit_price: 104, shares: 89, pnl: 89, exit_reason: 'end_of_period' }
+    ]);
+    assert.equal(result.sessions, 9);
+    assert.equal(result.metrics.final_equity, 10000 - 768 + 89);
+    assert.equal(result.metrics.win_rate_percent, 50);
+    assert.equal(result.equity_curve.at(-1).equity, result.metrics.final_equity);
+    assert.equal(result.equity_curve.at(-1).in_position, false);
+
+    // Buy and hold: 103 shares at the first open (97), sold at the last close
+    assert.equal(result.benchmark.shares, 103);
+    assert.equal(result.benchmark.final_equity, 10000 - 103 * 97 + 103 * 104);
+});
+
+test('a stop loss sells at the open after the close that hits it', () => {
+    const closes = [100, 101, 95, 90, 92];
+    const result = runBacktest({
+        candles: candles(closes),
+        strategy: strategy({ type: 'rules', entry: [{ left: 'close', op: 'above', right: 99 }], stop_loss_percent: 5 }),
+        from: '2026-01-01',
+        to: '2026-12-31',
+        costs: NO_COSTS
+    });
+
+    // Bought at 100 (second open), 95 is 5% down: sold at the next open
+    assert.equal(result.trades[0].entry_price, 100);
+    assert.equal(result.trades[0].exit_reason, 'stop_loss');
+    assert.equal(result.trades[0].exit_date, '2026-01-08');
+    assert.equal(result.trades[0].exit_price, 89);
+
+    assert.equal(runBacktest({ candles: candles(closes), strategy: strategy({ type: 'rsi_reversion' }), from: '2027-01-01', to: '2027-12-31' }), null);
+});
+
+test('measures return, CAGR, drawdown and Sharpe', () => {
+    const curve = [100, 110, 99, 121].map((equity, i) => ({ date: `202${i}-01-01`, equity }));
+    const metrics = performance(curve, 100);
+
+    assert.equal(metrics.total_return_percent, 21);
+    assert.equal(metrics.max_drawdown_percent, 10);
+    // 21% over 3 years
+    assert.equal(metrics.cagr_percent, 6.56);
+
+    const returns = [0.1, -0.1, 121 / 99 - 1];
+    const mean = returns.reduce((a, b) => a + b) / 3;
+    const deviation = Math.sqrt(returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / 2);
+    assert.equal(metrics.sharpe_ratio, Number((mean / deviation * Math.sqrt(252)).toFixed(2)));
+});
+
+test('derives trailing EPS from quarterly results, annual ones before', () => {
+    const timeline = epsTimeline({
+        quarterly: {
+            periods: ['Jun 2024', 'Sep 2024', 'Dec 2024', 'Mar 2025', 'Jun 2025'],
+            rows: { eps_in_rs: [10, 11, 12, 13, 14] }
+        },
+        profit_loss: {
+            periods: ['Mar 2023', 'Mar 2024', 'Mar 2025', 'TTM'],
+            rows: { eps_in_rs: [38, 40, 46, 50] }
+        }
+    });
+
+    assert.deepEqual(timeline.map(({ from, eps, basis }) => [new Date(from).toISOString().slice(0, 10), eps, basis]), [
+        ['2023-05-30', 38, 'annual'],
+        ['2024-05-30', 40, 'annual'],
+        ['2025-05-30', 46, 'ttm'],
+        ['2025-08-29', 50, 'ttm']
+    ]);
+});
+
+test('rejects strategies it cannot run', () => {
+    assert.match(parseStrategy({ type: 'martingale' }).error, /strategy\.type must be one of/);
+    assert.equal(parseStrategy({ type: 'sma_crossover', fast: 200, slow: 50 }).error, 'strategy.fast must be shorter than strategy.slow');
+    assert.equal(parseStrategy({ type: 'pe_threshold' }).error, 'strategy.buy_below is required for pe_threshold');
+    assert.match(parseStrategy({ type: 'rules', entry: [{ left: 'vwap_20', op: 'above', right: 1 }] }).error, /strategy\.entry\[0\]\.left/);
+    assert.match(parseStrategy({ type: 'rules', entry: [{ left: 'close', op: 'above', right: 'sma_1' }] }).error, /strategy\.entry\[0\]\.right/);
+    assert.equal(parseStrategy({ type: 'rules', entry: [] }).error, 'strategy.entry needs at least one condition');
+
+    assert.equal(warmupDays(strategy({ type: 'sma_crossover' })), Math.ceil(201 * 7 / 5 * 1.1) + 15);
+    assert.equal(warmupDays(strategy({ type: 'pe_threshold', buy_below: 20 })), 0);
+});
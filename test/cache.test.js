@@ -0,0 +1,132 @@
+/**
+ * Source cache: TTLs, stale-while-revalidate, merged requests and the LRU store
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore, SourceCache } = require('../lib/cache');
+
+const fakeClock = (start) => {
+    let now = start;
+    return { now: () => now, advance: (ms) => { now += ms; } };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const newCache = () => {
+    const clock = fakeClock(Date.parse('2026-03-02T09:00:00Z'));
+    const cache = new SourceCache({ store: new MemoryStore({ now: clock.now }), now: clock.now });
+    return { clock, cache };
+};
+
+// A loader that counts its calls and returns the next value
+const counter = (values) => {
+    const loader = async () => values[Math.min(loader.calls++, values.length - 1)];
+    loader.calls = 0;
+    return loader;
+};
+
+test('serves a fresh value from the cache until its TTL runs out', async () => {
+    const { clock, cache } = newCache();
+    const loader = counter(['v1', 'v2']);
+    const options = { ttl: 60 * 1000 };
+
+    const first = await cache.wrap('yahoo:TCS', options, loader);
+    assert.equal(first.value, 'v1');
+    assert.deepEqual(first.cache, { hit: false, stale: false, cached_at: '2026-03-02T09:00:00.000Z', age_seconds: 0 });
+
+    clock.advance(30 * 1000);
+    const hit = await cache.wrap('yahoo:TCS', options, loader);
+    assert.equal(hit.value, 'v1');
+    assert.deepEqual(hit.cache, { hit: true, stale: false, cached_at: '2026-03-02T09:00:00.000Z', age_seconds: 30 });
+
+    // Without staleTtl an expired value is never served
+    clock.advance(30 * 1000);
+    const refreshed = await cache.wrap('yahoo:TCS', options, loader);
+    assert.equal(refreshed.value, 'v2');
+    assert.equal(refreshed.cache.hit, false);
+    assert.equal(loader.calls, 2);
+});
+
+test('serves a stale value while one background refresh runs', async () => {
+    const { clock, cache } = newCache();
+    const loader = counter(['v1', 'v2', 'v3']);
+    const options = { ttl: 60 * 1000, staleTtl: 5 * 60 * 1000 };
+
+    await cache.wrap('screener:TCS', options, loader);
+    clock.advance(2 * 60 * 1000);
+
+    const stale = await cache.wrap('screener:TCS', options, loader);
+    assert.equal(stale.value, 'v1');
+    assert.deepEqual(stale.cache, { hit: true, stale: true, cached_at: '2026-03-02T09:00:00.000Z', age_seconds: 120 });
+
+    await tick();
+    assert.equal(loader.calls, 2);
+    const updated = await cache.wrap('screener:TCS', options, loader);
+    assert.equal(updated.value, 'v2');
+    assert.equal(updated.cache.stale, false);
+
+    // Past ttl + staleTtl the caller waits for the upstream again
+    clock.advance(7 * 60 * 1000);
+    const expired = await cache.wrap('screener:TCS', options, loader);
+    assert.equal(expired.value, 'v3');
+    assert.equal(expired.cache.hit, false);
+});
+
+test('concurrent misses share one upstream call; failures and nulls are not cached', async () => {
+    const { cache } = newCache();
+    let release;
+    let calls = 0;
+    const slow = () => {
+        calls++;
+        return new Promise(resolve => { release = resolve; });
+    };
+
+    const pending = [1, 2, 3].map(() => cache.wrap('nse:TCS', { ttl: 60 * 1000 }, slow));
+    await tick();
+    release({ price: 3984.1 });
+    const results = await Promise.all(pending);
+
+    assert.equal(calls, 1);
+    assert.deepEqual(results.map(result => result.value.price), [3984.1, 3984.1, 3984.1]);
+    assert.equal(cache.inflight.size, 0);
+
+    const failing = async () => { throw new Error('upstream down'); };
+    await assert.rejects(cache.wrap('nse:INFY', { ttl: 60 * 1000 }, failing), /upstream down/);
+    assert.equal(cache.inflight.size, 0);
+
+    const empty = counter([null, 'found']);
+    await cache.wrap('nse:WIPRO', { ttl: 60 * 1000 }, empty);
+    assert.equal((await cache.wrap('nse:WIPRO', { ttl: 60 * 1000 }, empty)).value, 'found');
+});
+
+test('a disabled cache or a zero TTL always calls the upstream', async () => {
+    const cache = new SourceCache({ enabled: false });
+    const loader = counter(['v1', 'v2']);
+
+    await cache.wrap('k', { ttl: 60 * 1000 }, loader);
+    assert.equal((await cache.wrap('k', { ttl: 60 * 1000 }, loader)).value, 'v2');
+
+    const { cache: enabled } = newCache();
+    const uncached = counter(['a', 'b']);
+    await enabled.wrap('k', { ttl: 0 }, uncached);
+    assert.equal((await enabled.wrap('k', { ttl: 0 }, uncached)).value, 'b');
+});
+
+test('the memory store evicts the least recently used entry and expires old ones', async () => {
+    const clock = fakeClock(0);
+    const store = new MemoryStore({ maxEntries: 2, now: clock.now });
+
+    await store.set('a', 1, 1000);
+    await store.set('b', 2, 1000);
+    await store.get('a');
+    await store.set('c', 3, 1000);
+
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('a'), 1);
+    assert.equal(store.size, 2);
+
+    clock.advance(1000);
+    assert.equal(await store.get('a'), undefined);
+    assert.equal(store.size, 1);
+});
@@ -0,0 +1,119 @@
+/**
+ * Comparison: ranks, the side-by-side table and the rule-based verdict
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COMPARE_METRICS, mapWithConcurrency, rankValues, buildComparisonTable, generateBasicVerdict } = require('../lib/compare');
+
+const TCS = {
+    symbol: 'TCS',
+    combined_data: { company_name: 'Tata Consultancy Services', current_price: 3984.1, book_value: 250, pe_ratio: 29.4, roe: 52.4, market_cap: 1441500 }
+};
+const INFY = {
+    symbol: 'INFY',
+    combined_data: { company_name: 'Infosys', current_price: 1520.35, book_value: 210, pe_ratio: 24.1, roe: 31.2, market_cap: 630000 }
+};
+const WIPRO = {
+    symbol: 'WIPRO',
+    combined_data: { company_name: 'Wipro', current_price: '265.4', pe_ratio: 22.8, roe: 'n/a' }
+};
+
+test('ranks with ties sharing a place and missing values unranked', () => {
+    assert.deepEqual(rankValues([10, 30, 30, null, 5], 'higher'), [3, 1, 1, null, 4]);
+    assert.deepEqual(rankValues([10, 30, 30, null, 5], 'lower'), [2, 3, 3, null, 1]);
+    assert.deepEqual(rankValues([10, 30], null), [null, null]);
+});
+
+test('builds the table with reference-only price and book value', () => {
+    const table = buildComparisonTable([TCS, INFY, WIPRO]);
+    const [tcs, infy, wipro] = table;
+
+    assert.deepEqual(Object.keys(tcs.metrics), COMPARE_METRICS.map(metric => metric.key));
+    assert.deepEqual(tcs.metrics.current_price, { value: 3984.1, rank: null });
+    assert.deepEqual(tcs.metrics.book_value, { value: 250, rank: null });
+    // Numeric strings count, anything else is missing
+    assert.deepEqual(wipro.metrics.current_price, { value: 265.4, rank: null });
+    assert.deepEqual(wipro.metrics.roe, { value: null, rank: null });
+
+    assert.deepEqual(tcs.metrics.pe_ratio, { value: 29.4, rank: 3 });
+    assert.deepEqual(wipro.metrics.pe_ratio, { value: 22.8, rank: 1 });
+    assert.deepEqual(tcs.metrics.roe, { value: 52.4, rank: 1 });
+
+    // P/E, ROE and market cap only; WIPRO is last on the two it lacks
+    assert.equal(tcs.average_rank, 1.67);
+    assert.equal(infy.average_rank, 2);
+    assert.equal(wipro.average_rank, 2.33);
+    assert.equal(tcs.company_name, 'Tata Consultancy Services');
+});
+
+test('a symbol with one good metric does not outrank one with all of them', () => {
+    const sparse = { symbol: 'SPARSE', combined_data: { company_name: 'Sparse', pe_ratio: 5 } };
+    const full = {
+        symbol: 'FULL',
+        combined_data: {
+            company_name: 'Full', market_cap: 500000, pe_ratio: 20, roe: 25, revenue_cagr_3y: 12, profit_cagr_3y: 15,
+            debt_to_equity: 0.1, technicals: { from_52w_high_percent: -5 }
+        }
+    };
+    const [sparseRow, fullRow] = buildComparisonTable([sparse, full]);
+
+    assert.deepEqual(sparseRow.metrics.pe_ratio, { value: 5, rank: 1 });
+    assert.deepEqual(sparseRow.metrics.roe, { value: null, rank: null });
+    assert.equal(sparseRow.average_rank, 1.86);
+    assert.equal(fullRow.average_rank, 1.14);
+    assert.match(generateBasicVerdict([sparseRow, fullRow]), /Overall Pick: Full \(FULL\)/);
+});
+
+test('today\'s move and RSI are shown but not ranked', () => {
+    const up = { symbol: 'UP', combined_data: { change_percent: 4, pe_ratio: 30, technicals: { rsi_14: 80 } } };
+    const down = { symbol: 'DOWN', combined_data: { change_percent: -4, pe_ratio: 20, technicals: { rsi_14: 25 } } };
+    const [upRow, downRow] = buildComparisonTable([up, down]);
+
+    assert.deepEqual(upRow.metrics.change_percent, { value: 4, rank: null });
+    assert.deepEqual(downRow.metrics.rsi_14, { value: 25, rank: null });
+    assert.equal(upRow.average_rank, 2);
+    assert.equal(downRow.average_rank, 1);
+});
+
+test('the verdict picks the best average rank, and none for a single stock', () => {
+    const verdict = generateBasicVerdict(buildComparisonTable([TCS, INFY])).split('\n');
+
+    assert.deepEqual(verdict, [
+        'Comparison: TCS vs INFY',
+        'Overall Pick: Tata Consultancy Services (TCS) with the best average rank of 1.33',
+        'Ranking:',
+        '1. TCS (avg rank 1.33) - leads on Market Cap (Cr), ROE %',
+        '2. INFY (avg rank 1.67) - leads on P/E Ratio',
+        'Data Reliability: Good (2 of 2 Stocks Ranked)'
+    ]);
+
+    const unranked = { symbol: 'ZZZZ', company_name: null, metrics: {}, average_rank: null };
+    const single = generateBasicVerdict([...buildComparisonTable([TCS]), unranked]);
+    assert.equal(single, [
+        'Comparison: TCS vs ZZZZ',
+        'Overall Pick: None, only TCS could be ranked, so there is nothing to compare it with',
+        'Data Reliability: Limited (1 of 2 Stocks Ranked)'
+    ].join('\n'));
+    assert.doesNotMatch(single, /leads on/);
+
+    assert.equal(generateBasicVerdict([unranked]), 'Comparison: Not enough data to rank these stocks');
+});
+
+test('runs a batch with bounded concurrency, keeping order and failures', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency(['TCS', 'INFY', 'ZZZZ', 'WIPRO'], 2, async (symbol) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        if (symbol === 'ZZZZ') throw new Error('Unable to fetch data from any source');
+        return symbol.toLowerCase();
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+    assert.equal(results[3].value, 'wipro');
+    assert.match(results[2].reason.message, /any source/);
+});
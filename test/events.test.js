@@ -0,0 +1,65 @@
+/**
+ * Corporate events: lexicon sentiment and picking the recent items
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreText } = require('../lib/sentiment');
+const { applyLlmSentiment, describeEvent, selectEvents, summarizeEvents } = require('../lib/events');
+
+const now = Date.parse('2026-03-02T15:00:00+05:30');
+const event = (type, date, title, detail = null) => ({ type, date, title, detail, url: null, source: 'NSE' });
+
+test('scores filings and headlines with the lexicon', () => {
+    assert.deepEqual(scoreText('Infosys bags order worth $1.5 billion'), { label: 'positive', score: 0.459, terms: ['bags order'] });
+    assert.deepEqual(scoreText('SEBI imposes penalty; show cause notice issued'), {
+        label: 'negative',
+        score: -0.718,
+        terms: ['penalty', 'show cause']
+    });
+    assert.equal(scoreText('Closure of Trading Window').label, 'neutral');
+    assert.equal(scoreText('Newspaper Publication').score, 0);
+
+    // A negator cancels the term rather than turning it into good news
+    assert.deepEqual(scoreText('Company denies fraud allegations'), { label: 'neutral', score: 0, terms: ['not fraud'] });
+    assert.equal(scoreText('Profit rises, but the company cuts guidance').label, 'negative');
+});
+
+test('keeps recent events and upcoming meetings and actions, newest first', () => {
+    const items = selectEvents([
+        event('announcement', '2026-02-27T13:32:11.000Z', 'Press Release', 'Company wins contract from a UK retailer'),
+        event('headline', '2026-03-01T05:00:00.000Z', 'Shares rally after order win'),
+        event('headline', '2026-03-01T06:00:00.000Z', 'Shares Rally After Order Win'),
+        event('announcement', '2026-01-12T15:34:10.000Z', 'Outcome of Board Meeting'),
+        event('corporate_action', '2026-03-16T18:30:00.000Z', 'Interim Dividend - Rs 12 Per Share'),
+        event('headline', '2026-03-05T00:00:00.000Z', 'Misdated headline'),
+        event('board_meeting', null, 'Board meeting: purpose not stated')
+    ], { now });
+
+    assert.deepEqual(items.map(item => [item.type, item.title, item.upcoming]), [
+        ['corporate_action', 'Interim Dividend - Rs 12 Per Share', true],
+        ['headline', 'Shares Rally After Order Win', false],
+        ['announcement', 'Press Release', false]
+    ]);
+    // The detail counts towards the sentiment
+    assert.deepEqual(items[2].sentiment, { label: 'positive', score: 0.459, terms: ['wins contract'], method: 'lexicon' });
+    assert.deepEqual(summarizeEvents(items), { positive: 3, negative: 0, neutral: 0, overall: 'positive' });
+
+    assert.deepEqual(selectEvents(items, { now, lookbackDays: 1 }).map(item => item.type), ['corporate_action']);
+    assert.equal(selectEvents([...items, { ...items[1], title: 'Another headline' }], { now, perType: 1 }).length, 3);
+    assert.equal(describeEvent(items[0]), '2026-03-17 (upcoming) Corporate Action (NSE): Interim Dividend - Rs 12 Per Share');
+});
+
+test('takes the LLM labels that come back and counts mixed news', () => {
+    const items = selectEvents([
+        event('headline', '2026-03-01T05:00:00.000Z', 'Shares slump'),
+        event('headline', '2026-02-28T05:00:00.000Z', 'Dividend declared')
+    ], { now });
+    assert.equal(summarizeEvents(items).overall, 'mixed');
+
+    const relabelled = applyLlmSentiment(items, [{ index: 1, sentiment: 'neutral', reason: 'Routine interim dividend.' }]);
+    assert.deepEqual(relabelled[1].sentiment, { label: 'neutral', reason: 'Routine interim dividend.', method: 'llm' });
+    assert.equal(relabelled[0].sentiment.method, 'lexicon');
+    assert.equal(summarizeEvents(relabelled).overall, 'negative');
+    assert.deepEqual(summarizeEvents([]), { positive: 0, negative: 0, neutral: 0, overall: 'neutral' });
+});
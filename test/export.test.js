@@ -0,0 +1,92 @@
+/**
+ * Report exports: CSV and JSON layout, flattening and file names
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS, exportFilename, flatten, metricRows, renderExport, toCsv, toJson } = require('../lib/export');
+
+const report = {
+    success: true,
+    symbol: 'TCS',
+    timestamp: '2026-03-02T10:30:00.000Z',
+    ai_model: 'basic',
+    summary: '📊 Tata Consultancy Services\n💰 Last Traded Price: ₹3,984.10',
+    final_summary: 'Valuation: Fair, "in line" with peers',
+    sources: ['NSE India', 'Yahoo Finance'],
+    combined_data: {
+        current_price: 3984.1,
+        company_name: 'Tata Consultancy Services',
+        technicals: { rsi_14: 58.2 }
+    },
+    reconciliation: {
+        fields: {
+            current_price: { source: 'nse', confidence: 0.65, discrepancy: true },
+            company_name: { source: 'yahoo_finance', confidence: 1, discrepancy: false }
+        }
+    },
+    raw_data: { nse: { priceInfo: { lastPrice: 3984.1 }, tags: ['IT', 'Nifty 50'] } }
+};
+
+const labels = { nse: 'NSE India', yahoo_finance: 'Yahoo Finance' };
+
+test('flattens nested data to dotted paths, joining lists of plain values', () => {
+    assert.deepEqual(flatten({ a: { b: 1, c: null }, list: [1, 2], rows: [{ x: 'y' }] }), [
+        ['a.b', 1],
+        ['list', '1, 2'],
+        ['rows.0.x', 'y']
+    ]);
+});
+
+test('metric rows carry labels and provenance from the reconciliation', () => {
+    assert.deepEqual(metricRows(report, labels), [
+        { metric: 'Current Price (₹)', value: 3984.1, source: 'NSE India', confidence: 0.65, discrepancy: 'yes' },
+        { metric: 'Company Name', value: 'Tata Consultancy Services', source: 'Yahoo Finance', confidence: 1, discrepancy: '' },
+        { metric: 'technicals.rsi_14', value: 58.2, source: '', confidence: '', discrepancy: '' }
+    ]);
+});
+
+test('CSV is one long table with a BOM, quoting and failures last', () => {
+    const csv = toCsv([report], [{ symbol: 'ZZZZ', error: 'Unable to fetch data from any source' }], labels);
+
+    assert.ok(csv.startsWith('\uFEFFsymbol,section,key,value,source,confidence\r\n'));
+    assert.ok(csv.endsWith('\r\n'));
+
+    const lines = csv.slice(1).trimEnd().split('\r\n');
+    assert.deepEqual(lines.slice(1), [
+        'TCS,info,timestamp,2026-03-02T10:30:00.000Z,,',
+        'TCS,info,ai_model,basic,,',
+        'TCS,summary,1,📊 Tata Consultancy Services,,',
+        'TCS,summary,2,"💰 Last Traded Price: ₹3,984.10",,',
+        'TCS,final_summary,1,"Valuation: Fair, ""in line"" with peers",,',
+        'TCS,metric,Current Price (₹),3984.1,NSE India,0.65',
+        'TCS,metric,Company Name,Tata Consultancy Services,Yahoo Finance,1',
+        'TCS,metric,technicals.rsi_14,58.2,,',
+        'TCS,raw,priceInfo.lastPrice,3984.1,NSE India,',
+        'TCS,raw,tags,"IT, Nifty 50",NSE India,',
+        'TCS,source,NSE India,,,',
+        'TCS,source,Yahoo Finance,,,',
+        'ZZZZ,error,error,Unable to fetch data from any source,,'
+    ]);
+});
+
+test('JSON keeps the reports as given, with failures and a generation time', async () => {
+    const failures = [{ symbol: 'ZZZZ', error: 'Unable to fetch data from any source' }];
+    const parsed = JSON.parse(toJson([report], failures));
+
+    assert.deepEqual(Object.keys(parsed), ['generated_at', 'reports', 'failures']);
+    assert.ok(!isNaN(Date.parse(parsed.generated_at)));
+    assert.deepEqual(parsed.reports, [report]);
+    assert.deepEqual(parsed.failures, failures);
+
+    assert.deepEqual(JSON.parse(await renderExport('json', [report])).failures, []);
+    await assert.rejects(renderExport('docx', [report]), /Unsupported export format: docx/);
+});
+
+test('names files after the symbol, or "batch" for several', () => {
+    const date = new Date().toISOString().slice(0, 10);
+
+    assert.equal(exportFilename([report], 'csv'), `stockai-TCS-${date}.csv`);
+    assert.equal(exportFilename([report, { ...report, symbol: 'INFY' }], 'xlsx'), `stockai-batch-${date}.xlsx`);
+    assert.equal(EXPORT_FORMATS.csv.contentType, 'text/csv; charset=utf-8');
+});
@@ -0,0 +1,41 @@
+/**
+ * Frontend summary rendering: the helpers from index.html, run outside a browser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// escapeHtml and summaryLineHtml as written in the page's script
+function loadSummaryHelpers() {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const escape = html.match(/^ *const escapeHtml = .*$/m);
+    const render = html.match(/^ {8}function summaryLineHtml\(text\) \{[\s\S]*?^ {8}\}$/m);
+    assert.ok(escape && render, 'index.html defines escapeHtml and summaryLineHtml');
+
+    const context = {};
+    vm.runInNewContext(`${escape[0]}\n${render[0]}\nthis.summaryLineHtml = summaryLineHtml;`, context);
+    return context.summaryLineHtml;
+}
+
+test('escapes headlines quoted in the summary before styling the line', () => {
+    const summaryLineHtml = loadSummaryHelpers();
+
+    const line = summaryLineHtml('⚠️ Recent negative news on 2 Mar 2026: TCS <script>alert(1)</script> & <img src=x onerror=alert(2)>');
+    assert.equal(line, '⚠️ Recent negative news on 2 Mar 2026: TCS &lt;script&gt;alert(1)&lt;/script&gt; &amp; &lt;img src=x onerror=alert(2)&gt;');
+    assert.doesNotMatch(line, /<script|<img/);
+});
+
+test('still styles the price, valuation and risk lines', () => {
+    const summaryLineHtml = loadSummaryHelpers();
+
+    assert.equal(
+        summaryLineHtml('💰 Last Traded Price: ₹3,984.10'),
+        '💰 Last Traded Price: <span id="livePrice">₹3,984.10</span><span class="live-badge" id="liveBadge" style="display: none;">● LIVE</span>'
+    );
+    assert.equal(summaryLineHtml("📈 Today's Change: -0.69%"), "📈 Today's Change: <span id=\"liveChange\">-0.69%</span>");
+    assert.equal(summaryLineHtml('🎯 Valuation: Fair (P/E 29.7)'), '🎯 Valuation: <span class="valuation-fair">Fair ⚖️</span> (P/E 29.7)');
+    assert.equal(summaryLineHtml('🛡️ Risk: Low Risk (no debt)'), '🛡️ Risk: <span class="risk-low">Low Risk ✅</span>');
+});
@@ -0,0 +1,75 @@
+/**
+ * Derived fundamentals from statement tables
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cagr, debtToEquity, deriveFundamentals, periodSeries, promoterHolding } = require('../lib/fundamentals');
+
+const profitLoss = {
+    periods: ['Mar 2019', 'Mar 2020', 'Mar 2021', 'Mar 2022', 'Mar 2023', 'Mar 2024', 'TTM'],
+    rows: {
+        sales: [1000, 1100, null, 1331, 1464.1, 1610.51, 1700],
+        net_profit: [100, 120, 90, -10, 80, 150, 160]
+    }
+};
+
+test('period series skip TTM and blank cells', () => {
+    const series = periodSeries(profitLoss, ['revenue', 'sales']);
+
+    assert.deepEqual(series.map(point => point.period), ['Mar 2019', 'Mar 2020', 'Mar 2022', 'Mar 2023', 'Mar 2024']);
+    assert.equal(series[series.length - 1].value, 1610.51);
+});
+
+test('CAGR counts calendar years and needs positive ends', () => {
+    const sales = periodSeries(profitLoss, 'sales');
+
+    assert.equal(cagr(sales, 2), 10);
+    assert.equal(cagr(sales, 5), 10);
+    // Mar 2021 is blank and Mar 2018 is not in the table
+    assert.equal(cagr(sales, 3), null);
+    assert.equal(cagr(sales, 6), null);
+    assert.equal(cagr(periodSeries(profitLoss, 'net_profit'), 2), null);
+    assert.equal(cagr(periodSeries(profitLoss, 'net_profit'), 4), 5.74);
+});
+
+test('debt to equity uses the latest balance sheet', () => {
+    const balanceSheet = {
+        periods: ['Mar 2023', 'Mar 2024'],
+        rows: { equity_capital: [100, 100], reserves: [300, 400], borrowings: [200, 250] }
+    };
+
+    assert.equal(debtToEquity(balanceSheet), 0.5);
+    assert.equal(debtToEquity({ periods: ['Mar 2024'], rows: { reserves: [10] } }), null);
+});
+
+test('promoter holding trend compares with four quarters back', () => {
+    const shareholding = {
+        quarterly: {
+            periods: ['Sep 2023', 'Dec 2023', 'Mar 2024', 'Jun 2024', 'Sep 2024'],
+            rows: { promoters: [50, 50.2, 51, 51.5, 52] }
+        }
+    };
+
+    assert.deepEqual(promoterHolding(shareholding), {
+        promoter_holding: 52,
+        promoter_holding_change: 2,
+        promoter_trend: 'increasing'
+    });
+    assert.equal(promoterHolding({}).promoter_holding, null);
+});
+
+test('derives every metric, null where data is missing', () => {
+    const derived = deriveFundamentals({
+        financials: { profit_loss: profitLoss },
+        pledged_percent: 4.5,
+        peers_median: { pe_ratio: 22.1 }
+    });
+
+    assert.equal(derived.revenue_cagr_5y, 10);
+    assert.equal(derived.revenue_cagr_3y, null);
+    assert.equal(derived.debt_to_equity, null);
+    assert.equal(derived.promoter_trend, null);
+    assert.equal(derived.pledged_percent, 4.5);
+    assert.equal(derived.peer_median_pe, 22.1);
+});
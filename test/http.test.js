@@ -0,0 +1,217 @@
+/**
+ * Shared HTTP client against local servers on a fake clock: NSE session
+ * priming, backoff, rate limits and per-host circuit breakers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { CircuitBreaker, CookieJar, HttpClient, TokenBucket } = require('../lib/http');
+const NSESource = require('../lib/sources/nse');
+
+// sleep() records the wait and moves time on instead of waiting
+const fakeClock = (start = Date.parse('2026-03-02T04:00:00Z')) => {
+    let now = start;
+    const clock = {
+        sleeps: [],
+        now: () => now,
+        advance: (ms) => { now += ms; },
+        sleep: async (ms) => { clock.sleeps.push(Math.round(ms)); now += ms; }
+    };
+    return clock;
+};
+
+// handler(req, res, n) answers the nth request; `requests` keeps each path and cookie
+async function startServer(t, handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ path: req.url, cookie: req.headers.cookie || null });
+        handler(req, res, requests.length);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return { requests, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+const reply = (res, status, body = {}, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+};
+
+test('primes the NSE session before the API and again when it goes stale', async (t) => {
+    let session = 'first';
+    const { requests, base } = await startServer(t, (req, res) => {
+        if (req.url === '/') {
+            return reply(res, 200, {}, { 'Set-Cookie': [`nsit=${session}; Path=/; Max-Age=3600`, 'bm_sv=xyz; Path=/'] });
+        }
+        if (req.headers.cookie?.includes(`nsit=${session}`)) return reply(res, 200, { symbol: 'TCS' });
+        reply(res, 401, { message: 'Unauthorized' });
+    });
+
+    const clock = fakeClock();
+    const client = new HttpClient({ clock, random: () => 0 });
+    new NSESource({ baseUrl: base, http: client });
+    const quote = () => client.get(`${base}/api/quote-equity?symbol=TCS`);
+
+    // Concurrent first requests share one priming round trip
+    const responses = await Promise.all([quote(), quote()]);
+    assert.deepEqual(responses.map(response => response.data), [{ symbol: 'TCS' }, { symbol: 'TCS' }]);
+    assert.deepEqual(requests.map(r => r.path), ['/', '/api/quote-equity?symbol=TCS', '/api/quote-equity?symbol=TCS']);
+    assert.equal(requests[1].cookie, 'nsit=first; bm_sv=xyz');
+
+    // The site rotated its session: 401, prime again, retry
+    session = 'second';
+    requests.length = 0;
+    assert.deepEqual((await quote()).data, { symbol: 'TCS' });
+    assert.deepEqual(requests.map(r => [r.path, r.cookie]), [
+        ['/api/quote-equity?symbol=TCS', 'nsit=first; bm_sv=xyz'],
+        ['/', null],
+        ['/api/quote-equity?symbol=TCS', 'nsit=second; bm_sv=xyz']
+    ]);
+
+    // Past the session TTL the homepage is fetched first
+    requests.length = 0;
+    clock.advance(5 * 60 * 1000);
+    await quote();
+    assert.deepEqual(requests.map(r => r.path), ['/', '/api/quote-equity?symbol=TCS']);
+    assert.equal(client.stats()[new URL(base).host].session.cookies, 2);
+});
+
+test('backs off exponentially with jitter and honours Retry-After', async (t) => {
+    const script = [
+        [429, { 'Retry-After': '2' }],
+        [503, { 'Retry-After': '1' }],
+        [200, {}],
+        [500, {}],
+        [502, {}],
+        [200, {}],
+        [503, { 'Retry-After': '120' }],
+        [200, {}],
+        [404, {}]
+    ];
+    const { requests, base } = await startServer(t, (req, res, n) => reply(res, script[n - 1][0], {}, script[n - 1][1]));
+
+    const clock = fakeClock();
+    const client = new HttpClient({ clock, random: () => 0.5, defaults: { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 8000 } });
+
+    assert.equal((await client.get(`${base}/a`)).status, 200);
+    assert.deepEqual(clock.sleeps, [2000, 1000]);
+
+    // Half the delay plus a random half: 250 + 0.5 x 250, then 500 + 0.5 x 500
+    clock.sleeps.length = 0;
+    assert.equal((await client.get(`${base}/b`)).status, 200);
+    assert.deepEqual(clock.sleeps, [375, 750]);
+
+    // Retry-After is capped at maxDelayMs
+    clock.sleeps.length = 0;
+    await client.get(`${base}/c`);
+    assert.deepEqual(clock.sleeps, [8000]);
+
+    // A 404 is final
+    clock.sleeps.length = 0;
+    await assert.rejects(client.get(`${base}/d`), error => error.response.status === 404 && error.attempts === 1);
+    assert.deepEqual(clock.sleeps, []);
+    assert.equal(requests.length, script.length);
+});
+
+test('token buckets make callers wait for the next token', async (t) => {
+    const clock = fakeClock();
+    const bucket = new TokenBucket({ rate: 2, burst: 2, clock });
+
+    await bucket.take();
+    await bucket.take();
+    assert.equal(bucket.tryTake(), false);
+    assert.equal(bucket.waitMs(), 500);
+    await bucket.take();
+    assert.deepEqual(clock.sleeps, [500]);
+
+    clock.advance(60 * 1000);
+    assert.equal(bucket.available(), 2);
+
+    const { base } = await startServer(t, (req, res) => reply(res, 200));
+    const limited = fakeClock();
+    const client = new HttpClient({ clock: limited, hosts: { [new URL(base).host]: { rate: 1, burst: 1 } } });
+    await client.get(`${base}/a`);
+    await client.get(`${base}/b`);
+    assert.deepEqual(limited.sleeps, [1000]);
+});
+
+test('the circuit opens after repeated failures, lets one trial through, then closes', async (t) => {
+    let healthy = false;
+    const { requests, base } = await startServer(t, (req, res) => reply(res, healthy ? 200 : 500));
+
+    const clock = fakeClock();
+    const client = new HttpClient({ clock, defaults: { maxAttempts: 1, failureThreshold: 2, resetMs: 10 * 1000 } });
+    const host = new URL(base).host;
+    const get = () => client.get(`${base}/quote`);
+
+    await assert.rejects(get(), error => error.response.status === 500);
+    await assert.rejects(get(), error => error.response.status === 500);
+    assert.equal(client.stats()[host].circuit.state, 'open');
+
+    // No request reaches the host while open
+    await assert.rejects(get(), { code: 'CIRCUIT_OPEN', message: /skipping for 10s/ });
+    assert.equal(requests.length, 2);
+
+    // The trial after resetMs fails: open again for another resetMs
+    clock.advance(10 * 1000);
+    await assert.rejects(get(), error => error.response.status === 500);
+    assert.equal(client.stats()[host].circuit.state, 'open');
+    assert.equal(requests.length, 3);
+
+    clock.advance(10 * 1000);
+    healthy = true;
+    assert.equal((await get()).status, 200);
+    assert.deepEqual(client.stats()[host].circuit, { state: 'closed', failures: 0, retry_after_ms: 0 });
+
+    // Half open lets a single trial through at a time
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetMs: 1000, clock });
+    breaker.failure();
+    clock.advance(1000);
+    assert.deepEqual([breaker.allow(), breaker.allow()], [true, false]);
+    assert.equal(breaker.state, 'half_open');
+    breaker.success();
+    assert.equal(breaker.allow(), true);
+});
+
+test('one failing source does not trip or slow another', async (t) => {
+    const down = await startServer(t, (req, res) => reply(res, 503));
+    const up = await startServer(t, (req, res) => reply(res, 200, { ok: true }));
+
+    const clock = fakeClock();
+    const client = new HttpClient({
+        clock,
+        random: () => 0,
+        defaults: { maxAttempts: 2, failureThreshold: 1, resetMs: 60 * 1000 },
+        hosts: { [new URL(down.base).host]: { rate: 1, burst: 1 } }
+    });
+
+    await assert.rejects(client.get(`${down.base}/q`), error => error.attempts === 2);
+    await assert.rejects(client.get(`${down.base}/q`), { code: 'CIRCUIT_OPEN' });
+
+    clock.sleeps.length = 0;
+    assert.deepEqual((await client.get(`${up.base}/q`)).data, { ok: true });
+    assert.deepEqual((await client.get(`${up.base}/q`)).data, { ok: true });
+    assert.deepEqual(clock.sleeps, []);
+
+    const stats = client.stats();
+    assert.equal(stats[new URL(down.base).host].circuit.state, 'open');
+    assert.equal(stats[new URL(up.base).host].circuit.state, 'closed');
+});
+
+test('the cookie jar keeps unexpired cookies only', () => {
+    const clock = fakeClock(0);
+    const jar = new CookieJar(clock);
+
+    assert.equal(jar.expired(), true);
+    jar.store(['a=1; Max-Age=60', 'b=2; Expires=Thu, 01 Jan 1970 00:02:00 GMT', 'c=3', 'broken']);
+    assert.equal(jar.header(), 'a=1; b=2; c=3');
+    assert.equal(jar.expired(), false);
+
+    clock.advance(90 * 1000);
+    assert.equal(jar.header(), 'b=2; c=3');
+    assert.equal(jar.expired(), true);
+
+    jar.store('c=; Max-Age=0');
+    assert.equal(jar.header(), 'b=2');
+});
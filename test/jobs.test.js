@@ -0,0 +1,128 @@
+/**
+ * Job queue: workers, stages, partial results, cancellation and retention
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../lib/jobs');
+
+const fakeClock = (start) => {
+    let now = start;
+    return { now: () => now, advance: (ms) => { now += ms; } };
+};
+
+// A runner that waits for the test to let it go on
+function gate() {
+    let open;
+    const opened = new Promise(resolve => { open = resolve; });
+    return { opened, open };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs jobs on a limited number of workers and reports their stages', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxQueued: 1 });
+    const first = gate();
+
+    const job = queue.submit({ type: 'analyze', params: { symbol: 'TCS' } }, async (progress) => {
+        progress.plan(['source:nse', 'ai_summary']);
+        progress.stage('source:nse', 'running');
+        progress.stage('source:nse', 'done', { from_cache: false });
+        progress.partial({ combined_data: { current_price: 3984.1 } });
+        await first.opened;
+        return { symbol: 'TCS' };
+    });
+    const waiting = queue.submit({ type: 'analyze', params: { symbol: 'INFY' } }, async () => ({ symbol: 'INFY' }));
+
+    assert.throws(() => queue.submit({ type: 'analyze' }, async () => null), { code: 'QUEUE_FULL' });
+    assert.equal(queue.describe(waiting).queue_position, 1);
+
+    const seen = [];
+    queue.subscribe(job, message => seen.push(message));
+
+    const running = queue.describe(job);
+    assert.equal(running.status, 'running');
+    assert.deepEqual(running.stages.map(stage => [stage.name, stage.status]), [['source:nse', 'done'], ['ai_summary', 'pending']]);
+    assert.equal(running.stages[0].from_cache, false);
+    assert.deepEqual(running.partial, { combined_data: { current_price: 3984.1 } });
+
+    first.open();
+    await tick();
+
+    const done = queue.describe(job);
+    assert.equal(done.status, 'succeeded');
+    assert.deepEqual(done.result, { symbol: 'TCS' });
+    // A stage the runner never reached
+    assert.equal(done.stages[1].status, 'skipped');
+    assert.deepEqual(seen.map(message => message.type), ['snapshot', 'end']);
+
+    await tick();
+    assert.equal(queue.describe(waiting).status, 'succeeded');
+    assert.deepEqual(queue.stats(), { queued: 0, running: 0, succeeded: 2, failed: 0, cancelled: 0, workers: 1, busy_workers: 0, max_queued: 1 });
+});
+
+test('cancels waiting and running jobs; a failing runner fails its job', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    const release = gate();
+    let aborted = false;
+
+    const running = queue.submit({ type: 'analyze' }, async (progress) => {
+        progress.plan(['source:nse', 'ai_summary']);
+        progress.stage('source:nse', 'running');
+        await release.opened;
+        aborted = progress.signal.aborted;
+        progress.signal.throwIfAborted();
+        progress.stage('ai_summary', 'running');
+    });
+    const waiting = queue.submit({ type: 'analyze' }, async () => 'never runs');
+
+    const messages = [];
+    queue.subscribe(running, message => messages.push(message.type));
+
+    queue.cancel(waiting);
+    queue.cancel(running);
+    assert.throws(() => queue.cancel(running), { code: 'JOB_FINISHED' });
+
+    const cancelled = queue.describe(running);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.error.code, 'CANCELLED');
+    assert.deepEqual(cancelled.stages.map(stage => stage.status), ['skipped', 'skipped']);
+    assert.deepEqual(messages, ['snapshot', 'end']);
+    assert.equal(queue.describe(waiting).status, 'cancelled');
+
+    // The worker stays busy until the runner notices
+    assert.equal(queue.stats().busy_workers, 1);
+    release.open();
+    await tick();
+    assert.equal(aborted, true);
+    assert.equal(queue.stats().busy_workers, 0);
+    assert.equal(queue.describe(running).status, 'cancelled');
+
+    const failing = queue.submit({ type: 'analyze' }, async () => {
+        throw Object.assign(new Error('Unable to fetch data from any source'), { code: 'UPSTREAM_FAILED' });
+    });
+    await tick();
+    assert.deepEqual(queue.describe(failing).error, { code: 'UPSTREAM_FAILED', message: 'Unable to fetch data from any source' });
+});
+
+test('jobs are private to their owner and dropped after the retention', async () => {
+    const clock = fakeClock(Date.parse('2026-03-02T09:00:00Z'));
+    const queue = new JobQueue({ clock, retentionMs: 60 * 1000, maxFinished: 2 });
+
+    const mine = queue.submit({ type: 'analyze', owner: 'key-1' }, async () => 1);
+    await tick();
+    assert.equal(queue.get(mine.id, 'key-1'), mine);
+    assert.equal(queue.get(mine.id, 'key-2'), null);
+    assert.equal(queue.get(mine.id), null);
+    assert.deepEqual(queue.list('key-1'), [mine]);
+
+    // Only the latest two finished jobs are kept
+    const later = [queue.submit({ type: 'analyze' }, async () => 2), queue.submit({ type: 'analyze' }, async () => 3)];
+    await tick();
+    assert.equal(queue.get(mine.id, 'key-1'), null);
+    assert.deepEqual(queue.list(), [...later].reverse());
+
+    clock.advance(61 * 1000);
+    queue.submit({ type: 'analyze' }, () => new Promise(() => {}));
+    assert.deepEqual(queue.list().map(job => job.status), ['running']);
+});
@@ -0,0 +1,89 @@
+/**
+ * Structured LLM output: schema validation, repair round trip, offline stub
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ANALYSIS_SCHEMA, StubProvider, comparisonSchema, extractJson, generateStructured, validateComparison } = require('../lib/llm');
+const { validateSchema } = require('../lib/json-schema');
+
+const validAnalysis = {
+    valuation: { rating: 'Fair', reason: 'P/E of 22 is in line with the sector' },
+    risk: { level: 'Low', reason: 'Little debt' },
+    strengths: ['Consistent profit growth'],
+    concerns: ['Slowing revenue'],
+    reliability: { rating: 'Good', sources_verified: 3 }
+};
+
+const request = (provider, extra = {}) => generateStructured(provider, {
+    system: 'Reply with JSON',
+    prompt: 'Analyze',
+    schema: ANALYSIS_SCHEMA,
+    ...extra
+});
+
+test('extracts JSON from fenced or chatty replies', () => {
+    assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(extractJson('Here you go: {"a": {"b": 2}} Thanks!'), { a: { b: 2 } });
+    assert.throws(() => extractJson('no json here'), /no JSON object/);
+});
+
+test('schema validation reports paths', () => {
+    assert.deepEqual(validateSchema(ANALYSIS_SCHEMA, validAnalysis), []);
+
+    const errors = validateSchema(ANALYSIS_SCHEMA, {
+        ...validAnalysis,
+        valuation: { rating: 'Cheapish', reason: '' },
+        strengths: [],
+        extra: true
+    });
+    assert.deepEqual(errors, [
+        '$.valuation.rating: must be one of "Cheap", "Fair", "Expensive"',
+        '$.valuation.reason: must not be empty',
+        '$.strengths: must have at least 1 item(s)',
+        '$.extra: is not allowed'
+    ]);
+});
+
+test('an invalid reply is repaired with the validation errors', async () => {
+    const provider = new StubProvider({ responses: ['{"valuation": "cheap"}', validAnalysis] });
+    const result = await request(provider);
+
+    assert.deepEqual(result.value, validAnalysis);
+    assert.equal(result.attempts, 2);
+    assert.equal(provider.calls.length, 2);
+
+    const repair = provider.calls[1].messages;
+    assert.equal(repair[2].content, '{"valuation": "cheap"}');
+    assert.match(repair[3].content, /\$\.risk: is required/);
+});
+
+test('gives up after the allowed repairs', async () => {
+    const provider = new StubProvider({ responses: ['not json'] });
+
+    await assert.rejects(request(provider, { maxRepairs: 2 }), error => {
+        assert.equal(error.attempts, 3);
+        assert.match(error.validationErrors[0], /Invalid JSON/);
+        return true;
+    });
+    assert.equal(provider.calls.length, 3);
+});
+
+test('the offline stub answers with a schema-valid example', async () => {
+    const symbols = ['TCS', 'INFY', 'WIPRO'];
+    const schema = comparisonSchema(symbols);
+
+    const analysis = await request(new StubProvider());
+    const verdict = await request(new StubProvider(), { schema, validate: validateComparison(symbols) });
+
+    assert.equal(analysis.attempts, 1);
+    assert.deepEqual(verdict.value.ranking.map(entry => entry.symbol), symbols);
+});
+
+test('comparison verdicts must rank every symbol', () => {
+    const validate = validateComparison(['TCS', 'INFY']);
+
+    assert.deepEqual(validate({ ranking: [{ symbol: 'TCS' }, { symbol: 'TCS' }] }), [
+        '$.ranking: must rank every symbol once, missing INFY'
+    ]);
+});
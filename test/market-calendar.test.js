@@ -0,0 +1,135 @@
+/**
+ * NSE/BSE trading calendar, market-aware TTLs and polling
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MarketCalendar } = require('../lib/market-calendar');
+const NSESource = require('../lib/sources/nse');
+const QuoteStream = require('../lib/quote-stream');
+
+const calendar = MarketCalendar.fromFile();
+const ist = (local) => Date.parse(`${local}+05:30`);
+const MINUTE = 60 * 1000;
+
+test('tells pre-open, open, post-close and closed apart', () => {
+    const at = (local) => calendar.status('NSE', ist(local));
+
+    assert.deepEqual(at('2026-03-02T09:05:00'), {
+        exchange: 'NSE',
+        status: 'pre_open',
+        is_open: false,
+        reason: null,
+        holiday: null,
+        special_session: null,
+        session: { opens_at: '2026-03-02T03:45:00.000Z', closes_at: '2026-03-02T10:00:00.000Z' },
+        last_close: '2026-02-27T10:00:00.000Z',
+        next_open: '2026-03-02T03:45:00.000Z',
+        timezone: 'Asia/Kolkata',
+        as_of: '2026-03-02T03:35:00.000Z'
+    });
+    assert.equal(at('2026-03-02T09:15:00').status, 'open');
+    assert.equal(at('2026-03-02T09:15:00').is_open, true);
+    assert.equal(at('2026-03-02T08:00:00').reason, 'before_open');
+    assert.equal(at('2026-03-02T15:35:00').reason, 'after_close');
+    assert.equal(at('2026-03-02T15:45:00').status, 'post_close');
+    assert.equal(at('2026-03-02T18:00:00').status, 'closed');
+
+    // Holi on Tuesday: the next session is Wednesday's
+    const holi = at('2026-03-03T11:00:00');
+    assert.equal(holi.reason, 'holiday');
+    assert.equal(holi.holiday, 'Holi');
+    assert.equal(holi.session, null);
+    assert.equal(holi.last_close, '2026-03-02T10:00:00.000Z');
+    assert.equal(holi.next_open, '2026-03-04T03:45:00.000Z');
+
+    const saturday = at('2026-03-07T11:00:00');
+    assert.equal(saturday.reason, 'weekend');
+    assert.equal(saturday.next_open, '2026-03-09T03:45:00.000Z');
+
+    assert.equal(calendar.status('bse', ist('2026-03-02T10:00:00')).exchange, 'BSE');
+    assert.throws(() => calendar.status('LSE'), error => error.code === 'INVALID_EXCHANGE' && error.status === 400);
+});
+
+test('special sessions replace the holiday they fall on', () => {
+    const muhurat = calendar.status('NSE', ist('2025-10-21T14:00:00'));
+    assert.equal(muhurat.status, 'open');
+    assert.equal(muhurat.special_session, 'Muhurat Trading');
+    assert.equal(muhurat.holiday, null);
+    assert.equal(muhurat.session.closes_at, '2025-10-21T09:15:00.000Z');
+
+    assert.equal(calendar.status('NSE', ist('2025-10-21T11:00:00')).reason, 'before_open');
+    assert.deepEqual(calendar.specialSessionsIn('NSE', 2025), [{
+        date: '2025-10-21',
+        name: 'Muhurat Trading',
+        opens_at: '2025-10-21T08:15:00.000Z',
+        closes_at: '2025-10-21T09:15:00.000Z'
+    }]);
+    assert.deepEqual(calendar.holidaysIn('NSE', 2026)[1], { date: '2026-03-03', name: 'Holi', weekday: 'Tuesday' });
+});
+
+test('stretches cache TTLs and poll delays until the market is active', () => {
+    // Trading, and for settle_minutes after each session
+    assert.equal(calendar.msUntilActive('NSE', ist('2026-03-02T11:00:00')), 0);
+    assert.equal(calendar.msUntilActive('NSE', ist('2026-03-02T15:35:00')), 0);
+    assert.equal(calendar.msUntilActive('NSE', ist('2026-03-02T16:05:00')), 0);
+
+    // Friday evening: the next pre-open is Monday 09:00
+    const friday = ist('2026-03-06T18:00:00');
+    const untilMonday = ist('2026-03-09T09:00:00') - friday;
+    assert.equal(calendar.msUntilActive('NSE', friday), untilMonday);
+    assert.equal(calendar.cacheTtl('NSE', 15000, friday), untilMonday);
+    assert.equal(calendar.cacheTtl('NSE', 15000, ist('2026-03-06T11:00:00')), 15000);
+    // No TTL means no caching, whatever the hour
+    assert.equal(calendar.cacheTtl('NSE', 0, friday), 0);
+
+    assert.equal(calendar.pollDelay('NSE', 5000, 5 * MINUTE, friday), 5 * MINUTE);
+    assert.equal(calendar.pollDelay('NSE', 5000, 5 * MINUTE, ist('2026-03-09T08:58:00')), 2 * MINUTE);
+    assert.equal(calendar.pollDelay('NSE', 5000, 5 * MINUTE, ist('2026-03-09T10:00:00')), 5000);
+});
+
+test('rejects calendar files it cannot use', () => {
+    const config = { utc_offset: '+05:30', sessions: { regular: ['09:15', '15:30'] } };
+
+    assert.throws(() => new MarketCalendar({ ...config, utc_offset: 'IST' }), /utc_offset/);
+    assert.throws(() => new MarketCalendar({ ...config, sessions: { regular: ['15:30', '09:15'] } }), /ends before it starts/);
+    assert.throws(() => new MarketCalendar({ ...config, sessions: { lunch: ['12:00', '13:00'], regular: ['09:15', '15:30'] } }), /unknown session "lunch"/);
+    assert.throws(() => new MarketCalendar({ ...config, holidays: [{ date: '3 Mar 2026', name: 'Holi' }] }), /YYYY-MM-DD/);
+    assert.throws(() => MarketCalendar.fromFile('/nonexistent/calendar.json'), /Could not load market calendar from \/nonexistent\/calendar\.json/);
+});
+
+test('reads NSE timestamps as Indian time', () => {
+    assert.equal(NSESource.parseTimestamp('02-Mar-2026 16:00:00'), '2026-03-02T10:30:00.000Z');
+    assert.equal(NSESource.parseTimestamp('31-DEC-2025 23:59:59'), '2025-12-31T18:29:59.000Z');
+    assert.equal(NSESource.parseTimestamp('2026-03-02'), null);
+    assert.equal(NSESource.parseTimestamp(undefined), null);
+});
+
+test('quote stream polls slower while the market is closed', async () => {
+    let now = ist('2026-03-07T11:00:00');
+    const delays = [];
+    const clock = {
+        now: () => now,
+        setTimeout: (fn, ms) => delays.push(ms),
+        clearTimeout: () => {}
+    };
+    const source = {
+        name: 'fake',
+        timeout: 1000,
+        fetch: async () => ({ current_price: 100 }),
+        providesField: () => false
+    };
+    const stream = new QuoteStream({ source, clock, intervalMs: 5000, calendar, closedIntervalMs: 5 * MINUTE });
+
+    const messages = [];
+    stream.subscribe('TCS', message => messages.push(message));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(delays, [5 * MINUTE]);
+    assert.equal(messages[0].market_status, 'closed');
+    assert.equal(stream.stats().next_poll_ms, 5 * MINUTE);
+
+    now = ist('2026-03-09T10:00:00');
+    assert.equal(stream.stats().market_status, 'open');
+    assert.equal(stream.stats().next_poll_ms, 5000);
+});
@@ -0,0 +1,98 @@
+/**
+ * MoneyControl parser tests against saved pages (test/fixtures/moneycontrol)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const MoneyControlSource = require('../lib/sources/moneycontrol');
+const { HttpClient } = require('../lib/http');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'moneycontrol', name), 'utf8');
+
+// Own client so the tests never touch the shared one
+const source = new MoneyControlSource({ http: new HttpClient() });
+
+test('parses the NSE quote block of a company page', () => {
+    const data = source.parse(fixture('tcs.html'));
+
+    assert.equal(data.company_name, 'Tata Consultancy Services Ltd.');
+    assert.equal(data.sector, 'Computers - Software');
+    assert.deepEqual(data.price, {
+        current: 3984.15,
+        change: -27.6,
+        change_percent: -0.69,
+        day_low: 3962,
+        day_high: 4019.95,
+        low_52w: 3311,
+        high_52w: 4592.25
+    });
+});
+
+test('parses the BSE quote block when asked for BSE', () => {
+    const data = source.parse(fixture('tcs.html'), 'BSE');
+
+    assert.deepEqual(data.price, {
+        current: 3985.4,
+        change: -26.35,
+        change_percent: -0.66,
+        day_low: 3963.1,
+        day_high: 4018,
+        low_52w: 3310.1,
+        high_52w: 4585.9
+    });
+    assert.equal(data.ratios.pe_ratio, 29.69);
+});
+
+test('parses the overview table ratios', () => {
+    const data = source.parse(fixture('tcs.html'));
+
+    assert.deepEqual(data.ratios, {
+        pe_ratio: 29.69,
+        eps: 134.19,
+        dividend_yield: 1.84,
+        sector_pe: 33.25,
+        book_value: 249.98,
+        market_cap: 1441517
+    });
+});
+
+test('maps parsed data onto combined fields', () => {
+    const data = source.parse(fixture('tcs.html'));
+
+    assert.equal(source.extract(data, 'current_price'), 3984.15);
+    assert.equal(source.extract(data, 'change_percent'), -0.69);
+    assert.equal(source.extract(data, 'sector_pe'), 33.25);
+    assert.equal(source.extract(data, 'high_52w'), 4592.25);
+});
+
+test('leaves missing values null on a page without a quote', () => {
+    const data = source.parse(fixture('suspended.html'));
+
+    assert.equal(data.company_name, 'Example Suspended Ltd.');
+    assert.equal(data.sector, 'Textiles');
+    assert.equal(data.price.current, null);
+    assert.equal(data.price.change_percent, null);
+    assert.equal(data.ratios.pe_ratio, null);
+    assert.equal(data.ratios.dividend_yield, 0);
+});
+
+test('resolves the company page from autosuggest by exact NSE symbol', () => {
+    const suggestions = fixture('autosuggest-tcs.json');
+
+    assert.equal(
+        MoneyControlSource.parseSuggestions(suggestions, 'TCS'),
+        'https://www.moneycontrol.com/india/stockpricequote/computers-software/tataconsultancyservices/TCS'
+    );
+    assert.equal(
+        MoneyControlSource.parseSuggestions(JSON.parse(suggestions), 'tcsfin'),
+        'https://www.moneycontrol.com/india/stockpricequote/finance-general/tcsfinance/TCSF'
+    );
+    assert.equal(
+        MoneyControlSource.parseSuggestions(suggestions, '532540'),
+        'https://www.moneycontrol.com/india/stockpricequote/computers-software/tataconsultancyservices/TCS'
+    );
+    assert.equal(MoneyControlSource.parseSuggestions(suggestions, 'INFY'), null);
+    assert.equal(MoneyControlSource.parseSuggestions('<html>blocked</html>', 'TCS'), null);
+});
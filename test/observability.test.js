@@ -0,0 +1,134 @@
+/**
+ * Structured logs, Prometheus metrics and per-source health
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger } = require('../lib/logger');
+const { MetricsRegistry } = require('../lib/metrics');
+const SourceHealth = require('../lib/source-health');
+const { generateStructured } = require('../lib/llm');
+const StubProvider = require('../lib/llm/stub');
+
+const fakeClock = (start) => {
+    let now = start;
+    return { now: () => now, advance: (ms) => { now += ms; } };
+};
+
+test('logs one JSON line per entry with child fields', () => {
+    const lines = [];
+    const logger = new Logger({
+        level: 'info',
+        clock: { now: () => Date.UTC(2026, 0, 5) },
+        write: (line, level) => lines.push({ line: JSON.parse(line), level })
+    });
+    const child = logger.child({ request_id: 'req-1' });
+
+    child.debug('hidden');
+    child.warn('source fetch failed', { source: 'nse', error: Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }), skipped: undefined });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'warn');
+    assert.deepEqual(lines[0].line, {
+        time: '2026-01-05T00:00:00.000Z',
+        level: 'warn',
+        msg: 'source fetch failed',
+        request_id: 'req-1',
+        source: 'nse',
+        error: { message: 'timeout', code: 'ECONNABORTED' }
+    });
+});
+
+test('renders counters, gauges and histograms in the text format', () => {
+    const metrics = new MetricsRegistry();
+    const fetches = metrics.counter({ name: 'fetches_total', help: 'Fetches', labelNames: ['source', 'outcome'] });
+    const latency = metrics.histogram({ name: 'fetch_seconds', help: 'Latency', labelNames: ['source'], buckets: [0.5, 1] });
+    metrics.gauge({ name: 'ratio', help: 'Ratio', collect: (gauge) => gauge.set({}, 0.75) });
+
+    fetches.inc({ source: 'nse', outcome: 'success' });
+    fetches.inc({ source: 'nse', outcome: 'success' }, 2);
+    fetches.inc({ source: 'say "hi"', outcome: 'failure' });
+    latency.observe({ source: 'nse' }, 0.2);
+    latency.observe({ source: 'nse' }, 0.8);
+
+    assert.equal(metrics.render(), [
+        '# HELP fetches_total Fetches',
+        '# TYPE fetches_total counter',
+        'fetches_total{source="nse",outcome="success"} 3',
+        'fetches_total{source="say \\"hi\\"",outcome="failure"} 1',
+        '# HELP fetch_seconds Latency',
+        '# TYPE fetch_seconds histogram',
+        'fetch_seconds_bucket{source="nse",le="0.5"} 1',
+        'fetch_seconds_bucket{source="nse",le="1"} 2',
+        'fetch_seconds_bucket{source="nse",le="+Inf"} 2',
+        'fetch_seconds_sum{source="nse"} 1',
+        'fetch_seconds_count{source="nse"} 2',
+        '# HELP ratio Ratio',
+        '# TYPE ratio gauge',
+        'ratio 0.75',
+        ''
+    ].join('\n'));
+
+    assert.throws(() => fetches.inc({}, -1), /cannot decrease/);
+    assert.throws(() => metrics.counter({ name: 'fetches_total' }), /already registered/);
+});
+
+test('source health follows recent error rate and circuit state', () => {
+    const clock = fakeClock(Date.UTC(2026, 0, 5, 4, 0));
+    const health = new SourceHealth({ window: 4, maxAgeMs: 60000, clock });
+    const adapters = [
+        { name: 'nse', label: 'NSE', enabled: true, baseUrl: 'https://www.nseindia.com' },
+        { name: 'yahoo', label: 'Yahoo', enabled: true, baseUrl: 'https://query1.finance.yahoo.com' },
+        { name: 'screener', label: 'Screener', enabled: false, baseUrl: 'https://www.screener.in' }
+    ];
+
+    assert.equal(health.describe(adapters).sources.nse.status, 'unknown');
+
+    health.record('nse', { ok: true, durationMs: 100 });
+    health.record('nse', { ok: false, error: new Error('HTTP 503') });
+    health.record('yahoo', { ok: true, durationMs: 300 });
+
+    let report = health.describe(adapters);
+    assert.equal(report.status, 'degraded');
+    assert.equal(report.sources.nse.status, 'degraded');
+    assert.equal(report.sources.nse.recent_error_rate, 0.5);
+    assert.equal(report.sources.nse.last_error, 'HTTP 503');
+    assert.equal(report.sources.nse.avg_latency_ms, 100);
+    assert.equal(report.sources.yahoo.status, 'ok');
+
+    // An open circuit takes the source down whatever its history
+    report = health.describe(adapters, { 'query1.finance.yahoo.com': { circuit: { state: 'open' } } });
+    assert.equal(report.sources.yahoo.status, 'down');
+    assert.equal(report.sources.yahoo.circuit, 'open');
+
+    // Outcomes age out of the window
+    clock.advance(61000);
+    report = health.describe(adapters);
+    assert.equal(report.status, 'ok');
+    assert.equal(report.sources.nse.status, 'unknown');
+    assert.equal(report.sources.nse.last_success, '2026-01-05T04:00:00.000Z');
+
+    health.record('nse', { ok: false });
+    health.record('yahoo', { ok: false });
+    assert.equal(health.describe(adapters).status, 'down');
+});
+
+test('sums LLM token usage over repair attempts', async () => {
+    const provider = new StubProvider({
+        responses: ['{"bad": true}', '{"rating": "Fair"}']
+    });
+    provider.complete = async function (request) {
+        const reply = await StubProvider.prototype.complete.call(this, request);
+        return { ...reply, usage: { prompt_tokens: 100, completion_tokens: 20 } };
+    };
+
+    const result = await generateStructured(provider, {
+        system: 'system',
+        prompt: 'prompt',
+        schema: { type: 'object', required: ['rating'], properties: { rating: { type: 'string' } } },
+        log: new Logger({ write: () => {} })
+    });
+
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.usage, { prompt_tokens: 200, completion_tokens: 40 });
+});
@@ -0,0 +1,118 @@
+/**
+ * Watchlists, portfolios and alerts belong to the API key that created them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const JsonStore = require('../lib/json-store');
+const WebhookNotifier = require('../lib/webhook');
+const createWatchlistRouter = require('../lib/routes/watchlists');
+const createPortfolioRouter = require('../lib/routes/portfolios');
+const createAlertRouter = require('../lib/routes/alerts');
+const { AlertEngine } = require('../lib/alerts');
+const { adoptUnowned } = require('../lib/owners');
+
+// The routes behind a stand-in for authenticate(): X-Test-Key names the key
+async function startApp(t) {
+    const store = new JsonStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-owners-')), 'stockai.json'));
+    const engine = new AlertEngine({
+        store,
+        loadQuote: async () => ({ current_price: 4100 }),
+        notifier: new WebhookNotifier()
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        if (req.get('x-test-key')) req.apiKey = { id: req.get('x-test-key') };
+        next();
+    });
+    app.use('/api/watchlists', createWatchlistRouter({ store }));
+    app.use('/api/portfolios', createPortfolioRouter({ store, createScraper: () => null }));
+    app.use('/api/alerts', createAlertRouter({ store, engine }));
+
+    const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    t.after(() => server.close());
+
+    const call = async (key, method, url, body) => {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(key ? { 'X-Test-Key': key } : {}) },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    return { store, call };
+}
+
+test('a key sees and changes only its own watchlists and portfolios', async (t) => {
+    const { call } = await startApp(t);
+
+    const { body: { watchlist } } = await call('alice', 'POST', '/api/watchlists', { name: 'IT', symbols: ['TCS'] });
+    const { body: { portfolio } } = await call('alice', 'POST', '/api/portfolios', { name: 'Core' });
+    await call('bob', 'POST', '/api/watchlists', { name: 'Banks', symbols: ['HDFCBANK'] });
+
+    assert.equal(watchlist.owner, 'alice');
+    assert.deepEqual((await call('alice', 'GET', '/api/watchlists')).body.watchlists.map(list => list.name), ['IT']);
+    assert.deepEqual((await call('bob', 'GET', '/api/watchlists')).body.watchlists.map(list => list.name), ['Banks']);
+    assert.deepEqual((await call('bob', 'GET', '/api/portfolios')).body.portfolios, []);
+
+    for (const [method, url, body] of [
+        ['GET', `/api/watchlists/${watchlist.id}`],
+        ['PUT', `/api/watchlists/${watchlist.id}`, { name: 'Mine now' }],
+        ['POST', `/api/watchlists/${watchlist.id}/symbols`, { symbol: 'INFY' }],
+        ['DELETE', `/api/watchlists/${watchlist.id}/symbols/TCS`],
+        ['DELETE', `/api/watchlists/${watchlist.id}`],
+        ['GET', `/api/portfolios/${portfolio.id}`],
+        ['PUT', `/api/portfolios/${portfolio.id}`, { name: 'Mine now' }],
+        ['POST', `/api/portfolios/${portfolio.id}/holdings`, { symbol: 'TCS', quantity: 1, average_cost: 1 }],
+        ['DELETE', `/api/portfolios/${portfolio.id}`]
+    ]) {
+        assert.equal((await call('bob', method, url, body)).status, 404, `${method} ${url}`);
+    }
+
+    assert.deepEqual((await call('alice', 'GET', `/api/watchlists/${watchlist.id}`)).body.watchlist.symbols, ['TCS']);
+    assert.equal((await call('alice', 'GET', `/api/portfolios/${portfolio.id}`)).body.portfolio.name, 'Core');
+
+    // With auth off there is no key and everything is shared, as before
+    assert.equal((await call(null, 'GET', '/api/watchlists')).body.watchlists.length, 2);
+});
+
+test('alerts, their watchlists and their trigger history stay with their key', async (t) => {
+    const { call } = await startApp(t);
+
+    const { body: { watchlist } } = await call('alice', 'POST', '/api/watchlists', { name: 'IT', symbols: ['TCS'] });
+    const condition = { field: 'current_price', operator: 'above', threshold: 4000 };
+
+    const theirs = await call('bob', 'POST', '/api/alerts', { watchlist_id: watchlist.id, ...condition });
+    assert.equal(theirs.status, 400);
+    assert.match(theirs.body.error.message, /Watchlist not found/);
+
+    const { body: { alert } } = await call('alice', 'POST', '/api/alerts', { watchlist_id: watchlist.id, ...condition });
+    assert.deepEqual((await call('bob', 'GET', '/api/alerts')).body.alerts, []);
+    assert.equal((await call('bob', 'GET', `/api/alerts/${alert.id}`)).status, 404);
+    assert.equal((await call('bob', 'PUT', `/api/alerts/${alert.id}`, { enabled: false })).status, 404);
+    assert.equal((await call('bob', 'DELETE', `/api/alerts/${alert.id}`)).status, 404);
+
+    // Anyone may run a pass, but sees only their own triggers
+    assert.deepEqual((await call('bob', 'POST', '/api/alerts/evaluate')).body.result.triggered, []);
+    assert.equal((await call('alice', 'GET', '/api/alerts/history')).body.history.length, 1);
+    assert.deepEqual((await call('bob', 'GET', '/api/alerts/history')).body.history, []);
+});
+
+test('records saved before keys were required can be handed to a key', async (t) => {
+    const { store, call } = await startApp(t);
+
+    await call(null, 'POST', '/api/watchlists', { name: 'IT', symbols: ['TCS'] });
+    await call(null, 'POST', '/api/portfolios', { name: 'Core' });
+    assert.deepEqual((await call('alice', 'GET', '/api/watchlists')).body.watchlists, []);
+
+    assert.equal(await adoptUnowned(store, 'alice'), 2);
+    assert.equal((await call('alice', 'GET', '/api/watchlists')).body.watchlists.length, 1);
+    assert.equal((await call('alice', 'GET', '/api/portfolios')).body.portfolios.length, 1);
+    assert.equal(await adoptUnowned(store, 'bob'), 0);
+});
@@ -0,0 +1,92 @@
+/**
+ * Portfolio valuation: P&L, day change, allocation and the risk rollup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { marketCapBucket, valuePortfolio, assessPortfolioRisk } = require('../lib/portfolio');
+
+const portfolio = {
+    id: 'p1',
+    name: 'Long Term',
+    holdings: [
+        { symbol: 'TCS', quantity: 10, average_cost: 3500 },
+        { symbol: 'HDFCBANK', quantity: 20, average_cost: 1700 },
+        { symbol: 'ZZZZ', quantity: 5, average_cost: 100 }
+    ]
+};
+
+const quotes = {
+    TCS: {
+        combined_data: { company_name: 'Tata Consultancy Services', current_price: 3984.1, change_percent: 1, sector: 'IT', market_cap: 1441500 },
+        risk: 'Low'
+    },
+    HDFCBANK: {
+        combined_data: { company_name: 'HDFC Bank', current_price: 1600, change_percent: -2, sector: 'Banking', market_cap: 1200000 },
+        risk: 'Moderate'
+    },
+    ZZZZ: { error: 'Unable to fetch data from any source' }
+};
+
+test('values holdings with P&L, day change and weights', () => {
+    const result = valuePortfolio(portfolio, quotes);
+
+    assert.deepEqual(result.totals, {
+        invested: 69000,
+        current_value: 71841,
+        unrealized_pnl: 2841,
+        unrealized_pnl_percent: 4.12,
+        day_change: -258.6,
+        day_change_percent: -0.36
+    });
+
+    const [tcs, hdfc, missing] = result.holdings;
+    assert.equal(tcs.current_value, 39841);
+    assert.equal(tcs.unrealized_pnl_percent, 13.83);
+    // Previous close implied by +1%: 39841 / 1.01
+    assert.equal(tcs.day_change, 394.47);
+    assert.equal(tcs.weight_percent, 55.46);
+    assert.equal(tcs.market_cap_bucket, 'Large Cap');
+    assert.equal(hdfc.unrealized_pnl, -2000);
+    assert.equal(hdfc.day_change, -653.06);
+    assert.deepEqual(missing, { symbol: 'ZZZZ', quantity: 5, average_cost: 100, invested: 500, error: 'Unable to fetch data from any source' });
+    assert.deepEqual(result.unpriced, ['ZZZZ']);
+
+    assert.deepEqual(result.allocation.sector, [
+        { name: 'IT', value: 39841, weight_percent: 55.46 },
+        { name: 'Banking', value: 32000, weight_percent: 44.54 }
+    ]);
+    assert.deepEqual(result.allocation.market_cap, [{ name: 'Large Cap', value: 71841, weight_percent: 100 }]);
+});
+
+test('rolls risk up by value and raises it a notch for concentration', () => {
+    const { risk } = valuePortfolio(portfolio, quotes);
+
+    // (1 x 39841 + 2 x 32000) / 71841 is Low, but three concentration flags push it up
+    assert.equal(risk.score, 1.45);
+    assert.equal(risk.level, 'Moderate');
+    assert.deepEqual(risk.by_level, { Low: 55.46, Moderate: 44.54, High: 0 });
+    assert.deepEqual(risk.largest_holding, { symbol: 'TCS', weight_percent: 55.46 });
+    assert.deepEqual(risk.flags, [
+        'TCS is 55.46% of the portfolio',
+        'IT sector is 55.46% of the portfolio',
+        'Only 2 priced holding(s), limited diversification'
+    ]);
+
+    // Five equal, unrated holdings in different sectors count as Moderate
+    const spread = ['A', 'B', 'C', 'D', 'E'].map((symbol, i) => ({ symbol, current_value: 100, sector: `S${i}` }));
+    const sectors = Object.fromEntries(spread.map(h => [h.sector, 100]));
+    assert.deepEqual(assessPortfolioRisk(spread, sectors, 500).flags, []);
+    assert.equal(assessPortfolioRisk(spread, sectors, 500).level, 'Moderate');
+
+    assert.deepEqual(valuePortfolio({ ...portfolio, holdings: [portfolio.holdings[2]] }, quotes).risk, {
+        level: 'Unknown', score: null, flags: ['No holdings could be priced']
+    });
+});
+
+test('buckets market caps in crores', () => {
+    assert.equal(marketCapBucket(20000), 'Large Cap');
+    assert.equal(marketCapBucket(5000), 'Mid Cap');
+    assert.equal(marketCapBucket(4999), 'Small Cap');
+    assert.equal(marketCapBucket(null), 'Unknown');
+});
@@ -0,0 +1,97 @@
+/**
+ * WebSocket quote transport: subscriptions and malformed messages
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const attachQuoteSocket = require('../lib/quote-socket');
+
+// Sends one quote per subscription and counts who is still listening
+const fakeStream = () => {
+    const listeners = new Map();
+    return {
+        listeners,
+        subscribe(symbol, listener) {
+            listeners.set(symbol, listener);
+            listener({ type: 'quote', symbol, current_price: 100 });
+            return () => listeners.delete(symbol);
+        }
+    };
+};
+
+async function start(t) {
+    const server = http.createServer();
+    const stream = fakeStream();
+    const wss = attachQuoteSocket(server, stream, { maxSymbols: 2 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        wss.close();
+        server.close();
+    });
+    return { stream, url: `ws://127.0.0.1:${server.address().port}/api/stream/ws` };
+}
+
+// Opens a socket and collects what it receives; next() waits for the next message
+async function connect(url) {
+    const socket = new WebSocket(url);
+    const queue = [];
+    const waiting = [];
+    socket.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (waiting.length) waiting.shift()(message);
+        else queue.push(message);
+    });
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+    const next = () => queue.length ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve));
+    return { socket, next };
+}
+
+test('subscribes from the URL and from messages, within the symbol limit', async (t) => {
+    const { stream, url } = await start(t);
+    const { socket, next } = await connect(`${url}?symbols=TCS`);
+
+    assert.deepEqual(await next(), { type: 'quote', symbol: 'TCS', current_price: 100 });
+
+    socket.send(JSON.stringify({ action: 'subscribe', symbols: ['infy', 'WIPRO'] }));
+    assert.equal((await next()).symbol, 'INFY');
+    assert.deepEqual(await next(), { type: 'error', symbol: 'WIPRO', error: 'At most 2 symbols per connection' });
+
+    socket.send(JSON.stringify({ action: 'unsubscribe', symbols: ['tcs'] }));
+    socket.send(JSON.stringify({ action: 'subscribe', symbols: ['WIPRO'] }));
+    assert.equal((await next()).symbol, 'WIPRO');
+    assert.deepEqual([...stream.listeners.keys()], ['INFY', 'WIPRO']);
+
+    socket.close();
+    await new Promise(resolve => socket.once('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(stream.listeners.size, 0);
+});
+
+test('answers messages that are not JSON objects with an error and stays up', async (t) => {
+    const { url } = await start(t);
+    const { socket, next } = await connect(url);
+
+    for (const raw of ['null', '42', '"x"', '[]', 'true', '{not json']) {
+        socket.send(raw);
+        const reply = await next();
+        assert.equal(reply.type, 'error', raw);
+        assert.match(reply.error, /^Messages must be JSON/);
+    }
+
+    socket.send(JSON.stringify({ action: 'watch' }));
+    assert.deepEqual(await next(), { type: 'error', error: 'action must be subscribe or unsubscribe' });
+
+    // Same connection and a new one both still work
+    socket.send(JSON.stringify({ action: 'subscribe', symbols: ['TCS'] }));
+    assert.equal((await next()).symbol, 'TCS');
+    const other = await connect(`${url}?symbols=INFY`);
+    assert.equal((await other.next()).symbol, 'INFY');
+
+    socket.close();
+    other.socket.close();
+});
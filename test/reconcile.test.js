@@ -0,0 +1,105 @@
+/**
+ * Reconciliation: value choice, tolerances, confidence and reliability
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SourceAdapter = require('../lib/sources/source-adapter');
+const { Reconciler, parseTolerances, toNumber } = require('../lib/reconcile');
+
+const yahoo = new SourceAdapter({
+    name: 'yahoo_finance',
+    fields: { current_price: 'price', change_percent: 'change', market_cap: { path: 'cap', scale: 1e-7 }, company_name: 'name' }
+});
+const nse = new SourceAdapter({
+    name: 'nse',
+    fields: { current_price: 'lastPrice', change_percent: 'pChange', market_cap: 'cap', company_name: 'name' }
+});
+const screener = new SourceAdapter({
+    name: 'screener',
+    fields: { current_price: 'price', change_percent: 'change', market_cap: 'cap', company_name: 'name' }
+});
+
+const providers = (fields, adapters) => Object.fromEntries(fields.map(field => [field, adapters]));
+
+test('reads numbers from formatted strings', () => {
+    assert.equal(toNumber('₹ 3,984.10'), 3984.1);
+    assert.equal(toNumber('0.70%'), 0.7);
+    assert.equal(toNumber('0'), 0);
+    assert.equal(toNumber(''), null);
+    assert.equal(toNumber('N/A'), null);
+    assert.equal(toNumber(Infinity), null);
+});
+
+test('keeps the best source value and checks the others within tolerance', () => {
+    const result = new Reconciler().reconcile(providers(['current_price', 'market_cap', 'company_name'], [nse, yahoo, screener]), {
+        nse: { lastPrice: '3,984.10', cap: 1441500, name: 'Tata Consultancy Services Limited' },
+        yahoo_finance: { price: 3990, cap: 14420000000000, name: 'Tata Consultancy Services Ltd.' },
+        screener: { price: 4100, cap: 1500000, name: 'TCS' }
+    });
+
+    // 3990 is 0.15% off, within 0.5%; 4100 is 2.83% off
+    assert.deepEqual(result.fields.current_price, {
+        value: 3984.1,
+        source: 'nse',
+        confidence: 0.65,
+        values: { nse: 3984.1, yahoo_finance: 3990, screener: 4100 },
+        agreeing_sources: ['nse', 'yahoo_finance'],
+        discrepancy: true
+    });
+    assert.deepEqual(result.discrepancies[0], {
+        field: 'current_price',
+        chosen: { source: 'nse', value: 3984.1 },
+        other: { source: 'screener', value: 4100 },
+        difference: 115.9,
+        difference_percent: 2.83
+    });
+
+    // Scaled from rupees to crores before comparing; 4% off is past 2%
+    assert.equal(result.fields.market_cap.values.yahoo_finance, 1442000);
+    assert.deepEqual(result.fields.market_cap.agreeing_sources, ['nse', 'yahoo_finance']);
+
+    // Names match without case, punctuation and "Limited"/"Ltd"
+    assert.deepEqual(result.fields.company_name.agreeing_sources, ['nse', 'yahoo_finance']);
+    assert.equal(result.discrepancies.find(d => d.field === 'company_name').difference, undefined);
+
+    assert.deepEqual(result.reliability, { rating: 'Fair', score: 0.65, sources: 3, fields_compared: 3, fields_agreeing: 0 });
+});
+
+test('0 is a value, not a missing one', () => {
+    const result = new Reconciler().reconcile(providers(['change_percent'], [nse, yahoo, screener]), {
+        nse: { pChange: 0 },
+        yahoo_finance: { change: '0.2' },
+        screener: { change: null }
+    });
+
+    assert.equal(result.values.change_percent, 0);
+    assert.equal(result.fields.change_percent.source, 'nse');
+    // Absolute tolerance of 0.25 points
+    assert.equal(result.fields.change_percent.discrepancy, false);
+    assert.equal(result.fields.change_percent.confidence, 1);
+    assert.deepEqual(result.fields.change_percent.values, { nse: 0, yahoo_finance: 0.2 });
+
+    const zeros = new Reconciler().reconcile(providers(['market_cap'], [nse, screener]), { nse: { cap: 0 }, screener: { cap: 0 } });
+    assert.equal(zeros.fields.market_cap.discrepancy, false);
+    assert.equal(zeros.values.market_cap, 0);
+});
+
+test('tolerance overrides keep the mode of the field default', () => {
+    assert.deepEqual(parseTolerances('current_price=3, change_percent=1,bogus, pe_ratio=x'), {
+        current_price: { relative: 3 },
+        change_percent: { absolute: 1 }
+    });
+
+    const loose = new Reconciler({ tolerances: parseTolerances('current_price=3') });
+    const result = loose.reconcile(providers(['current_price'], [nse, screener]), {
+        nse: { lastPrice: 3984.1 },
+        screener: { price: 4100 }
+    });
+    assert.equal(result.fields.current_price.discrepancy, false);
+
+    const single = loose.reconcile(providers(['current_price'], [nse, screener]), { nse: { lastPrice: 3984.1 }, screener: {} });
+    assert.equal(single.fields.current_price.confidence, 0.6);
+    assert.equal(single.reliability.rating, 'Fair');
+    assert.equal(single.reliability.fields_compared, 0);
+});
@@ -0,0 +1,96 @@
+/**
+ * Rules-file scoring engine: sector profiles, ratings, score and trace
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScoringEngine, compileRules, evaluate } = require('../lib/scoring');
+
+const engine = new ScoringEngine();
+
+test('conditions explain why they hold or not', () => {
+    const metrics = { pe_ratio: 22, technicals: { signals: { trend: 'uptrend' } } };
+
+    assert.deepEqual(evaluate({ pe_ratio: { gte: 15, lte: 30 } }, metrics), { matched: true, text: 'pe_ratio 22 >= 15, pe_ratio 22 <= 30' });
+    assert.deepEqual(evaluate({ pe_ratio: { lt: 15 } }, metrics), { matched: false, text: 'pe_ratio 22 is not < 15' });
+    assert.equal(evaluate({ roe: { gt: 15 } }, metrics).text, 'roe not available');
+    assert.equal(evaluate({ 'technicals.signals.trend': 'uptrend' }, metrics).matched, true);
+    assert.equal(evaluate({ any: [{ roe: { gt: 15 } }, { pe_ratio: { lt: 25 } }] }, metrics).matched, true);
+});
+
+test('one set of thresholds for valuation and risk', () => {
+    const result = engine.score({ pe_ratio: 18, roe: 12, sector: 'Capital Goods' });
+
+    assert.equal(result.profile.id, 'default');
+    assert.deepEqual(result.valuation, { rating: 'Fair', reason: 'P/E of 18 is between 15 and 30', rule: 'pe-fair' });
+    // P/E under 20 alone is not low risk without a healthy ROE
+    assert.equal(result.risk.level, 'Moderate');
+    assert.equal(engine.score({ pe_ratio: 18, roe: 16 }).risk.level, 'Low');
+    assert.equal(engine.score({ pe_ratio: 40, debt_to_equity: 2.5 }).risk.rule, 'high-leverage');
+});
+
+test('banks are judged on price to book and ROE', () => {
+    const bank = { sector: 'Financial Services', industry: 'Private Sector Bank', pe_ratio: 19, roe: 17, current_price: 1500, book_value: 600, debt_to_equity: 6 };
+    const result = engine.score(bank);
+
+    assert.equal(result.profile.id, 'banks');
+    assert.deepEqual(result.valuation, { rating: 'Fair', reason: 'P/B of 2.5 is between 1 and 3', rule: 'pb-fair' });
+    assert.equal(result.risk.level, 'Low');
+    assert.ok(!result.factors.some(factor => factor.id === 'leverage'));
+    assert.ok(!result.concerns.some(concern => /leverage/.test(concern)));
+    assert.deepEqual(result.factors.find(factor => factor.id === 'pb'), {
+        id: 'pb', label: 'Price to Book', field: 'price_to_book', value: 2.5, weight: 25, points: 0, contribution: 0
+    });
+});
+
+test('IT uses its own P/E thresholds', () => {
+    const result = engine.score({ sector: 'Information Technology', pe_ratio: 28 });
+
+    assert.equal(result.profile.label, 'IT Services');
+    assert.equal(result.valuation.rating, 'Fair');
+    assert.equal(engine.score({ pe_ratio: 28 }).valuation.rating, 'Fair');
+    assert.equal(engine.score({ sector: 'Software', pe_ratio: 18 }).valuation.rating, 'Cheap');
+    assert.equal(engine.score({ pe_ratio: 18 }).valuation.rating, 'Fair');
+});
+
+test('score is the weighted average of the factors with data', () => {
+    const rules = {
+        profiles: {
+            default: {
+                valuation: [{ id: 'any', rating: 'Fair', reason: 'n/a' }],
+                risk: [{ id: 'any', level: 'Moderate', reason: 'n/a' }],
+                factors: [
+                    { id: 'pe', field: 'pe_ratio', weight: 30, bands: [{ lt: 15, points: 1 }, { points: -1 }] },
+                    { id: 'roe', field: 'roe', weight: 10, bands: [{ gt: 15, points: 1 }, { points: 0 }] },
+                    { id: 'growth', field: 'revenue_cagr_3y', weight: 60, bands: [{ points: 1 }] }
+                ],
+                signals: [{ id: 'cheap', when: { pe_ratio: { lt: 15 } }, strength: 'P/E only {pe_ratio}' }]
+            }
+        }
+    };
+    const result = new ScoringEngine(rules).score({ pe_ratio: 12.345, roe: 10 });
+
+    // (30 * 1 + 10 * 0) / 40 -> 50 + 50 * 0.75
+    assert.equal(result.score, 88);
+    assert.equal(result.coverage, 0.4);
+    assert.deepEqual(result.strengths, ['P/E only 12.35']);
+    assert.deepEqual(result.trace.filter(entry => entry.section === 'factor').map(entry => entry.reason), [
+        'pe_ratio 12.35 < 15 -> +1 x weight 30',
+        'roe 10 -> +0 x weight 10',
+        'revenue_cagr_3y not available, weight 60 left out'
+    ]);
+    assert.equal(new ScoringEngine(rules).score({}).score, null);
+});
+
+test('bad rules files are rejected with the offending rule', () => {
+    assert.throws(() => compileRules({ profiles: {} }), /"default" profile/);
+    assert.throws(() => compileRules({
+        profiles: { default: { valuation: [{ id: 'x', rating: 'Bargain' }] } }
+    }), /default\.valuation\[0\]: rating must be one of/);
+    assert.throws(() => compileRules({
+        profiles: { default: { signals: [{ id: 'x', when: { pe_ratio: { below: 3 } }, strength: 'y' }] } }
+    }), /unknown operator "below"/);
+    assert.throws(() => compileRules({
+        profiles: { default: {}, a: { extends: 'b' }, b: { extends: 'a' } }
+    }), /extends itself/);
+});
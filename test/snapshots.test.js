@@ -0,0 +1,132 @@
+/**
+ * Analysis snapshots: what is kept, the per-symbol limit and the diffs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnapshotStore, buildSnapshot, diffSnapshots } = require('../lib/snapshots');
+
+// The parts of an /api/analyze response a snapshot keeps, and a few it drops
+const analysis = (timestamp, { price = 3984.1, pe = 29.4, roe = 52.4, valuation = 'Fair', risk = 'Low', symbol = 'TCS', sources } = {}) => ({
+    success: true,
+    symbol,
+    exchange: 'NSE',
+    timestamp,
+    market: { exchange: 'NSE', status: 'closed' },
+    summary: `📊 Tata Consultancy Services\n💰 Last Traded Price: ₹${price}`,
+    final_summary: `Valuation: ${valuation}`,
+    analysis: { valuation: { rating: valuation, reason: 'P/E near sector' }, risk: { level: risk, reason: 'No debt' } },
+    ai_prompt: 'prompt',
+    ai_model: 'gpt-3.5-turbo',
+    ai_provider: 'openai',
+    sources: sources || ['Yahoo Finance', 'NSE India'],
+    raw_data: { yahoo_finance: {}, nse: {} },
+    combined_data: { current_price: price, pe_ratio: pe, roe, market_cap: 1441500 },
+    scoring: { score: 62, profile: { id: 'it_services', label: 'IT Services' }, valuation: { rating: valuation }, risk: { level: risk } },
+    events: { summary: { positive: 1, negative: 0, neutral: 2, overall: 'positive' }, items: [] }
+});
+
+const newDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-snapshots-'));
+
+test('keeps the summaries, figures, verdicts and sources of an analysis', () => {
+    const snapshot = buildSnapshot(analysis('2026-03-02T10:30:00.000Z'));
+
+    assert.deepEqual(Object.keys(snapshot), [
+        'symbol', 'exchange', 'taken_at', 'market_status', 'combined_data', 'summary', 'final_summary', 'analysis',
+        'ai_model', 'ai_provider', 'scoring', 'sources', 'events'
+    ]);
+    assert.deepEqual(snapshot.scoring, { score: 62, profile: 'it_services', valuation: 'Fair', risk: 'Low' });
+    assert.deepEqual(snapshot.events, { positive: 1, negative: 0, neutral: 2, overall: 'positive' });
+    assert.equal(snapshot.taken_at, '2026-03-02T10:30:00.000Z');
+});
+
+test('diffs the figures and verdicts that moved between two snapshots', () => {
+    const before = { id: 'a', ...buildSnapshot(analysis('2026-03-02T10:30:00.000Z')) };
+    const after = {
+        id: 'b',
+        ...buildSnapshot(analysis('2026-03-09T10:30:00.000Z', {
+            price: 3612.55,
+            pe: null,
+            valuation: 'Cheap',
+            sources: ['Yahoo Finance', 'Screener.in']
+        }))
+    };
+
+    const diff = diffSnapshots(before, after);
+
+    assert.deepEqual(diff.from, { id: 'a', taken_at: '2026-03-02T10:30:00.000Z' });
+    assert.deepEqual(diff.to, { id: 'b', taken_at: '2026-03-09T10:30:00.000Z' });
+    assert.deepEqual(diff.changed, ['current_price', 'pe_ratio', 'valuation', 'rule_valuation']);
+    assert.deepEqual(diff.metrics[0], {
+        field: 'current_price',
+        label: 'Price',
+        from: 3984.1,
+        to: 3612.55,
+        change: -371.55,
+        change_percent: -9.33,
+        changed: true
+    });
+    // A figure a source stopped giving changes, without a number for it
+    assert.deepEqual(diff.metrics[1], { field: 'pe_ratio', label: 'P/E Ratio', from: 29.4, to: null, change: null, change_percent: null, changed: true });
+    assert.equal(diff.metrics.find(metric => metric.field === 'roe').changed, false);
+    assert.deepEqual(diff.verdicts[0], { field: 'valuation', label: 'Valuation', from: 'Fair', to: 'Cheap', changed: true });
+    assert.deepEqual(diff.sources, { added: ['Screener.in'], removed: ['NSE India'] });
+
+    assert.deepEqual(diffSnapshots(after, after).changed, []);
+});
+
+test('lists newest first, finds by id or time and keeps the latest per symbol', async () => {
+    const dir = newDir();
+    const snapshots = new SnapshotStore({ dir, limit: 2 });
+
+    const first = await snapshots.save(analysis('2026-03-02T10:30:00.000Z'));
+    await snapshots.save(analysis('2026-03-02T11:00:00.000Z', { symbol: 'INFY' }));
+    const third = await snapshots.save(analysis('2026-03-04T10:30:00.000Z', { price: 3900 }));
+    // Finished later, taken earlier
+    const second = await snapshots.save(analysis('2026-03-03T10:30:00.000Z', { price: 3950 }));
+
+    assert.deepEqual((await snapshots.list('TCS', 'NSE')).map(snapshot => snapshot.id), [third.id, second.id]);
+    assert.equal((await snapshots.list('INFY', 'NSE')).length, 1);
+    assert.equal((await snapshots.list('TCS', 'BSE')).length, 0);
+    assert.deepEqual((await snapshots.list('TCS', 'NSE', { limit: 1 })).map(snapshot => snapshot.id), [third.id]);
+
+    assert.equal((await snapshots.find('TCS', 'NSE', second.id)).id, second.id);
+    assert.equal(await snapshots.find('TCS', 'NSE', first.id), null);
+    assert.equal((await snapshots.find('TCS', 'NSE', '2026-03-03T23:59:00+05:30')).id, second.id);
+    assert.equal(await snapshots.find('TCS', 'NSE', '2026-03-01'), null);
+    assert.equal(await snapshots.find('TCS', 'NSE', 'not-a-snapshot'), null);
+
+    // One file per symbol, read back by a new store
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'NSE')).sort(), ['INFY.json', 'TCS.json']);
+    const reopened = new SnapshotStore({ dir, limit: 2 });
+    assert.deepEqual((await reopened.list('TCS', 'NSE')).map(snapshot => snapshot.id), [third.id, second.id]);
+});
+
+test('moves the snapshots of the old single file into per-symbol files once', async () => {
+    const dir = newDir();
+    const legacyFile = path.join(dir, 'snapshots.json');
+    const old = [
+        { id: 'a', ...buildSnapshot(analysis('2026-03-02T10:30:00.000Z')) },
+        { id: 'b', ...buildSnapshot(analysis('2026-03-02T11:00:00.000Z', { symbol: 'INFY' })) },
+        { id: 'c', ...buildSnapshot(analysis('2026-03-03T10:30:00.000Z')) },
+        { id: 'd', ...buildSnapshot(analysis('2026-03-04T10:30:00.000Z')) }
+    ];
+    fs.writeFileSync(legacyFile, JSON.stringify({ snapshots: old }));
+
+    const snapshots = new SnapshotStore({ dir: path.join(dir, 'snapshots'), legacyFile, limit: 2 });
+    const latest = await snapshots.save(analysis('2026-03-05T10:30:00.000Z'));
+
+    assert.deepEqual((await snapshots.list('TCS', 'NSE')).map(snapshot => snapshot.id), [latest.id, 'd']);
+    assert.deepEqual((await snapshots.list('INFY', 'NSE')).map(snapshot => snapshot.id), ['b']);
+    assert.equal((await snapshots.find('INFY', 'NSE', 'b')).final_summary, 'Valuation: Fair');
+    assert.equal(fs.existsSync(legacyFile), false);
+    assert.equal(fs.existsSync(`${legacyFile}.migrated`), true);
+
+    // Nothing to move the second time
+    const reopened = new SnapshotStore({ dir: path.join(dir, 'snapshots'), legacyFile, limit: 2 });
+    assert.equal(await reopened.migrate(), 0);
+    assert.equal((await reopened.list('TCS', 'NSE')).length, 2);
+});
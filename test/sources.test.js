@@ -0,0 +1,77 @@
+/**
+ * Source registry: registration, configured order, per-request selection
+ * and plugin loading
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SourceAdapter, SourceRegistry, createDefaultRegistry, loadSourcePlugins } = require('../lib/sources');
+
+const adapter = (name, options = {}) => new SourceAdapter({ name, fields: { current_price: 'price' }, ...options });
+
+test('lists adapters by priority and rejects invalid ones', () => {
+    const registry = new SourceRegistry()
+        .register(adapter('screener', { priority: 30 }))
+        .register(adapter('yahoo_finance', { priority: 10 }))
+        .register(adapter('nse', { priority: 20, enabled: false }));
+
+    assert.deepEqual(registry.list().map(a => a.name), ['yahoo_finance', 'nse', 'screener']);
+    assert.deepEqual(registry.resolve().map(a => a.name), ['yahoo_finance', 'screener']);
+    assert.throws(() => registry.register({ name: 'broken' }), /a name and fetch\(\) are required/);
+    assert.throws(() => new SourceAdapter({}), /requires a name/);
+
+    assert.equal(registry.unregister('screener'), true);
+    assert.equal(registry.has('screener'), false);
+});
+
+test('configure keeps only the listed sources, in the given order', () => {
+    const registry = new SourceRegistry()
+        .register(adapter('yahoo_finance', { priority: 10 }))
+        .register(adapter('nse', { priority: 20 }))
+        .register(adapter('screener', { priority: 30 }));
+
+    registry.configure(' Screener, yahoo_finance ,screener');
+
+    assert.equal(registry.ordered, true);
+    assert.deepEqual(registry.resolve().map(a => [a.name, a.priority]), [['screener', 10], ['yahoo_finance', 20]]);
+    assert.equal(registry.get('nse').enabled, false);
+
+    // A request may still name a disabled source, in its own order
+    assert.deepEqual(registry.resolve(['nse', 'screener']).map(a => a.name), ['nse', 'screener']);
+    assert.throws(() => registry.resolve('nse,bloomberg,reuters'), error => {
+        assert.equal(error.message, 'Unknown data source(s): bloomberg, reuters');
+        assert.deepEqual(error.unknownSources, ['bloomberg', 'reuters']);
+        return true;
+    });
+});
+
+test('loads plugins exporting a class, an instance list or a register function', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-plugins-'));
+    const base = JSON.stringify(require.resolve('../lib/sources/source-adapter'));
+    const write = (file, body) => {
+        fs.writeFileSync(path.join(dir, file), `const SourceAdapter = require(${base});\n${body}\n`);
+        return path.join(dir, file);
+    };
+
+    const plugins = [
+        write('class.js', `module.exports = class extends SourceAdapter {
+    constructor() { super({ name: 'inhouse', priority: 5 }); }
+    async fetch() { return { price: 1 }; }
+};`),
+        write('list.js', `module.exports = [new SourceAdapter({ name: 'feed_a' }), new SourceAdapter({ name: 'feed_b' })];`),
+        write('register.js', `module.exports = (registry, { SourceAdapter: Base }) => registry.register(new Base({ name: 'feed_c' }));`)
+    ];
+
+    const registry = new SourceRegistry();
+    loadSourcePlugins(registry, plugins.join(', '));
+    assert.deepEqual(registry.list().map(a => a.name), ['inhouse', 'feed_a', 'feed_b', 'feed_c']);
+
+    // Plugins sit alongside the built-ins and can be selected like them
+    const defaults = createDefaultRegistry({ plugins: [plugins[0]], sources: 'inhouse,nse' });
+    assert.deepEqual(defaults.resolve().map(a => a.name), ['inhouse', 'nse']);
+    assert.equal(defaults.has('yahoo_finance'), true);
+    assert.equal(defaults.get('yahoo_finance').enabled, false);
+});
@@ -0,0 +1,136 @@
+/**
+ * Symbol master: CSV snapshots, search and per-exchange symbols
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_SYMBOLS_DIR, SymbolMaster, exchangeSymbol, parseCsv, parseCsvRecords } = require('../lib/symbols');
+const { refreshSymbolLists, symbolListsAge } = require('../lib/symbol-lists');
+const YahooFinanceSource = require('../lib/sources/yahoo-finance');
+const ScreenerSource = require('../lib/sources/screener');
+
+const NSE_CSV = `SYMBOL,NAME OF COMPANY, SERIES, DATE OF LISTING, PAID UP VALUE, MARKET LOT, ISIN NUMBER, FACE VALUE
+HDFCBANK,HDFC Bank Limited,EQ,08-NOV-1995,1,1,INE040A01034,1
+HDFCLIFE,HDFC Life Insurance Company Limited,EQ,17-NOV-2017,10,1,INE795G01014,10
+M&M,Mahindra & Mahindra Limited,EQ,08-NOV-1995,5,1,INE101A01026,5
+RELIANCE,Reliance Industries Limited,EQ,29-NOV-1995,10,1,INE002A01018,10
+GOLDBEES,Nippon India ETF Gold BeES,EQ,08-MAR-2007,1,1,INF204KB17I5,1
+SGBFEB32,SGB 2024-25 Series II,GB,21-FEB-2024,1,1,IN0020230184,1
+`;
+
+const BSE_CSV = `Security Code,Issuer Name,Security Id,Security Name,Status,Group,Face Value,ISIN No,Industry,Instrument
+500180,HDFC Bank Ltd,HDFCBANK,HDFC BANK LTD.,Active,A ,1.00,INE040A01034,Private Sector Bank,Equity
+500325,Reliance Industries Ltd,RELIANCE,RELIANCE INDUSTRIES LTD.,Active,A ,10.00,INE002A01018,Refineries & Marketing,Equity
+503681,Elcid Investments Ltd,ELCIDIN,ELCID INVESTMENTS LTD.,Active,X ,10.00,INE927C01020,Investment Company,Equity
+500001,Delisted Co Ltd,DELISTED,DELISTED CO LTD.,Delisted,Z ,10.00,INE000Z01011,,Equity
+`;
+
+const master = new SymbolMaster().setListings(parseCsvRecords(NSE_CSV), parseCsvRecords(BSE_CSV));
+
+test('parses quoted CSV fields and CRLF line endings', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n\r\n'), [
+        ['a', 'b, c', 'say "hi"'],
+        ['1', '2', '3']
+    ]);
+});
+
+test('merges NSE and BSE listings by ISIN, skipping non-equity rows', () => {
+    const hdfc = master.get('INE040A01034');
+
+    assert.equal(master.listings.length, 6);
+    assert.deepEqual(hdfc, {
+        name: 'HDFC Bank Limited',
+        isin: 'INE040A01034',
+        nse_symbol: 'HDFCBANK',
+        bse_code: '500180',
+        bse_symbol: 'HDFCBANK',
+        industry: 'Private Sector Bank',
+        exchanges: ['NSE', 'BSE'],
+        symbol: 'HDFCBANK'
+    });
+    assert.equal(master.get('500180'), master.get('hdfcbank'));
+    assert.equal(master.get('SGBFEB32'), null);
+    assert.equal(master.get('DELISTED'), null);
+    assert.deepEqual(master.get('503681').exchanges, ['BSE']);
+});
+
+test('search matches names, symbols, codes and typos', () => {
+    const top = (query, options) => master.search(query, options).map(result => [result.symbol, result.match]);
+
+    assert.deepEqual(top('HDFC BANK')[0], ['HDFCBANK', 'symbol']);
+    assert.deepEqual(top('hdfc'), [['HDFCBANK', 'symbol_prefix'], ['HDFCLIFE', 'symbol_prefix']]);
+    assert.deepEqual(top('500325'), [['RELIANCE', 'exact']]);
+    assert.deepEqual(top('mahindra'), [['M&M', 'name_prefix']]);
+    assert.deepEqual(top('relianse'), [['RELIANCE', 'fuzzy']]);
+    assert.deepEqual(top('hdfc', { exchange: 'BSE', limit: 5 }), [['HDFCBANK', 'symbol_prefix']]);
+    assert.deepEqual(top('zzzz'), []);
+});
+
+test('resolves only unambiguous input', () => {
+    assert.equal(master.resolve('HDFC Bank Ltd').nse_symbol, 'HDFCBANK');
+    assert.equal(master.resolve('elcid investments').bse_code, '503681');
+    // HDFC Bank or HDFC Life: the user has to pick
+    assert.equal(master.resolve('hdfc'), null);
+    assert.equal(master.resolve('relianse'), null);
+});
+
+test('resolves names written without spaces, but not prefixes that match one listing', () => {
+    assert.equal(master.resolve('HDFCLife Insurance Company').nse_symbol, 'HDFCLIFE');
+    assert.equal(master.resolve('reli'), null);
+    assert.equal(master.resolve('mahindra'), null);
+
+    // The bundled sample has one listing for each of these prefixes
+    const bundled = new SymbolMaster().load();
+    for (const prefix of ['ADANI', 'BAJAJ', 'ICICI', 'INFO']) {
+        assert.equal(bundled.resolve(prefix), null, prefix);
+        assert.ok(bundled.search(prefix).length > 0, prefix);
+    }
+    assert.equal(bundled.resolve('ICICI Bank').nse_symbol, 'ICICIBANK');
+    assert.equal(bundled.resolve('INFY').nse_symbol, 'INFY');
+});
+
+test('maps a listing to each source\'s symbol format', () => {
+    const reliance = master.get('RELIANCE');
+    const elcid = master.get('ELCIDIN');
+
+    assert.equal(exchangeSymbol(reliance, 'NSE'), 'RELIANCE');
+    assert.equal(exchangeSymbol(reliance, 'BSE'), 'RELIANCE');
+    assert.equal(exchangeSymbol(elcid, 'NSE'), null);
+
+    assert.equal(YahooFinanceSource.yahooSymbol({ symbol: 'RELIANCE', listing: reliance }), 'RELIANCE.NS');
+    assert.equal(YahooFinanceSource.yahooSymbol({ symbol: 'RELIANCE', exchange: 'BSE', listing: reliance }), '500325.BO');
+    assert.equal(YahooFinanceSource.yahooSymbol({ symbol: '500325', exchange: 'BSE' }), '500325.BO');
+    assert.equal(ScreenerSource.pageSymbol({ symbol: 'ELCIDIN', exchange: 'BSE', listing: elcid }), '503681');
+    assert.equal(ScreenerSource.pageSymbol({ symbol: 'RELIANCE', exchange: 'BSE', listing: reliance }), 'RELIANCE');
+});
+
+test('downloads the lists into a directory, keeping the bundled file for an exchange that fails', async () => {
+    const dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stockai-symbols-')), 'symbols');
+    assert.equal(symbolListsAge(dir), Infinity);
+
+    // NSE answers with its list, BSE with an error page
+    const http = {
+        get: async (url) => {
+            if (url.includes('nsearchives')) return { data: NSE_CSV };
+            throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+        }
+    };
+    const silent = { info: () => {}, warn: () => {} };
+
+    const result = await refreshSymbolLists(dir, { http, log: silent });
+    assert.deepEqual(result, { updated: ['nse-equity.csv'], failed: [{ file: 'bse-equity.csv', error: 'Request failed with status code 503' }] });
+    assert.equal(fs.readFileSync(path.join(dir, 'nse-equity.csv'), 'utf8'), NSE_CSV);
+    assert.deepEqual(fs.readdirSync(dir), ['nse-equity.csv']);
+
+    const loaded = new SymbolMaster({ dir, fallbackDir: DEFAULT_SYMBOLS_DIR }).load();
+    assert.deepEqual(loaded.files['nse-equity.csv'], { path: path.join(dir, 'nse-equity.csv'), rows: 6 });
+    assert.equal(loaded.files['bse-equity.csv'].path, path.join(DEFAULT_SYMBOLS_DIR, 'bse-equity.csv'));
+    assert.ok(loaded.files['bse-equity.csv'].rows > 0);
+    assert.equal(loaded.get('HDFCLIFE').nse_symbol, 'HDFCLIFE');
+
+    fs.writeFileSync(path.join(dir, 'bse-equity.csv'), BSE_CSV);
+    assert.ok(symbolListsAge(dir) < 60 * 1000);
+});
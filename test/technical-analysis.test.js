@@ -0,0 +1,94 @@
+/**
+ * Technical indicators against worked examples
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sma, ema, rsi, macd, bollingerBands, analyzeCandles } = require('../lib/technical-analysis');
+
+const last = (series) => series[series.length - 1];
+const rounded = (series, digits = 2) => series.map(value => value === null ? null : Number(value.toFixed(digits)));
+
+// StockCharts' 10-day moving average example
+const EMA_CLOSES = [
+    22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+    22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63
+];
+
+// StockCharts' 14-day RSI example
+const RSI_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+    45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64
+];
+
+test('SMA and EMA match the worked example and are null until a full period', () => {
+    assert.deepEqual(rounded(sma(EMA_CLOSES, 10)).slice(8), [
+        null, 22.22, 22.21, 22.23, 22.26, 22.30, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21
+    ]);
+    assert.deepEqual(rounded(ema(EMA_CLOSES, 10)).slice(8), [
+        null, 22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34
+    ]);
+    assert.deepEqual(ema([1, 2], 3), [null, null]);
+});
+
+test('RSI uses Wilder smoothing and is 100 without losses', () => {
+    const series = rounded(rsi(RSI_CLOSES, 14));
+
+    assert.equal(series.slice(0, 14).every(value => value === null), true);
+    assert.deepEqual(series.slice(14), [70.46, 66.25, 66.48, 69.35, 66.29, 57.92]);
+    assert.equal(last(rsi([1, 2, 3, 4, 5, 6], 3)), 100);
+    assert.deepEqual(rsi([1, 2, 3], 3), [null, null, null]);
+});
+
+test('MACD of a steady climb is the lag between its EMAs', () => {
+    // An EMA seeded with the SMA trails a straight line by (period - 1) / 2,
+    // so the 12/26 line sits at 12.5 - 5.5 = 7 and the histogram at 0
+    const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+    const { macd: line, signal, histogram } = macd(closes);
+
+    assert.equal(line.findIndex(value => value !== null), 25);
+    assert.equal(signal.findIndex(value => value !== null), 33);
+    assert.equal(histogram.findIndex(value => value !== null), 33);
+    assert.equal(Number(last(line).toFixed(6)), 7);
+    assert.equal(Number(last(signal).toFixed(6)), 7);
+    assert.ok(Math.abs(last(histogram)) < 1e-9);
+});
+
+test('Bollinger bands sit two population deviations around the SMA', () => {
+    const closes = Array.from({ length: 20 }, (_, i) => i + 1);
+    const bands = bollingerBands(closes, 20, 2);
+
+    assert.equal(bands.upper[18], null);
+    assert.equal(bands.middle[19], 10.5);
+    // Standard deviation of 1..20 is sqrt(399 / 12)
+    assert.equal(Number(bands.upper[19].toFixed(4)), 22.0326);
+    assert.equal(Number(bands.lower[19].toFixed(4)), -1.0326);
+
+    const flat = bollingerBands(new Array(20).fill(50));
+    assert.deepEqual([flat.upper[19], flat.middle[19], flat.lower[19]], [50, 50, 50]);
+});
+
+test('analyzeCandles reports the latest values, signals and 52-week range', () => {
+    const day = 24 * 60 * 60;
+    const candles = RSI_CLOSES.map((close, i) => ({
+        timestamp: 1767225600 + i * day,
+        time: new Date((1767225600 + i * day) * 1000).toISOString().slice(0, 10),
+        open: close,
+        high: close + 0.5,
+        low: close - 0.5,
+        close
+    }));
+
+    const technicals = analyzeCandles(candles);
+
+    assert.equal(technicals.candles, 20);
+    assert.equal(technicals.as_of, '2026-01-20');
+    assert.equal(technicals.rsi_14, 57.92);
+    assert.equal(technicals.sma_50, null);
+    assert.deepEqual(technicals.signals, { rsi: 'neutral', macd: null, trend: null, bollinger: 'inside' });
+    assert.deepEqual(
+        [technicals.high_52w, technicals.high_52w_date, technicals.low_52w, technicals.low_52w_date],
+        [46.91, '2026-01-18', 43.11, '2026-01-04']
+    );
+    assert.equal(analyzeCandles(candles.slice(0, 1)), null);
+});